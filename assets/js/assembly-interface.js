@@ -17,6 +17,7 @@
             this.nonce = wpApiSettings.nonce;
             this.currentAssemblyData = null;
             this.currentPreviewData = null;
+            this.detectedPlugins = {};
             this.previewModal = null;
             
             this.init();
@@ -44,6 +45,9 @@
             // Draft creation buttons
             $(document).on('click', '.ai-composer-create-draft-btn', this.handleCreateDraftClick.bind(this));
             
+            // Per-section block pickers
+            $(document).on('change', '.ai-composer-block-picker', this.handleBlockPickerChange.bind(this));
+            
             // Plugin indicator toggles
             $(document).on('change', '#ai-composer-show-indicators', this.togglePluginIndicators.bind(this));
             
@@ -81,6 +85,7 @@
                 
                 this.displayAssemblyResult(assemblyData);
                 this.showNotification('Content assembled successfully!', 'success');
+                $(document).trigger('ai_composer_assembly_completed', [assemblyData]);
                 
                 // Enable preview and draft buttons
                 $('.ai-composer-preview-btn, .ai-composer-create-draft-btn').prop('disabled', false);
@@ -147,6 +152,7 @@
                 const result = await this.createDraft(draftData);
                 this.displayDraftResult(result);
                 this.showNotification('Draft created successfully!', 'success');
+                $(document).trigger('ai_composer_draft_created', [result, draftData]);
                 
             } catch (error) {
                 console.error('Draft creation failed:', error);
@@ -157,6 +163,43 @@
             }
         }
 
+        /**
+         * Handle a block picked for an assembled section
+         */
+        async handleBlockPickerChange(e) {
+            const $picker = $(e.currentTarget);
+            const index = parseInt($picker.data('section-index'), 10);
+            const blockName = $picker.val();
+            const section = this.extractSectionsData()[index];
+
+            if (!this.currentAssemblyData || !section) {
+                this.showNotification('Please assemble content first', 'warning');
+                return;
+            }
+
+            $picker.prop('disabled', true);
+
+            try {
+                const assemblyData = await this.reassembleSection(section, index, blockName);
+                const indicator = assemblyData.plugin_indicators[index];
+                this.currentAssemblyData = assemblyData;
+
+                this.displayAssemblyResult(assemblyData);
+                $(document).trigger('ai_composer_assembly_completed', [assemblyData]);
+
+                if (indicator.source === 'override') {
+                    this.showNotification(`Section re-assembled with ${blockName}, now the preferred block for ${indicator.section_type} sections`, 'success');
+                } else {
+                    this.showNotification(`${indicator.fallback_reason}; using ${indicator.block_name} instead`, 'warning');
+                }
+                
+            } catch (error) {
+                console.error('Section re-assembly failed:', error);
+                this.showNotification('Section re-assembly failed: ' + error.message, 'error');
+                $picker.prop('disabled', false).val(this.currentAssemblyData.plugin_indicators[index].block_name);
+            }
+        }
+
         /**
          * Assemble content via API
          */
@@ -185,6 +228,33 @@
             return await response.json();
         }
 
+        /**
+         * Re-assemble one section with a chosen block via API
+         */
+        async reassembleSection(section, sectionIndex, blockName) {
+            const response = await fetch(this.apiBase + 'assemble', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-WP-Nonce': this.nonce
+                },
+                body: JSON.stringify({
+                    sections: [Object.assign({}, section, { block_override: blockName })],
+                    section_index: sectionIndex,
+                    assembly: this.currentAssemblyData,
+                    blueprint_id: this.getBlueprintId(),
+                    assembly_options: this.getAssemblyOptions()
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || 'Assembly request failed');
+            }
+
+            return await response.json();
+        }
+
         /**
          * Generate preview via API
          */
@@ -243,6 +313,7 @@
 
                 if (response.ok) {
                     const plugins = await response.json();
+                    this.detectedPlugins = plugins;
                     this.displayDetectedPlugins(plugins);
                 }
             } catch (error) {
@@ -466,12 +537,14 @@
                 html += '<div class="ai-composer-plugin-usage">';
                 html += '<h4>Plugin Usage</h4>';
                 html += '<ul>';
-                indicators.forEach(indicator => {
+                const escape = window.AIComposer.TemplateRenderer.escape;
+                indicators.forEach((indicator, index) => {
                     const fallbackClass = indicator.fallback_used ? 'fallback' : '';
                     html += `<li class="${fallbackClass}">
-                        <span class="plugin-name">${indicator.plugin_used}</span>
-                        <span class="block-name">${indicator.block_name}</span>
-                        ${indicator.fallback_used ? '<span class="fallback-badge">Fallback</span>' : ''}
+                        <span class="plugin-name">${escape(this.getPluginName(indicator.plugin_used))}</span>
+                        ${this.renderBlockPicker(indicator, index)}
+                        ${indicator.source === 'saved_preference' ? '<span class="preference-badge">Saved preference</span>' : ''}
+                        ${indicator.fallback_used ? `<span class="fallback-badge" title="${escape(indicator.fallback_reason || '')}">Fallback</span>` : ''}
                     </li>`;
                 });
                 html += '</ul>';
@@ -481,6 +554,44 @@
             $resultContainer.html(html).show();
         }
 
+        /**
+         * Render the block picker of an assembled section, grouped by plugin
+         */
+        renderBlockPicker(indicator, index) {
+            const escape = window.AIComposer.TemplateRenderer.escape;
+            const blocks = (indicator.compatible_blocks || []).slice();
+            const groups = {};
+
+            // The resolved block is always listed, even if it is not a usual match for the section type
+            if (!blocks.some(block => block.block_name === indicator.block_name)) {
+                blocks.unshift({ plugin: indicator.plugin_used, block_name: indicator.block_name });
+            }
+
+            blocks.forEach(block => {
+                groups[block.plugin] = groups[block.plugin] || [];
+                groups[block.plugin].push(block.block_name);
+            });
+
+            let html = `<select class="block-name ai-composer-block-picker" data-section-index="${index}" aria-label="Block for ${escape(indicator.section_type)} section ${index + 1}">`;
+            Object.entries(groups).forEach(([plugin, blockNames]) => {
+                html += `<optgroup label="${escape(this.getPluginName(plugin))}">`;
+                blockNames.forEach(blockName => {
+                    html += `<option value="${escape(blockName)}"${blockName === indicator.block_name ? ' selected' : ''}>${escape(blockName)}</option>`;
+                });
+                html += '</optgroup>';
+            });
+            html += '</select>';
+
+            return html;
+        }
+
+        /**
+         * Get the display name of a detected plugin
+         */
+        getPluginName(pluginKey) {
+            return (this.detectedPlugins[pluginKey] || {}).name || pluginKey;
+        }
+
         /**
          * Display detected plugins
          */
@@ -573,6 +684,15 @@
             $container.html(html);
         }
 
+        /**
+         * Restore a saved assembly result without re-assembling
+         */
+        restoreAssembly(assemblyData) {
+            this.currentAssemblyData = assemblyData;
+            this.displayAssemblyResult(assemblyData);
+            $('.ai-composer-preview-btn, .ai-composer-create-draft-btn').prop('disabled', false);
+        }
+
         /**
          * Display draft result
          */
@@ -656,7 +776,7 @@
             const notificationHtml = `
                 <div class="ai-composer-notification ${type}">
                     <div class="notification-content">
-                        <span class="notification-message">${message}</span>
+                        <span class="notification-message">${window.AIComposer.TemplateRenderer.escape(message)}</span>
                         <button type="button" class="notification-close">&times;</button>
                     </div>
                 </div>
@@ -686,7 +806,8 @@
      */
     $(document).ready(function() {
         if (typeof wpApiSettings !== 'undefined') {
-            new AssemblyInterface();
+            // Export for global access
+            window.AIComposerAssembly = new AssemblyInterface();
         }
     });
 
@@ -17,11 +17,52 @@
             sectionIndex: 0,
             validationTimer: null,
             validationDelay: 1000,
+            jsonSyncTimer: null,
+            jsonSyncDelay: 600,
+            jsonDirty: false,
             currentTab: 'visual-editor'
         },
 
+        // Last blueprint data both the JSON editor and the section rows agree on
+        jsonData: null,
+
+        // Undo/redo history of section changes
+        history: null,
+
+        // Schema-aware editor for the JSON textarea (null when syntax highlighting is off)
+        jsonEditor: null,
+
+        // Section settings a nested section can inherit from its parent
+        inheritedFields: ['tone', 'media_policy', 'citations_required'],
+
+        // Last preview and the blueprint it was built from, re-rendered when the sample inputs change
+        lastPreview: null,
+
+        // Blueprint data the pending auto-fix patches were built against
+        autoFix: {
+            data: null,
+            patches: []
+        },
+
+        // Blueprint waiting to replace the current one
+        pendingImport: {
+            data: null,
+            source: ''
+        },
+
         // Initialize the admin interface
         init: function() {
+            this.history = window.AIComposer.CommandHistory.create({
+                scope: '.ai-blueprint-sections',
+                undoButton: '#blueprint-undo',
+                redoButton: '#blueprint-redo'
+            });
+
+            this.jsonEditor = window.AIComposer.BlueprintJSONEditor.create(document.getElementById('blueprint_schema_json'), {
+                schema: aiBlueprintAdmin.schema,
+                settings: aiBlueprintAdmin.codeEditor
+            });
+
             this.bindEvents();
             this.initSortable();
             this.loadInitialData();
@@ -38,6 +79,13 @@
             $(document).on('click', '.move-section-up', this.moveSectionUp.bind(this));
             $(document).on('click', '.move-section-down', this.moveSectionDown.bind(this));
             $(document).on('click', '.section-toggle', this.toggleSection.bind(this));
+            $(document).on('click', '.indent-section', this.indentSection.bind(this));
+            $(document).on('click', '.outdent-section', this.outdentSection.bind(this));
+            $(document).on('click', '.toggle-section-children', this.toggleSectionChildren.bind(this));
+            $(document).on('change', '.section-inherit, .section-row [name*="[tone]"], .section-row [name*="[media_policy]"], .section-row [name*="[citations_required]"]',
+                          this.updateHierarchy.bind(this));
+            $(document).on('input change', '.section-condition', this.onConditionInput.bind(this));
+            $('#post').on('submit', this.blockInvalidConditions.bind(this));
 
             // Tab switching
             $(document).on('click', '.nav-tab', this.switchTab.bind(this));
@@ -51,11 +99,29 @@
             $(document).on('click', '#preview-blueprint', this.previewBlueprint.bind(this));
             $(document).on('click', '#test-generation', this.testGeneration.bind(this));
             $(document).on('click', '#estimate-cost', this.estimateCost.bind(this));
+            $(document).on('input', '#preview-sample-brief, #preview-sample-audience', this.onSampleInputsChange.bind(this));
 
             // Validation actions
             $(document).on('click', '#revalidate-blueprint', this.revalidateBlueprint.bind(this));
-            $(document).on('click', '#auto-fix-errors', this.autoFixErrors.bind(this));
+            $(document).on('click', '#auto-fix-errors, .auto-fix-errors', this.autoFixErrors.bind(this));
+            $(document).on('click', '#apply-auto-fixes', this.applyAutoFixes.bind(this));
+            $(document).on('click', '#cancel-auto-fixes', this.cancelAutoFixes.bind(this));
             $(document).on('click', '#download-schema', this.downloadSchema.bind(this));
+            
+            // Import
+            $(document).on('change', '#blueprint-import-file', this.onImportFile.bind(this));
+            $(document).on('dragover dragenter', '#blueprint-import-dropzone', this.onImportDragOver.bind(this));
+            $(document).on('dragleave', '#blueprint-import-dropzone', this.onImportDragLeave.bind(this));
+            $(document).on('drop', '#blueprint-import-dropzone', this.onImportDrop.bind(this));
+            $(document).on('click', '#import-from-text', this.importFromText.bind(this));
+            $(document).on('click', '#import-from-post', this.importFromPost.bind(this));
+            $(document).on('click', '#apply-import', this.applyImport.bind(this));
+            $(document).on('click', '#cancel-import', this.cancelImport.bind(this));
+            
+            // Version history
+            $(document).on('click', '.view-blueprint-version', this.viewVersion.bind(this));
+            $(document).on('click', '.rollback-blueprint-version', this.rollbackVersion.bind(this));
+            $(document).on('click', '#close-blueprint-version', this.closeVersionView.bind(this));
 
             // Form field changes
             $(document).on('input change', '.section-heading-input, .section-type-select', this.updateSectionNumbers.bind(this));
@@ -66,10 +132,18 @@
             // Bulk actions
             $(document).on('change', '#bulk-action-selector', this.toggleBulkButton.bind(this));
             $(document).on('click', '#apply-bulk-action', this.applyBulkAction.bind(this));
+            $(document).on('change', '.section-select', this.onSectionSelect.bind(this));
+            $(document).on('change', '#select-all-sections', this.selectAllSections.bind(this));
 
-            // Auto-save
-            $(document).on('input change', '.ai-blueprint-sections input, .ai-blueprint-sections select, .ai-blueprint-sections textarea', 
+            // Auto-save (selection and bulk action controls are not part of the blueprint)
+            $(document).on('input change', '.ai-blueprint-sections .section-row :input:not(.section-select)',
                           this.scheduleValidation.bind(this));
+            $(document).on('input change', '.ai-blueprint-global-settings :input', this.scheduleValidation.bind(this));
+            $(document).on('click', '#json-goto-error', this.goToJSONError.bind(this));
+
+            // Field edit history
+            $(document).on('focusin', '.section-row :input:not(.section-select)', this.rememberFieldValue.bind(this));
+            $(document).on('change', '.section-row :input:not(.section-select)', this.recordFieldEdit.bind(this));
         },
 
         // Initialize sortable sections
@@ -80,7 +154,13 @@
                     items: '.section-row',
                     placeholder: 'section-placeholder',
                     tolerance: 'pointer',
-                    update: this.updateSectionNumbers.bind(this)
+                    start: function(e, ui) {
+                        ui.item.data('start-index', ui.item.index());
+                    },
+                    update: function(e, ui) {
+                        BlueprintAdmin.recordMove(ui.item, ui.item.data('start-index'), ui.item.index());
+                        BlueprintAdmin.updateSectionNumbers();
+                    }
                 });
             }
         },
@@ -97,6 +177,8 @@
         // Load initial data
         loadInitialData: function() {
             this.config.sectionIndex = $('.section-row').length;
+            this.jsonData = this.parseJSONSafely($('#blueprint_schema_json').val());
+            $('.section-condition').each((index, field) => this.checkCondition($(field)));
             this.updateSectionNumbers();
             this.updateEmptyState();
         },
@@ -105,37 +187,41 @@
         addSection: function(e) {
             e.preventDefault();
             
+            const $row = this.createSectionRow();
+            if (!$row) return;
+
+            $('#sections-container').append($row);
+            this.recordInsert($row, 'Add section');
+            
+            this.updateSectionNumbers();
+            this.updateEmptyState();
+            this.scrollToSection($row);
+            
+            // Auto-focus the heading input
+            $row.find('.section-heading-input').focus();
+        },
+
+        // Build a new section row from the row template
+        createSectionRow: function() {
             const template = $('#section-row-template').html();
-            if (!template) return;
+            if (!template) return null;
 
             const sectionHtml = template
                 .replace(/\{\{index\}\}/g, this.config.sectionIndex)
                 .replace(/\{\{number\}\}/g, this.config.sectionIndex + 1);
 
-            $('#sections-container').append(sectionHtml);
             this.config.sectionIndex++;
-            
-            this.updateSectionNumbers();
-            this.updateEmptyState();
-            this.scrollToSection($('.section-row').last());
-            
-            // Auto-focus the heading input
-            $('.section-row').last().find('.section-heading-input').focus();
+
+            return $($.parseHTML(sectionHtml.trim())).filter('.section-row');
         },
 
-        // Remove section
+        // Remove section (undoable from the toast instead of confirming first)
         removeSection: function(e) {
             e.preventDefault();
-            
-            if (!confirm(aiBlueprintAdmin.i18n.removeSection || 'Are you sure you want to remove this section?')) {
-                return;
-            }
 
-            $(e.target).closest('.section-row').fadeOut(300, function() {
-                $(this).remove();
-                BlueprintAdmin.updateSectionNumbers();
-                BlueprintAdmin.updateEmptyState();
-            });
+            const $row = $(e.target).closest('.section-row');
+            this.removeRows(this.getRowWithChildren($row), 'Remove section');
+            this.history.notify('Section removed.');
         },
 
         // Duplicate section
@@ -143,6 +229,18 @@
             e.preventDefault();
             
             const $section = $(e.target).closest('.section-row');
+            const $clone = this.cloneSectionRow($section);
+            
+            // Below the subsections, so they stay with the original
+            this.getRowWithChildren($section).last().after($clone);
+            this.recordInsert($clone, 'Duplicate section');
+            
+            this.updateSectionNumbers();
+            this.scrollToSection($clone);
+        },
+
+        // Copy a section row under a new index and section id
+        cloneSectionRow: function($section) {
             const $clone = $section.clone();
             
             // Update clone attributes
@@ -153,44 +251,70 @@
                     $(this).attr('name', name.replace(/\[\d+\]/, '[' + newIndex + ']'));
                 }
             });
+            this.config.sectionIndex++;
+
+            // jQuery does not copy the selected options of select fields
+            $section.find('select').each(function(index) {
+                $clone.find('select').eq(index).val($(this).val());
+            });
             
             // Update heading to indicate it's a copy
             const $headingInput = $clone.find('.section-heading-input');
             $headingInput.val($headingInput.val() + ' (Copy)');
+
+            const $idField = $clone.find('.section-id-field');
+            const ids = $('.section-id-field').map(function() {
+                return $(this).val();
+            }).get();
+            $idField.val(this.uniqueSectionId($idField.val(), { ids: ids }, ids.length));
+
+            $clone.removeClass('is-selected is-collapsed').find('.section-select').prop('checked', false);
+            $clone.find('.toggle-section-children').attr('aria-expanded', 'true')
+                .find('.dashicons').addClass('dashicons-arrow-down').removeClass('dashicons-arrow-right');
             
-            $section.after($clone);
-            this.config.sectionIndex++;
-            
-            this.updateSectionNumbers();
-            this.scrollToSection($clone);
+            return $clone;
         },
 
-        // Move section up
+        // Move section up, past the previous section at the same level
         moveSectionUp: function(e) {
             e.preventDefault();
             
             const $section = $(e.target).closest('.section-row');
-            const $prev = $section.prev('.section-row');
+            const $prev = this.getSiblingRow($section, -1);
             
             if ($prev.length) {
-                $section.insertBefore($prev);
-                this.updateSectionNumbers();
-                this.scrollToSection($section);
+                this.moveSectionRows(this.getRowWithChildren($section), $prev);
             }
         },
 
-        // Move section down
+        // Move section down, past the next section at the same level
         moveSectionDown: function(e) {
             e.preventDefault();
             
             const $section = $(e.target).closest('.section-row');
-            const $next = $section.next('.section-row');
+            const $next = this.getSiblingRow($section, 1);
             
             if ($next.length) {
-                $section.insertAfter($next);
+                this.moveSectionRows(this.getRowWithChildren($next), $section);
+            }
+        },
+
+        // Move rows before another row; a section without subsections moves as a single row
+        moveSectionRows: function($rows, $before) {
+            if ($rows.length === 1) {
+                const $section = $rows.first();
+                const from = $section.index();
+
+                $section.insertBefore($before);
+                this.recordMove($section, from, $section.index());
                 this.updateSectionNumbers();
                 this.scrollToSection($section);
+                return;
             }
+
+            this.recordChange('Move section', () => {
+                $rows.insertBefore($before);
+            });
         },
 
         // Toggle section content
@@ -205,6 +329,144 @@
             $icon.toggleClass('dashicons-arrow-up-alt2 dashicons-arrow-down-alt2');
         },
 
+        // Show or hide the subsections of a section
+        toggleSectionChildren: function(e) {
+            e.preventDefault();
+
+            const $section = $(e.target).closest('.section-row');
+            const collapsed = !$section.hasClass('is-collapsed');
+
+            $section.toggleClass('is-collapsed', collapsed)
+                .find('.toggle-section-children').attr('aria-expanded', String(!collapsed))
+                .find('.dashicons').toggleClass('dashicons-arrow-down', !collapsed).toggleClass('dashicons-arrow-right', collapsed);
+
+            this.updateHierarchy();
+        },
+
+        // Nest a section and its subsections under the section above it
+        indentSection: function(e) {
+            e.preventDefault();
+
+            const $section = $(e.target).closest('.section-row');
+            const $prev = $section.prev('.section-row');
+            const depth = this.getRowDepth($section);
+
+            if (!$prev.length || depth > this.getRowDepth($prev) || depth >= 5) {
+                return;
+            }
+
+            this.shiftSectionDepth(this.getRowWithChildren($section), 1, 'Indent section');
+        },
+
+        // Move a section and its subsections one level out
+        outdentSection: function(e) {
+            e.preventDefault();
+
+            const $section = $(e.target).closest('.section-row');
+
+            if (!this.getRowDepth($section)) {
+                return;
+            }
+
+            this.shiftSectionDepth(this.getRowWithChildren($section), -1, 'Outdent section');
+        },
+
+        // Move rows a level in or out, keeping their headings one level below their parent
+        shiftSectionDepth: function($rows, delta, label) {
+            this.recordChange(label, () => {
+                $rows.each((index, row) => {
+                    const $row = $(row);
+                    const $level = $row.find('[name*="[heading_level]"]');
+                    const level = Math.max(1, Math.min(6, (parseInt($level.val()) || 2) + delta));
+
+                    $row.find('.section-depth-field').val(Math.max(0, this.getRowDepth($row) + delta));
+                    $level.val(String(level)).data('history-value', String(level));
+                });
+            });
+        },
+
+        // Depth of a section row as stored in its depth field
+        getRowDepth: function($row) {
+            return parseInt($row.find('.section-depth-field').val(), 10) || 0;
+        },
+
+        // A section row followed by the rows nested under it
+        getRowWithChildren: function($row) {
+            const depth = this.getRowDepth($row);
+            const rows = [$row[0]];
+            let $next = $row.next('.section-row');
+
+            while ($next.length && this.getRowDepth($next) > depth) {
+                rows.push($next[0]);
+                $next = $next.next('.section-row');
+            }
+
+            return $(rows);
+        },
+
+        // Section rows together with the rows nested under each of them, in document order
+        getRowsWithChildren: function($rows) {
+            return $rows.toArray().reduce(($all, row) => $all.add(this.getRowWithChildren($(row))), $());
+        },
+
+        // The previous (-1) or next (1) section at the same level under the same parent
+        getSiblingRow: function($row, direction) {
+            const depth = this.getRowDepth($row);
+            let $candidate = direction < 0 ? $row.prev('.section-row') : this.getRowWithChildren($row).last().next('.section-row');
+
+            while ($candidate.length && this.getRowDepth($candidate) > depth) {
+                $candidate = direction < 0 ? $candidate.prev('.section-row') : $candidate.next('.section-row');
+            }
+
+            return $candidate.length && this.getRowDepth($candidate) === depth ? $candidate : $();
+        },
+
+        // Indent rows by depth, collapse hidden subsections and fill in inherited values
+        updateHierarchy: function() {
+            const $rows = $('#sections-container').children('.section-row');
+            const depths = [];
+            const ancestors = [];
+
+            // A row can only sit one level below the row above it
+            $rows.each((index, row) => {
+                depths.push(Math.min(this.getRowDepth($(row)), index ? depths[index - 1] + 1 : 0));
+            });
+
+            $rows.each((index, row) => {
+                const $row = $(row);
+                const depth = depths[index];
+
+                ancestors.length = depth;
+
+                const parent = ancestors[depth - 1];
+
+                $row.attr('data-depth', depth)
+                    .toggleClass('has-children', depths[index + 1] > depth)
+                    .toggleClass('is-collapsed-child', ancestors.some($ancestor => $ancestor.hasClass('is-collapsed')));
+
+                // Inherited fields show the parent's value and can't be edited
+                this.inheritedFields.forEach(key => {
+                    const $field = $row.find('[name*="[' + key + ']"]').first();
+                    const inherits = Boolean(parent) && $row.find('.section-inherit[value="' + key + '"]').prop('checked');
+
+                    if (inherits) {
+                        const $source = parent.find('[name*="[' + key + ']"]').first();
+
+                        if ($field.is(':checkbox')) {
+                            $field.prop('checked', $source.prop('checked'));
+                        } else {
+                            $field.val($source.val());
+                        }
+                        $field.data('history-value', this.getFieldValue($field));
+                    }
+
+                    $field.prop('disabled', inherits);
+                });
+
+                ancestors.push($row);
+            });
+        },
+
         // Switch tabs
         switchTab: function(e) {
             e.preventDefault();
@@ -222,15 +484,22 @@
             
             this.config.currentTab = tabId;
             
-            // Trigger tab-specific actions
-            if (tabId === 'json-editor') {
+            // Trigger tab-specific actions (keeping JSON edits that have not reached the rows yet)
+            if (tabId === 'json-editor' && !this.config.jsonDirty) {
                 this.syncFromSections();
             }
+
+            // CodeMirror cannot measure itself while its tab is hidden
+            if (tabId === 'json-editor' && this.jsonEditor) {
+                this.jsonEditor.refresh();
+            }
         },
 
         // Validate JSON
         validateJSON: function(e) {
-            e.preventDefault();
+            if (e) {
+                e.preventDefault();
+            }
             
             const jsonData = $('#blueprint_schema_json').val();
             if (!jsonData.trim()) {
@@ -259,7 +528,7 @@
             try {
                 const parsed = JSON.parse(jsonData);
                 const formatted = JSON.stringify(parsed, null, 2);
-                $textarea.val(formatted);
+                this.setJSONText(formatted);
                 this.showNotice('success', 'JSON formatted successfully');
             } catch (error) {
                 this.showNotice('error', 'Invalid JSON: ' + error.message);
@@ -268,10 +537,68 @@
 
         // Sync from sections
         syncFromSections: function() {
-            const blueprintData = this.collectBlueprintData();
+            const blueprintData = this.mergeBlueprintData(this.collectBlueprintData(), this.jsonData);
             const jsonString = JSON.stringify(blueprintData, null, 2);
-            $('#blueprint_schema_json').val(jsonString);
+            this.setJSONText(jsonString);
             $('#blueprint_schema_data').val(jsonString);
+
+            this.jsonData = blueprintData;
+            this.config.jsonDirty = false;
+            this.clearJSONError();
+        },
+
+        // Replace the JSON editor content
+        setJSONText: function(text) {
+            $('#blueprint_schema_json').val(text);
+
+            if (this.jsonEditor) {
+                this.jsonEditor.setValue(text);
+            }
+        },
+
+        // Overlay the form values on the last JSON data, keeping keys the form has no field for
+        mergeBlueprintData: function(collected, base) {
+            if (!base || typeof base !== 'object' || Array.isArray(base)) {
+                return collected;
+            }
+
+            const baseSections = this.flattenSectionTree(Array.isArray(base.sections) ? base.sections : [])
+                .map(entry => entry.section);
+
+            const mergeSection = (section, isChild) => {
+                const match = baseSections.find(candidate => candidate && candidate.id === section.id);
+                const merged = $.extend({}, match, section, {
+                    block_preferences: $.extend({}, match && match.block_preferences, section.block_preferences)
+                });
+
+                // Nesting and section rules come from the rows, and a child inherits whatever its row leaves out
+                delete merged.children;
+                ['condition', 'repeat'].forEach(key => {
+                    if (section[key] === undefined) {
+                        delete merged[key];
+                    }
+                });
+                if (section.children) {
+                    merged.children = section.children.map(child => mergeSection(child, true));
+                }
+                if (isChild) {
+                    this.inheritedFields.forEach(key => {
+                        if (section[key] === undefined) {
+                            delete merged[key];
+                        }
+                    });
+                }
+
+                return merged;
+            };
+
+            return $.extend({}, base, collected, {
+                sections: collected.sections.map(section => mergeSection(section, false)),
+                global_settings: $.extend({}, base.global_settings, collected.global_settings),
+                // The version is assigned on save, so keep whatever the JSON already says
+                metadata: $.extend({}, base.metadata, collected.metadata,
+                    base.metadata && base.metadata.version ? { version: base.metadata.version } : {})
+            });
         },
 
         // Preview blueprint
@@ -284,9 +611,13 @@
             
             $button.prop('disabled', true).text('Generating Preview...');
             
-            this.makeAPIRequest('blueprint-preview', blueprintData,
+            // A saved blueprint's correction factors apply to the preview estimate
+            const separator = aiBlueprintAdmin.restUrl.indexOf('?') === -1 ? '?' : '&';
+            const endpoint = 'blueprint-preview' + (aiBlueprintAdmin.postId ? separator + $.param({ blueprint_id: aiBlueprintAdmin.postId }) : '');
+
+            this.makeAPIRequest(endpoint, blueprintData,
                 function(response) {
-                    BlueprintAdmin.displayPreview(response.preview);
+                    BlueprintAdmin.displayPreview(response.preview, blueprintData);
                     $button.prop('disabled', false).text(originalText);
                 },
                 function(error) {
@@ -296,30 +627,30 @@
             );
         },
 
-        // Test generation
+        // Test generation: dry run against the LLM stub (no spend)
         testGeneration: function(e) {
             e.preventDefault();
             
-            const $button = $(e.target);
-            const originalText = $button.text();
+            const $button = $(e.target).closest('button');
+            const originalHtml = $button.html();
             
             $button.prop('disabled', true).text('Running Test...');
             
-            // Simulate test generation
-            setTimeout(function() {
-                const testResults = {
-                    success: true,
-                    message: 'Test generation completed successfully',
-                    stats: {
-                        sections_processed: $('.section-row').length,
-                        estimated_tokens: 1250,
-                        estimated_cost: 0.056
-                    }
-                };
-                
-                BlueprintAdmin.displayTestResults(testResults);
-                $button.prop('disabled', false).text(originalText);
-            }, 2000);
+            // With a sample brief the dry run resolves section rules against it
+            const inputs = this.getSampleInputs();
+            const separator = aiBlueprintAdmin.restUrl.indexOf('?') === -1 ? '?' : '&';
+            const endpoint = 'blueprint-dry-run' + (inputs.brief ? separator + $.param(inputs) : '');
+            
+            this.makeAPIRequest(endpoint, this.collectBlueprintData(),
+                response => {
+                    this.displayTestResults(response);
+                    $button.prop('disabled', false).html(originalHtml);
+                },
+                error => {
+                    this.displayTestResults({ success: false, message: error.message });
+                    $button.prop('disabled', false).html(originalHtml);
+                }
+            );
         },
 
         // Estimate cost
@@ -328,10 +659,36 @@
             
             const blueprintData = this.collectBlueprintData();
             const estimation = this.calculateEstimation(blueprintData);
+            const CostEstimator = window.AIComposer.CostEstimator;
+            const pricing = CostEstimator.getPricing();
+            const limit = parseFloat((blueprintData.global_settings || {}).cost_limit_usd) || 0;
+            const overLimit = limit > 0 && estimation.totals.cost.high > limit;
+            const money = value => '$' + value.toFixed(4);
             
-            $('#estimated-tokens').text(estimation.tokens.toLocaleString());
-            $('#estimated-cost').text('$' + estimation.cost.toFixed(3));
-            $('#estimated-time').text(estimation.time + ' minutes');
+            $('#estimated-tokens').text(estimation.totals.tokens.toLocaleString());
+            $('#estimated-cost').text(CostEstimator.formatRange(estimation.totals.cost));
+            $('#estimated-time').text(estimation.totals.minutes + ' minutes');
+            $('#cost-basis').text('Priced for ' + pricing.model + ': ' + money(pricing.input_per_1k) + ' / ' +
+                money(pricing.output_per_1k) + ' per 1K input / output tokens, ' + money(pricing.image_cost) +
+                ' per image, ' + money(pricing.retrieval_cost) + ' per retrieval.');
+            $('#cost-calibration')
+                .text(this.describeCalibration(estimation.calibration))
+                .toggle(this.isCalibrated(estimation.calibration));
+            $('#cost-limit-warning')
+                .text(overLimit ? 'The high estimate exceeds this blueprint\'s cost limit of $' + limit.toFixed(2) + '.' : '')
+                .toggle(overLimit);
+
+            $('#cost-breakdown').html(window.AIComposer.TemplateRenderer.renderElement('blueprint-cost-breakdown-template', {
+                sections: estimation.sections.map(section => ({
+                    heading: section.heading || section.id,
+                    tokens: section.tokens.toLocaleString(),
+                    has_image: section.image === 'required',
+                    optional_image: section.image === 'optional',
+                    low: section.cost.low.toFixed(4),
+                    expected: section.cost.expected.toFixed(4),
+                    high: section.cost.high.toFixed(4)
+                }))
+            }));
             
             $('#cost-estimation').show();
         },
@@ -342,6 +699,8 @@
                 $(this).find('.section-number').text((index + 1) + '.');
                 $(this).attr('data-index', index);
             });
+
+            this.updateHierarchy();
         },
 
         // Update empty state
@@ -360,7 +719,7 @@
 
         // Collect blueprint data from form
         collectBlueprintData: function() {
-            const sections = [];
+            const rows = [];
             
             $('.section-row').each(function() {
                 const $section = $(this);
@@ -373,22 +732,123 @@
                     media_policy: $section.find('[name*="[media_policy]"]').val() || 'optional',
                     internal_links: parseInt($section.find('[name*="[internal_links]"]').val()) || 2,
                     citations_required: $section.find('[name*="[citations_required]"]').is(':checked'),
-                    tone: $section.find('[name*="[tone]"]').val() || 'professional'
+                    tone: $section.find('[name*="[tone]"]').val() || 'professional',
+                    block_preferences: {
+                        preferred_plugin: $section.find('[name*="[preferred_plugin]"]').val() || 'auto'
+                    }
                 };
+
+                const condition = BlueprintAdmin.checkCondition($section.find('.section-condition'));
+                if (condition) {
+                    sectionData.condition = condition;
+                }
+
+                const repeatOver = ($section.find('.section-repeat-over').val() || '').trim();
+                if (repeatOver) {
+                    sectionData.repeat = {
+                        over: repeatOver,
+                        max: parseInt($section.find('.section-repeat-max').val(), 10) || 10
+                    };
+                }
                 
                 if (sectionData.heading) {
-                    sections.push(sectionData);
+                    rows.push({
+                        section: sectionData,
+                        depth: BlueprintAdmin.getRowDepth($section),
+                        inherit: $section.find('.section-inherit:checked').map((i, field) => field.value).get()
+                    });
                 }
             });
 
             return {
-                sections: sections,
+                sections: this.nestSections(rows),
                 global_settings: this.collectGlobalSettings(),
-                metadata: {
-                    version: '1.0.0',
-                    category: 'custom',
-                    difficulty_level: 'intermediate'
+                metadata: this.collectMetadata()
+            };
+        },
+
+        // Nest rows under the closest row one level up, leaving out the values a child inherits
+        nestSections: function(rows) {
+            const sections = [];
+            const ancestors = [];
+
+            rows.forEach(row => {
+                const depth = Math.min(row.depth, ancestors.length);
+
+                ancestors.length = depth;
+
+                const parent = ancestors[depth - 1];
+
+                if (parent) {
+                    this.inheritedFields
+                        .filter(key => row.inherit.indexOf(key) !== -1)
+                        .forEach(key => delete row.section[key]);
+
+                    parent.children = parent.children || [];
+                    parent.children.push(row.section);
+                } else {
+                    sections.push(row.section);
+                }
+
+                ancestors.push(row.section);
+            });
+
+            return sections;
+        },
+
+        // List nested sections in document order with their depth and path
+        flattenSectionTree: function(sections, depth, path) {
+            const level = depth || 0;
+            const base = path || ['sections'];
+
+            return sections.reduce((flat, section, index) => {
+                flat.push({ section: section, depth: level, path: base.concat(index) });
+
+                if (section && Array.isArray(section.children)) {
+                    return flat.concat(this.flattenSectionTree(section.children, level + 1, base.concat(index, 'children')));
+                }
+
+                return flat;
+            }, []);
+        },
+
+        // List nested sections in document order with inherited values filled in from the parent (see Schema_Processor::flatten_sections)
+        flattenResolvedSections: function(sections, parent) {
+            return sections.reduce((flat, section) => {
+                if (!section || typeof section !== 'object') {
+                    return flat;
+                }
+
+                const resolved = $.extend({}, section, { inherited: [] });
+                delete resolved.children;
+
+                if (parent) {
+                    this.inheritedFields.forEach(key => {
+                        if (resolved[key] === undefined && parent[key] !== undefined) {
+                            resolved[key] = parent[key];
+                            resolved.inherited.push(key);
+                        }
+                    });
+
+                    if (resolved.heading_level === undefined) {
+                        resolved.heading_level = Math.min(6, (parseInt(parent.heading_level, 10) || 2) + 1);
+                    }
                 }
+
+                flat.push(resolved);
+
+                return flat.concat(this.flattenResolvedSections(Array.isArray(section.children) ? section.children : [], resolved));
+            }, []);
+        },
+
+        // Collect the library details
+        collectMetadata: function() {
+            return {
+                version: aiBlueprintAdmin.version || '1.0.0',
+                category: $('[name="metadata[category]"]').val() || 'custom',
+                difficulty_level: $('[name="metadata[difficulty_level]"]').val() || 'intermediate',
+                description: $('[name="metadata[description]"]').val() || '',
+                tags: ($('[name="metadata[tags]"]').val() || '').split(',').map(tag => tag.trim()).filter(Boolean)
             };
         },
 
@@ -399,6 +859,7 @@
                 hybrid_alpha: parseFloat($('[name="global_settings[hybrid_alpha]"]').val()) || 0.7,
                 max_tokens_per_section: parseInt($('[name="global_settings[max_tokens_per_section]"]').val()) || 1000,
                 cost_limit_usd: parseFloat($('[name="global_settings[cost_limit_usd]"]').val()) || 5.0,
+                default_preset: $('[name="global_settings[default_preset]"]').val() || '',
                 image_generation_enabled: $('[name="global_settings[image_generation_enabled]"]').is(':checked'),
                 seo_optimization: $('[name="global_settings[seo_optimization]"]').is(':checked'),
                 accessibility_checks: $('[name="global_settings[accessibility_checks]"]').is(':checked'),
@@ -409,11 +870,11 @@
         },
 
         // Make API request
-        makeAPIRequest: function(endpoint, data, successCallback, errorCallback) {
+        makeAPIRequest: function(endpoint, data, successCallback, errorCallback, method) {
             $.ajax({
                 url: aiBlueprintAdmin.restUrl + endpoint,
-                method: 'POST',
-                data: JSON.stringify(data),
+                method: method || 'POST',
+                data: method === 'GET' ? data : JSON.stringify(data),
                 contentType: 'application/json',
                 beforeSend: function(xhr) {
                     xhr.setRequestHeader('X-WP-Nonce', aiBlueprintAdmin.nonce);
@@ -447,113 +908,213 @@
         // Display validation results
         displayValidationResults: function(results) {
             const $container = $('#schema-validation-results');
-            let html = '';
-
-            if (results.valid) {
-                html = '<div class="validation-success"><h4>✓ Blueprint Valid</h4><p>Your blueprint configuration is valid and ready for use.</p></div>';
-            } else {
-                html = '<div class="validation-errors"><h4>⚠ Validation Errors</h4><ul>';
-                results.errors.forEach(function(error) {
-                    html += '<li><strong>' + (error.property || 'General') + ':</strong> ' + error.message + '</li>';
-                });
-                html += '</ul></div>';
-            }
 
-            $container.html(html);
+            $container.html(window.AIComposer.TemplateRenderer.renderElement('blueprint-validation-results-template', {
+                valid: results.valid,
+                errors: results.errors || []
+            }));
             
             // Switch to validation tab
             $('[data-tab="validation-results"]').click();
         },
 
-        // Display preview
-        displayPreview: function(preview) {
+        // Display preview, with each section's rules resolved against the sample brief and audience
+        displayPreview: function(preview, blueprintData) {
             const $container = $('#blueprint-preview-container');
-            let html = '<div class="blueprint-preview-content">';
-
-            if (preview.sections && preview.sections.length > 0) {
-                html += '<h4>Preview Structure</h4>';
-                preview.sections.forEach(function(section, index) {
-                    html += '<div class="preview-section">';
-                    html += '<div class="preview-section-header">';
-                    html += '<h5 class="preview-section-title">' + (index + 1) + '. ' + (section.heading || 'Untitled Section') + '</h5>';
-                    html += '<span class="preview-section-meta">' + section.type + ' • ' + section.word_target + ' words</span>';
-                    html += '</div>';
-                    html += '</div>';
+            const sections = preview.sections || [];
+            const SectionRules = window.AIComposer.SectionRules;
+            const inputs = this.getSampleInputs();
+            let instances = null;
+
+            this.lastPreview = { preview: preview, blueprintData: blueprintData };
+
+            // Count how often each blueprint section would be generated for the sample inputs
+            if (inputs.brief && blueprintData) {
+                instances = {};
+                const applied = SectionRules.apply(blueprintData.sections || [], SectionRules.buildContext(inputs));
+
+                this.flattenResolvedSections(applied).forEach(section => {
+                    const id = section.source_id || section.id;
+                    instances[id] = (instances[id] || []).concat(section.repeat_item !== undefined ? section.repeat_item : null);
                 });
+            }
 
-                html += '<div class="preview-summary">';
-                html += '<p><strong>Total Sections:</strong> ' + preview.sections.length + '</p>';
-                html += '<p><strong>Estimated Tokens:</strong> ' + (preview.estimated_tokens || 0).toLocaleString() + '</p>';
-                html += '<p><strong>Estimated Cost:</strong> $' + (preview.estimated_cost || 0).toFixed(3) + '</p>';
-                html += '</div>';
-            } else {
-                html += '<div class="preview-empty"><p>No sections configured yet.</p></div>';
+            const rendered = sections.map(section => {
+                const generated = instances ? (instances[section.id] || []) : null;
+                const items = generated ? generated.filter(item => item !== null) : [];
+
+                return $.extend({}, section, {
+                    condition_text: SectionRules.formatCondition(section.condition),
+                    repeat_over: section.repeat ? section.repeat.over : '',
+                    repeat_max: section.repeat ? section.repeat.max : 0,
+                    evaluated: Boolean(generated),
+                    skipped: Boolean(generated) && generated.length === 0,
+                    instance_count: generated ? generated.length : 0,
+                    repeat_items: items.join(', ')
+                });
+            });
+            const included = instances ? rendered.filter(section => !section.skipped) : rendered;
+            const estimation = blueprintData ? this.calculateEstimation(blueprintData) : {
+                totals: { tokens: preview.estimated_tokens || 0, cost: preview.estimated_cost_range || { low: 0, expected: 0, high: 0 } }
+            };
+
+            $container.html(window.AIComposer.TemplateRenderer.renderElement('blueprint-preview-template', {
+                sections: rendered,
+                section_count: sections.length,
+                evaluated: Boolean(instances),
+                generated_count: included.reduce((total, section) => total + (instances ? section.instance_count : 1), 0),
+                estimated_tokens: estimation.totals.tokens.toLocaleString(),
+                estimated_cost: window.AIComposer.CostEstimator.formatRange(estimation.totals.cost)
+            }));
+        },
+
+        // Sample inputs the preview and test generation resolve section rules against
+        getSampleInputs: function() {
+            return {
+                brief: ($('#preview-sample-brief').val() || '').trim(),
+                audience: ($('#preview-sample-audience').val() || '').trim()
+            };
+        },
+
+        // Re-resolve the shown preview when the sample inputs change
+        onSampleInputsChange: function() {
+            if (this.lastPreview) {
+                this.displayPreview(this.lastPreview.preview, this.lastPreview.blueprintData);
+            }
+        },
+
+        // Report whether a condition expression parses while it is typed
+        onConditionInput: function(e) {
+            this.checkCondition($(e.currentTarget));
+        },
+
+        // Parse a row's condition expression, show the result, and return the condition
+        // (the last valid one while the expression has an error)
+        checkCondition: function($field) {
+            const result = window.AIComposer.SectionRules.parseCondition($field.val());
+            const $status = $field.siblings('.section-condition-status');
+
+            if (result.error) {
+                $status.text(result.error).removeClass('is-valid').addClass('is-invalid');
+                return $field.data('last-condition') || null;
+            }
+
+            $field.data('last-condition', result.condition);
+            $status.text(result.condition ? this.describeCondition(result.condition) : '')
+                .removeClass('is-invalid').toggleClass('is-valid', Boolean(result.condition));
+
+            return result.condition;
+        },
+
+        // Stop the post from saving while a condition expression doesn't parse,
+        // since the saved blueprint would keep the last valid condition instead
+        blockInvalidConditions: function(e) {
+            const $invalid = $('.section-condition').filter(function() {
+                return Boolean(window.AIComposer.SectionRules.parseCondition($(this).val()).error);
+            });
+
+            if (!$invalid.length) {
+                return;
+            }
+
+            e.preventDefault();
+            this.checkCondition($invalid.first());
+            this.showNotice('error', 'Fix the section condition errors before saving. The blueprint was not saved.');
+            this.scrollToSection($invalid.first().closest('.section-row'));
+            $invalid.first().trigger('focus');
+        },
+
+        // Plain-language reading of a parsed condition
+        describeCondition: function(condition) {
+            const count = condition.rules.length;
+
+            if (count === 1) {
+                return 'Included when this rule holds.';
             }
 
-            html += '</div>';
-            $container.html(html);
+            return condition.match === 'any'
+                ? 'Included when any of these ' + count + ' rules holds.'
+                : 'Included when all ' + count + ' rules hold.';
         },
 
         // Display test results
         displayTestResults: function(results) {
             const $container = $('#generation-test-results');
-            let html = '<div class="test-results-content">';
-
-            if (results.success) {
-                html += '<div class="test-success">';
-                html += '<h5>✓ Test Successful</h5>';
-                html += '<p>' + results.message + '</p>';
-                if (results.stats) {
-                    html += '<ul>';
-                    html += '<li>Sections Processed: ' + results.stats.sections_processed + '</li>';
-                    html += '<li>Estimated Tokens: ' + results.stats.estimated_tokens.toLocaleString() + '</li>';
-                    html += '<li>Estimated Cost: $' + results.stats.estimated_cost.toFixed(3) + '</li>';
-                    html += '</ul>';
-                }
-                html += '</div>';
-            } else {
-                html += '<div class="test-error">';
-                html += '<h5>⚠ Test Failed</h5>';
-                html += '<p>' + (results.message || 'Test generation failed') + '</p>';
-                html += '</div>';
+            const stats = results.stats ? {
+                sections_processed: results.stats.sections_processed,
+                sections_skipped: results.stats.sections_skipped || 0,
+                total_words: results.stats.total_words.toLocaleString(),
+                total_tokens: results.stats.total_tokens.toLocaleString(),
+                estimated_cost: results.stats.estimated_cost_usd.toFixed(3)
+            } : null;
+
+            $container.html(window.AIComposer.TemplateRenderer.renderElement('blueprint-test-results-template', {
+                success: results.success,
+                message: results.message,
+                failures: results.failures || [],
+                stats: stats,
+                sections: (results.sections || []).map(section => $.extend({}, section, {
+                    block_name: section.block ? section.block.name : '',
+                    fallback_used: section.block ? section.block.fallback_used : false,
+                    tokens: section.tokens.toLocaleString()
+                }))
+            })).show();
+        },
+
+        // Whether any correction factor changes the estimate
+        isCalibrated: function(factors) {
+            return Object.keys(factors || {}).some(key => parseFloat(factors[key]) !== 1);
+        },
+
+        // Describe the correction factors past runs of this blueprint applied
+        describeCalibration: function(factors) {
+            if (!this.isCalibrated(factors)) {
+                return '';
             }
 
-            html += '</div>';
-            $container.html(html).show();
+            const times = value => '×' + parseFloat(value).toFixed(2);
+
+            return 'Adjusted from past runs: tokens ' + times(factors.tokens) + ', cost ' + times(factors.cost) +
+                ', time ' + times(factors.minutes) + '.';
         },
 
-        // Calculate estimation
+        // Calculate estimation for the sections generated for the sample inputs
         calculateEstimation: function(blueprintData) {
-            let totalTokens = 0;
-            const sections = blueprintData.sections || [];
-
-            sections.forEach(function(section) {
-                const wordTarget = section.word_target || 150;
-                const tokens = Math.ceil(wordTarget / 0.75) + 50; // 1 token ≈ 0.75 words + overhead
-                totalTokens += tokens;
-            });
+            const SectionRules = window.AIComposer.SectionRules;
+            const inputs = this.getSampleInputs();
+            let sections = blueprintData.sections || [];
 
-            const cost = (totalTokens / 1000) * 0.045; // $0.045 per 1K tokens
-            const time = Math.max(5, sections.length * 2); // 2 minutes per section, minimum 5
+            if (inputs.brief) {
+                sections = SectionRules.apply(sections, SectionRules.buildContext(inputs));
+            }
 
-            return {
-                tokens: totalTokens,
-                cost: cost,
-                time: time
-            };
+            return window.AIComposer.CostEstimator.estimateBlueprintSections(
+                this.flattenResolvedSections(sections),
+                blueprintData.global_settings,
+                aiBlueprintAdmin.calibration
+            );
         },
 
         // Schedule validation
         scheduleValidation: function() {
+            // The form was edited last, so it wins over JSON edits that have not been applied
+            if (this.config.jsonDirty) {
+                clearTimeout(this.config.jsonSyncTimer);
+                this.config.jsonDirty = false;
+                this.showNotice('warning', 'Unapplied JSON edits were replaced by your section changes.');
+            }
+
             clearTimeout(this.config.validationTimer);
             this.config.validationTimer = setTimeout(function() {
+                BlueprintAdmin.config.validationTimer = null;
                 BlueprintAdmin.syncFromSections();
             }, this.config.validationDelay);
         },
 
         // Show notice
         showNotice: function(type, message) {
-            const $notice = $('<div class="notice notice-' + type + ' is-dismissible"><p>' + message + '</p></div>');
+            const $notice = $('<div class="notice is-dismissible"></div>').addClass('notice-' + type)
+                .append($('<p></p>').text(message));
             $('.ai-blueprint-schema-editor').prepend($notice);
             
             setTimeout(function() {
@@ -567,12 +1128,204 @@
         onJSONChange: function() {
             // Update hidden field
             $('#blueprint_schema_data').val($('#blueprint_schema_json').val());
-        },
 
-        // Generation mode change handler
-        onGenerationModeChange: function(e) {
-            const mode = $(e.target).val();
-            $('.hybrid-alpha-group').toggle(mode === 'hybrid');
+            // The JSON was edited last, so it wins over section changes that have not been synced
+            if (this.config.validationTimer) {
+                clearTimeout(this.config.validationTimer);
+                this.config.validationTimer = null;
+                this.showNotice('warning', 'Unsynced section changes were replaced by your JSON edits.');
+            }
+
+            this.config.jsonDirty = true;
+            clearTimeout(this.config.jsonSyncTimer);
+            this.config.jsonSyncTimer = setTimeout(this.applyJSONEdit.bind(this), this.config.jsonSyncDelay);
+        },
+
+        // Parse the JSON editor and reflect it in the section rows and global settings
+        applyJSONEdit: function() {
+            const text = $('#blueprint_schema_json').val();
+
+            if (!text.trim()) {
+                this.config.jsonDirty = false;
+                this.clearJSONError();
+                return;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                this.showJSONError(error.message, text);
+                return;
+            }
+
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                this.showJSONError('The blueprint must be a JSON object.', text, 0);
+                return;
+            }
+
+            const before = this.jsonData || this.collectBlueprintData();
+
+            this.config.jsonDirty = false;
+            this.clearJSONError();
+
+            if (JSON.stringify(before) === JSON.stringify(data)) {
+                return;
+            }
+
+            this.jsonData = data;
+            this.syncToSections(Array.isArray(data.sections) ? data.sections : []);
+            this.syncToGlobalSettings(data.global_settings);
+            this.syncToMetadata(data.metadata);
+
+            this.history.push({
+                label: 'Edit JSON',
+                undo: () => this.writeBlueprintData(before),
+                redo: () => this.writeBlueprintData(data)
+            });
+        },
+
+        // Parse JSON, returning null instead of throwing
+        parseJSONSafely: function(text) {
+            try {
+                const data = JSON.parse(text || '');
+                return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+            } catch (error) {
+                return null;
+            }
+        },
+
+        // Show a JSON parse error pinned to its line and column
+        showJSONError: function(message, text, offset) {
+            const location = this.locateJSONError(message, text, offset);
+            const $status = $('#json-sync-status').empty().addClass('has-error');
+
+            $('#blueprint_schema_json').attr('aria-invalid', 'true');
+
+            $status.append($('<span class="json-error-message"></span>').text(
+                (location ? 'Line ' + location.line + ', column ' + location.column + ': ' : '') +
+                message + ' The section rows were not updated.'
+            ));
+
+            if (location) {
+                $status.append($('<button type="button" id="json-goto-error" class="button-link"></button>')
+                    .text('Go to error')
+                    .data('location', location));
+            }
+        },
+
+        // Clear the JSON parse error
+        clearJSONError: function() {
+            $('#blueprint_schema_json').removeAttr('aria-invalid');
+            $('#json-sync-status').empty().removeClass('has-error');
+        },
+
+        // Work out the line, column and offset of a JSON.parse error
+        locateJSONError: function(message, text, offset) {
+            let match;
+
+            if (offset === undefined && (match = /line (\d+) column (\d+)/i.exec(message))) {
+                const line = parseInt(match[1], 10);
+                const column = parseInt(match[2], 10);
+                const lines = text.split('\n').slice(0, line - 1);
+
+                return {
+                    line: line,
+                    column: column,
+                    offset: lines.reduce((total, current) => total + current.length + 1, 0) + column - 1
+                };
+            }
+
+            if (offset === undefined && (match = /position (\d+)/i.exec(message))) {
+                offset = parseInt(match[1], 10);
+            } else if (offset === undefined && /end of (JSON )?(input|data)/i.test(message)) {
+                offset = text.length;
+            }
+
+            if (offset === undefined) {
+                return null;
+            }
+
+            return {
+                line: text.slice(0, offset).split('\n').length,
+                column: offset - text.lastIndexOf('\n', offset - 1),
+                offset: offset
+            };
+        },
+
+        // Move the cursor to the reported parse error
+        goToJSONError: function(e) {
+            e.preventDefault();
+
+            const location = $(e.currentTarget).data('location');
+            const textarea = document.getElementById('blueprint_schema_json');
+
+            if (!location || !textarea) {
+                return;
+            }
+
+            if (this.jsonEditor) {
+                this.jsonEditor.focusAt(location.offset);
+                return;
+            }
+
+            const lineHeight = parseFloat($(textarea).css('line-height')) || 18;
+
+            textarea.focus();
+            textarea.setSelectionRange(location.offset, Math.min(location.offset + 1, textarea.value.length));
+            textarea.scrollTop = Math.max(0, (location.line - 3) * lineHeight);
+        },
+
+        // Copy global settings back into the global settings form
+        syncToGlobalSettings: function(settings) {
+            if (!settings || typeof settings !== 'object') {
+                return;
+            }
+
+            Object.keys(settings).forEach(key => {
+                const value = settings[key];
+
+                if (Array.isArray(value)) {
+                    $('[name="global_settings[' + key + '][]"]').each(function() {
+                        $(this).prop('checked', value.indexOf($(this).val()) !== -1);
+                    });
+                    return;
+                }
+
+                const $field = $('[name="global_settings[' + key + ']"]');
+
+                if ($field.is(':checkbox')) {
+                    $field.prop('checked', Boolean(value));
+                } else if ($field.length) {
+                    $field.val(String(value));
+                }
+            });
+
+            $('.hybrid-alpha-group').toggle($('[name="global_settings[generation_mode]"]').val() === 'hybrid');
+            $('.alpha-value').text($('[name="global_settings[hybrid_alpha]"]').val());
+        },
+
+        // Copy the library details back into their form fields
+        syncToMetadata: function(metadata) {
+            if (!metadata || typeof metadata !== 'object') {
+                return;
+            }
+
+            ['category', 'difficulty_level', 'description'].forEach(key => {
+                if (metadata[key] !== undefined) {
+                    $('[name="metadata[' + key + ']"]').val(String(metadata[key]));
+                }
+            });
+
+            if (Array.isArray(metadata.tags)) {
+                $('[name="metadata[tags]"]').val(metadata.tags.join(', '));
+            }
+        },
+
+        // Generation mode change handler
+        onGenerationModeChange: function(e) {
+            const mode = $(e.target).val();
+            $('.hybrid-alpha-group').toggle(mode === 'hybrid');
         },
 
         // Update alpha display
@@ -580,31 +1333,348 @@
             $('.alpha-value').text($(e.target).val());
         },
 
-        // Toggle bulk button
+        // Toggle bulk button and the options of the chosen action
         toggleBulkButton: function() {
             const action = $('#bulk-action-selector').val();
-            $('#apply-bulk-action').prop('disabled', !action);
+            $('#apply-bulk-action').prop('disabled', !action || !this.getSelectedRows().length);
+            $('.bulk-action-params').each(function() {
+                $(this).toggleClass('active', $(this).data('bulk-action') === action);
+            });
+        },
+
+        // Get the selected section rows in list order
+        getSelectedRows: function() {
+            return $('#sections-container').children('.section-row').filter(function() {
+                return $(this).find('.section-select').prop('checked');
+            });
+        },
+
+        // Highlight selected rows and update the selection count
+        onSectionSelect: function() {
+            const $rows = $('#sections-container').children('.section-row');
+            const count = this.getSelectedRows().length;
+
+            $rows.each(function() {
+                $(this).toggleClass('is-selected', $(this).find('.section-select').prop('checked'));
+            });
+
+            $('#select-all-sections').prop('checked', count > 0 && count === $rows.length);
+            $('#bulk-selection-count').text(count ? count + ' selected' : '');
+            this.toggleBulkButton();
+        },
+
+        // Select or clear every section row
+        selectAllSections: function(e) {
+            $('#sections-container .section-select').prop('checked', $(e.target).prop('checked'));
+            this.onSectionSelect();
         },
 
         // Apply bulk action
         applyBulkAction: function() {
             const action = $('#bulk-action-selector').val();
-            const $selectedSections = $('.section-row input[type="checkbox"]:checked').closest('.section-row');
+            const $selectedSections = this.getSelectedRows();
+            const count = $selectedSections.length;
             
-            if (!action || $selectedSections.length === 0) return;
+            if (!action || count === 0) return;
 
             switch (action) {
                 case 'delete':
-                    if (confirm('Delete selected sections?')) {
-                        $selectedSections.remove();
-                        this.updateSectionNumbers();
-                        this.updateEmptyState();
-                    }
+                    this.removeRows(this.getRowsWithChildren($selectedSections), 'Delete ' + count + ' sections');
+                    this.history.notify(count + ' sections deleted.');
                     break;
                 case 'duplicate':
-                    // Implementation for bulk duplicate
+                    this.runBulkAction('Duplicate ' + count + ' sections', () => {
+                        $selectedSections.each((index, row) => {
+                            this.getRowWithChildren($(row)).last().after(this.cloneSectionRow($(row)));
+                        });
+                    });
+                    break;
+                case 'move-top':
+                    this.runBulkAction('Move ' + count + ' sections to top', () => {
+                        $('#sections-container').prepend(this.getRowsWithChildren($selectedSections));
+                    });
+                    break;
+                case 'move-bottom':
+                    this.runBulkAction('Move ' + count + ' sections to bottom', () => {
+                        $('#sections-container').append(this.getRowsWithChildren($selectedSections));
+                    });
+                    break;
+                case 'set-tone':
+                    this.bulkSetField($selectedSections, 'tone', () => $('#bulk-tone').val(), 'Set tone');
+                    break;
+                case 'set-media-policy':
+                    this.bulkSetField($selectedSections, 'media_policy', () => $('#bulk-media-policy').val(), 'Set media policy');
+                    break;
+                case 'set-word-target':
+                    this.bulkSetWordTarget($selectedSections);
+                    break;
+                case 'toggle-citations':
+                    this.bulkToggleCitations($selectedSections);
                     break;
+                case 'group':
+                    this.groupSections(this.getRowsWithChildren($selectedSections));
+                    break;
+            }
+
+            this.onSectionSelect();
+        },
+
+        // Perform a bulk change and record it as one undoable command
+        runBulkAction: function(label, apply) {
+            this.recordChange(label, apply);
+            this.history.notify(label + '.');
+        },
+
+        // Perform a change to the section rows and record it as one undoable command
+        recordChange: function(label, apply) {
+            const before = this.captureSections();
+            apply();
+            const after = this.captureSections();
+
+            this.afterSectionsChange();
+
+            this.history.push({
+                label: label,
+                undo: () => {
+                    this.restoreSections(before);
+                    this.afterSectionsChange();
+                },
+                redo: () => {
+                    this.restoreSections(after);
+                    this.afterSectionsChange();
+                }
+            });
+        },
+
+        // Snapshot the section rows and their field values
+        captureSections: function() {
+            return $('#sections-container').children('.section-row').toArray().map(row => ({
+                row: row,
+                values: $(row).find(':input[name]').toArray().map(field => this.getFieldValue($(field)))
+            }));
+        },
+
+        // Put the section rows and field values back to a snapshot
+        restoreSections: function(snapshot) {
+            $('#sections-container').children('.section-row').detach();
+
+            snapshot.forEach(entry => {
+                $(entry.row).find(':input[name]').each((index, field) => {
+                    const $field = $(field);
+
+                    if ($field.is(':checkbox, :radio')) {
+                        $field.prop('checked', entry.values[index]);
+                    } else {
+                        $field.val(entry.values[index]);
+                    }
+                    $field.data('history-value', entry.values[index]);
+                });
+
+                $('#sections-container').append(entry.row);
+            });
+        },
+
+        // Set one field on every selected row
+        bulkSetField: function($rows, key, valueFor, label) {
+            this.runBulkAction(label + ' on ' + $rows.length + ' sections', () => {
+                $rows.each((index, row) => {
+                    const $field = $(row).find('[name*="[' + key + ']"]').first();
+
+                    if ($field.is(':checkbox')) {
+                        $field.prop('checked', Boolean(valueFor($field)));
+                    } else {
+                        $field.val(String(valueFor($field)));
+                    }
+                    $field.data('history-value', this.getFieldValue($field));
+                });
+            });
+        },
+
+        // Set word targets to a value or scale them by a percentage
+        bulkSetWordTarget: function($rows) {
+            const mode = $('#bulk-word-target-mode').val();
+            const value = parseFloat($('#bulk-word-target-value').val());
+
+            if (!(value > 0)) {
+                this.showNotice('error', 'Enter a word target or percentage above zero.');
+                return;
+            }
+
+            const wordTarget = current => {
+                const target = mode === 'percent' ? current * value / 100 : value;
+                return Math.min(2000, Math.max(10, Math.round(target / 10) * 10));
+            };
+
+            this.bulkSetField($rows, 'word_target', $field => wordTarget(parseInt($field.val()) || 150),
+                mode === 'percent' ? 'Scale word target by ' + value + '%' : 'Set word target to ' + wordTarget(value));
+        },
+
+        // Require citations on every selected row, or on none if all already do
+        bulkToggleCitations: function($rows) {
+            const allRequired = $rows.toArray().every(row => $(row).find('[name*="[citations_required]"]').prop('checked'));
+
+            this.bulkSetField($rows, 'citations_required', () => !allRequired,
+                allRequired ? 'Turn off citations' : 'Require citations');
+        },
+
+        // Put the selected rows and their subsections under a new heading section, one heading level deeper
+        groupSections: function($rows) {
+            const name = $('#bulk-group-name').val().trim();
+
+            if (!name) {
+                this.showNotice('error', 'Enter a heading for the subsection.');
+                $('#bulk-group-name').focus();
+                return;
+            }
+
+            const levels = $rows.toArray().map(row => parseInt($(row).find('[name*="[heading_level]"]').val()) || 2);
+            const level = Math.min.apply(null, levels);
+            const depths = $rows.toArray().map(row => this.getRowDepth($(row)));
+            const depth = Math.min.apply(null, depths);
+
+            this.runBulkAction('Group ' + $rows.length + ' sections', () => {
+                const $group = this.createSectionRow();
+                if (!$group) return;
+
+                const ids = $('.section-id-field').map(function() {
+                    return $(this).val();
+                }).get();
+
+                $group.find('.section-heading-input').val(name);
+                $group.find('.section-id-field').val(this.uniqueSectionId(this.slugify(name), { ids: ids }, ids.length));
+                $group.find('[name*="[heading_level]"]').val(String(level));
+                $group.find('.section-depth-field').val(depth);
+
+                $rows.first().before($group);
+                $group.after($rows);
+
+                $rows.each(function(index) {
+                    $(this).find('[name*="[heading_level]"]').val(String(Math.min(6, levels[index] + 1)));
+                    $(this).find('.section-depth-field').val(Math.min(5, depths[index] + 1));
+                });
+            });
+
+            $('#bulk-group-name').val('');
+        },
+
+        // Insert a section row at a position in the sections list
+        insertRowAt: function($row, index) {
+            const $rows = $('#sections-container').children('.section-row');
+
+            if (index >= $rows.length) {
+                $('#sections-container').append($row);
+            } else {
+                $rows.eq(index).before($row);
+            }
+        },
+
+        // Refresh numbering, empty state and the JSON view after a structural change
+        afterSectionsChange: function() {
+            this.updateSectionNumbers();
+            this.updateEmptyState();
+            this.scheduleValidation();
+        },
+
+        // Record a section row that has just been added
+        recordInsert: function($row, label) {
+            const index = $row.index();
+
+            this.history.push({
+                label: label,
+                undo: () => {
+                    $row.detach();
+                    this.afterSectionsChange();
+                },
+                redo: () => {
+                    this.insertRowAt($row, index);
+                    this.afterSectionsChange();
+                }
+            });
+        },
+
+        // Remove section rows, keeping them so the removal can be undone
+        removeRows: function($rows, label) {
+            const entries = $rows.toArray()
+                .map(row => ({ $row: $(row), index: $(row).index() }))
+                .sort((a, b) => a.index - b.index);
+
+            const detach = () => {
+                entries.forEach(entry => entry.$row.detach());
+                this.afterSectionsChange();
+            };
+
+            detach();
+
+            this.history.push({
+                label: label,
+                undo: () => {
+                    // Ascending order puts every row back at its original index
+                    entries.forEach(entry => this.insertRowAt(entry.$row, entry.index));
+                    this.afterSectionsChange();
+                },
+                redo: detach
+            });
+        },
+
+        // Record a section row that has moved from one index to another
+        recordMove: function($row, from, to) {
+            if (from === to || from === undefined) {
+                return;
+            }
+
+            const moveTo = index => {
+                $row.detach();
+                this.insertRowAt($row, index);
+                this.afterSectionsChange();
+            };
+
+            this.history.push({
+                label: 'Move section',
+                undo: () => moveTo(from),
+                redo: () => moveTo(to)
+            });
+        },
+
+        // Read a field value (checked state for checkboxes and radios)
+        getFieldValue: function($field) {
+            return $field.is(':checkbox, :radio') ? $field.prop('checked') : $field.val();
+        },
+
+        // Remember a field value before it is edited
+        rememberFieldValue: function(e) {
+            const $field = $(e.target);
+
+            if ($field.data('history-value') === undefined) {
+                $field.data('history-value', this.getFieldValue($field));
+            }
+        },
+
+        // Record a committed field edit
+        recordFieldEdit: function(e) {
+            const $field = $(e.target);
+            const before = $field.data('history-value');
+            const after = this.getFieldValue($field);
+
+            $field.data('history-value', after);
+
+            if (this.history.busy || before === undefined || JSON.stringify(before) === JSON.stringify(after)) {
+                return;
             }
+
+            const setValue = value => {
+                if ($field.is(':checkbox, :radio')) {
+                    $field.prop('checked', value);
+                } else {
+                    $field.val(value);
+                }
+                $field.trigger('change');
+            };
+
+            this.history.push({
+                label: 'Edit ' + ($field.closest('.field-group').find('label').first().text().replace(':', '').trim() || 'section'),
+                undo: () => setValue(before),
+                redo: () => setValue(after)
+            });
         },
 
         // Revalidate blueprint
@@ -613,11 +1683,786 @@
             this.validateJSON(e);
         },
 
-        // Auto-fix errors
+        // Auto-fix errors: validate the current JSON and offer a patch for each fixable issue
         autoFixErrors: function(e) {
             e.preventDefault();
-            // Implementation for auto-fixing common validation errors
-            this.showNotice('info', 'Auto-fix functionality coming soon');
+
+            if (!$('#blueprint_schema_json').val().trim()) {
+                this.syncFromSections();
+            }
+
+            let data;
+            try {
+                data = JSON.parse($('#blueprint_schema_json').val());
+            } catch (error) {
+                this.showNotice('error', 'Invalid JSON: ' + error.message);
+                return;
+            }
+
+            this.makeAPIRequest('validate-schema', data,
+                response => {
+                    this.displayValidationResults(response);
+                    this.showAutoFixes(data, response.errors || []);
+                },
+                this.handleValidationError.bind(this)
+            );
+        },
+
+        // Render the reviewable patch list
+        showAutoFixes: function(data, errors) {
+            const patches = this.buildAutoFixes(data, errors);
+
+            this.autoFix = { data: data, patches: patches };
+
+            if (!patches.length) {
+                $('#blueprint-autofix-patches').empty();
+                this.showNotice('info', aiBlueprintAdmin.i18n.noAutoFixes || 'No automatic fixes are available for these issues.');
+                return;
+            }
+
+            $('#blueprint-autofix-patches').html(window.AIComposer.TemplateRenderer.renderElement('blueprint-autofix-template', {
+                patches: patches.map(patch => ({
+                    label: patch.label,
+                    description: patch.description,
+                    before: this.formatPatchValue(patch.before),
+                    after: patch.remove ? '(removed)' : this.formatPatchValue(patch.after)
+                }))
+            }));
+        },
+
+        // Apply the selected patches as one undoable change
+        applyAutoFixes: function(e) {
+            e.preventDefault();
+
+            const patches = $('.autofix-patch-toggle:checked').map((i, input) => this.autoFix.patches[parseInt($(input).val(), 10)]).get();
+
+            if (!patches.length || !this.autoFix.data) {
+                return;
+            }
+
+            const before = this.autoFix.data;
+            const after = this.applyPatches(before, patches);
+
+            this.writeBlueprintData(after);
+            this.history.push({
+                label: 'Auto-fix ' + patches.length + (patches.length === 1 ? ' issue' : ' issues'),
+                undo: () => this.writeBlueprintData(before),
+                redo: () => this.writeBlueprintData(after)
+            });
+
+            this.cancelAutoFixes();
+            this.showNotice('success', aiBlueprintAdmin.i18n.autoFixApplied || 'Auto-fixes applied.');
+            this.validateJSON();
+        },
+
+        // Discard the pending patch list
+        cancelAutoFixes: function(e) {
+            if (e) {
+                e.preventDefault();
+            }
+
+            this.autoFix = { data: null, patches: [] };
+            $('#blueprint-autofix-patches').empty();
+        },
+
+        // Map validation errors (plus duplicate ids and unknown keys) to patches
+        buildAutoFixes: function(data, errors) {
+            const patches = [];
+            const seen = {};
+            const entries = this.flattenSectionTree(data && Array.isArray(data.sections) ? data.sections : []);
+            const context = {
+                data: data,
+                ids: entries.map(entry => entry.section && typeof entry.section.id === 'string' ? entry.section.id : ''),
+                paths: entries.map(entry => JSON.stringify(entry.path))
+            };
+
+            const add = patch => {
+                const key = patch ? JSON.stringify(patch.path) : null;
+
+                if (!patch || seen[key]) {
+                    return;
+                }
+
+                seen[key] = true;
+                patch.label = this.formatPath(patch.path);
+                patches.push(patch);
+            };
+
+            errors.forEach(error => add(this.fixValidationError(context, error)));
+
+            context.ids.forEach((id, index) => {
+                if (id && context.ids.indexOf(id) !== index) {
+                    add({
+                        path: entries[index].path.concat('id'),
+                        before: entries[index].section.id,
+                        after: this.uniqueSectionId(id, context, index),
+                        description: 'Rename the duplicate section id'
+                    });
+                }
+            });
+
+            this.findUnknownKeys(data).forEach(add);
+
+            return patches;
+        },
+
+        // Build the patch for a single validation error, if it has a concrete fix
+        fixValidationError: function(context, error) {
+            const constraint = error.constraint && typeof error.constraint === 'object' ? error.constraint.name : error.constraint;
+            const path = this.parsePath(error.property);
+            const schema = this.getSchemaAt(path);
+            const key = path[path.length - 1];
+
+            if (!schema || !path.length || constraint === 'additionalProp') {
+                return null;
+            }
+
+            const value = this.getPathValue(context.data, path);
+            const missing = value === undefined || value === null || value === '';
+            const sectionIndex = context.paths.indexOf(JSON.stringify(path.slice(0, -1)));
+            const section = sectionIndex !== -1 ? this.getPathValue(context.data, path.slice(0, -1)) || {} : null;
+
+            // Enum items inside an array are dropped from the array
+            if (typeof key === 'number') {
+                const parentPath = path.slice(0, -1);
+                const items = this.getPathValue(context.data, parentPath);
+
+                if (!schema.enum || !Array.isArray(items)) {
+                    return null;
+                }
+
+                return {
+                    path: parentPath,
+                    before: items,
+                    after: items.filter(item => schema.enum.indexOf(item) !== -1),
+                    description: 'Remove values that are not allowed'
+                };
+            }
+
+            let after;
+            let description;
+
+            if (section && key === 'id') {
+                after = this.uniqueSectionId(this.slugify(missing ? section.heading : value), context, sectionIndex);
+                description = missing ? 'Fill in the missing section id' : 'Rewrite the section id as a valid slug';
+            } else if (section && key === 'heading' && (missing || String(value).trim() === '')) {
+                after = (aiBlueprintAdmin.sectionTypes || {})[section.type] || 'Untitled Section';
+                description = 'Fill in the missing heading';
+            } else {
+                after = this.coerceValue(value, schema);
+                description = this.describeFix(constraint, schema, missing);
+            }
+
+            if (after === undefined || JSON.stringify(after) === JSON.stringify(value)) {
+                return null;
+            }
+
+            return { path: path, before: value, after: after, description: description };
+        },
+
+        // Coerce a value into one the schema node accepts
+        coerceValue: function(value, schema) {
+            const clone = data => JSON.parse(JSON.stringify(data));
+
+            if (value === undefined || value === null || value === '') {
+                if (schema.default !== undefined) {
+                    return clone(schema.default);
+                }
+
+                if (schema.enum) {
+                    return schema.enum[0];
+                }
+
+                if (schema.type === 'object') {
+                    // Fill the required keys that have defaults
+                    const object = {};
+                    (schema.required || []).forEach(name => {
+                        const property = this.resolveSchema((schema.properties || {})[name]);
+                        if (property && property.default !== undefined) {
+                            object[name] = clone(property.default);
+                        }
+                    });
+                    return object;
+                }
+
+                return undefined;
+            }
+
+            switch (schema.type) {
+                case 'integer':
+                case 'number': {
+                    let number = typeof value === 'boolean' ? NaN : Number(value);
+
+                    if (isNaN(number)) {
+                        return schema.default;
+                    }
+
+                    if (schema.type === 'integer') {
+                        number = Math.round(number);
+                    }
+                    if (schema.minimum !== undefined) {
+                        number = Math.max(schema.minimum, number);
+                    }
+                    if (schema.maximum !== undefined) {
+                        number = Math.min(schema.maximum, number);
+                    }
+
+                    return number;
+                }
+
+                case 'boolean':
+                    if (typeof value === 'string') {
+                        return ['true', '1', 'yes', 'on'].indexOf(value.trim().toLowerCase()) !== -1;
+                    }
+                    return Boolean(value);
+
+                case 'string': {
+                    if (schema.enum) {
+                        // Accept near-misses such as "Professional" or "media-text"
+                        const compact = text => String(text).toLowerCase().replace(/[\s_-]+/g, '');
+                        const match = schema.enum.find(option => compact(option) === compact(value));
+                        return match || (schema.default !== undefined ? schema.default : schema.enum[0]);
+                    }
+
+                    let text = typeof value === 'object' ? '' : String(value);
+
+                    if (schema.pattern) {
+                        const pattern = new RegExp(schema.pattern);
+
+                        if (!pattern.test(text)) {
+                            const slug = this.slugify(text, schema.pattern.indexOf('-') !== -1 ? '-' : '_');
+                            text = pattern.test(slug) ? slug : schema.default;
+                        }
+                    }
+
+                    if (text !== undefined && schema.maxLength !== undefined) {
+                        text = text.slice(0, schema.maxLength);
+                    }
+
+                    if (text !== undefined && schema.minLength !== undefined && text.length < schema.minLength) {
+                        text = schema.default;
+                    }
+
+                    return text;
+                }
+
+                case 'array': {
+                    let items = Array.isArray(value) ? value.slice() : String(value).split(',').map(item => item.trim()).filter(Boolean);
+                    const itemSchema = this.resolveSchema(schema.items);
+
+                    if (itemSchema && itemSchema.enum) {
+                        items = items.filter(item => itemSchema.enum.indexOf(item) !== -1);
+                    }
+                    if (schema.maxItems !== undefined) {
+                        items = items.slice(0, schema.maxItems);
+                    }
+
+                    return items;
+                }
+            }
+
+            return undefined;
+        },
+
+        // Describe a coerced value for the patch list
+        describeFix: function(constraint, schema, missing) {
+            if (missing) {
+                return 'Fill in the missing value';
+            }
+
+            switch (constraint) {
+                case 'minimum':
+                case 'maximum':
+                    return 'Clamp into the allowed range (' + schema.minimum + '–' + schema.maximum + ')';
+                case 'enum':
+                    return 'Replace with an allowed value';
+                case 'pattern':
+                    return 'Rewrite to match the required format';
+                case 'maxLength':
+                case 'maxItems':
+                    return 'Trim to the maximum length';
+                case 'type':
+                    return 'Convert to ' + (schema.type === 'integer' ? 'a whole number' : 'a ' + schema.type);
+                default:
+                    return 'Replace with a valid value';
+            }
+        },
+
+        // Find keys the schema does not define
+        findUnknownKeys: function(data) {
+            const patches = [];
+
+            const check = (object, path) => {
+                const schema = this.getSchemaAt(path);
+
+                if (!object || typeof object !== 'object' || Array.isArray(object) || !schema || !schema.properties) {
+                    return;
+                }
+
+                Object.keys(object).forEach(key => {
+                    if (!Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+                        patches.push({
+                            path: path.concat(key),
+                            before: object[key],
+                            remove: true,
+                            description: 'Drop the unknown key "' + key + '"'
+                        });
+                    }
+                });
+            };
+
+            check(data, []);
+            check(data.global_settings, ['global_settings']);
+            check(data.metadata, ['metadata']);
+
+            const checkSections = (sections, path) => {
+                (Array.isArray(sections) ? sections : []).forEach((section, index) => {
+                    check(section, path.concat(index));
+                    check(section && section.block_preferences, path.concat(index, 'block_preferences'));
+                    checkSections(section && section.children, path.concat(index, 'children'));
+                });
+            };
+
+            checkSections(data.sections, ['sections']);
+
+            return patches;
+        },
+
+        // Pick a section id that no other section uses
+        uniqueSectionId: function(base, context, index) {
+            const stem = (base || 'section').slice(0, 50);
+            const taken = id => context.ids.some((other, i) => i !== index && other === id);
+            let id = stem;
+            let suffix = 2;
+
+            while (taken(id)) {
+                id = stem.slice(0, 50 - String(suffix).length - 1) + '-' + suffix;
+                suffix++;
+            }
+
+            context.ids[index] = id;
+
+            return id;
+        },
+
+        // Lowercase slug made of letters, digits and a separator
+        slugify: function(text, separator) {
+            const sep = separator || '-';
+
+            return String(text || '')
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, sep)
+                .replace(new RegExp('^' + sep + '+|' + sep + '+$', 'g'), '');
+        },
+
+        // Split a validator property path such as "sections[0].word_target"
+        parsePath: function(property) {
+            const path = [];
+
+            String(property || '').replace(/\[(\d+)\]|([^.[\]]+)/g, (match, index, key) => {
+                if (key !== '$') {
+                    path.push(index !== undefined ? parseInt(index, 10) : key);
+                }
+                return match;
+            });
+
+            return path;
+        },
+
+        // Join a path back into "sections[0].word_target" form
+        formatPath: function(path) {
+            return path.map((segment, i) => typeof segment === 'number' ? '[' + segment + ']' : (i ? '.' : '') + segment).join('');
+        },
+
+        // Read the value at a path
+        getPathValue: function(data, path) {
+            return path.reduce((value, segment) => value !== undefined && value !== null ? value[segment] : undefined, data);
+        },
+
+        // Follow a "#/definitions/..." reference in the blueprint schema
+        resolveSchema: function(node) {
+            return window.AIComposer.BlueprintJSONEditor.resolve(aiBlueprintAdmin.schema, node);
+        },
+
+        // Find the schema node describing a path
+        getSchemaAt: function(path) {
+            return window.AIComposer.BlueprintJSONEditor.schemaAt(aiBlueprintAdmin.schema, path);
+        },
+
+        // Return a copy of the data with the patches applied
+        applyPatches: function(data, patches) {
+            const result = JSON.parse(JSON.stringify(data));
+
+            patches.forEach(patch => {
+                const parent = this.getPathValue(result, patch.path.slice(0, -1));
+                const key = patch.path[patch.path.length - 1];
+
+                if (!parent || typeof parent !== 'object') {
+                    return;
+                }
+
+                if (patch.remove) {
+                    delete parent[key];
+                } else {
+                    parent[key] = JSON.parse(JSON.stringify(patch.after));
+                }
+            });
+
+            return result;
+        },
+
+        // Write blueprint data to the JSON editor and the section rows
+        writeBlueprintData: function(data) {
+            const jsonString = JSON.stringify(data, null, 2);
+
+            // A pending sync would overwrite the JSON with the old row values
+            clearTimeout(this.config.validationTimer);
+            this.config.validationTimer = null;
+
+            this.setJSONText(jsonString);
+            $('#blueprint_schema_data').val(jsonString);
+
+            this.jsonData = data;
+            this.config.jsonDirty = false;
+            this.clearJSONError();
+            this.syncToSections(Array.isArray(data.sections) ? data.sections : []);
+            this.syncToGlobalSettings(data.global_settings);
+            this.syncToMetadata(data.metadata);
+        },
+
+        // Copy sections back into the section rows, adding, removing and reordering rows to match
+        syncToSections: function(tree) {
+            const entries = this.flattenSectionTree(tree);
+            const sections = entries.map(entry => entry.section);
+            const fields = ['id', 'type', 'heading', 'heading_level', 'word_target', 'media_policy', 'internal_links', 'citations_required', 'tone'];
+            const idOf = row => $(row).find('[name*="[id]"]').val();
+
+            // Rows without a heading are not part of the JSON (see collectBlueprintData)
+            const $headed = $('.section-row').filter(function() {
+                return $(this).find('[name*="[heading]"]').val();
+            });
+            const $drafts = $('.section-row').not($headed);
+            const available = $headed.toArray();
+
+            const take = row => {
+                available.splice(available.indexOf(row), 1);
+                return row;
+            };
+
+            // Match rows by section id first, then hand out the remaining rows in order
+            const rows = sections.map(section => {
+                const row = section ? available.find(candidate => idOf(candidate) === section.id) : null;
+                return row ? take(row) : null;
+            }).map((row, index) => {
+                if (row || !sections[index] || typeof sections[index] !== 'object') {
+                    return row;
+                }
+                return available.length ? take(available[0]) : (this.createSectionRow() || $())[0] || null;
+            });
+
+            $(available).remove();
+            $('#sections-container').append(rows.filter(Boolean)).append($drafts);
+
+            sections.forEach((section, index) => {
+                const $row = $(rows[index]);
+
+                if (!$row.length) {
+                    return;
+                }
+
+                fields.forEach(key => {
+                    const $field = $row.find('[name*="[' + key + ']"]').first();
+
+                    if (!$field.length || section[key] === undefined) {
+                        return;
+                    }
+
+                    if ($field.is(':checkbox')) {
+                        $field.prop('checked', Boolean(section[key]));
+                    } else {
+                        $field.val(String(section[key]));
+                    }
+
+                    $field.data('history-value', this.getFieldValue($field));
+                });
+
+                const plugin = (section.block_preferences || {}).preferred_plugin;
+                if (plugin) {
+                    $row.find('[name*="[preferred_plugin]"]').val(plugin).data('history-value', plugin);
+                }
+
+                // A child inherits each inheritable value it doesn't set
+                $row.find('.section-depth-field').val(entries[index].depth);
+                this.inheritedFields.forEach(key => {
+                    const inherits = entries[index].depth > 0 && section[key] === undefined;
+                    $row.find('.section-inherit[value="' + key + '"]').prop('checked', inherits).data('history-value', inherits);
+                });
+
+                // Rules are part of the row, so a section without them clears the fields
+                const repeat = section.repeat || {};
+                const $condition = $row.find('.section-condition').val(window.AIComposer.SectionRules.formatCondition(section.condition));
+                $row.find('.section-repeat-over').val(repeat.over || '');
+                $row.find('.section-repeat-max').val(repeat.max || 10);
+                this.checkCondition($condition);
+            });
+
+            this.updateSectionNumbers();
+            this.updateEmptyState();
+        },
+
+        // Short JSON rendering of a patch value
+        formatPatchValue: function(value) {
+            if (value === undefined) {
+                return '(missing)';
+            }
+
+            const json = JSON.stringify(value);
+
+            return json.length > 80 ? json.slice(0, 77) + '...' : json;
+        },
+
+        // Import a blueprint JSON file picked with the file input
+        onImportFile: function(e) {
+            this.readImportFile(e.target.files[0]);
+            $(e.target).val('');
+        },
+
+        onImportDragOver: function(e) {
+            e.preventDefault();
+            $('#blueprint-import-dropzone').addClass('is-dragover');
+        },
+
+        onImportDragLeave: function() {
+            $('#blueprint-import-dropzone').removeClass('is-dragover');
+        },
+
+        // Import a blueprint JSON file dropped on the drop zone
+        onImportDrop: function(e) {
+            e.preventDefault();
+            $('#blueprint-import-dropzone').removeClass('is-dragover');
+
+            const transfer = e.originalEvent && e.originalEvent.dataTransfer;
+            this.readImportFile(transfer && transfer.files[0]);
+        },
+
+        readImportFile: function(file) {
+            if (!file) {
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = () => this.previewImport(reader.result, 'File: ' + file.name);
+            reader.onerror = () => this.showNotice('error', 'Could not read ' + file.name);
+            reader.readAsText(file);
+        },
+
+        importFromText: function(e) {
+            e.preventDefault();
+
+            const text = $('#blueprint-import-text').val();
+
+            if (!text.trim()) {
+                this.showNotice('error', 'Paste blueprint JSON to import');
+                return;
+            }
+
+            this.previewImport(text, 'Pasted JSON');
+        },
+
+        // Reverse-engineer a blueprint from a published post
+        importFromPost: function(e) {
+            e.preventDefault();
+
+            const postId = parseInt($('#blueprint-import-post').val(), 10);
+
+            if (!postId) {
+                this.showNotice('error', 'Select a post to import from');
+                return;
+            }
+
+            const $button = $(e.target).closest('button');
+            const originalText = $button.text();
+            $button.prop('disabled', true).text('Building...');
+
+            this.makeAPIRequest('blueprint-from-post', { post_id: postId },
+                response => {
+                    $button.prop('disabled', false).text(originalText);
+                    this.showImportPreview(response.blueprint, 'Post: ' + response.source.title);
+                },
+                error => {
+                    $button.prop('disabled', false).text(originalText);
+                    this.showNotice('error', 'Import failed: ' + error.message);
+                }
+            );
+        },
+
+        // Parse imported JSON, accepting both downloaded schemas and blueprint exports
+        previewImport: function(text, source) {
+            let data;
+
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                this.showNotice('error', 'Invalid JSON: ' + error.message);
+                return;
+            }
+
+            // Blueprint_Manager::export_blueprint wraps the blueprint with export details
+            if (data && data.blueprint && !data.sections) {
+                data = data.blueprint;
+            }
+
+            if (!data || typeof data !== 'object' || !Array.isArray(data.sections)) {
+                this.showNotice('error', aiBlueprintAdmin.i18n.importNotBlueprint || 'The imported JSON does not contain a blueprint with a sections list.');
+                return;
+            }
+
+            this.showImportPreview(data, source);
+        },
+
+        // Validate the imported blueprint and show what replacing the current one would change
+        showImportPreview: function(data, source) {
+            this.makeAPIRequest('validate-schema', data,
+                response => {
+                    const current = this.getCurrentBlueprintData();
+
+                    this.pendingImport = { data: data, source: source };
+
+                    $('#blueprint-import-preview').html(window.AIComposer.TemplateRenderer.renderElement('blueprint-import-preview-template', {
+                        source: source,
+                        valid: response.valid,
+                        errors: response.errors || [],
+                        sections_before: Array.isArray(current.sections) ? current.sections.length : 0,
+                        sections_after: data.sections.length,
+                        changes: this.diffBlueprints(current, data)
+                    }));
+                },
+                this.handleValidationError.bind(this)
+            );
+        },
+
+        // Replace the current blueprint with the pending import as one undoable change
+        applyImport: function(e) {
+            e.preventDefault();
+
+            if (!this.pendingImport.data) {
+                return;
+            }
+
+            const before = this.getCurrentBlueprintData();
+            const after = this.pendingImport.data;
+
+            this.writeBlueprintData(after);
+            this.history.push({
+                label: 'Import blueprint',
+                undo: () => this.writeBlueprintData(before),
+                redo: () => this.writeBlueprintData(after)
+            });
+
+            this.cancelImport();
+            $('#blueprint-import-text').val('');
+            this.showNotice('success', aiBlueprintAdmin.i18n.importApplied || 'Blueprint imported. Save the blueprint to keep it.');
+        },
+
+        cancelImport: function(e) {
+            if (e) {
+                e.preventDefault();
+            }
+
+            this.pendingImport = { data: null, source: '' };
+            $('#blueprint-import-preview').empty();
+        },
+
+        // The blueprint as currently edited, from whichever side was edited last
+        getCurrentBlueprintData: function() {
+            if (this.config.jsonDirty) {
+                const edited = this.parseJSONSafely($('#blueprint_schema_json').val());
+
+                if (edited) {
+                    return edited;
+                }
+            }
+
+            return this.mergeBlueprintData(this.collectBlueprintData(), this.jsonData);
+        },
+
+        // List the leaf values that differ between two blueprints
+        diffBlueprints: function(before, after) {
+            const flatten = (value, path, out) => {
+                const isLeaf = value === null || typeof value !== 'object' || (path.length > 0 && (
+                    Object.keys(value).length === 0 ||
+                    (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object'))
+                ));
+
+                if (isLeaf) {
+                    out[this.formatPath(path)] = value;
+                    return out;
+                }
+
+                Object.keys(value).forEach(key => {
+                    flatten(value[key], path.concat(Array.isArray(value) ? parseInt(key, 10) : key), out);
+                });
+
+                return out;
+            };
+
+            const from = flatten(before || {}, [], {});
+            const to = flatten(after || {}, [], {});
+            const labels = Object.keys(from).concat(Object.keys(to).filter(label => !(label in from)));
+
+            return labels.filter(label => JSON.stringify(from[label]) !== JSON.stringify(to[label])).map(label => ({
+                label: label,
+                kind: !(label in from) ? 'added' : (!(label in to) ? 'removed' : 'changed'),
+                before: this.formatPatchValue(from[label]),
+                after: label in to ? this.formatPatchValue(to[label]) : '(removed)'
+            }));
+        },
+
+        // Show a saved version next to the current editor content
+        viewVersion: function(e) {
+            e.preventDefault();
+
+            const version = $(e.currentTarget).data('version');
+
+            this.makeAPIRequest('blueprints/' + aiBlueprintAdmin.postId + '/versions/' + version, null,
+                record => {
+                    $('#blueprint-version-view').html(window.AIComposer.TemplateRenderer.renderElement('blueprint-version-view-template', {
+                        version: record.version,
+                        author_name: record.author_name,
+                        created_at: record.created_at,
+                        summary: record.note ? record.note + '; ' + record.summary : record.summary,
+                        changes: this.diffBlueprints(this.getCurrentBlueprintData(), record.blueprint),
+                        json: JSON.stringify(record.blueprint, null, 2)
+                    }));
+                },
+                error => this.showNotice('error', 'Could not load version ' + version + ': ' + error.message),
+                'GET'
+            );
+        },
+
+        // Restore a saved version on the server, then reload the editor
+        rollbackVersion: function(e) {
+            e.preventDefault();
+
+            const version = String($(e.currentTarget).data('version'));
+            const message = (aiBlueprintAdmin.i18n.confirmRollback || 'Roll back to version %s? Unsaved changes will be lost.').replace('%s', version);
+
+            if (!window.confirm(message)) {
+                return;
+            }
+
+            this.makeAPIRequest('blueprints/' + aiBlueprintAdmin.postId + '/versions/' + version + '/rollback', {},
+                response => {
+                    this.showNotice('success', 'Rolled back to ' + version + ' as version ' + response.version + '. Reloading...');
+                    window.location.reload();
+                },
+                error => this.showNotice('error', 'Rollback failed: ' + error.message)
+            );
+        },
+
+        closeVersionView: function(e) {
+            e.preventDefault();
+            $('#blueprint-version-view').empty();
         },
 
         // Download schema
@@ -0,0 +1,658 @@
+/**
+ * Blueprint JSON Editor JavaScript
+ *
+ * Schema-aware editor for the blueprint JSON textarea, built on the CodeMirror
+ * instance WordPress ships with wp.codeEditor. It adds key and enum
+ * autocomplete, inline errors from the blueprint JSON Schema, hover docs and
+ * code folding. When syntax highlighting is turned off for the user the
+ * textarea is left as it is.
+ *
+ * The schema helpers (parse, validate, schemaAt) work without CodeMirror and
+ * are shared with the blueprint admin auto-fix engine.
+ *
+ * @package AIPageComposer
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * JSON literals after the opening character has been checked
+     */
+    const LITERAL_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+    /**
+     * Delay before a hover tooltip appears (ms)
+     */
+    const HOVER_DELAY = 300;
+
+    /**
+     * Blueprint JSON editor factory and schema helpers
+     */
+    const BlueprintJSONEditor = {
+        /**
+         * Turn a textarea into a schema-aware editor
+         *
+         * Options:
+         * - schema: blueprint JSON Schema
+         * - settings: wp_enqueue_code_editor() settings (false when disabled)
+         *
+         * Returns null when wp.codeEditor is not available.
+         */
+        create: function(textarea, options) {
+            const settings = options && options.settings;
+
+            if (!textarea || !settings || !window.wp || !wp.codeEditor || !wp.CodeMirror) {
+                return null;
+            }
+
+            const schema = options.schema || {};
+            const CodeMirror = wp.CodeMirror;
+            const self = this;
+
+            const editorSettings = $.extend(true, {}, settings, {
+                codemirror: {
+                    lint: {
+                        getAnnotations: (text, lintOptions, cm) => self.lint(text, schema).map(annotation => ({
+                            from: cm.posFromIndex(annotation.from),
+                            to: cm.posFromIndex(annotation.to),
+                            message: annotation.message,
+                            severity: annotation.severity
+                        }))
+                    },
+                    hintOptions: {
+                        hint: cm => self.hint(cm, schema),
+                        completeSingle: false
+                    },
+                    extraKeys: {
+                        'Ctrl-Space': 'autocomplete',
+                        'Ctrl-Q': cm => cm.foldCode(cm.getCursor())
+                    }
+                }
+            });
+
+            const cm = wp.codeEditor.initialize(textarea, editorSettings).codemirror;
+
+            const editor = {
+                cm: cm,
+                silent: false,
+                hoverTimer: null,
+
+                /**
+                 * Replace the editor content without firing the textarea input event
+                 */
+                setValue: function(text) {
+                    if (cm.getValue() === text) {
+                        return;
+                    }
+
+                    this.silent = true;
+                    cm.setValue(text);
+                    cm.save();
+                    this.silent = false;
+                },
+
+                /**
+                 * Redraw after the editor has been hidden (e.g. in an inactive tab)
+                 */
+                refresh: function() {
+                    cm.refresh();
+                },
+
+                /**
+                 * Move the cursor to a character offset
+                 */
+                focusAt: function(offset) {
+                    const from = cm.posFromIndex(offset);
+
+                    cm.focus();
+                    cm.setSelection(from, cm.posFromIndex(offset + 1));
+                    cm.scrollIntoView(from, 60);
+                },
+
+                /**
+                 * Show the schema docs for the token under the mouse
+                 */
+                showHover: function(e) {
+                    const pos = cm.coordsChar({ left: e.pageX, top: e.pageY });
+                    const token = cm.getTokenAt(CodeMirror.Pos(pos.line, pos.ch + 1), true);
+
+                    if (!token || !token.type || !/string|number|atom/.test(token.type)) {
+                        hideTooltip();
+                        return;
+                    }
+
+                    const text = cm.getValue();
+                    const start = cm.indexFromPos(CodeMirror.Pos(pos.line, token.start));
+                    const context = self.getContext(text, start);
+                    let path = context.path;
+
+                    if (/property/.test(token.type)) {
+                        try {
+                            path = path.concat(JSON.parse(token.string));
+                        } catch (error) {
+                            hideTooltip();
+                            return;
+                        }
+                    } else if (context.key !== null) {
+                        path = path.concat(context.key);
+                    }
+
+                    const node = self.schemaAt(schema, path);
+
+                    if (!node || !path.length) {
+                        hideTooltip();
+                        return;
+                    }
+
+                    showTooltip(self.describe(node, path), e.clientX, e.clientY);
+                }
+            };
+
+            const $tooltip = $('<div class="blueprint-json-tooltip" role="tooltip"></div>').hide().appendTo('body');
+
+            function showTooltip(doc, x, y) {
+                $tooltip.empty()
+                    .append($('<code class="tooltip-path"></code>').text(doc.path))
+                    .append(doc.description ? $('<p class="tooltip-description"></p>').text(doc.description) : null)
+                    .append($('<p class="tooltip-rules"></p>').text(doc.rules))
+                    .css({ left: x + 12, top: y + 16 })
+                    .show();
+            }
+
+            function hideTooltip() {
+                clearTimeout(editor.hoverTimer);
+                $tooltip.hide();
+            }
+
+            // Keep the textarea (and anything listening to it) in step with the editor
+            cm.on('change', () => {
+                cm.save();
+                if (!editor.silent) {
+                    $(textarea).trigger('input');
+                }
+            });
+
+            // Offer completions while typing keys and values
+            cm.on('inputRead', (instance, change) => {
+                if (!instance.state.completionActive && /^["\w]$/.test(change.text.join(''))) {
+                    instance.showHint({ completeSingle: false });
+                }
+            });
+
+            $(cm.getWrapperElement())
+                .on('mousemove', e => {
+                    clearTimeout(editor.hoverTimer);
+                    editor.hoverTimer = setTimeout(() => editor.showHover(e), HOVER_DELAY);
+                })
+                .on('mouseleave', hideTooltip);
+
+            cm.on('keydown', hideTooltip);
+            cm.on('scroll', hideTooltip);
+
+            return editor;
+        },
+
+        /**
+         * Follow a "#/definitions/..." reference
+         */
+        resolve: function(schema, node) {
+            const definitions = (schema || {}).definitions || {};
+
+            if (node && node.$ref) {
+                return definitions[node.$ref.replace('#/definitions/', '')] || null;
+            }
+
+            return node || null;
+        },
+
+        /**
+         * Find the schema node describing a path such as ['sections', 0, 'tone']
+         */
+        schemaAt: function(schema, path) {
+            return path.reduce((node, segment) => {
+                if (!node) {
+                    return null;
+                }
+
+                return this.resolve(schema, typeof segment === 'number' ? node.items : (node.properties || {})[segment]);
+            }, this.resolve(schema, schema));
+        },
+
+        /**
+         * Parse JSON into a tree of nodes that remember their offsets
+         *
+         * Throws an Error with an `offset` property on invalid JSON.
+         */
+        parse: function(text) {
+            let pos = 0;
+
+            const fail = message => {
+                const error = new Error(message);
+                error.offset = Math.min(pos, text.length);
+                throw error;
+            };
+
+            const skipWhitespace = () => {
+                while (pos < text.length && /\s/.test(text[pos])) {
+                    pos++;
+                }
+            };
+
+            const parseString = () => {
+                const start = pos++;
+
+                while (pos < text.length && text[pos] !== '"') {
+                    if (text[pos] === '\n') {
+                        fail('Unterminated string');
+                    }
+                    pos += text[pos] === '\\' ? 2 : 1;
+                }
+
+                if (pos >= text.length) {
+                    fail('Unterminated string');
+                }
+
+                pos++;
+
+                try {
+                    return { type: 'string', value: JSON.parse(text.slice(start, pos)), start: start, end: pos };
+                } catch (error) {
+                    pos = start;
+                    return fail('Invalid escape sequence in string');
+                }
+            };
+
+            const parseValue = () => {
+                skipWhitespace();
+
+                const start = pos;
+                const ch = text[pos];
+
+                if (ch === '{') {
+                    const node = { type: 'object', start: start, properties: [] };
+
+                    pos++;
+                    skipWhitespace();
+
+                    if (text[pos] === '}') {
+                        node.end = ++pos;
+                        return node;
+                    }
+
+                    for (;;) {
+                        skipWhitespace();
+
+                        if (text[pos] !== '"') {
+                            fail('Expected a double-quoted property name');
+                        }
+
+                        const key = parseString();
+                        skipWhitespace();
+
+                        if (text[pos] !== ':') {
+                            fail("Expected ':' after property name");
+                        }
+
+                        pos++;
+                        node.properties.push({ key: key.value, keyStart: key.start, keyEnd: key.end, value: parseValue() });
+                        skipWhitespace();
+
+                        if (text[pos] === ',') {
+                            pos++;
+                        } else if (text[pos] === '}') {
+                            node.end = ++pos;
+                            return node;
+                        } else {
+                            fail("Expected ',' or '}' after property value");
+                        }
+                    }
+                }
+
+                if (ch === '[') {
+                    const node = { type: 'array', start: start, items: [] };
+
+                    pos++;
+                    skipWhitespace();
+
+                    if (text[pos] === ']') {
+                        node.end = ++pos;
+                        return node;
+                    }
+
+                    for (;;) {
+                        node.items.push(parseValue());
+                        skipWhitespace();
+
+                        if (text[pos] === ',') {
+                            pos++;
+                        } else if (text[pos] === ']') {
+                            node.end = ++pos;
+                            return node;
+                        } else {
+                            fail("Expected ',' or ']' after array item");
+                        }
+                    }
+                }
+
+                if (ch === '"') {
+                    return parseString();
+                }
+
+                LITERAL_PATTERN.lastIndex = pos;
+                const match = LITERAL_PATTERN.exec(text);
+
+                if (!match) {
+                    fail(pos >= text.length ? 'Unexpected end of JSON' : 'Unexpected character ' + JSON.stringify(ch));
+                }
+
+                pos += match[0].length;
+                const value = JSON.parse(match[0]);
+
+                return {
+                    type: value === null ? 'null' : typeof value,
+                    value: value,
+                    start: start,
+                    end: pos
+                };
+            };
+
+            const root = parseValue();
+            skipWhitespace();
+
+            if (pos < text.length) {
+                fail('Unexpected content after the end of the JSON');
+            }
+
+            return root;
+        },
+
+        /**
+         * Check a parsed node against the schema, collecting {from, to, message, severity}
+         */
+        validate: function(node, schema, rootSchema, errors) {
+            const rules = this.resolve(rootSchema, schema);
+            const report = (target, message, severity) => errors.push({
+                from: target.start,
+                to: target.end,
+                message: message,
+                severity: severity || 'error'
+            });
+
+            if (!rules) {
+                return errors;
+            }
+
+            if (rules.type && !this.matchesType(node, rules.type)) {
+                report(node, 'Expected ' + (rules.type === 'integer' ? 'a whole number' : 'a value of type ' + rules.type) + '.');
+                return errors;
+            }
+
+            if (rules.enum && rules.enum.indexOf(node.value) === -1) {
+                report(node, 'Must be one of: ' + rules.enum.join(', ') + '.');
+            }
+
+            if (node.type === 'string') {
+                if (rules.minLength !== undefined && node.value.length < rules.minLength) {
+                    report(node, rules.minLength === 1 ? 'Must not be empty.' : 'Must be at least ' + rules.minLength + ' characters.');
+                }
+                if (rules.maxLength !== undefined && node.value.length > rules.maxLength) {
+                    report(node, 'Must be at most ' + rules.maxLength + ' characters.');
+                }
+                if (rules.pattern && !new RegExp(rules.pattern).test(node.value)) {
+                    report(node, 'Does not match the required format ' + rules.pattern + '.');
+                }
+            }
+
+            if (node.type === 'number') {
+                if (rules.minimum !== undefined && node.value < rules.minimum) {
+                    report(node, 'Must be at least ' + rules.minimum + '.');
+                }
+                if (rules.maximum !== undefined && node.value > rules.maximum) {
+                    report(node, 'Must be at most ' + rules.maximum + '.');
+                }
+            }
+
+            if (node.type === 'object') {
+                const properties = rules.properties || {};
+                const present = node.properties.map(property => property.key);
+                const opening = { start: node.start, end: node.start + 1 };
+
+                (rules.required || []).forEach(key => {
+                    if (present.indexOf(key) === -1) {
+                        report(opening, 'Missing required property "' + key + '".');
+                    }
+                });
+
+                node.properties.forEach(property => {
+                    if (!Object.prototype.hasOwnProperty.call(properties, property.key)) {
+                        if (rules.properties) {
+                            report({ start: property.keyStart, end: property.keyEnd }, 'Unknown property "' + property.key + '".', 'warning');
+                        }
+                        return;
+                    }
+
+                    this.validate(property.value, properties[property.key], rootSchema, errors);
+                });
+            }
+
+            if (node.type === 'array') {
+                const opening = { start: node.start, end: node.start + 1 };
+
+                if (rules.minItems !== undefined && node.items.length < rules.minItems) {
+                    report(opening, 'Must contain at least ' + rules.minItems + (rules.minItems === 1 ? ' item.' : ' items.'));
+                }
+                if (rules.maxItems !== undefined && node.items.length > rules.maxItems) {
+                    report(opening, 'Must contain at most ' + rules.maxItems + ' items.');
+                }
+                if (rules.items) {
+                    node.items.forEach(item => this.validate(item, rules.items, rootSchema, errors));
+                }
+            }
+
+            return errors;
+        },
+
+        /**
+         * Whether a parsed node has the given JSON Schema type
+         */
+        matchesType: function(node, type) {
+            switch (type) {
+                case 'integer':
+                    return node.type === 'number' && Number.isInteger(node.value);
+                case 'number':
+                case 'string':
+                case 'boolean':
+                case 'object':
+                case 'array':
+                case 'null':
+                    return node.type === type;
+                default:
+                    return true;
+            }
+        },
+
+        /**
+         * Syntax and schema errors for the editor content, as character offsets
+         */
+        lint: function(text, schema) {
+            if (!text.trim()) {
+                return [];
+            }
+
+            let root;
+
+            try {
+                root = this.parse(text);
+            } catch (error) {
+                const from = Math.max(0, Math.min(error.offset, text.length - 1));
+
+                return [{
+                    from: from,
+                    to: from + 1,
+                    message: error.message,
+                    severity: 'error'
+                }];
+            }
+
+            return this.validate(root, schema, schema, []);
+        },
+
+        /**
+         * Work out where an offset sits in a (possibly incomplete) JSON document
+         *
+         * Returns { path, key, inKey } where path leads to the innermost
+         * object or array, key is the property whose value is being written
+         * (null in key position) and inKey says whether a key is expected.
+         */
+        getContext: function(text, offset) {
+            const stack = [];
+            let i = 0;
+
+            while (i < offset) {
+                const ch = text[i];
+                const top = stack[stack.length - 1];
+
+                if (ch === '"') {
+                    let end = i + 1;
+
+                    while (end < text.length && text[end] !== '"' && text[end] !== '\n') {
+                        end += text[end] === '\\' ? 2 : 1;
+                    }
+
+                    if (top && top.type === 'object' && top.phase === 'key') {
+                        try {
+                            top.key = JSON.parse(text.slice(i, end + 1));
+                        } catch (error) {
+                            top.key = text.slice(i + 1, end);
+                        }
+                        top.phase = 'colon';
+                    } else if (top) {
+                        top.phase = 'next';
+                    }
+
+                    i = end + 1;
+                    continue;
+                }
+
+                if (ch === '{') {
+                    stack.push({ type: 'object', phase: 'key', key: null });
+                } else if (ch === '[') {
+                    stack.push({ type: 'array', phase: 'value', index: 0 });
+                } else if (ch === '}' || ch === ']') {
+                    stack.pop();
+                    if (stack.length) {
+                        stack[stack.length - 1].phase = 'next';
+                    }
+                } else if (ch === ':' && top && top.type === 'object') {
+                    top.phase = 'value';
+                } else if (ch === ',' && top) {
+                    if (top.type === 'object') {
+                        top.phase = 'key';
+                        top.key = null;
+                    } else {
+                        top.index++;
+                        top.phase = 'value';
+                    }
+                }
+
+                i++;
+            }
+
+            const top = stack[stack.length - 1];
+            const path = stack.slice(0, -1).map(entry => entry.type === 'object' ? entry.key : entry.index);
+
+            if (!top) {
+                return { path: [], key: null, inKey: false };
+            }
+
+            if (top.type === 'array') {
+                return { path: path, key: top.index, inKey: false };
+            }
+
+            return {
+                path: path,
+                key: top.phase === 'key' ? null : top.key,
+                inKey: top.phase === 'key'
+            };
+        },
+
+        /**
+         * CodeMirror hint source: property names in key position, enum and boolean values otherwise
+         */
+        hint: function(cm, schema) {
+            const CodeMirror = wp.CodeMirror;
+            const cursor = cm.getCursor();
+            const token = cm.getTokenAt(cursor);
+            const typing = /^"|^\w/.test(token.string);
+            const from = typing ? CodeMirror.Pos(cursor.line, token.start) : cursor;
+            const to = typing ? CodeMirror.Pos(cursor.line, token.end) : cursor;
+            const prefix = typing ? token.string.replace(/^"/, '').replace(/"$/, '').toLowerCase() : '';
+            const context = this.getContext(cm.getValue(), cm.indexFromPos(from));
+            let list = [];
+
+            if (context.inKey) {
+                const container = this.schemaAt(schema, context.path);
+                const properties = container && container.properties ? container.properties : {};
+
+                list = Object.keys(properties).map(key => {
+                    const property = this.resolve(schema, properties[key]) || {};
+                    return {
+                        text: JSON.stringify(key) + ': ',
+                        displayText: key + (property.type ? '  (' + property.type + ')' : ''),
+                        match: key
+                    };
+                });
+            } else if (context.key !== null) {
+                const property = this.schemaAt(schema, context.path.concat(context.key)) || {};
+                const values = property.enum || (property.type === 'boolean' ? [true, false] : (property.default !== undefined ? [property.default] : []));
+
+                list = values.map(value => ({
+                    text: JSON.stringify(value),
+                    displayText: JSON.stringify(value) + (value === property.default ? '  (default)' : ''),
+                    match: String(value)
+                }));
+            }
+
+            return {
+                list: list.filter(item => item.match.toLowerCase().indexOf(prefix) === 0),
+                from: from,
+                to: to
+            };
+        },
+
+        /**
+         * Hover docs for a schema node
+         */
+        describe: function(node, path) {
+            const rules = [node.type === 'integer' ? 'whole number' : node.type || 'any'];
+
+            if (node.enum) {
+                rules.push('one of ' + node.enum.join(', '));
+            }
+            if (node.minimum !== undefined || node.maximum !== undefined) {
+                rules.push('range ' + (node.minimum !== undefined ? node.minimum : '…') + '–' + (node.maximum !== undefined ? node.maximum : '…'));
+            }
+            if (node.maxLength !== undefined) {
+                rules.push('max ' + node.maxLength + ' characters');
+            }
+            if (node.maxItems !== undefined) {
+                rules.push('max ' + node.maxItems + ' items');
+            }
+            if (node.default !== undefined) {
+                rules.push('default ' + JSON.stringify(node.default));
+            }
+
+            return {
+                path: path.map((segment, i) => typeof segment === 'number' ? '[' + segment + ']' : (i ? '.' : '') + segment).join(''),
+                description: node.description || '',
+                rules: rules.join(' · ')
+            };
+        }
+    };
+
+    // Export for global access
+    window.AIComposer = window.AIComposer || {};
+    window.AIComposer.BlueprintJSONEditor = BlueprintJSONEditor;
+
+})(jQuery);
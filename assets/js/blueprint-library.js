@@ -0,0 +1,341 @@
+/**
+ * Blueprint Library JavaScript
+ *
+ * Lists the site's blueprints with search and filters, renders a thumbnail of
+ * each blueprint from the blueprint-preview endpoint, and handles starring,
+ * cloning and installing starter blueprints.
+ *
+ * @package AIPageComposer
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Blueprint Library Handler
+     */
+    const BlueprintLibrary = {
+        /**
+         * Blueprints from the library endpoint
+         */
+        blueprints: [],
+
+        /**
+         * Starter blueprints from the library endpoint
+         */
+        starters: [],
+
+        /**
+         * Rendered thumbnail markup keyed by thumbnail key
+         */
+        thumbnails: {},
+
+        /**
+         * Observer that loads thumbnails as cards scroll into view
+         */
+        observer: null,
+
+        /**
+         * Initialize the handler
+         */
+        init: function() {
+            if (!$('#blueprint-library-grid').length) {
+                return;
+            }
+
+            if ('IntersectionObserver' in window) {
+                this.observer = new IntersectionObserver(this.onThumbnailsVisible.bind(this), { rootMargin: '200px' });
+            }
+
+            this.bindEvents();
+            this.loadLibrary();
+        },
+
+        /**
+         * Bind UI events
+         */
+        bindEvents: function() {
+            $('#library-search').on('input', this.renderBlueprints.bind(this));
+            $('#library-category, #library-difficulty, #library-section-type, #library-starred-only').on('change', this.renderBlueprints.bind(this));
+            $(document).on('click', '.star-blueprint', this.handleStar.bind(this));
+            $(document).on('click', '.clone-blueprint', this.handleClone.bind(this));
+            $(document).on('click', '.install-starter', this.handleInstall.bind(this));
+        },
+
+        /**
+         * Load blueprints and starters
+         */
+        loadLibrary: async function() {
+            try {
+                const library = await wp.apiFetch({
+                    path: '/ai-composer/v1/blueprint-library'
+                });
+
+                this.blueprints = library.blueprints;
+                this.starters = library.starters;
+                this.renderBlueprints();
+                this.renderStarters();
+            } catch (error) {
+                $('#blueprint-library-grid').empty();
+                this.showNotice(aiBlueprintLibrary.i18n.loadError + ' ' + (error.message || ''), 'error');
+            }
+        },
+
+        /**
+         * Get the current filter values
+         */
+        getFilters: function() {
+            return {
+                search: $('#library-search').val().trim().toLowerCase(),
+                category: $('#library-category').val(),
+                difficulty: $('#library-difficulty').val(),
+                sectionType: $('#library-section-type').val(),
+                starredOnly: $('#library-starred-only').is(':checked')
+            };
+        },
+
+        /**
+         * Check a blueprint against the filters
+         */
+        matchesFilters: function(blueprint, filters) {
+            if (filters.category && blueprint.category !== filters.category) {
+                return false;
+            }
+
+            if (filters.difficulty && blueprint.difficulty !== filters.difficulty) {
+                return false;
+            }
+
+            if (filters.sectionType && blueprint.section_types.indexOf(filters.sectionType) === -1) {
+                return false;
+            }
+
+            if (filters.starredOnly && !blueprint.starred) {
+                return false;
+            }
+
+            if (filters.search) {
+                const haystack = [blueprint.title, blueprint.description].concat(blueprint.tags).join(' ').toLowerCase();
+                return haystack.indexOf(filters.search) !== -1;
+            }
+
+            return true;
+        },
+
+        /**
+         * Render the blueprint cards that match the filters
+         */
+        renderBlueprints: function() {
+            const filters = this.getFilters();
+            const blueprints = this.blueprints.filter(blueprint => this.matchesFilters(blueprint, filters));
+
+            const html = window.AIComposer.TemplateRenderer.renderElement('blueprint-library-cards-template', {
+                blueprints: blueprints.map(blueprint => $.extend({}, blueprint, {
+                    is_published: blueprint.status === 'publish'
+                }))
+            });
+
+            $('#blueprint-library-grid').html(html);
+            $('#library-count').text(blueprints.length + ' / ' + this.blueprints.length);
+            this.renderThumbnails($('#blueprint-library-grid'));
+        },
+
+        /**
+         * Render the starter cards
+         */
+        renderStarters: function() {
+            const html = window.AIComposer.TemplateRenderer.renderElement('blueprint-starter-cards-template', {
+                starters: this.starters
+            });
+
+            $('#blueprint-starter-grid').html(html);
+            this.renderThumbnails($('#blueprint-starter-grid'));
+        },
+
+        /**
+         * Fill in cached thumbnails and queue the rest for loading
+         */
+        renderThumbnails: function($container) {
+            $container.find('.library-thumbnail').each((index, element) => {
+                const key = $(element).data('thumbnail-key');
+
+                if (this.thumbnails[key]) {
+                    $(element).html(this.thumbnails[key]);
+                } else if (this.observer) {
+                    this.observer.observe(element);
+                } else {
+                    this.loadThumbnail(element);
+                }
+            });
+        },
+
+        /**
+         * Load thumbnails that scrolled into view
+         */
+        onThumbnailsVisible: function(entries) {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.observer.unobserve(entry.target);
+                    this.loadThumbnail(entry.target);
+                }
+            });
+        },
+
+        /**
+         * Render one thumbnail from the blueprint preview
+         */
+        loadThumbnail: async function(element) {
+            const key = $(element).data('thumbnail-key');
+            const item = this.getThumbnailItem(key);
+
+            if (!item) {
+                return;
+            }
+
+            try {
+                const response = await wp.apiFetch({
+                    path: '/ai-composer/v1/blueprint-preview',
+                    method: 'POST',
+                    data: item.blueprint
+                });
+
+                const preview = response.preview;
+                const maxWords = Math.max.apply(null, [1].concat(preview.sections.map(section => section.word_target)));
+
+                this.thumbnails[key] = window.AIComposer.TemplateRenderer.renderElement('blueprint-thumbnail-template', {
+                    sections: preview.sections.map(section => $.extend({}, section, {
+                        width: Math.max(10, Math.round(section.word_target / maxWords * 100))
+                    })),
+                    estimated_tokens: preview.estimated_tokens.toLocaleString()
+                });
+
+                $('[data-thumbnail-key="' + key + '"]').html(this.thumbnails[key]);
+            } catch (error) {
+                $(element).empty();
+            }
+        },
+
+        /**
+         * Find the blueprint or starter a thumbnail belongs to
+         */
+        getThumbnailItem: function(key) {
+            const [kind, id] = String(key).split(/-(.+)/);
+
+            if (kind === 'starter') {
+                return this.starters.find(starter => starter.slug === id) || null;
+            }
+
+            return this.getBlueprint(parseInt(id, 10));
+        },
+
+        /**
+         * Get a blueprint by ID
+         */
+        getBlueprint: function(id) {
+            return this.blueprints.find(blueprint => blueprint.id === id) || null;
+        },
+
+        /**
+         * Star or unstar a blueprint
+         */
+        handleStar: async function(e) {
+            const blueprint = this.getBlueprint($(e.currentTarget).closest('.library-card').data('blueprint-id'));
+
+            if (!blueprint) {
+                return;
+            }
+
+            try {
+                const response = await wp.apiFetch({
+                    path: '/ai-composer/v1/blueprints/' + blueprint.id + '/star',
+                    method: 'POST',
+                    data: { starred: !blueprint.starred }
+                });
+
+                blueprint.starred = response.starred;
+                this.blueprints.sort((a, b) => (b.starred - a.starred) || (b.modified > a.modified ? 1 : -1));
+                this.renderBlueprints();
+            } catch (error) {
+                this.showNotice(aiBlueprintLibrary.i18n.actionError + ' ' + (error.message || ''), 'error');
+            }
+        },
+
+        /**
+         * Clone a blueprint and open the copy
+         */
+        handleClone: async function(e) {
+            const $button = $(e.currentTarget);
+            const blueprint = this.getBlueprint($button.closest('.library-card').data('blueprint-id'));
+
+            if (!blueprint) {
+                return;
+            }
+
+            $button.prop('disabled', true);
+
+            try {
+                const response = await wp.apiFetch({
+                    path: '/ai-composer/v1/blueprints/' + blueprint.id + '/clone',
+                    method: 'POST'
+                });
+
+                this.showNotice(aiBlueprintLibrary.i18n.cloned.replace('%s', blueprint.title), 'success');
+                window.location.href = response.edit_url;
+            } catch (error) {
+                $button.prop('disabled', false);
+                this.showNotice(aiBlueprintLibrary.i18n.actionError + ' ' + (error.message || ''), 'error');
+            }
+        },
+
+        /**
+         * Install a starter blueprint and open it
+         */
+        handleInstall: async function(e) {
+            const $button = $(e.currentTarget);
+            const slug = $button.closest('.library-card').data('starter-slug');
+            const starter = this.starters.find(item => item.slug === slug);
+
+            if (!starter) {
+                return;
+            }
+
+            if (starter.installed_id && !window.confirm(aiBlueprintLibrary.i18n.confirmReinstall.replace('%s', starter.title))) {
+                return;
+            }
+
+            $button.prop('disabled', true);
+
+            try {
+                const response = await wp.apiFetch({
+                    path: '/ai-composer/v1/blueprint-starters/' + slug + '/install',
+                    method: 'POST'
+                });
+
+                this.showNotice(aiBlueprintLibrary.i18n.installed.replace('%s', starter.title), 'success');
+                window.location.href = response.edit_url;
+            } catch (error) {
+                $button.prop('disabled', false);
+                this.showNotice(aiBlueprintLibrary.i18n.actionError + ' ' + (error.message || ''), 'error');
+            }
+        },
+
+        /**
+         * Show a notice above the library
+         */
+        showNotice: function(message, type) {
+            const $notice = $('<div class="notice is-dismissible"><p></p></div>')
+                .addClass('notice-' + type)
+                .find('p').text(message).end();
+
+            $('#blueprint-library-notices').html($notice);
+
+            setTimeout(() => $notice.fadeOut(), 5000);
+        }
+    };
+
+    // Initialize when document is ready
+    $(document).ready(function() {
+        BlueprintLibrary.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,241 @@
+/**
+ * Command History JavaScript
+ *
+ * Undo/redo stack shared by the outline and blueprint section editors. The
+ * editor performs a change itself and then pushes a command describing it:
+ *
+ *     history.push({ label: 'Remove section', undo: fn, redo: fn });
+ *
+ * Commands pushed while an undo or redo is running are ignored, so editors can
+ * reuse their normal update paths when replaying a command.
+ *
+ * @package AIPageComposer
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Fields that keep their own native undo behaviour
+     */
+    const TEXT_FIELDS = 'input:not([type="checkbox"]):not([type="radio"]):not([type="range"]):not([type="button"]):not([type="submit"]), textarea, select, [contenteditable="true"]';
+
+    /**
+     * Command history factory
+     */
+    const CommandHistory = {
+        /**
+         * Create a history for one editor
+         *
+         * Options:
+         * - scope: element that must be visible (and hold focus, if anything in
+         *   the page does) for the keyboard shortcuts to apply
+         * - undoButton / redoButton: toolbar button selectors
+         * - limit: maximum number of undoable commands
+         * - toastDuration: milliseconds before the undo toast disappears
+         */
+        create: function(options) {
+            const settings = $.extend({
+                scope: 'body',
+                undoButton: null,
+                redoButton: null,
+                limit: 100,
+                toastDuration: 6000
+            }, options);
+
+            const history = {
+                undoStack: [],
+                redoStack: [],
+                busy: false,
+                toastTimer: null,
+
+                /**
+                 * Record a command that has just been performed
+                 */
+                push: function(command) {
+                    if (this.busy) {
+                        return;
+                    }
+
+                    this.undoStack.push(command);
+                    if (this.undoStack.length > settings.limit) {
+                        this.undoStack.shift();
+                    }
+
+                    this.redoStack = [];
+                    this.updateButtons();
+                },
+
+                /**
+                 * Undo the last command
+                 */
+                undo: function() {
+                    const command = this.undoStack.pop();
+
+                    if (!command) {
+                        return null;
+                    }
+
+                    this.run(command, 'undo');
+                    this.redoStack.push(command);
+                    this.updateButtons();
+                    this.hideToast();
+                    CommandHistory.announce('Undone: ' + command.label);
+
+                    return command;
+                },
+
+                /**
+                 * Redo the last undone command
+                 */
+                redo: function() {
+                    const command = this.redoStack.pop();
+
+                    if (!command) {
+                        return null;
+                    }
+
+                    this.run(command, 'redo');
+                    this.undoStack.push(command);
+                    this.updateButtons();
+                    CommandHistory.announce('Redone: ' + command.label);
+
+                    return command;
+                },
+
+                /**
+                 * Replay one side of a command without recording new ones
+                 */
+                run: function(command, method) {
+                    this.busy = true;
+
+                    try {
+                        command[method]();
+                    } finally {
+                        this.busy = false;
+                    }
+                },
+
+                canUndo: function() {
+                    return this.undoStack.length > 0;
+                },
+
+                canRedo: function() {
+                    return this.redoStack.length > 0;
+                },
+
+                /**
+                 * Forget all commands, e.g. when the editor content is replaced
+                 */
+                clear: function() {
+                    this.undoStack = [];
+                    this.redoStack = [];
+                    this.updateButtons();
+                    this.hideToast();
+                },
+
+                /**
+                 * Reflect the stack state in the toolbar buttons
+                 */
+                updateButtons: function() {
+                    const undo = this.undoStack[this.undoStack.length - 1];
+                    const redo = this.redoStack[this.redoStack.length - 1];
+
+                    $(settings.undoButton)
+                        .prop('disabled', !undo)
+                        .attr('title', undo ? 'Undo: ' + undo.label + ' (Ctrl+Z)' : 'Nothing to undo');
+                    $(settings.redoButton)
+                        .prop('disabled', !redo)
+                        .attr('title', redo ? 'Redo: ' + redo.label + ' (Ctrl+Shift+Z)' : 'Nothing to redo');
+                },
+
+                /**
+                 * Show a toast offering to undo the last command
+                 */
+                notify: function(message) {
+                    this.hideToast();
+
+                    const $toast = $('<div class="ai-composer-toast" role="status" aria-live="polite"></div>')
+                        .append($('<span class="toast-message"></span>').text(message))
+                        .append($('<button type="button" class="button-link toast-undo">Undo</button>').on('click', () => this.undo()))
+                        .append($('<button type="button" class="button-link toast-dismiss" aria-label="Dismiss"><span class="dashicons dashicons-no-alt"></span></button>').on('click', () => this.hideToast()));
+
+                    $('body').append($toast);
+                    this.toastTimer = setTimeout(() => this.hideToast(), settings.toastDuration);
+                },
+
+                /**
+                 * Remove the undo toast
+                 */
+                hideToast: function() {
+                    clearTimeout(this.toastTimer);
+                    $('.ai-composer-toast').remove();
+                },
+
+                /**
+                 * Handle Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) for this editor
+                 */
+                handleKeydown: function(e) {
+                    const key = (e.key || '').toLowerCase();
+
+                    if (!(e.ctrlKey || e.metaKey) || e.altKey || (key !== 'z' && key !== 'y')) {
+                        return;
+                    }
+
+                    // Text fields keep the browser's own undo
+                    if ($(e.target).is(TEXT_FIELDS)) {
+                        return;
+                    }
+
+                    const $scope = $(settings.scope);
+                    const inScope = e.target === document.body || $(e.target).closest($scope).length > 0;
+
+                    if (!$scope.is(':visible') || !inScope) {
+                        return;
+                    }
+
+                    e.preventDefault();
+
+                    if (key === 'y' || e.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                }
+            };
+
+            if (settings.undoButton) {
+                $(document).on('click', settings.undoButton, e => {
+                    e.preventDefault();
+                    history.undo();
+                });
+            }
+
+            if (settings.redoButton) {
+                $(document).on('click', settings.redoButton, e => {
+                    e.preventDefault();
+                    history.redo();
+                });
+            }
+
+            $(document).on('keydown', history.handleKeydown.bind(history));
+            history.updateButtons();
+
+            return history;
+        },
+
+        /**
+         * Announce a message to screen readers when wp.a11y is available
+         */
+        announce: function(message) {
+            if (window.wp && wp.a11y && wp.a11y.speak) {
+                wp.a11y.speak(message);
+            }
+        }
+    };
+
+    // Export for global access
+    window.AIComposer = window.AIComposer || {};
+    window.AIComposer.CommandHistory = CommandHistory;
+
+})(jQuery);
@@ -0,0 +1,223 @@
+/**
+ * Cost Estimator JavaScript
+ *
+ * Client-side counterpart of the Cost_Estimator PHP class. Estimates what
+ * generating sections will cost from the pricing table in the Cost
+ * Management settings, localized as `aiComposerPricing`. Each section gets a
+ * low, expected and high cost; used by the outline step, the blueprint
+ * editor and governance re-run previews.
+ *
+ * @package AIPageComposer
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Fallback pricing, kept in sync with Cost_Estimator::DEFAULT_PRICING
+     * and Cost_Estimator::ESTIMATION
+     */
+    const DEFAULT_PRICING = {
+        model: 'gpt-4-turbo',
+        input_per_1k: 0.01,
+        output_per_1k: 0.03,
+        image_cost: 0.04,
+        retrieval_cost: 0.0005,
+        chars_per_token: 4,
+        tokens_per_word: 1.35,
+        section_prompt_tokens: 400,
+        image_prompt_tokens: 150,
+        retrieval_context_tokens: 800,
+        citation_prompt_tokens: 120,
+        citation_output_tokens: 40,
+        words_per_minute: 50,
+        image_minutes: 1,
+        output_range: [0.8, 1.3]
+    };
+
+    /**
+     * Round a cost to 4 decimal places
+     */
+    const round = value => Math.round(value * 10000) / 10000;
+
+    /**
+     * Correction factors that leave an estimate as it is
+     */
+    const NO_CALIBRATION = { tokens: 1, cost: 1, minutes: 1 };
+
+    /**
+     * Cost estimator helper
+     */
+    const CostEstimator = {
+
+        /**
+         * Get the pricing table; localized numbers arrive as strings
+         */
+        getPricing: function() {
+            const pricing = Object.assign({}, DEFAULT_PRICING);
+            const localized = window.aiComposerPricing || {};
+
+            Object.keys(localized).forEach(key => {
+                const value = localized[key];
+                pricing[key] = typeof DEFAULT_PRICING[key] === 'number' ? (parseFloat(value) || 0) : value;
+            });
+
+            return pricing;
+        },
+
+        /**
+         * Cost of a number of input and output tokens
+         */
+        tokenCost: function(inputTokens, outputTokens) {
+            const pricing = this.getPricing();
+
+            return round((inputTokens / 1000) * pricing.input_per_1k + (outputTokens / 1000) * pricing.output_per_1k);
+        },
+
+        /**
+         * Estimate one section
+         *
+         * Takes { words, image: 'required'|'optional'|'none', citations, mode }.
+         * The expected cost includes images only for sections that require
+         * one; the high cost also includes optional images. Options are
+         * imagesEnabled and calibration, the tokens, cost and minutes factors
+         * from Estimate_Calibration.
+         */
+        estimateSection: function(section, options) {
+            const pricing = this.getPricing();
+            const imagesEnabled = !options || options.imagesEnabled !== false;
+            const retrieves = (section.mode || 'hybrid') !== 'generative';
+            const cites = retrieves && !!section.citations;
+            const image = imagesEnabled ? (section.image || 'none') : 'none';
+            const words = parseInt(section.words, 10) || 0;
+
+            const inputTokens = pricing.section_prompt_tokens +
+                (retrieves ? pricing.retrieval_context_tokens : 0) +
+                (cites ? pricing.citation_prompt_tokens : 0);
+
+            const output = share => Math.ceil(words * share * pricing.tokens_per_word) +
+                (cites ? pricing.citation_output_tokens : 0);
+
+            const outputTokens = {
+                low: output(pricing.output_range[0]),
+                expected: output(1),
+                high: output(pricing.output_range[1])
+            };
+
+            const retrievalCost = retrieves ? pricing.retrieval_cost : 0;
+            const imageCost = image === 'required' ? pricing.image_cost : 0;
+            const withImage = image === 'required' ? pricing.image_prompt_tokens : 0;
+            const highImage = image === 'none' ? 0 : pricing.image_prompt_tokens;
+
+            return this.calibrate({
+                image: image,
+                input_tokens: inputTokens + withImage,
+                output_tokens: outputTokens,
+                tokens: inputTokens + withImage + outputTokens.expected,
+                image_cost: imageCost,
+                retrieval_cost: retrievalCost,
+                cost: {
+                    low: round(this.tokenCost(inputTokens + withImage, outputTokens.low) + imageCost + retrievalCost),
+                    expected: round(this.tokenCost(inputTokens + withImage, outputTokens.expected) + imageCost + retrievalCost),
+                    high: round(this.tokenCost(inputTokens + highImage, outputTokens.high) + (image === 'none' ? 0 : pricing.image_cost) + retrievalCost)
+                },
+                minutes: words / pricing.words_per_minute + (image === 'required' ? pricing.image_minutes : 0)
+            }, options && options.calibration);
+        },
+
+        /**
+         * Apply correction factors to a section estimate
+         */
+        calibrate: function(estimate, calibration) {
+            const factors = this.getFactors(calibration);
+
+            estimate.tokens = Math.round(estimate.tokens * factors.tokens);
+            estimate.minutes = estimate.minutes * factors.minutes;
+            Object.keys(estimate.cost).forEach(key => {
+                estimate.cost[key] = round(estimate.cost[key] * factors.cost);
+            });
+
+            return estimate;
+        },
+
+        /**
+         * Fill in missing correction factors; localized numbers arrive as strings
+         */
+        getFactors: function(calibration) {
+            const factors = Object.assign({}, NO_CALIBRATION);
+
+            Object.keys(calibration || {}).forEach(key => {
+                factors[key] = parseFloat(calibration[key]) || 1;
+            });
+
+            return factors;
+        },
+
+        /**
+         * Estimate a list of sections, returning { sections, totals }
+         */
+        estimate: function(sections, options) {
+            const totals = {
+                tokens: 0,
+                image_cost: 0,
+                retrieval_cost: 0,
+                cost: { low: 0, expected: 0, high: 0 },
+                minutes: 0
+            };
+
+            const breakdown = (sections || []).map(section => {
+                const estimate = this.estimateSection(section, options);
+
+                totals.tokens += estimate.tokens;
+                totals.image_cost += estimate.image_cost;
+                totals.retrieval_cost += estimate.retrieval_cost;
+                totals.minutes += estimate.minutes;
+                Object.keys(totals.cost).forEach(key => {
+                    totals.cost[key] += estimate.cost[key];
+                });
+
+                return Object.assign({ id: section.id || '', heading: section.heading || '' }, estimate);
+            });
+
+            Object.keys(totals.cost).forEach(key => {
+                totals.cost[key] = round(totals.cost[key]);
+            });
+            totals.minutes = Math.max(1, Math.ceil(totals.minutes));
+
+            return { sections: breakdown, totals: totals, calibration: this.getFactors(options && options.calibration) };
+        },
+
+        /**
+         * Estimate blueprint sections with the blueprint's global settings
+         * and correction factors
+         */
+        estimateBlueprintSections: function(sections, globalSettings, calibration) {
+            const settings = globalSettings || {};
+            const mode = settings.generation_mode || 'hybrid';
+
+            return this.estimate((sections || []).map(section => ({
+                id: section.id || '',
+                heading: section.heading || '',
+                // Only a missing target defaults to 150, as in Cost_Estimator::estimate_blueprint_sections()
+                words: section.word_target === undefined || section.word_target === null ? 150 : parseInt(section.word_target, 10) || 0,
+                image: section.media_policy || 'optional',
+                citations: section.citations_required !== undefined ? !!section.citations_required : true,
+                mode: mode
+            })), { imagesEnabled: settings.image_generation_enabled !== false, calibration: calibration });
+        },
+
+        /**
+         * Format a cost range as "$0.0120 ($0.0100–$0.0150)"
+         */
+        formatRange: function(cost) {
+            const money = value => '$' + Number(value).toFixed(4);
+
+            return money(cost.expected) + ' (' + money(cost.low) + '–' + money(cost.high) + ')';
+        }
+    };
+
+    // Export for global access
+    window.AIComposer = window.AIComposer || {};
+    window.AIComposer.CostEstimator = CostEstimator;
+
+})(window);
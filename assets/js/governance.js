@@ -169,7 +169,7 @@
                         AIComposerGovernance.renderDiff(response.data);
                     } else {
                         $('#diff-content').html('<div class="notice notice-error"><p>' + 
-                            (response.data.message || aiComposerGovernance.strings.error) + '</p></div>');
+                            window.AIComposer.TemplateRenderer.escape(response.data.message || aiComposerGovernance.strings.error) + '</p></div>');
                     }
                 },
                 error: function() {
@@ -183,111 +183,72 @@
          * Render diff data
          */
         renderDiff: function(diffData) {
-            let html = '<div class="diff-viewer">';
-            
+            const view = {
+                summary: null,
+                recommendation: '',
+                parameter_changes: [],
+                section_diffs: [],
+                plugin_changes: []
+            };
+
             // Summary
             if (diffData.visualization_data) {
-                const summary = diffData.visualization_data.change_summary;
-                html += '<div class="diff-summary">';
-                html += '<h3>Change Summary</h3>';
-                html += '<div class="summary-stats">';
-                html += '<span class="stat">Total Changes: <strong>' + summary.total_changes + '</strong></span>';
-                html += '<span class="stat">Significant Changes: <strong>' + summary.significant_changes + '</strong></span>';
-                html += '<span class="stat">Plugin Changes: <strong>' + summary.plugin_changes + '</strong></span>';
-                html += '</div>';
-                
-                if (diffData.visualization_data.recommendation) {
-                    html += '<div class="diff-recommendation">';
-                    html += '<strong>Recommendation:</strong> ' + diffData.visualization_data.recommendation;
-                    html += '</div>';
-                }
-                html += '</div>';
+                view.summary = diffData.visualization_data.change_summary;
+                view.recommendation = diffData.visualization_data.recommendation || '';
             }
-            
+
             // Parameter changes
-            if (diffData.parameter_changes && Object.keys(diffData.parameter_changes).length > 0) {
-                html += '<div class="diff-section">';
-                html += '<h3>Parameter Changes</h3>';
-                html += '<table class="widefat">';
-                html += '<thead><tr><th>Parameter</th><th>From</th><th>To</th></tr></thead>';
-                html += '<tbody>';
-                
-                Object.keys(diffData.parameter_changes).forEach(function(param) {
-                    const change = diffData.parameter_changes[param];
-                    if (typeof change === 'object' && change.from !== undefined) {
-                        html += '<tr>';
-                        html += '<td>' + param + '</td>';
-                        html += '<td>' + AIComposerGovernance.formatValue(change.from) + '</td>';
-                        html += '<td>' + AIComposerGovernance.formatValue(change.to) + '</td>';
-                        html += '</tr>';
-                    }
-                });
-                
-                html += '</tbody></table>';
-                html += '</div>';
-            }
-            
+            Object.keys(diffData.parameter_changes || {}).forEach(function(param) {
+                const change = diffData.parameter_changes[param];
+                if (typeof change === 'object' && change.from !== undefined) {
+                    view.parameter_changes.push({
+                        parameter: param,
+                        from: AIComposerGovernance.formatValue(change.from),
+                        to: AIComposerGovernance.formatValue(change.to)
+                    });
+                }
+            });
+
             // Section changes
-            if (diffData.section_diffs && diffData.section_diffs.length > 0) {
-                html += '<div class="diff-section">';
-                html += '<h3>Section Changes</h3>';
-                
-                diffData.section_diffs.forEach(function(section) {
-                    if (Object.keys(section.changes).length > 0) {
-                        html += '<div class="section-diff">';
-                        html += '<h4>Section: ' + section.section_id + '</h4>';
-                        
-                        Object.keys(section.changes).forEach(function(changeType) {
-                            const change = section.changes[changeType];
-                            html += '<div class="change-item">';
-                            html += '<strong>' + changeType.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) + ':</strong> ';
-                            
-                            if (typeof change === 'object' && change.from !== undefined) {
-                                html += AIComposerGovernance.formatValue(change.from) + ' → ' + AIComposerGovernance.formatValue(change.to);
-                                if (change.reason) {
-                                    html += ' (' + change.reason + ')';
-                                }
-                            } else {
-                                html += AIComposerGovernance.formatValue(change);
-                            }
-                            
-                            html += '</div>';
-                        });
-                        
-                        html += '</div>';
-                    }
-                });
-                
-                html += '</div>';
-            }
-            
+            (diffData.section_diffs || []).forEach(function(section) {
+                const changes = AIComposerGovernance.formatChanges(section.changes);
+                if (changes.length > 0) {
+                    view.section_diffs.push({ section_id: section.section_id, changes: changes });
+                }
+            });
+
             // Plugin changes
-            if (diffData.plugin_availability_changes && Object.keys(diffData.plugin_availability_changes).length > 0) {
-                html += '<div class="diff-section">';
-                html += '<h3>Plugin Changes</h3>';
-                
-                Object.keys(diffData.plugin_availability_changes).forEach(function(plugin) {
-                    const changes = diffData.plugin_availability_changes[plugin];
-                    html += '<div class="plugin-diff">';
-                    html += '<h4>' + plugin + '</h4>';
-                    
-                    Object.keys(changes.changes).forEach(function(changeType) {
-                        const change = changes.changes[changeType];
-                        html += '<div class="change-item">';
-                        html += '<strong>' + changeType.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) + ':</strong> ';
-                        html += AIComposerGovernance.formatValue(change);
-                        html += '</div>';
-                    });
-                    
-                    html += '</div>';
+            Object.keys(diffData.plugin_availability_changes || {}).forEach(function(plugin) {
+                view.plugin_changes.push({
+                    plugin: plugin,
+                    changes: AIComposerGovernance.formatChanges(diffData.plugin_availability_changes[plugin].changes)
                 });
-                
-                html += '</div>';
-            }
-            
-            html += '</div>';
-            
-            $('#diff-content').html(html);
+            });
+
+            $('#diff-content').html(window.AIComposer.TemplateRenderer.renderElement('governance-diff-template', view));
+        },
+
+        /**
+         * Format a change map into labelled rows for the diff template
+         */
+        formatChanges: function(changes) {
+            return Object.keys(changes || {}).map(function(changeType) {
+                const change = changes[changeType];
+                const row = {
+                    label: changeType.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+                    is_transition: typeof change === 'object' && change !== null && change.from !== undefined
+                };
+
+                if (row.is_transition) {
+                    row.from = AIComposerGovernance.formatValue(change.from);
+                    row.to = AIComposerGovernance.formatValue(change.to);
+                    row.reason = change.reason || '';
+                } else {
+                    row.value = AIComposerGovernance.formatValue(change);
+                }
+
+                return row;
+            });
         },
 
         /**
@@ -312,7 +273,7 @@
                         AIComposerGovernance.renderPreview(response.data);
                     } else {
                         $('#preview-content').html('<div class="notice notice-error"><p>' + 
-                            (response.data.message || aiComposerGovernance.strings.error) + '</p></div>');
+                            window.AIComposer.TemplateRenderer.escape(response.data.message || aiComposerGovernance.strings.error) + '</p></div>');
                     }
                 },
                 error: function() {
@@ -411,57 +372,27 @@
          * Render preview data
          */
         renderPreview: function(previewData) {
-            let html = '<div class="rerun-preview">';
-            
-            if (previewData.can_proceed) {
-                html += '<div class="notice notice-success"><p>Re-run is ready to proceed</p></div>';
-            } else {
-                html += '<div class="notice notice-error"><p>Re-run cannot proceed</p></div>';
-            }
-            
-            // Parameter adaptations
-            if (previewData.parameter_adaptations && previewData.parameter_adaptations.length > 0) {
-                html += '<h4>Parameter Adaptations</h4>';
-                html += '<ul>';
-                previewData.parameter_adaptations.forEach(function(adaptation) {
-                    html += '<li><strong>' + adaptation.parameter + ':</strong> ' + 
-                           adaptation.original + ' → ' + adaptation.adapted + 
-                           ' (' + adaptation.reason + ')</li>';
-                });
-                html += '</ul>';
-            }
-            
-            // Plugin fallbacks
-            if (previewData.plugin_fallbacks && Object.keys(previewData.plugin_fallbacks).length > 0) {
-                html += '<h4>Plugin Fallbacks</h4>';
-                html += '<ul>';
-                Object.keys(previewData.plugin_fallbacks).forEach(function(original) {
-                    const fallback = previewData.plugin_fallbacks[original];
-                    html += '<li>' + original + ' → ' + fallback + '</li>';
-                });
-                html += '</ul>';
-            }
-            
-            // Warnings
-            if (previewData.warnings && previewData.warnings.length > 0) {
-                html += '<h4>Warnings</h4>';
-                html += '<ul>';
-                previewData.warnings.forEach(function(warning) {
-                    html += '<li class="warning">' + warning + '</li>';
-                });
-                html += '</ul>';
-            }
-            
-            // Estimated cost
-            if (previewData.estimated_cost) {
-                html += '<div class="estimated-cost">';
-                html += '<strong>Estimated Cost:</strong> $' + parseFloat(previewData.estimated_cost).toFixed(4);
-                html += '</div>';
-            }
-            
-            html += '</div>';
-            
-            $('#preview-content').html(html);
+            const fallbacks = previewData.plugin_fallbacks || {};
+            const CostEstimator = window.AIComposer.CostEstimator;
+            const estimate = previewData.estimator_sections
+                ? CostEstimator.estimate(previewData.estimator_sections, { calibration: previewData.calibration })
+                : previewData.cost_estimate;
+
+            $('#preview-content').html(window.AIComposer.TemplateRenderer.renderElement('governance-rerun-preview-template', {
+                can_proceed: previewData.can_proceed,
+                parameter_adaptations: previewData.parameter_adaptations || [],
+                plugin_fallbacks: Object.keys(fallbacks).map(function(original) {
+                    return { original: original, fallback: fallbacks[original] };
+                }),
+                warnings: previewData.warnings || [],
+                estimated_cost: estimate && estimate.sections.length ? CostEstimator.formatRange(estimate.totals.cost) : '',
+                original_cost: previewData.original_cost ? parseFloat(previewData.original_cost).toFixed(4) : '',
+                cost_sections: estimate ? estimate.sections.map(section => ({
+                    heading: section.heading || section.id,
+                    tokens: section.tokens.toLocaleString(),
+                    cost: CostEstimator.formatRange(section.cost)
+                })) : []
+            }));
         },
 
         /**
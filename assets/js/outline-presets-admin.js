@@ -0,0 +1,216 @@
+/**
+ * Outline Presets Admin JavaScript
+ *
+ * Manages personal and sitewide outline form presets from the Outline Presets
+ * settings panel.
+ *
+ * @package AIPageComposer
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Outline Presets Admin Handler
+     */
+    const OutlinePresetsAdmin = {
+        /**
+         * Presets available to the current user
+         */
+        presets: [],
+
+        /**
+         * Initialize the handler
+         */
+        init: function() {
+            if (!$('#outline-presets-panel').length) {
+                return;
+            }
+
+            this.bindEvents();
+            this.loadPresets();
+        },
+
+        /**
+         * Bind UI events
+         */
+        bindEvents: function() {
+            $('.add-outline-preset').on('click', () => this.openEditor(null));
+            $(document).on('click', '.edit-outline-preset', this.handleEdit.bind(this));
+            $(document).on('click', '.delete-outline-preset', this.handleDelete.bind(this));
+            $('.save-outline-preset-edit').on('click', this.savePreset.bind(this));
+            $('.cancel-outline-preset-edit').on('click', this.closeEditor.bind(this));
+        },
+
+        /**
+         * Load presets
+         */
+        loadPresets: async function() {
+            try {
+                this.presets = await wp.apiFetch({
+                    path: '/ai-composer/v1/outline-presets'
+                });
+                this.renderPresets();
+            } catch (error) {
+                this.showNotice('Failed to load outline presets: ' + (error.message || 'Unknown error'), 'error');
+            }
+        },
+
+        /**
+         * Render the preset table
+         */
+        renderPresets: function() {
+            const html = window.AIComposer.TemplateRenderer.renderElement('outline-preset-list-template', {
+                presets: this.presets.map(preset => $.extend({}, preset, {
+                    scope_label: preset.scope === 'site' ? 'Everyone' : 'Only me',
+                    namespaces: ((preset.form_data.mvdb_params || {}).namespaces || []).join(', '),
+                    editable: preset.scope !== 'site' || aiComposerOutlinePresets.canManageSite
+                }))
+            });
+
+            $('#outline-preset-list').html(html);
+        },
+
+        /**
+         * Get the preset for a table row
+         */
+        getRowPreset: function(e) {
+            const presetId = $(e.target).closest('tr').data('preset-id');
+            return this.presets.find(preset => preset.id === presetId) || null;
+        },
+
+        /**
+         * Handle edit click
+         */
+        handleEdit: function(e) {
+            this.openEditor(this.getRowPreset(e));
+        },
+
+        /**
+         * Open the preset editor
+         */
+        openEditor: function(preset) {
+            const formData = preset ? preset.form_data : {};
+            const mvdb = formData.mvdb_params || {};
+
+            $('.preset-editor-title').text(preset ? 'Edit Preset' : 'Add Preset');
+            $('#preset-id').val(preset ? preset.id : '');
+            $('#preset-name').val(preset ? preset.name : '');
+            $('#preset-scope').val(preset ? preset.scope : 'user');
+            $('#preset-brief').val(formData.brief || '');
+            $('#preset-audience').val(formData.audience || '');
+            $('#preset-tone').val(formData.tone || 'professional');
+            $('#preset-namespaces').val((mvdb.namespaces || []).join(', '));
+            $('#preset-k').val(mvdb.k || 10);
+            $('#preset-min-score').val(mvdb.min_score !== undefined ? mvdb.min_score : 0.5);
+            $('#preset-alpha').val(formData.alpha !== undefined ? formData.alpha : 0.7);
+
+            $('#outline-preset-editor').show();
+            $('#preset-name').focus();
+        },
+
+        /**
+         * Close the preset editor
+         */
+        closeEditor: function() {
+            $('#outline-preset-editor').hide();
+        },
+
+        /**
+         * Collect preset data from the editor
+         */
+        collectPreset: function() {
+            const formData = {
+                brief: $('#preset-brief').val().trim(),
+                audience: $('#preset-audience').val().trim(),
+                tone: $('#preset-tone').val(),
+                alpha: parseFloat($('#preset-alpha').val()) || 0.7
+            };
+
+            const namespaces = $('#preset-namespaces').val().trim();
+            if (namespaces) {
+                formData.mvdb_params = {
+                    namespaces: namespaces.split(',').map(ns => ns.trim()).filter(ns => ns),
+                    k: parseInt($('#preset-k').val()) || 10,
+                    min_score: parseFloat($('#preset-min-score').val()) || 0.5
+                };
+            }
+
+            return {
+                name: $('#preset-name').val().trim(),
+                scope: $('#preset-scope').val(),
+                form_data: formData
+            };
+        },
+
+        /**
+         * Create or update the preset in the editor
+         */
+        savePreset: async function() {
+            const presetId = $('#preset-id').val();
+            const data = this.collectPreset();
+
+            if (!data.name) {
+                this.showNotice('Preset name is required.', 'error');
+                $('#preset-name').focus();
+                return;
+            }
+
+            try {
+                await wp.apiFetch({
+                    path: '/ai-composer/v1/outline-presets' + (presetId ? '/' + presetId : ''),
+                    method: presetId ? 'PUT' : 'POST',
+                    data: data
+                });
+
+                this.closeEditor();
+                this.showNotice('Preset saved.', 'success');
+                this.loadPresets();
+            } catch (error) {
+                this.showNotice('Failed to save preset: ' + (error.message || 'Unknown error'), 'error');
+            }
+        },
+
+        /**
+         * Delete a preset
+         */
+        handleDelete: async function(e) {
+            const preset = this.getRowPreset(e);
+
+            if (!preset || !window.confirm('Delete the preset "' + preset.name + '"?')) {
+                return;
+            }
+
+            try {
+                await wp.apiFetch({
+                    path: '/ai-composer/v1/outline-presets/' + preset.id,
+                    method: 'DELETE'
+                });
+
+                this.loadPresets();
+            } catch (error) {
+                this.showNotice('Failed to delete preset: ' + (error.message || 'Unknown error'), 'error');
+            }
+        },
+
+        /**
+         * Show a notice above the preset table
+         */
+        showNotice: function(message, type) {
+            const $notice = $('<div class="notice is-dismissible"><p></p></div>')
+                .addClass('notice-' + type)
+                .find('p').text(message).end();
+
+            $('#outline-presets-panel .outline-preset-notice').remove();
+            $notice.addClass('outline-preset-notice').insertBefore('#outline-preset-list');
+
+            setTimeout(() => $notice.fadeOut(), 5000);
+        }
+    };
+
+    // Initialize when document is ready
+    $(document).ready(function() {
+        OutlinePresetsAdmin.init();
+    });
+
+})(jQuery);
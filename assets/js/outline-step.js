@@ -23,13 +23,140 @@
          */
         outlineData: null,
 
+        /**
+         * Cost of single-section regenerations since the last full generation
+         */
+        partialCost: 0,
+
+        /**
+         * Abort controller of the outline stream in progress
+         */
+        streamController: null,
+
+        /**
+         * State of the outline stream in progress
+         */
+        streamState: null,
+
+        /**
+         * Outline form presets available to the current user
+         */
+        presets: [],
+
+        /**
+         * IDs of retrieved chunks left out of the next generation
+         */
+        excludedChunks: [],
+
+        /**
+         * Undo/redo history of outline edits
+         */
+        history: null,
+
+        /**
+         * Sections as of the last recorded edit, used as the undo state
+         */
+        committedSections: [],
+
+        /**
+         * Numbered outline versions for this wizard session
+         */
+        versions: [],
+
+        /**
+         * Number of the version currently displayed
+         */
+        currentVersion: 0,
+
+        /**
+         * Maximum number of versions kept in session storage
+         */
+        maxVersions: 50,
+
+        /**
+         * Section types available in the section editor
+         */
+        sectionTypes: ['hero', 'content', 'testimonial', 'pricing', 'team', 'faq', 'cta'],
+
+        /**
+         * Default core blocks by section type (mirrors Outline_Controller)
+         */
+        defaultCoreBlocks: {
+            hero: 'core/cover',
+            content: 'core/paragraph',
+            testimonial: 'core/quote',
+            pricing: 'core/table',
+            team: 'core/media-text',
+            faq: 'core/details',
+            cta: 'core/buttons'
+        },
+
+        /**
+         * Fields offered by the retrieval filter builder (mirrors MVDB_Filters)
+         */
+        filterFields: {
+            post_date: { label: 'Publish date', type: 'date' },
+            post_modified: { label: 'Last modified', type: 'date' },
+            post_author: { label: 'Author ID', type: 'integer' },
+            post_type: { label: 'Content type', type: 'key' },
+            category: { label: 'Category', type: 'text' },
+            language: { label: 'Language', type: 'key' },
+            license: { label: 'License', type: 'key' },
+            meta: { label: 'Custom metadata', type: 'text' }
+        },
+
+        /**
+         * Operators allowed per filter field type (mirrors MVDB_Filters)
+         */
+        filterOperators: {
+            date: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte'],
+            integer: ['eq', 'neq', 'in', 'gt', 'gte', 'lt', 'lte'],
+            key: ['eq', 'neq', 'in'],
+            text: ['eq', 'neq', 'in', 'contains']
+        },
+
+        /**
+         * Filter operator labels
+         */
+        operatorLabels: {
+            eq: 'is',
+            neq: 'is not',
+            gt: 'greater than / after',
+            gte: 'at least / on or after',
+            lt: 'less than / before',
+            lte: 'at most / on or before',
+            contains: 'contains',
+            in: 'is one of'
+        },
+
+        /**
+         * Starting points for manually inserted sections
+         */
+        sectionTemplates: {
+            blank: { label: 'Blank section', heading: 'New Section', type: 'content', targetWords: 150, needsImage: false, subheadings: [] },
+            hero: { label: 'Hero', heading: 'Introduction', type: 'hero', targetWords: 100, needsImage: true, subheadings: ['Key Benefits', 'Get Started Today'] },
+            content: { label: 'Content', heading: 'Key Insights', type: 'content', targetWords: 300, needsImage: false, subheadings: ['Core Concepts', 'Best Practices'] },
+            testimonial: { label: 'Testimonials', heading: 'What Our Clients Say', type: 'testimonial', targetWords: 150, needsImage: true, subheadings: ['Customer Feedback'] },
+            faq: { label: 'FAQ', heading: 'Frequently Asked Questions', type: 'faq', targetWords: 250, needsImage: false, subheadings: ['Getting Started', 'Billing & Support'] },
+            cta: { label: 'Call to Action', heading: 'Ready to Get Started?', type: 'cta', targetWords: 100, needsImage: false, subheadings: ['Next Steps'] }
+        },
+
         /**
          * Initialize the outline step
          */
         init: function() {
+            this.history = window.AIComposer.CommandHistory.create({
+                scope: '#outline-results',
+                undoButton: '#outline-undo',
+                redoButton: '#outline-redo'
+            });
+
             this.bindEvents();
+            this.initSortable();
             this.initCharCounter();
             this.initRangeValues();
+            this.loadVersions();
+            this.loadPresets();
         },
 
         /**
@@ -48,6 +175,9 @@
             // Range value updates
             $('.form-range').on('input', this.updateRangeValue.bind(this));
 
+            // Cancel streaming generation
+            $('#cancel-outline-btn').on('click', this.cancelGeneration.bind(this));
+
             // Regenerate outline
             $('#regenerate-outline').on('click', this.regenerateOutline.bind(this));
 
@@ -57,12 +187,69 @@
             // Section actions
             $(document).on('click', '.edit-section', this.editSection.bind(this));
             $(document).on('click', '.remove-section', this.removeSection.bind(this));
+            $(document).on('click', '.regenerate-section', this.regenerateSection.bind(this));
+            $(document).on('click', '.lock-section', this.toggleSectionLock.bind(this));
+
+            // Per-section controls
+            $(document).on('input', '.section-word-target', this.previewSectionControls.bind(this));
+            $(document).on('change', '.section-word-target, .section-tone, .section-needs-image', this.commitSectionControls.bind(this));
+
+            // Section editor actions
+            $(document).on('click', '.save-section-edit', this.saveSectionEdit.bind(this));
+            $(document).on('click', '.cancel-section-edit', this.cancelSectionEdit.bind(this));
+            $(document).on('click', '.add-subheading', this.addSubheadingField.bind(this));
+            $(document).on('click', '.remove-subheading', this.removeSubheadingField.bind(this));
+            $(document).on('keydown', '.section-editor', this.handleEditorKeydown.bind(this));
+
+            // Section ordering and insertion
+            $(document).on('click', '.move-section-up', this.moveSectionUp.bind(this));
+            $(document).on('click', '.move-section-down', this.moveSectionDown.bind(this));
+            $(document).on('keydown', '.outline-section', this.handleSectionKeydown.bind(this));
+            $(document).on('click', '.insert-section', this.toggleInsertMenu.bind(this));
+            $(document).on('click', '.confirm-insert-section', this.handleInsertSection.bind(this));
+            $(document).on('click', '.cancel-insert-section', this.closeInsertMenu.bind(this));
+
+            // Retrieval filter builder
+            $('.add-filter-group').on('click', this.addFilterGroup.bind(this));
+            $(document).on('click', '.add-filter-condition', this.addFilterCondition.bind(this));
+            $(document).on('click', '.remove-filter-group', this.removeFilterGroup.bind(this));
+            $(document).on('click', '.remove-filter-condition', this.removeFilterCondition.bind(this));
+            $(document).on('change', '.filter-field', () => this.renderFilters(this.readFilterGroups()));
+            $('.test-mvdb-query').on('click', this.testMvdbQuery.bind(this));
+
+            // Retrieval context inspector
+            $(document).on('click', '.toggle-section-context', this.toggleSectionContext.bind(this));
+            $(document).on('click', '.exclude-chunk', this.toggleChunkExclusion.bind(this));
+            $(document).on('click', '.regenerate-without-excluded', this.regenerateOutline.bind(this));
+
+            // Form presets
+            $('#outline-preset').on('change', this.handlePresetChange.bind(this));
+            $('.save-outline-preset').on('click', this.saveAsPreset.bind(this));
+
+            // Version history
+            $(document).on('click', '.restore-version', this.handleRestoreVersion.bind(this));
+            $('#compare-versions').on('click', this.handleCompareVersions.bind(this));
 
             // Step navigation
             $('.prev-step').on('click', this.goToPreviousStep.bind(this));
             $('.next-step').on('click', this.goToNextStep.bind(this));
         },
 
+        /**
+         * Initialize drag and drop section ordering
+         */
+        initSortable: function() {
+            if ($.fn.sortable) {
+                $('#outline-sections-container').sortable({
+                    handle: '.section-drag-handle',
+                    items: '.outline-section',
+                    placeholder: 'outline-section-placeholder',
+                    tolerance: 'pointer',
+                    update: () => this.updateOutlineData('Reordered sections')
+                });
+            }
+        },
+
         /**
          * Initialize character counter
          */
@@ -169,7 +356,12 @@
          */
         generateOutline: function() {
             const formData = this.getFormData();
-            
+
+            if (this.supportsStreaming()) {
+                this.streamOutline(formData);
+                return;
+            }
+
             this.setLoading(true);
             this.hideError();
 
@@ -186,6 +378,197 @@
             });
         },
 
+        /**
+         * Check whether the browser can read streamed responses
+         */
+        supportsStreaming: function() {
+            return typeof window.AbortController === 'function' &&
+                typeof window.TextDecoder === 'function' &&
+                typeof window.ReadableStream === 'function';
+        },
+
+        /**
+         * Generate outline via the streaming endpoint, rendering sections as they arrive
+         */
+        streamOutline: function(formData) {
+            const controller = new AbortController();
+
+            this.streamController = controller;
+            this.streamState = { total: 0, received: 0, finished: false };
+
+            this.setLoading(true);
+            this.hideError();
+            this.updateStreamCounters(0, 0);
+            $('.stream-counters').show();
+            $('#cancel-outline-btn').show();
+
+            wp.apiFetch({
+                path: '/ai-composer/v1/outline/stream',
+                method: 'POST',
+                data: formData,
+                parse: false,
+                signal: controller.signal
+            }).then(response => {
+                return this.readStream(response, this.handleStreamEvent.bind(this));
+            }).then(() => {
+                if (!this.streamState.finished) {
+                    this.handleStreamFailure({ message: 'The outline stream ended unexpectedly. Please try again.' });
+                }
+            }).catch(error => {
+                if (error && error.name === 'AbortError') {
+                    this.handleStreamCancelled();
+                } else if (error && typeof error.json === 'function') {
+                    // Non-2xx responses are rejected with the raw Response
+                    return error.json()
+                        .then(body => this.handleStreamFailure(body))
+                        .catch(() => this.handleStreamFailure({}));
+                } else {
+                    this.handleStreamFailure(error);
+                }
+            }).finally(() => {
+                this.streamController = null;
+                this.setLoading(false);
+                $('#cancel-outline-btn').hide();
+                $('#outline-sections-container').removeClass('is-streaming');
+            });
+        },
+
+        /**
+         * Read newline-delimited JSON events from a streamed response
+         */
+        readStream: function(response, onEvent) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            const emitLines = () => {
+                let newline;
+                while ((newline = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newline).trim();
+                    buffer = buffer.slice(newline + 1);
+
+                    if (line) {
+                        onEvent(JSON.parse(line));
+                    }
+                }
+            };
+
+            const pump = () => reader.read().then(result => {
+                buffer += decoder.decode(result.value || new Uint8Array(), { stream: !result.done });
+                emitLines();
+
+                if (result.done) {
+                    if (buffer.trim()) {
+                        onEvent(JSON.parse(buffer));
+                    }
+                    return;
+                }
+
+                return pump();
+            });
+
+            return pump();
+        },
+
+        /**
+         * Handle a single outline stream event
+         */
+        handleStreamEvent: function(event) {
+            const $container = $('#outline-sections-container');
+
+            switch (event.event) {
+                case 'status':
+                    if (event.status === 'retrieving') {
+                        $('.stream-progress').text('Retrieving knowledge base context…');
+                    }
+                    break;
+
+                case 'start':
+                case 'reset':
+                    this.streamState.total = event.sections || this.streamState.total;
+                    this.streamState.received = 0;
+                    $container.empty().addClass('is-streaming');
+                    $('.generation-mode').text(event.mode || 'stub');
+                    $('#outline-results').show();
+                    this.updateStreamCounters(0, 0);
+
+                    if (event.event === 'reset' && event.message) {
+                        this.announce(event.message);
+                    }
+                    break;
+
+                case 'progress':
+                    this.updateStreamCounters(event.tokens, event.cost);
+                    break;
+
+                case 'section':
+                    $container.append(this.renderSection(event.section));
+                    this.streamState.received = event.index + 1;
+                    this.updateStreamCounters(event.tokens, event.cost);
+                    break;
+
+                case 'done':
+                    this.streamState.finished = true;
+                    $container.removeClass('is-streaming');
+                    this.handleOutlineResponse(event.outline);
+                    break;
+
+                case 'error':
+                    this.streamState.finished = true;
+                    this.handleStreamFailure(event);
+                    break;
+            }
+        },
+
+        /**
+         * Update the live token and cost counters
+         */
+        updateStreamCounters: function(tokens, cost) {
+            const state = this.streamState || { total: 0, received: 0 };
+
+            $('.stream-tokens').text(tokens || 0);
+            $('.stream-cost').text((cost || 0).toFixed(4));
+            $('.stream-progress').text(state.total ? state.received + ' / ' + state.total + ' sections' : 'Starting…');
+        },
+
+        /**
+         * Cancel the outline generation in progress
+         */
+        cancelGeneration: function() {
+            if (this.streamController) {
+                this.streamController.abort();
+            }
+        },
+
+        /**
+         * Put the previous outline back after a cancelled stream
+         */
+        handleStreamCancelled: function() {
+            this.restoreDisplayedOutline();
+            $('.stream-counters').hide();
+            this.announce('Outline generation cancelled.');
+        },
+
+        /**
+         * Report a stream error and put the previous outline back
+         */
+        handleStreamFailure: function(error) {
+            this.restoreDisplayedOutline();
+            this.handleOutlineError(error || {});
+        },
+
+        /**
+         * Re-render the current outline, or hide the results if there is none
+         */
+        restoreDisplayedOutline: function() {
+            if (this.outlineData) {
+                this.displayOutline(this.outlineData);
+            } else {
+                $('#outline-sections-container').empty();
+                $('#outline-results').hide();
+            }
+        },
+
         /**
          * Get form data for API request
          */
@@ -204,7 +587,8 @@
                     namespaces: namespaces.split(',').map(ns => ns.trim()).filter(ns => ns),
                     k: parseInt($('#search-results').val()) || 10,
                     min_score: parseFloat($('#min-score').val()) || 0.5,
-                    filters: {}
+                    filters: this.getFilters(),
+                    exclude_chunks: this.excludedChunks.slice()
                 };
             }
 
@@ -215,176 +599,1548 @@
         },
 
         /**
-         * Handle successful outline response
+         * Read filter groups from the builder, including incomplete conditions
          */
-        handleOutlineResponse: function(response) {
-            this.outlineData = response;
-            this.displayOutline(response);
-            this.updateCostEstimate(response.estimated_cost || 0);
-            this.enableNextStep();
-        },
+        readFilterGroups: function() {
+            const groups = [];
 
-        /**
-         * Handle outline generation error
-         */
-        handleOutlineError: function(error) {
-            console.error('Outline generation error:', error);
-            
-            let message = 'Failed to generate outline. Please try again.';
-            if (error.message) {
-                message = error.message;
-            } else if (error.responseJSON && error.responseJSON.message) {
-                message = error.responseJSON.message;
-            }
-            
-            this.showError(message);
-        },
+            $('#mvdb-filter-groups .mvdb-filter-group').each((groupIndex, group) => {
+                const conditions = [];
 
-        /**
-         * Display generated outline
-         */
-        displayOutline: function(data) {
-            const $container = $('#outline-sections-container');
-            $container.empty();
+                $(group).find('.mvdb-filter-condition').each((conditionIndex, condition) => {
+                    const $condition = $(condition);
+                    const field = $condition.find('.filter-field').val();
+                    const metaKey = ($condition.find('.filter-meta-key').val() || '').trim();
 
-            // Update meta information
-            $('.total-words').text(data.total_words + ' words');
-            $('.estimated-time').text(data.estimated_time + ' minutes');
-            $('.generation-mode').text(data.mode || 'stub');
+                    conditions.push({
+                        field: field === 'meta' ? 'meta.' + metaKey : field,
+                        operator: $condition.find('.filter-operator').val(),
+                        value: $condition.find('.filter-value').val().trim()
+                    });
+                });
 
-            // Render sections
-            data.sections.forEach(section => {
-                const $section = this.renderSection(section);
-                $container.append($section);
+                groups.push({
+                    match: $(group).find('.filter-group-match').val(),
+                    conditions: conditions
+                });
             });
 
-            // Show results
-            $('#outline-results').show();
-            
-            // Scroll to results
-            $('html, body').animate({
-                scrollTop: $('#outline-results').offset().top - 100
-            }, 500);
+            return {
+                match: $('#mvdb-filter-match').val(),
+                groups: groups
+            };
         },
 
         /**
-         * Render a single section
+         * Get complete filter groups for mvdb_params.filters
          */
-        renderSection: function(section) {
-            const template = $('#outline-section-template').html();
-            
-            // Prepare template data
-            const templateData = {
-                id: section.id,
-                heading: section.heading,
-                type: section.type,
-                targetWords: section.targetWords,
-                imageText: section.needsImage ? 'Image required' : 'No image',
-                subheadings: section.subheadings || [],
-                block_preference: section.block_preference
-            };
+        getFilters: function() {
+            const filters = this.readFilterGroups();
 
-            // Simple template replacement (in a real app, you might use a template engine)
-            let html = template;
-            html = html.replace(/\{\{id\}\}/g, templateData.id);
-            html = html.replace(/\{\{heading\}\}/g, templateData.heading);
-            html = html.replace(/\{\{type\}\}/g, templateData.type);
-            html = html.replace(/\{\{targetWords\}\}/g, templateData.targetWords);
-            html = html.replace(/\{\{imageText\}\}/g, templateData.imageText);
-
-            // Handle subheadings
-            if (templateData.subheadings && templateData.subheadings.length > 0) {
-                const subheadingsList = templateData.subheadings.map(sh => `<li>${sh}</li>`).join('');
-                html = html.replace(/\{\{#if subheadings\}\}[\s\S]*?\{\{\/if\}\}/g, 
-                    `<div class="subheadings">
-                        <strong>Key Points:</strong>
-                        <ul>${subheadingsList}</ul>
-                    </div>`);
-            } else {
-                html = html.replace(/\{\{#if subheadings\}\}[\s\S]*?\{\{\/if\}\}/g, '');
-            }
+            filters.groups = filters.groups.map(group => ({
+                match: group.match,
+                conditions: group.conditions
+                    .filter(condition => condition.value !== '' && condition.field !== 'meta.')
+                    .map(condition => condition.operator === 'in'
+                        ? $.extend({}, condition, { value: condition.value.split(',').map(v => v.trim()).filter(v => v) })
+                        : condition)
+            })).filter(group => group.conditions.length);
 
-            // Handle block preferences
-            if (templateData.block_preference) {
-                const bp = templateData.block_preference;
-                let blockPrefHtml = `<div class="block-preferences">
-                    <strong>Block Recommendation:</strong>
-                    <span class="preferred-plugin">${bp.preferred_plugin}</span>
-                    <span class="primary-block">${bp.primary_block}</span>`;
-                
-                if (bp.pattern_preference) {
-                    blockPrefHtml += `<span class="pattern-preference">(${bp.pattern_preference})</span>`;
-                }
-                
-                blockPrefHtml += '</div>';
-                
-                html = html.replace(/\{\{#if block_preference\}\}[\s\S]*?\{\{\/if\}\}/g, blockPrefHtml);
-            } else {
-                html = html.replace(/\{\{#if block_preference\}\}[\s\S]*?\{\{\/if\}\}/g, '');
-            }
+            return filters.groups.length ? filters : {};
+        },
+
+        /**
+         * Build template data for a filter condition
+         */
+        buildFilterConditionData: function(condition) {
+            const isMeta = condition.field.indexOf('meta.') === 0;
+            const field = isMeta ? 'meta' : (this.filterFields[condition.field] ? condition.field : 'post_date');
+            const type = this.filterFields[field].type;
+            const operators = this.filterOperators[type];
+            const operator = operators.indexOf(condition.operator) !== -1 ? condition.operator : operators[0];
+            const value = Array.isArray(condition.value) ? condition.value.join(', ') : (condition.value || '');
 
-            return $(html);
+            return {
+                is_meta: isMeta,
+                meta_key: isMeta ? condition.field.slice(5) : '',
+                value: value,
+                input_type: type === 'date' && operator !== 'in' ? 'date' : 'text',
+                placeholder: operator === 'in' ? 'comma-separated values' : '',
+                fields: Object.keys(this.filterFields).map(key => ({
+                    value: key,
+                    label: this.filterFields[key].label,
+                    selected: key === field
+                })),
+                operators: operators.map(op => ({
+                    value: op,
+                    label: this.operatorLabels[op],
+                    selected: op === operator
+                }))
+            };
         },
 
         /**
-         * Regenerate outline
+         * Render the filter builder
          */
-        regenerateOutline: function() {
-            this.generateOutline();
+        renderFilters: function(filters) {
+            const renderer = window.AIComposer.TemplateRenderer;
+            const groups = (filters && filters.groups) || [];
+
+            $('#mvdb-filter-match').val(filters && filters.match === 'any' ? 'any' : 'all');
+            $('#mvdb-filter-groups').html(groups.map((group, index) => renderer.renderElement('mvdb-filter-group-template', {
+                number: index + 1,
+                match_all: group.match !== 'any',
+                conditions: group.conditions.map(condition => this.buildFilterConditionData(condition))
+            })).join(''));
         },
 
         /**
-         * Approve outline and move to next step
+         * Add a filter group with one empty condition
          */
-        approveOutline: function() {
-            if (this.outlineData) {
-                // Store outline data for next step
-                this.storeOutlineData();
-                this.goToNextStep();
-            }
+        addFilterGroup: function() {
+            const filters = this.readFilterGroups();
+
+            filters.groups.push({
+                match: 'all',
+                conditions: [{ field: 'post_date', operator: 'gte', value: '' }]
+            });
+
+            this.renderFilters(filters);
+            $('#mvdb-filter-groups .mvdb-filter-group').last().find('.filter-field').focus();
         },
 
         /**
-         * Store outline data for use in next steps
+         * Add a condition to a filter group
          */
-        storeOutlineData: function() {
-            // Store in session storage or trigger custom event
-            sessionStorage.setItem('ai_composer_outline', JSON.stringify(this.outlineData));
-            
-            // Trigger custom event for other components
-            $(document).trigger('ai_composer_outline_approved', [this.outlineData]);
+        addFilterCondition: function(e) {
+            const filters = this.readFilterGroups();
+            const index = $(e.target).closest('.mvdb-filter-group').index();
+
+            filters.groups[index].conditions.push({ field: 'post_type', operator: 'eq', value: '' });
+
+            this.renderFilters(filters);
+            $('#mvdb-filter-groups .mvdb-filter-group').eq(index).find('.filter-field').last().focus();
         },
 
         /**
-         * Edit section
+         * Remove a filter group
          */
-        editSection: function(e) {
-            const $section = $(e.target).closest('.outline-section');
-            const sectionId = $section.data('section-id');
-            
-            // In a full implementation, this would open an edit modal
-            console.log('Edit section:', sectionId);
+        removeFilterGroup: function(e) {
+            const filters = this.readFilterGroups();
+
+            filters.groups.splice($(e.target).closest('.mvdb-filter-group').index(), 1);
+            this.renderFilters(filters);
         },
 
         /**
-         * Remove section
+         * Remove a filter condition, and its group once empty
          */
-        removeSection: function(e) {
-            if (confirm('Are you sure you want to remove this section?')) {
-                const $section = $(e.target).closest('.outline-section');
-                $section.fadeOut(() => {
-                    $section.remove();
-                    this.updateOutlineData();
-                });
+        removeFilterCondition: function(e) {
+            const filters = this.readFilterGroups();
+            const $condition = $(e.target).closest('.mvdb-filter-condition');
+            const index = $condition.closest('.mvdb-filter-group').index();
+
+            filters.groups[index].conditions.splice($condition.index(), 1);
+            if (!filters.groups[index].conditions.length) {
+                filters.groups.splice(index, 1);
             }
+
+            this.renderFilters(filters);
         },
 
         /**
-         * Update outline data after modifications
+         * Run the retrieval query with the current filters and show the matches
          */
-        updateOutlineData: function() {
-            // Recalculate totals and update data
-            if (this.outlineData) {
+        testMvdbQuery: async function(e) {
+            const $button = $(e.target).closest('.test-mvdb-query');
+            const $results = $('#mvdb-test-results');
+            const formData = this.getFormData();
+            const mvdb = formData.mvdb_params || {};
+
+            if (formData.brief.length < 10) {
+                $results.text('Enter a content brief of at least 10 characters to test the query.').show();
+                return;
+            }
+
+            $button.prop('disabled', true);
+            $results.text('Searching the knowledge base...').show();
+
+            try {
+                const result = await wp.apiFetch({
+                    path: '/ai-composer/v1/retrieve',
+                    method: 'POST',
+                    data: {
+                        sectionId: 'section-filter-test',
+                        query: formData.brief.slice(0, 500),
+                        namespaces: mvdb.namespaces || ['content'],
+                        k: parseInt($('#search-results').val()) || 10,
+                        min_score: parseFloat($('#min-score').val()) || 0.5,
+                        filters: this.getFilters()
+                    }
+                });
+
+                $results.html(window.AIComposer.TemplateRenderer.renderElement('mvdb-test-results-template', $.extend({}, result, {
+                    chunks: (result.chunks || []).map(chunk => $.extend({}, chunk, { score: chunk.score.toFixed(3) }))
+                })));
+            } catch (error) {
+                $results.text('Test query failed: ' + (error.message || 'Unknown error'));
+            } finally {
+                $button.prop('disabled', false);
+            }
+        },
+
+        /**
+         * Fill the outline form from saved form data
+         */
+        applyFormData: function(formData) {
+            formData = formData || {};
+
+            $('#content-brief').val(formData.brief || '');
+            $('#target-audience').val(formData.audience || '');
+            if (formData.tone) {
+                $('#content-tone').val(formData.tone);
+            }
+
+            const mvdb = formData.mvdb_params || {};
+            $('#mvdb-namespaces').val((mvdb.namespaces || []).join(', '));
+            if (mvdb.k) {
+                $('#search-results').val(mvdb.k);
+            }
+            if (mvdb.min_score !== undefined) {
+                $('#min-score').val(mvdb.min_score);
+            }
+            if (formData.alpha !== undefined) {
+                $('#alpha-value').val(formData.alpha);
+            }
+            this.renderFilters(mvdb.filters || {});
+
+            this.updateCharCounter();
+            this.initRangeValues();
+        },
+
+        /**
+         * Show a previously saved outline without regenerating it
+         */
+        restoreOutline: function(outline) {
+            this.outlineData = JSON.parse(JSON.stringify(outline));
+            this.partialCost = 0;
+            this.excludedChunks = ((outline.retrieval && outline.retrieval.excluded) || []).slice();
+
+            this.displayOutline(this.outlineData);
+            this.updateCostEstimate(this.outlineData.estimated_cost || 0);
+            this.recordVersion('Resumed session');
+            this.enableNextStep();
+        },
+
+        /**
+         * Handle successful outline response
+         */
+        handleOutlineResponse: function(response) {
+            const locked = this.getLockedSections();
+
+            this.partialCost = 0;
+            this.outlineData = response;
+            this.excludedChunks = ((response.retrieval && response.retrieval.excluded) || []).slice();
+            this.mergeLockedSections(locked);
+
+            this.displayOutline(this.outlineData);
+            this.updateCostEstimate(this.outlineData.estimated_cost || 0);
+            this.recordVersion(locked.length ? 'Regenerated (locked sections kept)' : 'Generated');
+            this.enableNextStep();
+        },
+
+        /**
+         * Collect locked sections of the current outline with their positions
+         */
+        getLockedSections: function() {
+            if (!this.outlineData || !this.outlineData.sections) {
+                return [];
+            }
+
+            return this.outlineData.sections
+                .map((section, index) => ({ index: index, section: section }))
+                .filter(entry => entry.section.locked);
+        },
+
+        /**
+         * Put locked sections back at their previous positions in a fresh outline,
+         * in place of the sections generated for those slots
+         */
+        mergeLockedSections: function(locked) {
+            if (!locked.length) {
+                return;
+            }
+
+            const sections = this.outlineData.sections;
+            const lockedIds = locked.map(entry => entry.section.id);
+
+            // Keep locked IDs stable by renaming generated sections that clash with them
+            sections.forEach(section => {
+                if (lockedIds.indexOf(section.id) !== -1) {
+                    section.id = null;
+                }
+            });
+
+            locked.forEach(entry => {
+                if (entry.index < sections.length) {
+                    sections[entry.index] = entry.section;
+                } else {
+                    sections.push(entry.section);
+                }
+            });
+
+            sections.forEach(section => {
+                if (!section.id) {
+                    section.id = this.generateSectionId();
+                }
+            });
+
+            this.outlineData.total_words = sections.reduce((sum, s) => sum + s.targetWords, 0);
+            this.outlineData.estimated_time = Math.max(5, Math.floor(this.outlineData.total_words / 50));
+        },
+
+        /**
+         * Handle outline generation error
+         */
+        handleOutlineError: function(error) {
+            console.error('Outline generation error:', error);
+            
+            let message = 'Failed to generate outline. Please try again.';
+            if (error.message) {
+                message = error.message;
+            } else if (error.responseJSON && error.responseJSON.message) {
+                message = error.responseJSON.message;
+            }
+            
+            this.showError(message);
+        },
+
+        /**
+         * Display generated outline
+         */
+        displayOutline: function(data) {
+            const $container = $('#outline-sections-container');
+            $container.empty();
+
+            // Update meta information
+            $('.total-words').text(data.total_words + ' words');
+            $('.estimated-time').text(data.estimated_time + ' minutes');
+            $('.generation-mode').text(data.mode || 'stub');
+
+            // Render sections
+            data.sections.forEach(section => {
+                const $section = this.renderSection(section);
+                $container.append($section);
+            });
+
+            this.renderRetrieval(data.retrieval);
+            this.updateProjection();
+
+            // A newly displayed outline starts a fresh undo history
+            this.committedSections = this.snapshotSections();
+            this.history.clear();
+
+            // Show results
+            $('#outline-results').show();
+            
+            // Scroll to results
+            $('html, body').animate({
+                scrollTop: $('#outline-results').offset().top - 100
+            }, 500);
+        },
+
+        /**
+         * Render a single section
+         */
+        renderSection: function(section) {
+            const contextChunks = this.getSectionChunks(section);
+            const estimate = this.estimateSection(section);
+            const html = window.AIComposer.TemplateRenderer.renderElement('outline-section-template', {
+                id: section.id,
+                heading: section.heading,
+                type: section.type,
+                depth: section.depth || 0,
+                targetWords: section.targetWords,
+                needsImage: !!section.needsImage,
+                imageText: section.needsImage ? 'Image required' : 'No image',
+                tones: this.getToneOptions(section.tone),
+                tone_label: section.tone ? this.getToneLabel(section.tone) : '',
+                section_cost: this.formatEstimate(estimate),
+                subheadings: section.subheadings || [],
+                block_preference: section.block_preference,
+                context_chunks: contextChunks,
+                context_count: contextChunks.length
+            });
+
+            const $section = $(html);
+            this.applyLockState($section, !!section.locked);
+
+            return $section;
+        },
+
+        /**
+         * Get tone override options for a section, from the outline form
+         */
+        getToneOptions: function(selected) {
+            return $('#content-tone option').map(function() {
+                return { value: this.value, label: $(this).text().trim(), selected: this.value === selected };
+            }).get();
+        },
+
+        /**
+         * Get the display label of a tone
+         */
+        getToneLabel: function(tone) {
+            const option = this.getToneOptions(tone).find(o => o.selected);
+            return option ? option.label : tone;
+        },
+
+        /**
+         * Estimate tokens and cost of generating content for a section
+         */
+        estimateSection: function(section) {
+            return window.AIComposer.CostEstimator.estimateSection(this.getEstimatorInput(section), this.getEstimatorOptions());
+        },
+
+        /**
+         * Estimator options: the blueprint's correction factors from past runs
+         */
+        getEstimatorOptions: function() {
+            return { calibration: this.outlineData ? this.outlineData.calibration : null };
+        },
+
+        /**
+         * Describe an outline section the way the cost estimator expects
+         */
+        getEstimatorInput: function(section) {
+            return {
+                id: section.id,
+                heading: section.heading,
+                words: section.targetWords || 0,
+                image: section.needsImage ? 'required' : 'none',
+                citations: section.citations !== false,
+                mode: section.mode
+            };
+        },
+
+        /**
+         * Format a token and cost estimate for display
+         */
+        formatEstimate: function(estimate) {
+            return '~' + estimate.tokens + ' tokens · ' + window.AIComposer.CostEstimator.formatRange(estimate.cost);
+        },
+
+        /**
+         * Read the per-section controls into the section and refresh estimates
+         */
+        applySectionControls: function($section) {
+            const section = this.findSection($section.data('section-id'));
+
+            if (!section) {
+                return null;
+            }
+
+            section.targetWords = parseInt($section.find('.section-word-target').val(), 10) || section.targetWords;
+            section.needsImage = $section.find('.section-needs-image').is(':checked');
+            section.tone = $section.find('.section-tone').val() || undefined;
+
+            $section.find('.section-word-value').text(section.targetWords);
+            $section.find('.word-count').text(section.targetWords + ' words');
+            $section.find('.image-requirement').text(section.needsImage ? 'Image required' : 'No image');
+            $section.find('.section-tone-label').text(section.tone ? this.getToneLabel(section.tone) : '').toggle(!!section.tone);
+            $section.find('.section-cost').text(this.formatEstimate(this.estimateSection(section)));
+
+            this.refreshTotals();
+            return section;
+        },
+
+        /**
+         * Update estimates while a word target slider is being dragged
+         */
+        previewSectionControls: function(e) {
+            this.applySectionControls($(e.target).closest('.outline-section'));
+        },
+
+        /**
+         * Apply a finished section control change to the outline
+         */
+        commitSectionControls: function(e) {
+            if (this.applySectionControls($(e.target).closest('.outline-section'))) {
+                this.updateOutlineData('Adjusted section');
+            }
+        },
+
+        /**
+         * Get the retrieved chunks of the current outline, keyed by ID
+         */
+        getRetrievedChunks: function() {
+            const retrieval = (this.outlineData && this.outlineData.retrieval) || {};
+            const chunks = {};
+
+            (retrieval.chunks || []).forEach(chunk => {
+                chunks[chunk.id] = chunk;
+            });
+
+            return chunks;
+        },
+
+        /**
+         * Build template data for the chunks that likely relate to a section
+         */
+        getSectionChunks: function(section) {
+            const chunks = this.getRetrievedChunks();
+
+            return (section.context_chunks || [])
+                .filter(id => chunks[id])
+                .map(id => this.buildChunkData(chunks[id]));
+        },
+
+        /**
+         * Build template data for a single retrieved chunk
+         */
+        buildChunkData: function(chunk) {
+            const excluded = this.excludedChunks.indexOf(chunk.id) !== -1;
+
+            return $.extend({}, chunk, {
+                score: chunk.score.toFixed(3),
+                excluded: excluded,
+                toggle_label: excluded ? 'Include' : 'Exclude'
+            });
+        },
+
+        /**
+         * Render the retrieval summary with its score histogram
+         */
+        renderRetrieval: function(retrieval) {
+            const $panel = $('#outline-retrieval');
+            const chunks = (retrieval && retrieval.chunks) || [];
+
+            if (!chunks.length) {
+                $panel.empty().hide();
+                return;
+            }
+
+            const minScore = retrieval.min_score || 0;
+            const applied = retrieval.excluded || [];
+            const changed = this.excludedChunks.length !== applied.length ||
+                this.excludedChunks.some(id => applied.indexOf(id) === -1);
+            const wasOpen = $panel.find('.retrieval-chunks').prop('open');
+
+            $panel.html(window.AIComposer.TemplateRenderer.renderElement('outline-retrieval-template', {
+                stub: !!retrieval.stub,
+                total: chunks.length,
+                min_score: minScore.toFixed(2),
+                min_score_percent: Math.round(minScore * 100),
+                average_score: (chunks.reduce((sum, chunk) => sum + chunk.score, 0) / chunks.length).toFixed(3),
+                buckets: this.buildScoreHistogram(chunks, minScore),
+                excluded_count: this.excludedChunks.length,
+                has_changes: changed,
+                chunks: chunks.map(chunk => this.buildChunkData(chunk))
+            })).show();
+
+            $panel.find('.retrieval-chunks').prop('open', !!wasOpen);
+        },
+
+        /**
+         * Count chunk scores in ten buckets from 0.0 to 1.0
+         */
+        buildScoreHistogram: function(chunks, minScore) {
+            const counts = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+
+            chunks.forEach(chunk => {
+                counts[Math.max(0, Math.min(9, Math.floor(chunk.score * 10)))]++;
+            });
+
+            const max = Math.max.apply(null, counts) || 1;
+
+            return counts.map((count, index) => ({
+                label: (index / 10).toFixed(1) + '–' + ((index + 1) / 10).toFixed(1),
+                count: count,
+                height: Math.round(count / max * 100),
+                below: (index + 1) / 10 <= minScore
+            }));
+        },
+
+        /**
+         * Expand or collapse the retrieved chunks of a section
+         */
+        toggleSectionContext: function(e) {
+            const $button = $(e.target).closest('.toggle-section-context');
+            const expanded = $button.attr('aria-expanded') === 'true';
+
+            $button.attr('aria-expanded', expanded ? 'false' : 'true');
+            $button.closest('.outline-section').find('.section-context').prop('hidden', expanded);
+        },
+
+        /**
+         * Mark a retrieved chunk to be left out of (or put back into) the next generation
+         */
+        toggleChunkExclusion: function(e) {
+            const chunkId = $(e.target).closest('.exclude-chunk').attr('data-chunk-id');
+            const index = this.excludedChunks.indexOf(chunkId);
+            const excluded = index === -1;
+
+            if (excluded) {
+                this.excludedChunks.push(chunkId);
+            } else {
+                this.excludedChunks.splice(index, 1);
+            }
+
+            $('.outline-section .context-chunk').filter(function() {
+                return $(this).attr('data-chunk-id') === chunkId;
+            }).toggleClass('is-excluded', excluded)
+                .find('.exclude-chunk')
+                .attr('aria-pressed', excluded ? 'true' : 'false')
+                .text(excluded ? 'Include' : 'Exclude');
+
+            this.renderRetrieval(this.outlineData && this.outlineData.retrieval);
+            this.announce(excluded ? 'Chunk excluded. Regenerate the outline to apply.' : 'Chunk included again.');
+        },
+
+        /**
+         * Reflect the lock state of a section in its markup
+         */
+        applyLockState: function($section, locked) {
+            $section.toggleClass('is-locked', locked);
+            $section.find('.lock-section')
+                .attr('aria-pressed', locked ? 'true' : 'false')
+                .attr('title', locked ? 'Unlock Section' : 'Lock Section')
+                .find('.dashicons')
+                .toggleClass('dashicons-lock', locked)
+                .toggleClass('dashicons-unlock', !locked);
+            $section.find('.regenerate-section').prop('disabled', locked);
+        },
+
+        /**
+         * Lock or unlock a section so full regenerations keep it
+         */
+        toggleSectionLock: function(e) {
+            const $section = $(e.target).closest('.outline-section');
+            const section = this.findSection($section.data('section-id'));
+
+            if (!section) {
+                return;
+            }
+
+            section.locked = !section.locked;
+            this.applyLockState($section, section.locked);
+            this.recordEdit(section.locked ? 'Locked section' : 'Unlocked section');
+            this.announce(section.locked ? 'Section locked.' : 'Section unlocked.');
+        },
+
+        /**
+         * Regenerate a single section, using the rest of the outline as context
+         */
+        regenerateSection: function(e) {
+            const $section = $(e.target).closest('.outline-section');
+            const section = this.findSection($section.data('section-id'));
+
+            if (!section || section.locked || $section.hasClass('is-regenerating')) {
+                return;
+            }
+
+            if ($section.hasClass('is-editing') && !this.commitSectionEditor($section)) {
+                return;
+            }
+
+            if (!this.validateForm()) {
+                return;
+            }
+
+            const sectionId = section.id;
+            const $current = $('.outline-section').filter(function() {
+                return $(this).data('section-id') === sectionId;
+            });
+
+            const data = this.getFormData();
+            data.tone = section.tone || data.tone;
+            data.section = this.getSectionContext(section);
+            data.context = this.outlineData.sections
+                .filter(s => s.id !== sectionId)
+                .map(s => this.getSectionContext(s));
+
+            $current.addClass('is-regenerating');
+            $current.find('.regenerate-section').prop('disabled', true);
+            this.hideError();
+
+            wp.apiFetch({
+                path: '/ai-composer/v1/outline/section',
+                method: 'POST',
+                data: data
+            }).then(response => {
+                this.replaceSection(sectionId, response);
+            }).catch(error => {
+                this.handleOutlineError(error);
+                $current.removeClass('is-regenerating');
+                $current.find('.regenerate-section').prop('disabled', false);
+            });
+        },
+
+        /**
+         * Get the fields of a section sent as regeneration context
+         */
+        getSectionContext: function(section) {
+            return {
+                id: section.id,
+                heading: section.heading,
+                type: section.type,
+                targetWords: section.targetWords,
+                needsImage: !!section.needsImage,
+                subheadings: section.subheadings || [],
+                headingLevel: section.headingLevel || 2,
+                depth: section.depth || 0,
+                parentId: section.parentId || ''
+            };
+        },
+
+        /**
+         * Swap a regenerated section into the outline
+         */
+        replaceSection: function(sectionId, response) {
+            const index = this.outlineData ? this.outlineData.sections.findIndex(s => s.id === sectionId) : -1;
+
+            if (index === -1) {
+                return;
+            }
+
+            // The section keeps its identity and its place in the outline hierarchy
+            const existing = this.outlineData.sections[index];
+            const section = Object.assign({}, response.section, {
+                id: sectionId,
+                tone: existing.tone,
+                headingLevel: existing.headingLevel,
+                depth: existing.depth,
+                parentId: existing.parentId
+            });
+            this.outlineData.sections[index] = section;
+            this.partialCost += response.estimated_cost || 0;
+
+            const $rendered = this.renderSection(section);
+            $('.outline-section').filter(function() {
+                return $(this).data('section-id') === sectionId;
+            }).replaceWith($rendered);
+
+            this.updateOutlineData('Regenerated section');
+            $rendered.find('.regenerate-section').focus();
+            this.announce('Section regenerated: ' + section.heading);
+        },
+
+        /**
+         * Regenerate outline
+         */
+        regenerateOutline: function() {
+            this.generateOutline();
+        },
+
+        /**
+         * Approve outline and move to next step
+         */
+        approveOutline: function() {
+            if (this.outlineData) {
+                // Commit any section edits that are still open
+                if (!this.saveOpenEditors()) {
+                    return;
+                }
+
+                // Store outline data for next step
+                this.storeOutlineData();
+                this.goToNextStep();
+            }
+        },
+
+        /**
+         * Store outline data for use in next steps
+         */
+        storeOutlineData: function() {
+            // Store in session storage or trigger custom event
+            sessionStorage.setItem('ai_composer_outline', JSON.stringify(this.outlineData));
+            
+            // Trigger custom event for other components
+            $(document).trigger('ai_composer_outline_approved', [this.outlineData]);
+        },
+
+        /**
+         * Edit section
+         */
+        editSection: function(e) {
+            const $section = $(e.target).closest('.outline-section');
+            const sectionId = $section.data('section-id');
+            const section = this.findSection(sectionId);
+
+            if (!section) {
+                return;
+            }
+
+            // Focus the existing editor instead of opening a second one
+            const $existing = $section.find('.section-editor');
+            if ($existing.length) {
+                $existing.find('.edit-heading').focus();
+                return;
+            }
+
+            const $editor = this.buildSectionEditor(section);
+            $section.addClass('is-editing');
+            $section.find('.section-details').hide();
+            $section.append($editor);
+            $editor.find('.edit-heading').focus();
+        },
+
+        /**
+         * Find a section in the outline data by ID
+         */
+        findSection: function(sectionId) {
+            if (!this.outlineData || !this.outlineData.sections) {
+                return null;
+            }
+
+            return this.outlineData.sections.find(s => s.id === sectionId) || null;
+        },
+
+        /**
+         * Build the inline editor for a section
+         */
+        buildSectionEditor: function(section) {
+            const bp = section.block_preference || {};
+            const $editor = $('<div class="section-editor"></div>');
+
+            // Heading
+            const $heading = $('<div class="form-row"></div>')
+                .append('<label class="form-label">Heading</label>')
+                .append($('<input type="text" class="form-control edit-heading" maxlength="200">').val(section.heading || ''));
+
+            // Type, word target and image requirement
+            const $type = $('<select class="form-control edit-type"></select>');
+            const types = this.sectionTypes.indexOf(section.type) === -1 && section.type
+                ? this.sectionTypes.concat([section.type])
+                : this.sectionTypes;
+            types.forEach(type => {
+                $type.append($('<option></option>').val(type).text(type));
+            });
+            $type.val(section.type || 'content');
+
+            const $meta = $('<div class="form-row editor-inline-fields"></div>')
+                .append($('<div class="editor-field"></div>')
+                    .append('<label class="form-label">Type</label>')
+                    .append($type))
+                .append($('<div class="editor-field"></div>')
+                    .append('<label class="form-label">Target Words</label>')
+                    .append($('<input type="number" class="form-control edit-target-words" min="10" max="2000" step="10">').val(section.targetWords || 150)))
+                .append($('<div class="editor-field editor-checkbox"></div>')
+                    .append($('<label></label>')
+                        .append($('<input type="checkbox" class="edit-needs-image">').prop('checked', !!section.needsImage))
+                        .append(' Image required')));
+
+            // Subheadings
+            const $list = $('<ul class="edit-subheadings"></ul>');
+            (section.subheadings || []).forEach(subheading => {
+                $list.append(this.buildSubheadingField(subheading));
+            });
+
+            const $subheadings = $('<div class="form-row"></div>')
+                .append('<label class="form-label">Key Points</label>')
+                .append($list)
+                .append('<button type="button" class="button button-small add-subheading">Add Key Point</button>');
+
+            // Block preference
+            const $blocks = $('<div class="form-row editor-inline-fields"></div>')
+                .append($('<div class="editor-field"></div>')
+                    .append('<label class="form-label">Preferred Plugin</label>')
+                    .append($('<input type="text" class="form-control edit-preferred-plugin" placeholder="core">').val(bp.preferred_plugin || '')))
+                .append($('<div class="editor-field"></div>')
+                    .append('<label class="form-label">Primary Block</label>')
+                    .append($('<input type="text" class="form-control edit-primary-block" placeholder="core/paragraph">').val(bp.primary_block || '')))
+                .append($('<div class="editor-field"></div>')
+                    .append('<label class="form-label">Pattern</label>')
+                    .append($('<input type="text" class="form-control edit-pattern-preference">').val(bp.pattern_preference || '')))
+                .append($('<div class="editor-field"></div>')
+                    .append('<label class="form-label">Fallback Blocks</label>')
+                    .append($('<input type="text" class="form-control edit-fallback-blocks" placeholder="core/paragraph, core/heading">').val((bp.fallback_blocks || []).join(', '))));
+
+            const $actions = $('<div class="editor-actions"></div>')
+                .append('<button type="button" class="button button-primary button-small save-section-edit">Save Section</button>')
+                .append('<button type="button" class="button button-small cancel-section-edit">Cancel</button>');
+
+            return $editor
+                .append($heading)
+                .append($meta)
+                .append($subheadings)
+                .append('<div class="editor-subtitle">Block Recommendation</div>')
+                .append($blocks)
+                .append($actions);
+        },
+
+        /**
+         * Build a single subheading input row
+         */
+        buildSubheadingField: function(value) {
+            return $('<li class="subheading-field"></li>')
+                .append($('<input type="text" class="form-control edit-subheading" maxlength="200">').val(value || ''))
+                .append('<button type="button" class="button-link remove-subheading" title="Remove key point"><span class="dashicons dashicons-no-alt"></span></button>');
+        },
+
+        /**
+         * Add an empty subheading input to the editor
+         */
+        addSubheadingField: function(e) {
+            const $list = $(e.target).closest('.section-editor').find('.edit-subheadings');
+            const $field = this.buildSubheadingField('');
+            $list.append($field);
+            $field.find('input').focus();
+        },
+
+        /**
+         * Remove a subheading input from the editor
+         */
+        removeSubheadingField: function(e) {
+            $(e.target).closest('.subheading-field').remove();
+        },
+
+        /**
+         * Handle keyboard shortcuts inside the section editor
+         */
+        handleEditorKeydown: function(e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelSectionEdit(e);
+            } else if (e.key === 'Enter' && $(e.target).is('input[type="text"], input[type="number"]')) {
+                // Keep Enter from submitting the outline form
+                e.preventDefault();
+                this.saveSectionEdit(e);
+            }
+        },
+
+        /**
+         * Read and validate the values of a section editor
+         */
+        readSectionEditor: function($editor) {
+            const heading = $editor.find('.edit-heading').val().trim();
+            const targetWords = parseInt($editor.find('.edit-target-words').val(), 10);
+
+            if (!heading) {
+                return { error: 'Section heading cannot be empty.' };
+            }
+
+            if (isNaN(targetWords) || targetWords < 10 || targetWords > 2000) {
+                return { error: 'Target words must be between 10 and 2000.' };
+            }
+
+            const subheadings = $editor.find('.edit-subheading').map(function() {
+                return $(this).val().trim();
+            }).get().filter(sh => sh);
+
+            const fallbackBlocks = $editor.find('.edit-fallback-blocks').val()
+                .split(',')
+                .map(block => block.trim())
+                .filter(block => block);
+
+            return {
+                values: {
+                    heading: heading,
+                    type: $editor.find('.edit-type').val() || 'content',
+                    targetWords: targetWords,
+                    needsImage: $editor.find('.edit-needs-image').is(':checked'),
+                    subheadings: subheadings,
+                    block_preference: {
+                        preferred_plugin: $editor.find('.edit-preferred-plugin').val().trim() || 'core',
+                        primary_block: $editor.find('.edit-primary-block').val().trim() || 'core/paragraph',
+                        fallback_blocks: fallbackBlocks,
+                        pattern_preference: $editor.find('.edit-pattern-preference').val().trim()
+                    }
+                }
+            };
+        },
+
+        /**
+         * Save the section editor back into the outline data
+         */
+        saveSectionEdit: function(e) {
+            const $section = $(e.target).closest('.outline-section');
+            return this.commitSectionEditor($section);
+        },
+
+        /**
+         * Commit the open editor of a section element
+         */
+        commitSectionEditor: function($section) {
+            const section = this.findSection($section.data('section-id'));
+            const result = this.readSectionEditor($section.find('.section-editor'));
+
+            if (!section) {
+                return false;
+            }
+
+            if (result.error) {
+                this.showError(result.error);
+                $section.find('.edit-heading').focus();
+                return false;
+            }
+
+            this.hideError();
+            Object.assign(section, result.values, { edited: true });
+
+            const $rendered = this.renderSection(section);
+            $section.replaceWith($rendered);
+            this.updateOutlineData('Edited section');
+
+            $rendered.find('.edit-section').focus();
+            return true;
+        },
+
+        /**
+         * Discard the section editor
+         */
+        cancelSectionEdit: function(e) {
+            const $section = $(e.target).closest('.outline-section');
+            $section.find('.section-editor').remove();
+            $section.find('.section-details').show();
+            $section.removeClass('is-editing');
+            $section.find('.edit-section').focus();
+        },
+
+        /**
+         * Commit every open section editor
+         *
+         * Returns false when one of the editors holds invalid values.
+         */
+        saveOpenEditors: function() {
+            let valid = true;
+
+            $('.outline-section.is-editing').each((index, element) => {
+                if (valid && !this.commitSectionEditor($(element))) {
+                    valid = false;
+                }
+            });
+
+            return valid;
+        },
+
+        /**
+         * Remove section
+         */
+        removeSection: function(e) {
+            const $section = $(e.target).closest('.outline-section');
+            const heading = $section.find('.section-heading').text();
+
+            $section.remove();
+            this.updateOutlineData('Removed section');
+            this.history.notify('Removed "' + heading + '".');
+        },
+
+        /**
+         * Move section up
+         */
+        moveSectionUp: function(e) {
+            e.preventDefault();
+            this.moveSection($(e.target).closest('.outline-section'), -1);
+        },
+
+        /**
+         * Move section down
+         */
+        moveSectionDown: function(e) {
+            e.preventDefault();
+            this.moveSection($(e.target).closest('.outline-section'), 1);
+        },
+
+        /**
+         * Handle keyboard reordering (Alt + arrow keys, or arrow keys on the drag handle)
+         */
+        handleSectionKeydown: function(e) {
+            if ($(e.target).closest('.section-editor, .section-insert-menu').length) {
+                return;
+            }
+
+            const onHandle = $(e.target).closest('.section-drag-handle').length > 0;
+            if (!e.altKey && !onHandle) {
+                return;
+            }
+
+            let direction = 0;
+            if (e.key === 'ArrowUp') {
+                direction = -1;
+            } else if (e.key === 'ArrowDown') {
+                direction = 1;
+            }
+
+            if (direction) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.moveSection($(e.target).closest('.outline-section'), direction, e.target);
+            }
+        },
+
+        /**
+         * Move a section one position up (-1) or down (1)
+         */
+        moveSection: function($section, direction, focusTarget) {
+            const $sibling = direction < 0 ? $section.prev('.outline-section') : $section.next('.outline-section');
+
+            if (!$sibling.length) {
+                return;
+            }
+
+            if (direction < 0) {
+                $section.insertBefore($sibling);
+            } else {
+                $section.insertAfter($sibling);
+            }
+
+            this.updateOutlineData('Reordered sections');
+
+            // Keep keyboard focus on the control that moved the section
+            if (focusTarget) {
+                $(focusTarget).focus();
+            }
+
+            const position = $('.outline-section').index($section) + 1;
+            this.announce('Section moved to position ' + position + ' of ' + $('.outline-section').length + '.');
+        },
+
+        /**
+         * Toggle the insert menu below a section (or at the top of the outline)
+         */
+        toggleInsertMenu: function(e) {
+            e.preventDefault();
+
+            const $trigger = $(e.target).closest('.insert-section');
+            const $section = $trigger.closest('.outline-section');
+            const $existing = $section.length
+                ? $section.next('.section-insert-menu')
+                : $('#outline-sections-container').children('.section-insert-menu').first();
+
+            $('.section-insert-menu').remove();
+
+            if ($existing.length) {
+                return;
+            }
+
+            const $menu = this.buildInsertMenu();
+
+            if ($section.length) {
+                $section.after($menu);
+            } else {
+                $('#outline-sections-container').prepend($menu);
+            }
+
+            $menu.find('select').focus();
+        },
+
+        /**
+         * Build the insert menu with the available section templates
+         */
+        buildInsertMenu: function() {
+            const $select = $('<select class="form-control insert-template"></select>');
+
+            Object.keys(this.sectionTemplates).forEach(key => {
+                $select.append($('<option></option>').val(key).text(this.sectionTemplates[key].label));
+            });
+
+            return $('<div class="section-insert-menu"></div>')
+                .append('<label class="form-label">Insert section</label>')
+                .append($select)
+                .append('<button type="button" class="button button-primary button-small confirm-insert-section">Insert</button>')
+                .append('<button type="button" class="button button-small cancel-insert-section">Cancel</button>');
+        },
+
+        /**
+         * Close any open insert menu
+         */
+        closeInsertMenu: function() {
+            $('.section-insert-menu').remove();
+        },
+
+        /**
+         * Insert a section from the chosen template where the menu is open
+         */
+        handleInsertSection: function(e) {
+            e.preventDefault();
+
+            const $menu = $(e.target).closest('.section-insert-menu');
+            const index = $menu.prevAll('.outline-section').length;
+            const templateKey = $menu.find('.insert-template').val();
+
+            $menu.remove();
+            this.insertSection(index, templateKey);
+        },
+
+        /**
+         * Insert a new section at the given position
+         */
+        insertSection: function(index, templateKey) {
+            if (!this.outlineData) {
+                return null;
+            }
+
+            const template = this.sectionTemplates[templateKey] || this.sectionTemplates.blank;
+            const section = {
+                id: this.generateSectionId(),
+                heading: template.heading,
+                type: template.type,
+                targetWords: template.targetWords,
+                needsImage: template.needsImage,
+                mode: 'manual',
+                subheadings: template.subheadings.slice(),
+                block_preference: {
+                    preferred_plugin: 'core',
+                    primary_block: this.defaultCoreBlocks[template.type] || 'core/paragraph',
+                    fallback_blocks: ['core/paragraph', 'core/heading'],
+                    pattern_preference: ''
+                }
+            };
+
+            this.outlineData.sections.push(section);
+
+            const $section = this.renderSection(section);
+            const $sections = $('.outline-section');
+
+            if (index >= $sections.length) {
+                $('#outline-sections-container').append($section);
+            } else {
+                $sections.eq(index).before($section);
+            }
+
+            this.updateOutlineData('Inserted section');
+
+            // Open the editor so the new section can be adjusted straight away
+            $section.find('.edit-section').trigger('click');
+
+            return section;
+        },
+
+        /**
+         * Generate a section ID that is not used in the current outline
+         */
+        generateSectionId: function() {
+            let max = 0;
+
+            (this.outlineData.sections || []).forEach(section => {
+                const match = /^section-(\d+)$/.exec(section.id);
+                if (match) {
+                    max = Math.max(max, parseInt(match[1], 10));
+                }
+            });
+
+            return 'section-' + (max + 1);
+        },
+
+        /**
+         * Announce a change to screen reader users
+         */
+        announce: function(message) {
+            if (window.wp && wp.a11y && wp.a11y.speak) {
+                wp.a11y.speak(message);
+            }
+        },
+
+        /**
+         * Load the version history of this wizard session
+         */
+        loadVersions: function() {
+            try {
+                const stored = JSON.parse(sessionStorage.getItem('ai_composer_outline_versions') || '[]');
+                this.versions = Array.isArray(stored) ? stored : [];
+            } catch (error) {
+                this.versions = [];
+            }
+
+            this.renderVersionHistory();
+        },
+
+        /**
+         * Persist the version history for this wizard session
+         */
+        saveVersions: function() {
+            try {
+                sessionStorage.setItem('ai_composer_outline_versions', JSON.stringify(this.versions));
+            } catch (error) {
+                console.warn('Outline version history could not be saved:', error);
+            }
+        },
+
+        /**
+         * Record the current outline as a new numbered version
+         */
+        recordVersion: function(label) {
+            if (!this.outlineData) {
+                return null;
+            }
+
+            // Skip no-op changes such as saving an untouched editor
+            const last = this.versions[this.versions.length - 1];
+            if (last && JSON.stringify(last.outline.sections) === JSON.stringify(this.outlineData.sections)) {
+                return last;
+            }
+
+            const version = {
+                number: last ? last.number + 1 : 1,
+                label: label,
+                created_at: new Date().toISOString(),
+                partial_cost: this.partialCost,
+                outline: JSON.parse(JSON.stringify(this.outlineData))
+            };
+
+            this.versions.push(version);
+            if (this.versions.length > this.maxVersions) {
+                this.versions.splice(0, this.versions.length - this.maxVersions);
+            }
+
+            this.currentVersion = version.number;
+            this.saveVersions();
+            this.renderVersionHistory();
+
+            $(document).trigger('ai_composer_outline_changed', [this.outlineData, version]);
+
+            return version;
+        },
+
+        /**
+         * Find a version by number
+         */
+        findVersion: function(number) {
+            return this.versions.find(v => v.number === number) || null;
+        },
+
+        /**
+         * Render the version list and compare selectors
+         */
+        renderVersionHistory: function() {
+            const $list = $('#outline-version-list');
+            const $selects = $('#compare-version-a, #compare-version-b');
+
+            $list.empty();
+            $selects.empty();
+            $('#outline-history').toggle(this.versions.length > 0);
+
+            this.versions.slice().reverse().forEach(version => {
+                const time = new Date(version.created_at).toLocaleTimeString();
+                const $item = $('<li class="outline-version"></li>')
+                    .toggleClass('is-current', version.number === this.currentVersion)
+                    .append($('<strong></strong>').text('v' + version.number))
+                    .append($('<span class="version-label"></span>').text(version.label))
+                    .append($('<span class="version-meta"></span>').text(time + ' · ' + version.outline.total_words + ' words'));
+
+                if (version.number === this.currentVersion) {
+                    $item.append('<span class="version-current">Current</span>');
+                } else {
+                    $item.append(
+                        $('<button type="button" class="button button-small restore-version">Restore</button>')
+                            .attr('data-version', version.number)
+                    );
+                }
+
+                $list.append($item);
+                $selects.append($('<option></option>').val(version.number).text('v' + version.number + ' – ' + version.label));
+            });
+
+            // Default to comparing the previous version with the latest one
+            if (this.versions.length > 1) {
+                $('#compare-version-a').val(this.versions[this.versions.length - 2].number);
+                $('#compare-version-b').val(this.versions[this.versions.length - 1].number);
+            }
+        },
+
+        /**
+         * Handle a restore button click
+         */
+        handleRestoreVersion: function(e) {
+            const number = parseInt($(e.target).closest('.restore-version').data('version'), 10);
+            this.restoreVersion(number);
+        },
+
+        /**
+         * Restore a previous version and re-render it
+         */
+        restoreVersion: function(number) {
+            const version = this.findVersion(number);
+
+            if (!version) {
+                return;
+            }
+
+            this.outlineData = JSON.parse(JSON.stringify(version.outline));
+            this.partialCost = version.partial_cost || 0;
+
+            this.displayOutline(this.outlineData);
+            this.updateCostEstimate(this.outlineData.estimated_cost || 0);
+            this.enableNextStep();
+
+            this.recordVersion('Restored v' + number);
+            this.announce('Restored outline version ' + number + '.');
+        },
+
+        /**
+         * Handle the compare button click
+         */
+        handleCompareVersions: function() {
+            const a = this.findVersion(parseInt($('#compare-version-a').val(), 10));
+            const b = this.findVersion(parseInt($('#compare-version-b').val(), 10));
+
+            if (!a || !b) {
+                return;
+            }
+
+            this.renderVersionCompare(a, b, this.compareVersions(a.outline, b.outline));
+        },
+
+        /**
+         * Match the sections of two outlines
+         *
+         * Sections are matched by ID first. A full regenerate issues new IDs,
+         * so the rest are matched by heading, then by position when the
+         * section type is the same. Returns the index in A of each section
+         * of B, or -1 when it has no match.
+         */
+        matchSections: function(sectionsA, sectionsB) {
+            const matches = sectionsB.map(() => -1);
+            const used = sectionsA.map(() => false);
+            const normalize = heading => String(heading || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+            const pass = isMatch => {
+                sectionsB.forEach((sectionB, indexB) => {
+                    if (matches[indexB] !== -1) {
+                        return;
+                    }
+
+                    const indexA = sectionsA.findIndex((sectionA, index) => !used[index] && isMatch(sectionA, sectionB, index, indexB));
+                    if (indexA !== -1) {
+                        matches[indexB] = indexA;
+                        used[indexA] = true;
+                    }
+                });
+            };
+
+            pass((a, b) => !!a.id && a.id === b.id);
+            pass((a, b) => normalize(a.heading) !== '' && normalize(a.heading) === normalize(b.heading));
+            pass((a, b, indexA, indexB) => indexA === indexB && a.type === b.type);
+
+            return matches;
+        },
+
+        /**
+         * Diff two outlines section by section
+         *
+         * Sections are matched by matchSections(). Returns rows in the order
+         * of the newer outline, followed by sections that were removed from it.
+         */
+        compareVersions: function(outlineA, outlineB) {
+            const sectionsA = outlineA.sections || [];
+            const sectionsB = outlineB.sections || [];
+            const matches = this.matchSections(sectionsA, sectionsB);
+            const rows = [];
+            const summary = { added: 0, removed: 0, changed: 0, unchanged: 0, wordDelta: (outlineB.total_words || 0) - (outlineA.total_words || 0) };
+
+            sectionsB.forEach((sectionB, indexB) => {
+                const indexA = matches[indexB];
+
+                if (indexA === -1) {
+                    rows.push({ status: 'added', a: null, b: sectionB, changes: [], wordDelta: sectionB.targetWords });
+                    summary.added++;
+                    return;
+                }
+
+                const sectionA = sectionsA[indexA];
+                const changes = [];
+
+                if (sectionA.heading !== sectionB.heading) {
+                    changes.push('heading');
+                }
+                if (sectionA.type !== sectionB.type) {
+                    changes.push('type');
+                }
+                if (sectionA.targetWords !== sectionB.targetWords) {
+                    changes.push('word target');
+                }
+                if (!!sectionA.needsImage !== !!sectionB.needsImage) {
+                    changes.push('image');
+                }
+                if ((sectionA.tone || '') !== (sectionB.tone || '')) {
+                    changes.push('tone');
+                }
+                if (JSON.stringify(sectionA.subheadings || []) !== JSON.stringify(sectionB.subheadings || [])) {
+                    changes.push('key points');
+                }
+                if (indexA !== indexB) {
+                    changes.push('position');
+                }
+
+                rows.push({
+                    status: changes.length ? 'changed' : 'unchanged',
+                    a: sectionA,
+                    b: sectionB,
+                    changes: changes,
+                    wordDelta: sectionB.targetWords - sectionA.targetWords
+                });
+                summary[changes.length ? 'changed' : 'unchanged']++;
+            });
+
+            sectionsA.forEach((sectionA, indexA) => {
+                if (matches.indexOf(indexA) === -1) {
+                    rows.push({ status: 'removed', a: sectionA, b: null, changes: [], wordDelta: -sectionA.targetWords });
+                    summary.removed++;
+                }
+            });
+
+            return { rows: rows, summary: summary };
+        },
+
+        /**
+         * Render a side-by-side comparison of two versions
+         */
+        renderVersionCompare: function(versionA, versionB, diff) {
+            const $container = $('#outline-version-compare');
+            const formatDelta = delta => (delta > 0 ? '+' : '') + delta;
+            const describe = section => {
+                if (!section) {
+                    return $('<td class="compare-empty">—</td>');
+                }
+
+                return $('<td></td>')
+                    .append($('<strong></strong>').text(section.heading))
+                    .append($('<span class="compare-meta"></span>').text(section.type + ' · ' + section.targetWords + ' words'));
+            };
+
+            const $table = $('<table class="widefat striped outline-compare-table"></table>');
+            $table.append(
+                $('<thead><tr></tr></thead>').find('tr')
+                    .append($('<th></th>').text('v' + versionA.number))
+                    .append($('<th></th>').text('v' + versionB.number))
+                    .append('<th>Change</th>')
+                    .append('<th>Words</th>')
+                    .end()
+            );
+
+            const $body = $('<tbody></tbody>');
+            diff.rows.forEach(row => {
+                let change = row.status.charAt(0).toUpperCase() + row.status.slice(1);
+                if (row.status === 'changed') {
+                    change += ': ' + row.changes.join(', ');
+                }
+
+                $body.append(
+                    $('<tr></tr>').addClass('is-' + row.status)
+                        .append(describe(row.a))
+                        .append(describe(row.b))
+                        .append($('<td></td>').text(change))
+                        .append($('<td class="compare-delta"></td>').text(row.wordDelta ? formatDelta(row.wordDelta) : '0'))
+                );
+            });
+            $table.append($body);
+
+            const summary = diff.summary;
+            const $summary = $('<p class="compare-summary"></p>').text(
+                summary.added + ' added, ' + summary.removed + ' removed, ' + summary.changed + ' changed, ' +
+                summary.unchanged + ' unchanged · word target ' + formatDelta(summary.wordDelta)
+            );
+
+            $container.empty().append($summary, $table).show();
+        },
+
+        /**
+         * Update outline data after modifications
+         */
+        updateOutlineData: function(reason) {
+            // Recalculate totals and update data
+            if (this.outlineData) {
                 const sections = [];
                 $('.outline-section').each(function() {
                     const sectionId = $(this).data('section-id');
@@ -395,10 +2151,111 @@
                 }.bind(this));
                 
                 this.outlineData.sections = sections;
-                this.outlineData.total_words = sections.reduce((sum, s) => sum + s.targetWords, 0);
-                
-                // Update display
-                $('.total-words').text(this.outlineData.total_words + ' words');
+                this.refreshTotals();
+
+                const label = typeof reason === 'string' ? reason : 'Edited outline';
+                this.recordEdit(label);
+                this.recordVersion(label);
+            }
+        },
+
+        /**
+         * Deep copy the current outline sections
+         */
+        snapshotSections: function() {
+            return this.outlineData ? JSON.parse(JSON.stringify(this.outlineData.sections)) : [];
+        },
+
+        /**
+         * Push the change since the last recorded edit onto the undo history
+         *
+         * Ignored while an undo or redo is replaying a snapshot.
+         */
+        recordEdit: function(label) {
+            const before = this.committedSections;
+            const after = this.snapshotSections();
+
+            this.committedSections = after;
+
+            if (JSON.stringify(before) === JSON.stringify(after)) {
+                return;
+            }
+
+            this.history.push({
+                label: label.toLowerCase(),
+                undo: () => this.restoreSections(before, 'Undo ' + label.toLowerCase()),
+                redo: () => this.restoreSections(after, 'Redo ' + label.toLowerCase())
+            });
+        },
+
+        /**
+         * Re-render the outline from a section snapshot
+         */
+        restoreSections: function(sections, reason) {
+            if (!this.outlineData) {
+                return;
+            }
+
+            const $container = $('#outline-sections-container');
+
+            this.outlineData.sections = JSON.parse(JSON.stringify(sections));
+            $container.find('.section-insert-menu').remove();
+            $container.empty().append(this.outlineData.sections.map(section => this.renderSection(section)));
+
+            this.updateOutlineData(reason);
+        },
+
+        /**
+         * Recalculate outline totals and projected cost from the sections
+         */
+        refreshTotals: function() {
+            const data = this.outlineData;
+
+            if (!data) {
+                return;
+            }
+
+            data.total_words = data.sections.reduce((sum, s) => sum + s.targetWords, 0);
+            data.estimated_time = Math.max(5, Math.floor(data.total_words / window.AIComposer.CostEstimator.getPricing().words_per_minute));
+
+            // estimated_cost is what generating the outline cost, so it stays as the server reported it
+            $('.total-words').text(data.total_words + ' words');
+            $('.estimated-time').text(data.estimated_time + ' minutes');
+            this.updateProjection();
+        },
+
+        /**
+         * Show the projected cost of generating the outline's content
+         */
+        updateProjection: function() {
+            const data = this.outlineData;
+            const $warning = $('#outline-cost-warning');
+
+            if (!data) {
+                $('.projected-cost').text('');
+                $warning.hide();
+                return;
+            }
+
+            const content = window.AIComposer.CostEstimator.estimate(
+                data.sections.map(section => this.getEstimatorInput(section)),
+                this.getEstimatorOptions()
+            ).totals;
+            const spent = (data.estimated_cost || 0) + this.partialCost;
+            const cost = {
+                low: spent + content.cost.low,
+                expected: spent + content.cost.expected,
+                high: spent + content.cost.high
+            };
+            const total = cost.expected;
+            const limit = parseFloat(data.cost_limit_usd) || 0;
+
+            $('.projected-cost').text('Projected: ' + this.formatEstimate({ tokens: content.tokens, cost: cost }));
+
+            if (limit > 0 && total > limit) {
+                $warning.text('Projected cost $' + total.toFixed(4) + ' exceeds this blueprint\'s limit of $' + limit.toFixed(2) + '. Reduce word targets or images before continuing.').show();
+            } else {
+                $warning.hide();
             }
         },
 
@@ -426,7 +2283,13 @@
          */
         updateCostEstimate: function(cost) {
             const $estimate = $('.cost-estimate');
-            $estimate.text('Estimated cost: $' + cost.toFixed(4));
+            let text = 'Estimated cost: $' + (cost + this.partialCost).toFixed(4);
+
+            if (this.partialCost > 0) {
+                text += ' (includes $' + this.partialCost.toFixed(4) + ' for section regenerations)';
+            }
+
+            $estimate.text(text);
             $estimate.show();
         },
 
@@ -438,7 +2301,8 @@
             $('.outline-error').remove();
             
             // Add new error
-            const $error = $(`<div class="notice notice-error outline-error"><p>${message}</p></div>`);
+            const $error = $('<div class="notice notice-error outline-error"><p></p></div>');
+            $error.find('p').text(message);
             $('#outline-form').before($error);
             
             // Scroll to error
@@ -482,6 +2346,152 @@
          */
         setBlueprintId: function(blueprintId) {
             this.blueprintId = blueprintId;
+            this.applyBlueprintPreset(blueprintId);
+        },
+
+        /**
+         * Load outline form presets
+         */
+        loadPresets: async function() {
+            try {
+                this.presets = await wp.apiFetch({
+                    path: '/ai-composer/v1/outline-presets'
+                });
+            } catch (error) {
+                console.error('Failed to load outline presets:', error);
+                this.presets = [];
+            }
+
+            this.renderPresetOptions();
+        },
+
+        /**
+         * Render the preset dropdown, sitewide presets first
+         */
+        renderPresetOptions: function(selectedId) {
+            const $select = $('#outline-preset');
+            const escape = window.AIComposer.TemplateRenderer.escape;
+            const groups = { site: 'Sitewide presets', user: 'My presets' };
+            let html = '<option value="">Choose a preset...</option>';
+
+            Object.keys(groups).forEach(scope => {
+                const presets = this.presets.filter(preset => preset.scope === scope);
+                if (!presets.length) {
+                    return;
+                }
+
+                html += `<optgroup label="${groups[scope]}">`;
+                presets.forEach(preset => {
+                    html += `<option value="${escape(preset.id)}">${escape(preset.name)}</option>`;
+                });
+                html += '</optgroup>';
+            });
+
+            $select.html(html).val(selectedId || '');
+        },
+
+        /**
+         * Find a loaded preset by ID
+         */
+        findPreset: function(presetId) {
+            return this.presets.find(preset => preset.id === presetId) || null;
+        },
+
+        /**
+         * Handle preset dropdown change
+         */
+        handlePresetChange: function(e) {
+            const preset = this.findPreset($(e.target).val());
+
+            if (preset) {
+                this.applyPreset(preset);
+            }
+        },
+
+        /**
+         * Fill the form from a preset
+         *
+         * A preset without a brief template keeps the brief already typed.
+         */
+        applyPreset: function(preset) {
+            const formData = $.extend({}, preset.form_data);
+
+            if (!formData.brief) {
+                formData.brief = $('#content-brief').val();
+            }
+
+            this.applyFormData(formData);
+            $('#outline-preset').val(preset.id);
+            $('#content-brief').trigger('change');
+
+            if (wp.a11y) {
+                wp.a11y.speak('Applied preset ' + preset.name);
+            }
+        },
+
+        /**
+         * Apply the default preset declared by a blueprint
+         *
+         * Skipped once the user has started the brief so typed (or resumed)
+         * input is never overwritten.
+         */
+        applyBlueprintPreset: async function(blueprintId) {
+            if (!blueprintId) {
+                return;
+            }
+
+            try {
+                const blueprint = await wp.apiFetch({
+                    path: '/ai-composer/v1/blueprints/' + blueprintId
+                });
+                const presetId = ((blueprint.blueprint_data || {}).global_settings || {}).default_preset;
+
+                if (!presetId || $('#content-brief').val().trim() || blueprintId !== this.blueprintId) {
+                    return;
+                }
+
+                if (!this.presets.length) {
+                    await this.loadPresets();
+                }
+
+                const preset = this.findPreset(presetId);
+                if (preset) {
+                    this.applyPreset(preset);
+                }
+            } catch (error) {
+                console.error('Failed to load blueprint default preset:', error);
+            }
+        },
+
+        /**
+         * Save the current form as a personal preset
+         */
+        saveAsPreset: async function() {
+            const name = window.prompt('Preset name:');
+
+            if (!name || !name.trim()) {
+                return;
+            }
+
+            const formData = this.getFormData();
+            delete formData.blueprint_id;
+
+            try {
+                const preset = await wp.apiFetch({
+                    path: '/ai-composer/v1/outline-presets',
+                    method: 'POST',
+                    data: {
+                        name: name.trim(),
+                        scope: 'user',
+                        form_data: formData
+                    }
+                });
+
+                this.presets.push(preset);
+                this.renderPresetOptions(preset.id);
+            } catch (error) {
+                this.showError('Failed to save preset: ' + (error.message || 'Unknown error'));
+            }
         },
 
         /**
@@ -489,9 +2499,22 @@
          */
         reset: function() {
             $('#outline-form')[0].reset();
+            this.renderFilters({});
+            $('#mvdb-test-results').empty().hide();
             $('#outline-results').hide();
             $('.next-step').prop('disabled', true);
+            $('#outline-retrieval').empty().hide();
             this.outlineData = null;
+            this.partialCost = 0;
+            this.excludedChunks = [];
+            this.updateProjection();
+            this.committedSections = [];
+            this.history.clear();
+            this.versions = [];
+            this.currentVersion = 0;
+            sessionStorage.removeItem('ai_composer_outline_versions');
+            this.renderVersionHistory();
+            $('#outline-version-compare').empty().hide();
             this.updateCharCounter();
             this.hideError();
         }
@@ -0,0 +1,352 @@
+/**
+ * Section Rules JavaScript
+ *
+ * Client-side counterpart of the Section_Rules PHP class. Evaluates the
+ * `condition` and `repeat` rules of blueprint sections against a brief and
+ * audience, and reads and writes conditions as short expressions:
+ *
+ *     audience contains "beginner" and products has at least 2
+ *
+ * Lists in the brief become variables named after their label, so a
+ * "Products: Acme One, Acme Two" line gives `products`.
+ *
+ * @package AIPageComposer
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Condition operators and the words used for them in expressions,
+     * longest phrases first so "is not" wins over "is"
+     */
+    const OPERATORS = {
+        not_empty: 'is not empty',
+        is_empty: 'is empty',
+        not_equals: 'is not',
+        equals: 'is',
+        not_contains: 'does not contain',
+        contains: 'contains',
+        min_items: 'has at least'
+    };
+
+    /**
+     * Operators that don't take a value
+     */
+    const VALUELESS_OPERATORS = ['is_empty', 'not_empty'];
+
+    /**
+     * Placeholder replaced with the repeat item in headings
+     */
+    const ITEM_PLACEHOLDER = /\{item\}/gi;
+
+    /**
+     * Section rules helper
+     */
+    const SectionRules = {
+        OPERATORS: OPERATORS,
+
+        /**
+         * Build the variables rules are evaluated against
+         */
+        buildContext: function(inputs) {
+            const brief = String(inputs.brief || '');
+
+            return Object.assign(this.parseBriefLists(brief), {
+                brief: brief,
+                audience: String(inputs.audience || ''),
+                tone: String(inputs.tone || ''),
+                item: ''
+            });
+        },
+
+        /**
+         * Find "Label: a, b and c" lines and "Label:" lines followed by bullets
+         */
+        parseBriefLists: function(brief) {
+            const lists = {};
+            let current = null;
+
+            String(brief).split(/\r\n|\r|\n/).forEach(line => {
+                line = line.trim();
+
+                const bullet = line.match(/^(?:[-*•]|\d+[.)])\s+(.+)$/);
+                if (current !== null && bullet) {
+                    lists[current].push(bullet[1].trim());
+                    return;
+                }
+
+                current = null;
+
+                const labelled = line.match(/^([A-Za-z][A-Za-z0-9 _-]{0,40}):\s*(.*)$/);
+                if (!labelled) {
+                    return;
+                }
+
+                const name = labelled[1].toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+                const items = labelled[2].split(/\s*(?:,|;|\band\b)\s*/i).map(item => item.trim()).filter(Boolean);
+
+                lists[name] = items;
+                if (!items.length) {
+                    current = name;
+                }
+            });
+
+            return lists;
+        },
+
+        /**
+         * Drop sections whose condition fails and expand repeated sections
+         *
+         * Repeated copies get {item} replaced in their heading, `-N` added to
+         * their ID, and `source_id` and `repeat_item` set.
+         */
+        apply: function(sections, context) {
+            const expanded = [];
+
+            (sections || []).forEach(section => {
+                if (!section || typeof section !== 'object') {
+                    return;
+                }
+
+                const repeat = section.repeat;
+                const items = repeat && repeat.over ? this.getRepeatItems(repeat, context) : [null];
+
+                items.forEach((item, index) => {
+                    const itemContext = item === null ? context : Object.assign({}, context, { item: item });
+
+                    if (!this.evaluateCondition(section.condition, itemContext)) {
+                        return;
+                    }
+
+                    const copy = item === null ? Object.assign({}, section) : this.repeatSection(section, item, index + 1);
+
+                    if (Array.isArray(copy.children) && copy.children.length) {
+                        copy.children = this.apply(copy.children, itemContext);
+                    }
+
+                    expanded.push(copy);
+                });
+            });
+
+            return expanded;
+        },
+
+        /**
+         * Evaluate a condition; sections without rules always apply
+         */
+        evaluateCondition: function(condition, context) {
+            const rules = condition && Array.isArray(condition.rules) ? condition.rules : [];
+
+            if (!rules.length) {
+                return true;
+            }
+
+            const results = rules.map(rule => this.evaluateRule(rule, context));
+
+            return condition.match === 'any' ? results.indexOf(true) !== -1 : results.indexOf(false) === -1;
+        },
+
+        /**
+         * Evaluate one rule; against a list, is and contains match any item
+         */
+        evaluateRule: function(rule, context) {
+            const actual = context[rule.field] !== undefined ? context[rule.field] : '';
+            const values = Array.isArray(actual) ? actual : (String(actual).trim() === '' ? [] : [actual]);
+            const expected = String(rule.value || '').trim().toLowerCase();
+
+            const any = test => values.some(value => test(String(value).trim().toLowerCase()));
+            const equals = value => value === expected;
+            const contains = value => expected === '' || value.indexOf(expected) !== -1;
+
+            switch (rule.operator) {
+                case 'equals':
+                    return any(equals);
+                case 'not_equals':
+                    return !any(equals);
+                case 'contains':
+                    return any(contains);
+                case 'not_contains':
+                    return !any(contains);
+                case 'is_empty':
+                    return values.length === 0;
+                case 'not_empty':
+                    return values.length > 0;
+                case 'min_items':
+                    return values.length >= (parseInt(expected, 10) || 0);
+            }
+
+            return false;
+        },
+
+        /**
+         * Get the items a repeated section is generated for
+         */
+        getRepeatItems: function(repeat, context) {
+            const list = context[repeat.over];
+            const items = Array.isArray(list) ? list : [String(list || '').trim()].filter(Boolean);
+
+            return items.slice(0, Math.max(1, parseInt(repeat.max, 10) || 10));
+        },
+
+        /**
+         * Parse a condition expression
+         *
+         * Returns { condition } on success or { error } with a message. An
+         * empty expression gives a null condition.
+         */
+        parseCondition: function(expression) {
+            const tokens = [];
+            const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+            let match;
+
+            while ((match = pattern.exec(String(expression || ''))) !== null) {
+                tokens.push(match[3] !== undefined
+                    ? { text: match[3], quoted: false }
+                    : { text: match[1] !== undefined ? match[1] : match[2], quoted: true });
+            }
+
+            if (!tokens.length) {
+                return { condition: null };
+            }
+
+            const clauses = [[]];
+            const joins = [];
+            tokens.forEach(token => {
+                const word = token.text.toLowerCase();
+
+                if (!token.quoted && (word === 'and' || word === 'or')) {
+                    joins.push(word);
+                    clauses.push([]);
+                } else {
+                    clauses[clauses.length - 1].push(token);
+                }
+            });
+
+            if (joins.indexOf('and') !== -1 && joins.indexOf('or') !== -1) {
+                return { error: 'Use either "and" or "or" between rules, not both.' };
+            }
+
+            const rules = [];
+            for (let i = 0; i < clauses.length; i++) {
+                const result = this.parseRule(clauses[i]);
+                if (result.error) {
+                    return result;
+                }
+                rules.push(result.rule);
+            }
+
+            return {
+                condition: {
+                    match: joins.indexOf('or') !== -1 ? 'any' : 'all',
+                    rules: rules
+                }
+            };
+        },
+
+        /**
+         * Parse the tokens of one clause into a rule
+         */
+        parseRule: function(tokens) {
+            if (!tokens.length || tokens[0].quoted || !/^[a-z0-9_]+$/i.test(tokens[0].text)) {
+                return { error: 'Each rule must start with a variable name, such as audience or products.' };
+            }
+
+            const rest = tokens.slice(1);
+            const operator = Object.keys(OPERATORS).find(key => {
+                const words = OPERATORS[key].split(' ');
+                const head = rest.slice(0, words.length);
+
+                return head.length === words.length && !head.some(token => token.quoted) &&
+                    head.map(token => token.text).join(' ').toLowerCase() === OPERATORS[key];
+            });
+
+            if (!operator) {
+                return { error: 'Unknown operator. Use one of: ' + Object.values(OPERATORS).join(', ') + '.' };
+            }
+
+            const phrase = OPERATORS[operator];
+            const value = rest.slice(phrase.split(' ').length).map(token => token.text).join(' ');
+            const valueless = VALUELESS_OPERATORS.indexOf(operator) !== -1;
+
+            if (valueless !== (value === '') || (operator === 'min_items' && !/^\d+$/.test(value))) {
+                return { error: 'Check the value after "' + phrase + '".' };
+            }
+
+            return {
+                rule: {
+                    field: tokens[0].text.toLowerCase(),
+                    operator: operator,
+                    value: value
+                }
+            };
+        },
+
+        /**
+         * Write a condition as an expression parseCondition() reads back
+         */
+        formatCondition: function(condition) {
+            if (!condition || !Array.isArray(condition.rules)) {
+                return '';
+            }
+
+            return condition.rules.map(rule => {
+                let clause = rule.field + ' ' + (OPERATORS[rule.operator] || rule.operator);
+
+                if (VALUELESS_OPERATORS.indexOf(rule.operator) === -1) {
+                    clause += ' ' + (rule.operator === 'min_items'
+                        ? (parseInt(rule.value, 10) || 0)
+                        : '"' + String(rule.value || '').replace(/"/g, '\'') + '"');
+                }
+
+                return clause;
+            }).join(condition.match === 'any' ? ' or ' : ' and ');
+        },
+
+        /**
+         * Copy a section for one repeat item
+         */
+        repeatSection: function(section, item, number) {
+            const copy = Object.assign({}, section, {
+                source_id: section.id,
+                id: this.suffixId(section.id, number),
+                repeat_item: item,
+                heading: String(section.heading || '').replace(ITEM_PLACEHOLDER, item)
+            });
+
+            if (Array.isArray(section.children)) {
+                copy.children = this.repeatChildren(section.children, item, number);
+            }
+
+            delete copy.repeat;
+
+            return copy;
+        },
+
+        /**
+         * Give the children of a repeated section unique IDs and the item in their headings
+         */
+        repeatChildren: function(children, item, number) {
+            return children.map(child => Object.assign({}, child, {
+                source_id: child.source_id || child.id,
+                id: this.suffixId(child.id, number),
+                heading: String(child.heading || '').replace(ITEM_PLACEHOLDER, item),
+                children: Array.isArray(child.children) ? this.repeatChildren(child.children, item, number) : child.children
+            }));
+        },
+
+        /**
+         * Add `-N` to a section ID, keeping it within 50 characters
+         */
+        suffixId: function(id, number) {
+            const suffix = '-' + number;
+
+            return String(id || 'section').substring(0, 50 - suffix.length) + suffix;
+        }
+    };
+
+    // Export for global access
+    window.AIComposer = window.AIComposer || {};
+    window.AIComposer.SectionRules = SectionRules;
+
+})(window);
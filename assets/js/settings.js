@@ -44,6 +44,7 @@
             // Custom block type management
             $(document).on('click', '#add-custom-block', this.addCustomBlockType.bind(this));
             $(document).on('click', '.remove-custom-block', this.removeCustomBlockType.bind(this));
+            $(document).on('click', '.remove-section-block', this.removeSectionBlock.bind(this));
             
             // Form submission
             $(document).on('submit', '#ai-composer-settings-form', this.validateForm.bind(this));
@@ -56,6 +57,9 @@
             
             // Cost budget alerts
             $(document).on('change', 'input[name*="budget"]', this.checkBudgetLimits.bind(this));
+
+            // Pricing table model presets
+            $(document).on('change', '#pricing_model', this.applyModelPricing.bind(this));
             
             // MVDB connection test
             $(document).on('click', '.test-mvdb-connection', this.testMvdbConnection.bind(this));
@@ -353,6 +357,18 @@
             });
         }
 
+        /**
+         * Remove a block picked for a section type in the assembly step
+         */
+        removeSectionBlock(event) {
+            event.preventDefault();
+            
+            const $row = $(event.target).closest('.section-block-row');
+            $row.fadeOut(300, function() {
+                $(this).remove();
+            });
+        }
+
         /**
          * Toggle API key visibility
          */
@@ -400,6 +416,20 @@
             }
         }
 
+        /**
+         * Fill in the list prices of the chosen pricing model
+         */
+        applyModelPricing(event) {
+            const $option = $(event.target).find('option:selected');
+
+            if ($option.val() === 'custom') {
+                return;
+            }
+
+            $('#pricing_input_per_1k').val($option.data('input'));
+            $('#pricing_output_per_1k').val($option.data('output'));
+        }
+
         /**
          * Show admin notice
          */
@@ -0,0 +1,334 @@
+/**
+ * Template Renderer JavaScript
+ *
+ * Small logic-less template renderer shared by the AI Page Composer admin
+ * scripts. Supports:
+ *
+ * - {{path}}            escaped output (dotted paths, `this`, `../parent`)
+ * - {{{path}}}          raw output
+ * - {{#if path}}...{{else}}...{{/if}} and {{#unless path}}...{{/unless}}
+ * - {{#each path}}...{{else}}...{{/each}} over arrays and objects,
+ *   with {{@index}}, {{@number}}, {{@key}}, {{@first}} and {{@last}}
+ * - {{#with path}}...{{/with}}
+ * - {{> partial}}       partials rendered with the current context
+ * - {{! comment }}
+ *
+ * @package AIPageComposer
+ */
+
+(function(window, document) {
+    'use strict';
+
+    /**
+     * Matches {{{raw}}} and {{tag}} expressions
+     */
+    const TAG_PATTERN = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+    /**
+     * Block helpers understood by the parser
+     */
+    const BLOCK_HELPERS = ['if', 'unless', 'each', 'with'];
+
+    /**
+     * HTML escape map
+     */
+    const ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;',
+        '=': '&#61;'
+    };
+
+    /**
+     * Escape a value for HTML output
+     */
+    function escapeHtml(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        return String(value).replace(/[&<>"'`=]/g, ch => ESCAPES[ch]);
+    }
+
+    /**
+     * Parse a template string into a node tree
+     */
+    function parse(template) {
+        const root = { type: 'root', children: [] };
+        const stack = [];
+        let target = root.children;
+        let lastIndex = 0;
+        let match;
+
+        TAG_PATTERN.lastIndex = 0;
+
+        while ((match = TAG_PATTERN.exec(template)) !== null) {
+            if (match.index > lastIndex) {
+                target.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+            }
+            lastIndex = TAG_PATTERN.lastIndex;
+
+            if (match[1] !== undefined) {
+                target.push({ type: 'value', path: match[1], raw: true });
+                continue;
+            }
+
+            const tag = match[2];
+            const marker = tag.charAt(0);
+
+            if (marker === '!') {
+                continue;
+            }
+
+            if (marker === '>') {
+                target.push({ type: 'partial', name: tag.slice(1).trim() });
+                continue;
+            }
+
+            if (marker === '#') {
+                const parts = tag.slice(1).trim().split(/\s+/);
+                const block = { type: 'block', helper: parts[0], path: parts[1] || 'this', children: [], inverse: [] };
+
+                if (BLOCK_HELPERS.indexOf(block.helper) === -1) {
+                    throw new Error('Unknown template block helper: ' + block.helper);
+                }
+
+                target.push(block);
+                stack.push({ block: block, parentTarget: target });
+                target = block.children;
+                continue;
+            }
+
+            if (tag === 'else') {
+                if (!stack.length) {
+                    throw new Error('Template {{else}} outside of a block');
+                }
+
+                target = stack[stack.length - 1].block.inverse;
+                continue;
+            }
+
+            if (marker === '/') {
+                const name = tag.slice(1).trim();
+                const frame = stack.pop();
+
+                if (!frame || frame.block.helper !== name) {
+                    throw new Error('Unexpected template closing tag {{/' + name + '}}');
+                }
+
+                target = frame.parentTarget;
+                continue;
+            }
+
+            target.push({ type: 'value', path: tag, raw: false });
+        }
+
+        if (stack.length) {
+            throw new Error('Unclosed template block {{#' + stack[stack.length - 1].block.helper + '}}');
+        }
+
+        if (lastIndex < template.length) {
+            target.push({ type: 'text', value: template.slice(lastIndex) });
+        }
+
+        return root;
+    }
+
+    /**
+     * Resolve a path against the context stack
+     */
+    function lookup(path, contexts, data) {
+        if (path.charAt(0) === '@') {
+            return data ? data[path.slice(1)] : undefined;
+        }
+
+        let depth = contexts.length - 1;
+        while (path.indexOf('../') === 0) {
+            depth = Math.max(0, depth - 1);
+            path = path.slice(3);
+        }
+
+        let value = contexts[depth];
+        if (path === 'this' || path === '.') {
+            return value;
+        }
+
+        if (path.indexOf('this.') === 0) {
+            path = path.slice(5);
+        }
+
+        const keys = path.split('.');
+        for (let i = 0; i < keys.length; i++) {
+            if (value === null || value === undefined) {
+                return undefined;
+            }
+            value = value[keys[i]];
+        }
+
+        return value;
+    }
+
+    /**
+     * Template truthiness: empty arrays are falsy
+     */
+    function isTruthy(value) {
+        return Array.isArray(value) ? value.length > 0 : !!value;
+    }
+
+    /**
+     * Render an {{#each}} block
+     */
+    function renderEach(block, value, contexts, renderer) {
+        const items = [];
+
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => items.push({ item: item, key: index }));
+        } else if (value && typeof value === 'object') {
+            Object.keys(value).forEach(key => items.push({ item: value[key], key: key }));
+        }
+
+        if (!items.length) {
+            return renderNodes(block.inverse, contexts, null, renderer);
+        }
+
+        return items.map((entry, index) => renderNodes(block.children, contexts.concat([entry.item]), {
+            index: index,
+            number: index + 1,
+            key: entry.key,
+            first: index === 0,
+            last: index === items.length - 1
+        }, renderer)).join('');
+    }
+
+    /**
+     * Render a list of nodes
+     */
+    function renderNodes(nodes, contexts, data, renderer) {
+        let output = '';
+
+        nodes.forEach(node => {
+            switch (node.type) {
+                case 'text':
+                    output += node.value;
+                    break;
+
+                case 'value': {
+                    const value = lookup(node.path, contexts, data);
+                    output += node.raw ? (value === null || value === undefined ? '' : String(value)) : escapeHtml(value);
+                    break;
+                }
+
+                case 'partial':
+                    output += renderNodes(renderer.getPartial(node.name).children, contexts, data, renderer);
+                    break;
+
+                case 'block': {
+                    const value = lookup(node.path, contexts, data);
+
+                    if (node.helper === 'each') {
+                        output += renderEach(node, value, contexts, renderer);
+                    } else if (node.helper === 'with') {
+                        output += isTruthy(value)
+                            ? renderNodes(node.children, contexts.concat([value]), data, renderer)
+                            : renderNodes(node.inverse, contexts, data, renderer);
+                    } else {
+                        const show = node.helper === 'if' ? isTruthy(value) : !isTruthy(value);
+                        output += renderNodes(show ? node.children : node.inverse, contexts, data, renderer);
+                    }
+                    break;
+                }
+            }
+        });
+
+        return output;
+    }
+
+    /**
+     * Template Renderer
+     */
+    const TemplateRenderer = {
+        /**
+         * Parsed templates keyed by source
+         */
+        cache: {},
+
+        /**
+         * Registered partial sources keyed by name
+         */
+        partials: {},
+
+        /**
+         * Escape a value for HTML output
+         */
+        escape: escapeHtml,
+
+        /**
+         * Compile a template into a render function
+         */
+        compile: function(template) {
+            if (!this.cache[template]) {
+                this.cache[template] = parse(template);
+            }
+
+            const tree = this.cache[template];
+            return data => renderNodes(tree.children, [data], null, this);
+        },
+
+        /**
+         * Render a template string with data
+         */
+        render: function(template, data) {
+            return this.compile(template)(data);
+        },
+
+        /**
+         * Render the template held in a <script type="text/template"> element
+         */
+        renderElement: function(id, data) {
+            const element = document.getElementById(id);
+
+            if (!element) {
+                throw new Error('Template not found: #' + id);
+            }
+
+            return this.render(element.innerHTML, data);
+        },
+
+        /**
+         * Register a partial by name
+         */
+        registerPartial: function(name, template) {
+            this.partials[name] = template;
+        },
+
+        /**
+         * Get a parsed partial, falling back to <script data-partial="name"> elements
+         */
+        getPartial: function(name) {
+            if (this.partials[name] === undefined) {
+                const element = document.querySelector('script[type="text/template"][data-partial="' + name + '"]');
+
+                if (!element) {
+                    throw new Error('Template partial not found: ' + name);
+                }
+
+                this.partials[name] = element.innerHTML;
+            }
+
+            const source = this.partials[name];
+            if (!this.cache[source]) {
+                this.cache[source] = parse(source);
+            }
+
+            return this.cache[source];
+        }
+    };
+
+    // Export for global access
+    window.AIComposer = window.AIComposer || {};
+    window.AIComposer.TemplateRenderer = TemplateRenderer;
+
+})(window, document);
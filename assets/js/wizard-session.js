@@ -0,0 +1,398 @@
+/**
+ * Wizard Session JavaScript
+ *
+ * Autosaves the composer wizard state to the server and lets users resume
+ * unfinished compositions from any machine.
+ *
+ * @package AIPageComposer
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Wizard Session Manager
+     */
+    const WizardSession = {
+        /**
+         * ID of the session being autosaved
+         */
+        sessionId: null,
+
+        /**
+         * State changes waiting to be saved
+         */
+        pending: {},
+
+        /**
+         * Debounce timer for autosave
+         */
+        saveTimer: null,
+
+        /**
+         * Promise chain that keeps saves in order
+         */
+        queue: Promise.resolve(),
+
+        /**
+         * Whether a saved session is being restored
+         */
+        restoring: false,
+
+        /**
+         * Step labels shown in the session list
+         */
+        stepLabels: {
+            'outline-generation-step': 'Outline',
+            'assembly-step': 'Assembly',
+            'preview-step': 'Preview'
+        },
+
+        /**
+         * Initialize session persistence
+         */
+        init: function() {
+            const stored = sessionStorage.getItem('ai_composer_wizard_session');
+            this.sessionId = stored ? parseInt(stored, 10) : null;
+
+            this.bindEvents();
+            this.loadSessions();
+        },
+
+        /**
+         * Bind wizard events to autosave
+         */
+        bindEvents: function() {
+            const self = this;
+            const OutlineStep = window.AIComposer.OutlineStep;
+
+            $(document).on('ai_composer_blueprint_selected', function(e, blueprintId) {
+                self.scheduleSave({ blueprint_id: blueprintId });
+            });
+
+            $(document).on('input change', '#outline-form :input', function() {
+                self.scheduleSave({ form_data: OutlineStep.getFormData() });
+            });
+
+            $(document).on('ai_composer_outline_changed', function(e, outline) {
+                self.scheduleSave({ outline: outline, outline_approved: false });
+            });
+
+            $(document).on('ai_composer_outline_approved', function(e, outline) {
+                self.scheduleSave({ outline: outline, outline_approved: true }, true);
+            });
+
+            $(document).on('ai_composer_step_shown', function(e, stepId) {
+                self.scheduleSave({ step: stepId }, true);
+            });
+
+            $(document).on('ai_composer_assembly_completed', function(e, assemblyData) {
+                self.scheduleSave({ assembly: assemblyData }, true);
+            });
+
+            $(document).on('ai_composer_draft_created', function(e, result) {
+                self.scheduleSave({ draft: result, status: 'completed' }, true);
+            });
+
+            $(document).on('ai_composer_reset', function() {
+                self.startNew();
+            });
+
+            $(document).on('click', '#ai-composer-session-list .resume-session', function(e) {
+                self.resume($(e.target).closest('.session-item').data('session-id'));
+            });
+
+            $(document).on('click', '#ai-composer-session-list .delete-session', function(e) {
+                self.discard($(e.target).closest('.session-item').data('session-id'));
+            });
+
+            // Save whatever is left when the page goes away
+            window.addEventListener('pagehide', function() {
+                self.flushOnUnload();
+            });
+        },
+
+        /**
+         * Queue a state change for autosave
+         */
+        scheduleSave: function(patch, immediate) {
+            if (this.restoring) {
+                return;
+            }
+
+            $.extend(this.pending, patch);
+            clearTimeout(this.saveTimer);
+
+            if (immediate) {
+                this.flush();
+                return;
+            }
+
+            this.saveTimer = setTimeout(() => this.flush(), aiComposerWizardSession.autosave);
+        },
+
+        /**
+         * Save pending changes now
+         */
+        flush: function() {
+            clearTimeout(this.saveTimer);
+
+            if (!Object.keys(this.pending).length) {
+                return this.queue;
+            }
+
+            const patch = this.pending;
+            this.pending = {};
+
+            this.queue = this.queue
+                .then(() => this.persist(patch))
+                .catch(error => {
+                    console.error('Wizard session autosave failed:', error);
+                    // Keep the changes for the next attempt
+                    this.pending = $.extend(patch, this.pending);
+                });
+
+            return this.queue;
+        },
+
+        /**
+         * Create or update the session on the server
+         */
+        persist: async function(patch) {
+            if (!this.sessionId) {
+                const session = await wp.apiFetch({
+                    path: '/ai-composer/v1/wizard-sessions',
+                    method: 'POST',
+                    data: patch
+                });
+
+                this.setSessionId(session.id);
+                return session;
+            }
+
+            try {
+                return await wp.apiFetch({
+                    path: '/ai-composer/v1/wizard-sessions/' + this.sessionId,
+                    method: 'POST',
+                    data: patch
+                });
+            } catch (error) {
+                if (error.code !== 'session_not_found') {
+                    throw error;
+                }
+
+                // Session was discarded elsewhere, start a new one with the full state
+                this.setSessionId(null);
+                return this.persist($.extend(this.collectState(), patch));
+            }
+        },
+
+        /**
+         * Send pending changes with a request that survives page unload
+         */
+        flushOnUnload: function() {
+            clearTimeout(this.saveTimer);
+
+            if (!this.sessionId || !Object.keys(this.pending).length) {
+                return;
+            }
+
+            fetch(aiComposerWizardSession.restUrl + '/' + this.sessionId, {
+                method: 'POST',
+                keepalive: true,
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-WP-Nonce': aiComposerWizardSession.nonce
+                },
+                body: JSON.stringify(this.pending)
+            });
+
+            this.pending = {};
+        },
+
+        /**
+         * Collect the current wizard state
+         */
+        collectState: function() {
+            const OutlineStep = window.AIComposer.OutlineStep;
+            const assembly = window.AIComposerAssembly;
+            const state = {
+                blueprint_id: OutlineStep.blueprintId || 0,
+                form_data: OutlineStep.getFormData(),
+                outline: OutlineStep.outlineData
+            };
+
+            if (assembly && assembly.currentAssemblyData) {
+                state.assembly = assembly.currentAssemblyData;
+            }
+
+            return state;
+        },
+
+        /**
+         * Remember the session being autosaved
+         */
+        setSessionId: function(sessionId) {
+            this.sessionId = sessionId;
+
+            if (sessionId) {
+                sessionStorage.setItem('ai_composer_wizard_session', sessionId);
+            } else {
+                sessionStorage.removeItem('ai_composer_wizard_session');
+            }
+        },
+
+        /**
+         * Stop autosaving into the current session
+         */
+        startNew: function() {
+            clearTimeout(this.saveTimer);
+            this.pending = {};
+            this.setSessionId(null);
+            this.loadSessions();
+        },
+
+        /**
+         * Load and render the user's unfinished sessions
+         */
+        loadSessions: async function() {
+            const $panel = $('#ai-composer-sessions');
+
+            if (!$panel.length) {
+                return;
+            }
+
+            try {
+                const sessions = await wp.apiFetch({
+                    path: '/ai-composer/v1/wizard-sessions?status=in_progress'
+                });
+
+                this.renderSessions(sessions);
+            } catch (error) {
+                console.error('Failed to load wizard sessions:', error);
+                $panel.hide();
+            }
+        },
+
+        /**
+         * Render the session list
+         */
+        renderSessions: function(sessions) {
+            const $panel = $('#ai-composer-sessions');
+
+            if (!sessions.length) {
+                $panel.hide();
+                return;
+            }
+
+            const html = window.AIComposer.TemplateRenderer.renderElement('wizard-session-list-template', {
+                sessions: sessions.map(session => $.extend({}, session, {
+                    is_current: session.id === this.sessionId,
+                    step_label: this.stepLabels[session.step] || session.step,
+                    updated_label: new Date(session.updated_at).toLocaleString()
+                }))
+            });
+
+            $('#ai-composer-session-list').html(html);
+            $panel.show();
+        },
+
+        /**
+         * Resume a saved session
+         */
+        resume: async function(sessionId) {
+            try {
+                await this.flush();
+
+                const session = await wp.apiFetch({
+                    path: '/ai-composer/v1/wizard-sessions/' + sessionId
+                });
+
+                this.restore(session);
+                this.loadSessions();
+            } catch (error) {
+                console.error('Failed to resume wizard session:', error);
+                window.alert('Could not resume this composition: ' + (error.message || 'Unknown error'));
+            }
+        },
+
+        /**
+         * Restore the wizard from a saved session
+         */
+        restore: function(session) {
+            const state = session.state || {};
+            const OutlineStep = window.AIComposer.OutlineStep;
+            const assembly = window.AIComposerAssembly;
+
+            this.restoring = true;
+            clearTimeout(this.saveTimer);
+            this.pending = {};
+            this.setSessionId(session.id);
+
+            try {
+                if (state.blueprint_id) {
+                    $(document).trigger('ai_composer_blueprint_selected', [state.blueprint_id]);
+                }
+
+                OutlineStep.applyFormData(state.form_data);
+
+                if (state.outline && state.outline.sections) {
+                    OutlineStep.restoreOutline(state.outline);
+
+                    if (state.outline_approved) {
+                        sessionStorage.setItem('ai_composer_outline', JSON.stringify(state.outline));
+                    }
+                }
+
+                if (assembly && state.assembly) {
+                    assembly.restoreAssembly(state.assembly);
+                }
+
+                if (assembly && state.draft) {
+                    assembly.displayDraftResult(state.draft);
+                }
+
+                $(document).trigger('ai_composer_session_resumed', [session]);
+                $(document).trigger('ai_composer_step_shown', [state.step]);
+            } finally {
+                this.restoring = false;
+            }
+        },
+
+        /**
+         * Discard a saved session
+         */
+        discard: async function(sessionId) {
+            if (!window.confirm('Discard this composition? This cannot be undone.')) {
+                return;
+            }
+
+            try {
+                await wp.apiFetch({
+                    path: '/ai-composer/v1/wizard-sessions/' + sessionId,
+                    method: 'DELETE'
+                });
+
+                if (sessionId === this.sessionId) {
+                    this.startNew();
+                    return;
+                }
+
+                this.loadSessions();
+            } catch (error) {
+                console.error('Failed to discard wizard session:', error);
+            }
+        }
+    };
+
+    // Initialize when document is ready
+    $(document).ready(function() {
+        WizardSession.init();
+    });
+
+    // Export for global access
+    window.AIComposer = window.AIComposer || {};
+    window.AIComposer.WizardSession = WizardSession;
+
+})(jQuery);
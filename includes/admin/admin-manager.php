@@ -498,6 +498,23 @@ class Admin_Manager {
                 true
             );
 
+            // Enqueue outline presets admin script
+            wp_enqueue_script(
+                'ai-page-composer-outline-presets',
+                AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/outline-presets-admin.js',
+                array( 'jquery', 'wp-api-fetch', 'ai-composer-template-renderer' ),
+                AI_PAGE_COMPOSER_VERSION,
+                true
+            );
+
+            wp_localize_script(
+                'ai-page-composer-outline-presets',
+                'aiComposerOutlinePresets',
+                array(
+                    'canManageSite' => current_user_can( 'manage_options' ),
+                )
+            );
+
             // Localize script data
             wp_localize_script(
                 'ai-page-composer-settings',
@@ -406,6 +406,50 @@ class Block_Preferences {
         return $section_mappings[ $section_type ] ?? 'auto';
     }
 
+    /**
+     * Get the preferred plugin of each section type
+     *
+     * Section types left on "auto" are not included.
+     *
+     * @return array Plugin keys keyed by section type
+     */
+    public function get_user_preferences() {
+        $settings = get_option( 'ai_composer_settings', array() );
+        $section_mappings = $settings['block_preferences']['section_mappings'] ?? array();
+
+        return array_filter( $section_mappings, function( $plugin_key ) {
+            return 'auto' !== $plugin_key;
+        } );
+    }
+
+    /**
+     * Get the blocks chosen for section types in the assembly step
+     *
+     * @return array Block names keyed by section type
+     */
+    public function get_section_blocks() {
+        $settings = get_option( 'ai_composer_settings', array() );
+
+        return $settings['block_preferences']['section_blocks'] ?? array();
+    }
+
+    /**
+     * Save the block to use for a section type from now on
+     *
+     * @param string $section_type Section type.
+     * @param string $block_name   Block name.
+     * @return bool Update success
+     */
+    public function save_section_block( $section_type, $block_name ) {
+        $settings = get_option( 'ai_composer_settings', array() );
+        $section_blocks = $settings['block_preferences']['section_blocks'] ?? array();
+        $section_blocks[ $section_type ] = $block_name;
+
+        $settings['block_preferences']['section_blocks'] = Validation_Helper::sanitize_section_blocks( $section_blocks );
+
+        return update_option( 'ai_composer_settings', $settings );
+    }
+
     /**
      * Check if plugin supports advanced features
      *
@@ -0,0 +1,210 @@
+<?php
+/**
+ * Outline Presets Class - Saved Outline Form Configurations
+ *
+ * This file handles named presets for the outline generation form. A preset
+ * stores a full form configuration (brief template, audience, tone, MVDB
+ * retrieval parameters and alpha) either for a single user or sitewide.
+ *
+ * @package AIPageComposer
+ */
+
+namespace AIPageComposer\Admin;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Outline Presets class for storing outline form presets
+ */
+class Outline_Presets {
+
+    /**
+     * Option holding sitewide presets
+     */
+    const SITE_OPTION = 'ai_composer_outline_presets';
+
+    /**
+     * User meta key holding personal presets
+     */
+    const USER_META_KEY = '_ai_composer_outline_presets';
+
+    /**
+     * Allowed content tones (mirrors Outline_Controller)
+     *
+     * @var array
+     */
+    private $tones = array( 'professional', 'casual', 'technical', 'friendly', 'authoritative' );
+
+    /**
+     * Get sitewide presets
+     *
+     * @return array Presets keyed by ID.
+     */
+    public function get_site_presets() {
+        $presets = get_option( self::SITE_OPTION, array() );
+
+        return is_array( $presets ) ? $presets : array();
+    }
+
+    /**
+     * Get a user's personal presets
+     *
+     * @param int $user_id User ID.
+     * @return array Presets keyed by ID.
+     */
+    public function get_user_presets( $user_id ) {
+        $presets = get_user_meta( $user_id, self::USER_META_KEY, true );
+
+        return is_array( $presets ) ? $presets : array();
+    }
+
+    /**
+     * Get all presets available to a user, sitewide presets first
+     *
+     * @param int $user_id User ID.
+     * @return array List of presets.
+     */
+    public function get_presets( $user_id ) {
+        $presets = array_merge(
+            array_values( $this->get_site_presets() ),
+            array_values( $this->get_user_presets( $user_id ) )
+        );
+
+        usort( $presets, function( $a, $b ) {
+            if ( $a['scope'] !== $b['scope'] ) {
+                return 'site' === $a['scope'] ? -1 : 1;
+            }
+
+            return strcasecmp( $a['name'], $b['name'] );
+        } );
+
+        return $presets;
+    }
+
+    /**
+     * Get a preset available to a user
+     *
+     * @param string $preset_id Preset ID.
+     * @param int    $user_id User ID.
+     * @return array|null Preset or null if not found.
+     */
+    public function get_preset( $preset_id, $user_id ) {
+        $site_presets = $this->get_site_presets();
+        if ( isset( $site_presets[ $preset_id ] ) ) {
+            return $site_presets[ $preset_id ];
+        }
+
+        $user_presets = $this->get_user_presets( $user_id );
+
+        return $user_presets[ $preset_id ] ?? null;
+    }
+
+    /**
+     * Create or update a preset
+     *
+     * An existing preset keeps its ID; moving it between scopes removes it from
+     * the old store.
+     *
+     * @param array $data Preset data with name, scope, form_data and optional id.
+     * @param int   $user_id Owner user ID.
+     * @return array|\WP_Error Saved preset or error.
+     */
+    public function save_preset( $data, $user_id ) {
+        $name = sanitize_text_field( $data['name'] ?? '' );
+
+        if ( '' === $name ) {
+            return new \WP_Error(
+                'preset_name_required',
+                __( 'Preset name is required', 'ai-page-composer' ),
+                array( 'status' => 400 )
+            );
+        }
+
+        $scope = 'site' === ( $data['scope'] ?? '' ) ? 'site' : 'user';
+        $preset_id = ! empty( $data['id'] ) ? sanitize_key( $data['id'] ) : sanitize_key( uniqid( 'preset_' ) );
+
+        $preset = array(
+            'id' => $preset_id,
+            'name' => $name,
+            'scope' => $scope,
+            'form_data' => $this->sanitize_form_data( is_array( $data['form_data'] ?? null ) ? $data['form_data'] : array() ),
+            'author' => $user_id,
+            'updated_at' => current_time( 'mysql' ),
+        );
+
+        $site_presets = $this->get_site_presets();
+        $user_presets = $this->get_user_presets( $user_id );
+        unset( $site_presets[ $preset_id ], $user_presets[ $preset_id ] );
+
+        if ( 'site' === $scope ) {
+            $site_presets[ $preset_id ] = $preset;
+        } else {
+            $user_presets[ $preset_id ] = $preset;
+        }
+
+        update_option( self::SITE_OPTION, $site_presets, false );
+        update_user_meta( $user_id, self::USER_META_KEY, $user_presets );
+
+        return $preset;
+    }
+
+    /**
+     * Delete a preset
+     *
+     * @param string $preset_id Preset ID.
+     * @param int    $user_id User ID.
+     * @return bool True if a preset was deleted.
+     */
+    public function delete_preset( $preset_id, $user_id ) {
+        $site_presets = $this->get_site_presets();
+        if ( isset( $site_presets[ $preset_id ] ) ) {
+            unset( $site_presets[ $preset_id ] );
+            return update_option( self::SITE_OPTION, $site_presets, false );
+        }
+
+        $user_presets = $this->get_user_presets( $user_id );
+        if ( isset( $user_presets[ $preset_id ] ) ) {
+            unset( $user_presets[ $preset_id ] );
+            return (bool) update_user_meta( $user_id, self::USER_META_KEY, $user_presets );
+        }
+
+        return false;
+    }
+
+    /**
+     * Sanitize an outline form configuration
+     *
+     * @param array $form_data Raw form data.
+     * @return array Sanitized form data.
+     */
+    public function sanitize_form_data( $form_data ) {
+        $tone = sanitize_key( $form_data['tone'] ?? '' );
+
+        $sanitized = array(
+            'brief' => sanitize_textarea_field( $form_data['brief'] ?? '' ),
+            'audience' => sanitize_text_field( $form_data['audience'] ?? '' ),
+            'tone' => in_array( $tone, $this->tones, true ) ? $tone : 'professional',
+            'alpha' => max( 0.0, min( 1.0, floatval( $form_data['alpha'] ?? 0.7 ) ) ),
+        );
+
+        if ( ! empty( $form_data['mvdb_params'] ) && is_array( $form_data['mvdb_params'] ) ) {
+            $mvdb_params = $form_data['mvdb_params'];
+
+            $sanitized['mvdb_params'] = array(
+                'namespaces' => array_values( array_filter( array_map( 'sanitize_key', (array) ( $mvdb_params['namespaces'] ?? array() ) ) ) ),
+                'k' => max( 1, min( 50, absint( $mvdb_params['k'] ?? 10 ) ) ),
+                'min_score' => max( 0.0, min( 1.0, floatval( $mvdb_params['min_score'] ?? 0.5 ) ) ),
+            );
+
+            // Retrieval filter groups are validated by MVDB_Filters when used
+            if ( ! empty( $mvdb_params['filters'] ) && is_array( $mvdb_params['filters'] ) ) {
+                $sanitized['mvdb_params']['filters'] = map_deep( $mvdb_params['filters'], 'sanitize_text_field' );
+            }
+        }
+
+        return $sanitized;
+    }
+}
@@ -14,6 +14,7 @@ namespace AIPageComposer\Admin;
 
 use AIPageComposer\Utils\Security_Helper;
 use AIPageComposer\Utils\Validation_Helper;
+use AIPageComposer\API\Cost_Estimator;
 
 // Prevent direct access
 if ( ! defined( 'ABSPATH' ) ) {
@@ -428,6 +429,7 @@ class Settings_Manager {
                 'detection_enabled' => Validation_Helper::validate_checkbox( $input['block_preferences']['detection_enabled'] ?? true ),
                 'plugin_priorities' => Validation_Helper::sanitize_plugin_priorities( $input['block_preferences']['plugin_priorities'] ?? array() ),
                 'section_mappings' => Validation_Helper::sanitize_section_mappings( $input['block_preferences']['section_mappings'] ?? array() ),
+                'section_blocks' => Validation_Helper::sanitize_section_blocks( $input['block_preferences']['section_blocks'] ?? array() ),
                 'custom_block_types' => Validation_Helper::sanitize_custom_block_types( $input['block_preferences']['custom_block_types'] ?? array() ),
             );
         } else {
@@ -442,6 +444,7 @@ class Settings_Manager {
                 'token_limit_per_section' => Validation_Helper::validate_token_limit( $input['cost_management']['token_limit_per_section'] ?? 1000 ),
                 'cost_alerts_enabled' => Validation_Helper::validate_checkbox( $input['cost_management']['cost_alerts_enabled'] ?? true ),
                 'budget_reset_schedule' => Validation_Helper::validate_budget_schedule( $input['cost_management']['budget_reset_schedule'] ?? 'daily' ),
+                'pricing' => Validation_Helper::sanitize_pricing_table( $input['cost_management']['pricing'] ?? array() ),
             );
         } else {
             $sanitized['cost_management'] = $defaults['cost_management'];
@@ -506,6 +509,7 @@ class Settings_Manager {
                     'faq' => 'auto',
                     'cta' => 'auto',
                 ),
+                'section_blocks' => array(),
                 'custom_block_types' => array(),
             ),
             'cost_management' => array(
@@ -514,6 +518,7 @@ class Settings_Manager {
                 'token_limit_per_section' => 1000,
                 'cost_alerts_enabled' => true,
                 'budget_reset_schedule' => 'daily',
+                'pricing' => Cost_Estimator::DEFAULT_PRICING,
             ),
         );
     }
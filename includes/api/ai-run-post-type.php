@@ -180,6 +180,9 @@ class AI_Run_Post_Type {
                     $blueprint = get_post($blueprint_id);
                     if ($blueprint) {
                         echo '<a href="' . esc_url(get_edit_post_link($blueprint_id)) . '">' . esc_html($blueprint->post_title) . '</a>';
+                        if (!empty($params['blueprint_version'])) {
+                            echo ' <code>' . esc_html($params['blueprint_version']) . '</code>';
+                        }
                     } else {
                         echo '<em>' . __('Blueprint not found', 'ai-page-composer') . '</em>';
                     }
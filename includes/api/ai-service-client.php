@@ -37,6 +37,13 @@ class AI_Service_Client {
      */
     private $openai_endpoint = 'https://api.openai.com/v1/chat/completions';
 
+    /**
+     * OpenAI request timeout in seconds, streamed or not
+     *
+     * @var int
+     */
+    private $openai_timeout = 60;
+
     /**
      * MVDB API endpoint base
      *
@@ -82,9 +89,10 @@ class AI_Service_Client {
      * @param array  $namespaces Search namespaces.
      * @param int    $k Number of results.
      * @param float  $min_score Minimum similarity score.
+     * @param array  $filters Optional metadata filters, validated by MVDB_Filters.
      * @return array MVDB results.
      */
-    public function retrieve_mvdb_context( $query, $namespaces, $k, $min_score ) {
+    public function retrieve_mvdb_context( $query, $namespaces, $k, $min_score, $filters = array() ) {
         $settings = $this->settings_manager->get_all_settings();
         $api_key = $settings['api_settings']['mvdb_api_key'] ?? '';
 
@@ -103,6 +111,7 @@ class AI_Service_Client {
                     'namespaces' => $namespaces,
                     'k' => $k,
                     'min_score' => $min_score,
+                    'filter' => ( new MVDB_Filters() )->build_filter_string( $filters ),
                 ) ),
                 'timeout' => 30,
             ) );
@@ -159,24 +168,7 @@ class AI_Service_Client {
             throw new Exception( __( 'OpenAI API key not configured', 'ai-page-composer' ) );
         }
 
-        // Build system message for outline generation
-        $system_message = $this->build_system_message( $alpha );
-
-        $request_body = array(
-            'model' => 'gpt-4',
-            'messages' => array(
-                array(
-                    'role' => 'system',
-                    'content' => $system_message,
-                ),
-                array(
-                    'role' => 'user',
-                    'content' => $prompt,
-                ),
-            ),
-            'temperature' => 0.7,
-            'max_tokens' => 2000,
-        );
+        $request_body = $this->build_outline_request_body( $prompt, $alpha );
 
         $response = wp_remote_post( $this->openai_endpoint, array(
             'headers' => array(
@@ -184,7 +176,7 @@ class AI_Service_Client {
                 'Content-Type' => 'application/json',
             ),
             'body' => wp_json_encode( $request_body ),
-            'timeout' => 60,
+            'timeout' => $this->openai_timeout,
         ) );
 
         if ( is_wp_error( $response ) ) {
@@ -210,6 +202,156 @@ class AI_Service_Client {
         return $data;
     }
 
+    /**
+     * Stream outline generation from OpenAI
+     *
+     * Calls the chat completions API with `stream` enabled and hands every
+     * content delta to the callback. Returning false from the callback aborts
+     * the transfer.
+     *
+     * @param string   $prompt Generation prompt.
+     * @param array    $mvdb_context MVDB context data.
+     * @param float    $alpha Hybrid mode alpha value.
+     * @param callable $on_delta Receives ( $delta, $content_so_far ).
+     * @return array|null Parsed response data, or null if the callback aborted.
+     * @throws \Exception If the API call fails.
+     */
+    public function stream_outline( $prompt, $mvdb_context, $alpha, $on_delta ) {
+        $enhanced_prompt = $this->enhance_prompt_with_context( $prompt, $mvdb_context );
+
+        // Without cURL there is no way to read the response incrementally
+        if ( ! function_exists( 'curl_init' ) ) {
+            $response = $this->call_openai_api( $enhanced_prompt, $alpha );
+            $content = $response['choices'][0]['message']['content'] ?? '';
+
+            if ( false === call_user_func( $on_delta, $content, $content ) ) {
+                return null;
+            }
+
+            return $this->parse_ai_response( $response );
+        }
+
+        $settings = $this->settings_manager->get_all_settings();
+        $api_key = $settings['api_settings']['openai_api_key'] ?? '';
+
+        if ( empty( $api_key ) ) {
+            throw new \Exception( __( 'OpenAI API key not configured', 'ai-page-composer' ) );
+        }
+
+        $request_body = $this->build_outline_request_body( $enhanced_prompt, $alpha );
+        $request_body['stream'] = true;
+
+        $buffer = '';
+        $error_body = '';
+        $content = '';
+        $aborted = false;
+
+        // The WP HTTP API only returns a response once it is complete, so
+        // streaming reads it through cURL with the same timeout and SSL
+        // verification WP_Http would use
+        $ssl_verify = apply_filters( 'https_ssl_verify', true, $this->openai_endpoint );
+
+        $curl = curl_init( $this->openai_endpoint );
+        curl_setopt_array( $curl, array(
+            CURLOPT_POST => true,
+            CURLOPT_HTTPHEADER => array(
+                'Authorization: Bearer ' . $api_key,
+                'Content-Type: application/json',
+            ),
+            CURLOPT_POSTFIELDS => wp_json_encode( $request_body ),
+            CURLOPT_TIMEOUT => $this->openai_timeout,
+            CURLOPT_SSL_VERIFYPEER => (bool) $ssl_verify,
+            CURLOPT_SSL_VERIFYHOST => $ssl_verify ? 2 : 0,
+            CURLOPT_CAINFO => ABSPATH . WPINC . '/certificates/ca-bundle.crt',
+            CURLOPT_WRITEFUNCTION => function( $handle, $data ) use ( &$buffer, &$error_body, &$content, &$aborted, $on_delta ) {
+                // Error responses are a plain JSON body, kept whole for the error message
+                if ( 200 !== curl_getinfo( $handle, CURLINFO_HTTP_CODE ) ) {
+                    $error_body .= $data;
+                    return strlen( $data );
+                }
+
+                $buffer .= $data;
+
+                // Server-sent events arrive as "data: {json}" lines
+                while ( false !== ( $position = strpos( $buffer, "\n" ) ) ) {
+                    $line = trim( substr( $buffer, 0, $position ) );
+                    $buffer = substr( $buffer, $position + 1 );
+
+                    if ( 0 !== strpos( $line, 'data: ' ) || 'data: [DONE]' === $line ) {
+                        continue;
+                    }
+
+                    $chunk = json_decode( substr( $line, 6 ), true );
+                    $delta = $chunk['choices'][0]['delta']['content'] ?? '';
+
+                    if ( '' === $delta ) {
+                        continue;
+                    }
+
+                    $content .= $delta;
+
+                    if ( false === call_user_func( $on_delta, $delta, $content ) ) {
+                        $aborted = true;
+                        return 0;
+                    }
+                }
+
+                return strlen( $data );
+            },
+        ) );
+
+        curl_exec( $curl );
+        $error = curl_error( $curl );
+        $status = curl_getinfo( $curl, CURLINFO_HTTP_CODE );
+        curl_close( $curl );
+
+        if ( $aborted ) {
+            return null;
+        }
+
+        if ( ! empty( $error ) ) {
+            throw new \Exception( 'OpenAI API request failed: ' . $error );
+        }
+
+        if ( 200 !== $status ) {
+            $error_data = json_decode( $error_body, true );
+            $error_message = $error_data['error']['message'] ?? 'Unknown API error';
+
+            throw new \Exception( 'OpenAI API error (' . $status . '): ' . $error_message );
+        }
+
+        return $this->parse_ai_response( array(
+            'choices' => array(
+                array( 'message' => array( 'content' => $content ) ),
+            ),
+        ) );
+    }
+
+    /**
+     * Build the chat completions request body for outline generation
+     *
+     * @param string $prompt Enhanced prompt.
+     * @param float  $alpha Hybrid mode alpha value.
+     * @return array Request body.
+     */
+    private function build_outline_request_body( $prompt, $alpha ) {
+        return array(
+            'model' => 'gpt-4',
+            'messages' => array(
+                array(
+                    'role' => 'system',
+                    'content' => $this->build_system_message( $alpha ),
+                ),
+                array(
+                    'role' => 'user',
+                    'content' => $prompt,
+                ),
+            ),
+            'temperature' => 0.7,
+            'max_tokens' => 2000,
+        );
+    }
+
     /**
      * Build system message for OpenAI
      *
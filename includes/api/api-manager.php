@@ -650,6 +650,38 @@ class API_Manager {
                     'exclude_ids' => array(
                         'type' => 'array',
                         'items' => array( 'type' => 'integer' )
+                    ),
+                    'match' => array(
+                        'type' => 'string',
+                        'enum' => array( 'all', 'any' )
+                    ),
+                    'groups' => array(
+                        'type' => 'array',
+                        'maxItems' => 10,
+                        'items' => array(
+                            'type' => 'object',
+                            'properties' => array(
+                                'match' => array(
+                                    'type' => 'string',
+                                    'enum' => array( 'all', 'any' )
+                                ),
+                                'conditions' => array(
+                                    'type' => 'array',
+                                    'maxItems' => 20,
+                                    'items' => array(
+                                        'type' => 'object',
+                                        'properties' => array(
+                                            'field' => array( 'type' => 'string' ),
+                                            'operator' => array(
+                                                'type' => 'string',
+                                                'enum' => array( 'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains', 'in' )
+                                            ),
+                                            'value' => array( 'type' => array( 'string', 'number', 'array' ) )
+                                        )
+                                    )
+                                )
+                            )
+                        )
                     )
                 ),
                 'default' => array(),
@@ -763,6 +795,12 @@ class API_Manager {
             $sanitized['exclude_ids'] = array_map( 'absint', $value['exclude_ids'] );
         }
 
+        // Condition groups are validated field by field in MVDB_Filters
+        if ( ! empty( $value['groups'] ) && is_array( $value['groups'] ) ) {
+            $sanitized['match'] = ( $value['match'] ?? 'all' ) === 'any' ? 'any' : 'all';
+            $sanitized['groups'] = map_deep( $value['groups'], 'sanitize_text_field' );
+        }
+
         return $sanitized;
     }
 
@@ -924,6 +962,22 @@ class API_Manager {
             $sections = $request->get_param( 'sections' );
             $blueprint_id = $request->get_param( 'blueprint_id' );
             $assembly_options = $request->get_param( 'assembly_options' ) ?: array();
+            $section_index = $request->get_param( 'section_index' );
+
+            // Re-assemble one section of an existing assembly, e.g. with a block picked for it
+            if ( null !== $section_index ) {
+                $assembly_result = $this->assembly_manager->reassemble_section(
+                    $request->get_param( 'assembly' ) ?: array(),
+                    $sections[0] ?? null,
+                    $section_index,
+                    array(
+                        'blueprint_id' => $blueprint_id,
+                        'options' => $assembly_options
+                    )
+                );
+
+                return rest_ensure_response( $assembly_result );
+            }
 
             $assembly_result = $this->assembly_manager->assemble_sections( $sections, array(
                 'blueprint_id' => $blueprint_id,
@@ -1069,6 +1123,15 @@ class API_Manager {
             'assembly_options' => array(
                 'type' => 'object',
                 'description' => __( 'Assembly configuration options', 'ai-page-composer' )
+            ),
+            'section_index' => array(
+                'type' => 'integer',
+                'minimum' => 0,
+                'description' => __( 'Position of the single section to re-assemble within the assembly', 'ai-page-composer' )
+            ),
+            'assembly' => array(
+                'type' => 'object',
+                'description' => __( 'Assembly result from /assemble, when re-assembling one of its sections', 'ai-page-composer' )
             )
         );
     }
@@ -99,6 +99,7 @@ class Assembly_Manager {
             
             // Get user preferences for block selection
             $user_preferences = $this->get_user_preferences( $blueprint_id );
+            $preferred_blocks = $assembly_options['respect_user_preferences'] ? $this->block_preferences->get_section_blocks() : [];
 
             // Initialize assembly result
             $assembled_blocks = [];
@@ -110,6 +111,7 @@ class Assembly_Manager {
                     $section, 
                     $available_blocks, 
                     $user_preferences, 
+                    $preferred_blocks,
                     $assembly_options,
                     $index 
                 );
@@ -146,17 +148,83 @@ class Assembly_Manager {
         }
     }
 
+    /**
+     * Re-assemble one section of an existing assembly
+     *
+     * The other sections keep the blocks they resolved to. A section with a
+     * 'block_override' uses that block when it is available, and the choice is
+     * saved as the preferred block for its section type.
+     *
+     * @param array $assembly Assembly result from assemble_sections().
+     * @param array $section Section data to assemble.
+     * @param int   $section_index Position of the section in the assembly.
+     * @param array $options Assembly options and configuration.
+     * @return array Assembly result with the section replaced.
+     */
+    public function reassemble_section( $assembly, $section, $section_index, $options = [] ) {
+        $start_time = microtime( true );
+        $blocks = $assembly['assembled_content']['blocks'] ?? [];
+        $indicators = $assembly['plugin_indicators'] ?? [];
+
+        if ( ! is_array( $section ) || ! isset( $blocks[ $section_index ], $indicators[ $section_index ] ) ) {
+            throw new \InvalidArgumentException( __( 'The section to re-assemble is not part of the assembly', 'ai-page-composer' ) );
+        }
+
+        $assembly_options = wp_parse_args( $options['options'] ?? [], [
+            'respect_user_preferences' => true,
+            'enable_fallbacks' => true,
+            'validate_html' => true,
+            'optimize_images' => true,
+            'seo_optimization' => true
+        ]);
+
+        $section_result = $this->assemble_section(
+            $section,
+            $this->block_detector->detect_available_blocks(),
+            $this->get_user_preferences( $options['blueprint_id'] ?? null ),
+            $assembly_options['respect_user_preferences'] ? $this->block_preferences->get_section_blocks() : [],
+            $assembly_options,
+            $section_index
+        );
+
+        $blocks[ $section_index ] = $section_result['blocks'][0];
+        $indicators[ $section_index ] = $section_result['indicators'][0];
+
+        if ( ! empty( $section['block_override'] ) && 'override' === $indicators[ $section_index ]['source'] ) {
+            $this->block_preferences->save_section_block( $indicators[ $section_index ]['section_type'], $indicators[ $section_index ]['block_name'] );
+        }
+
+        // Usage counts cover the whole assembly again
+        $metadata = wp_parse_args( $assembly['assembly_metadata'] ?? [], $this->assembly_metadata );
+        $metadata['blocks_used'] = array_count_values( array_column( $indicators, 'plugin_used' ) );
+        $metadata['fallbacks_applied'] = count( array_filter( array_column( $indicators, 'fallback_used' ) ) );
+        $metadata['validation_warnings'] = array_merge( $metadata['validation_warnings'], $this->assembly_metadata['validation_warnings'] );
+        $metadata['processing_time'] = microtime( true ) - $start_time;
+        $metadata['accessibility_score'] = $this->calculate_accessibility_score( $blocks );
+
+        return [
+            'assembled_content' => [
+                'blocks' => $blocks,
+                'html' => $this->blocks_to_html( $blocks ),
+                'json' => $this->blocks_to_json( $blocks )
+            ],
+            'assembly_metadata' => $metadata,
+            'plugin_indicators' => $indicators
+        ];
+    }
+
     /**
      * Assemble a single section into blocks
      *
      * @param array $section Section data to assemble.
      * @param array $available_blocks Available plugin blocks.
      * @param array $user_preferences User block preferences.
+     * @param array $preferred_blocks Blocks chosen for section types in the assembly step.
      * @param array $options Assembly options.
      * @param int   $section_index Section index for unique IDs.
      * @return array Section assembly result.
      */
-    private function assemble_section( $section, $available_blocks, $user_preferences, $options, $section_index ) {
+    private function assemble_section( $section, $available_blocks, $user_preferences, $preferred_blocks, $options, $section_index ) {
         $section_blocks = [];
         $section_indicators = [];
 
@@ -165,12 +233,34 @@ class Assembly_Manager {
         $section_content = $section['content'] ?? '';
         $section_id = "section-{$section_index}";
 
-        // Select appropriate block based on section type and preferences
-        $selected_block = $this->select_block_for_section( 
-            $section_type, 
-            $available_blocks, 
-            $user_preferences 
-        );
+        // A block picked for this section wins over one saved for its type
+        $chosen_block = $section['block_override'] ?? '';
+        $source = 'override';
+        if ( empty( $chosen_block ) ) {
+            $chosen_block = $preferred_blocks[ $section_type ] ?? '';
+            $source = 'saved_preference';
+        }
+
+        $selected_block = $chosen_block ? $this->find_available_block( $chosen_block, $available_blocks ) : null;
+        if ( $selected_block ) {
+            $selected_block['source'] = $source;
+        } else {
+            // Select appropriate block based on section type and preferences
+            $selected_block = $this->select_block_for_section( 
+                $section_type, 
+                $available_blocks, 
+                $user_preferences 
+            );
+        }
+
+        if ( ! empty( $section['block_override'] ) && 'override' !== $selected_block['source'] ) {
+            $selected_block['is_fallback'] = true;
+            $selected_block['fallback_reason'] = sprintf(
+                /* translators: %s: block name */
+                __( '%s is not available on this site', 'ai-page-composer' ),
+                sanitize_text_field( $section['block_override'] )
+            );
+        }
 
         // Check if fallback was used
         $fallback_used = $selected_block['is_fallback'] ?? false;
@@ -198,10 +288,14 @@ class Assembly_Manager {
         // Create plugin indicator
         $section_indicators[] = [
             'section_id' => $section_id,
+            'section_index' => $section_index,
             'plugin_used' => $plugin_key,
             'block_name' => $selected_block['block_name'],
             'fallback_used' => $fallback_used,
-            'section_type' => $section_type
+            'fallback_reason' => $selected_block['fallback_reason'] ?? '',
+            'source' => $selected_block['source'],
+            'section_type' => $section_type,
+            'compatible_blocks' => $this->block_fallback->get_compatible_blocks( $section_type, $available_blocks )
         ];
 
         return [
@@ -270,13 +364,38 @@ class Assembly_Manager {
                 return [
                     'plugin' => $preferred_plugin,
                     'block_name' => $block_name,
-                    'is_fallback' => false
+                    'is_fallback' => false,
+                    'source' => 'plugin_preference'
                 ];
             }
         }
 
         // Use fallback selection
-        return $this->block_fallback->get_fallback_block( $section_type, $available_blocks );
+        return array_merge(
+            $this->block_fallback->get_fallback_block( $section_type, $available_blocks ),
+            [ 'source' => 'fallback' ]
+        );
+    }
+
+    /**
+     * Find the plugin providing a block
+     *
+     * @param string $block_name Block name.
+     * @param array  $available_blocks Available plugin blocks.
+     * @return array|null Selected block information, or null if the block is not available.
+     */
+    private function find_available_block( $block_name, $available_blocks ) {
+        foreach ( $available_blocks as $plugin_key => $plugin_blocks ) {
+            if ( in_array( $block_name, (array) $plugin_blocks, true ) ) {
+                return [
+                    'plugin' => $plugin_key,
+                    'block_name' => $block_name,
+                    'is_fallback' => false
+                ];
+            }
+        }
+
+        return null;
     }
 
     /**
@@ -301,6 +301,35 @@ class Block_Fallback {
         return $messages[ $fallback_plugin ] ?? __( 'Using alternative block', 'ai-page-composer' );
     }
 
+    /**
+     * Get the available blocks suitable for a content type
+     *
+     * @param string $content_type Content type.
+     * @param array  $available_blocks Available blocks by plugin.
+     * @return array Blocks with 'plugin' and 'block_name', in plugin priority order.
+     */
+    public function get_compatible_blocks( $content_type, $available_blocks ) {
+        $options = $this->fallback_mappings[ $content_type ] ?? $this->fallback_mappings['content'];
+        $compatible = [];
+
+        foreach ( $this->plugin_priority as $plugin_key ) {
+            if ( ! isset( $available_blocks[ $plugin_key ] ) ) {
+                continue;
+            }
+
+            foreach ( $options[ $plugin_key ] ?? [] as $block_name ) {
+                if ( in_array( $block_name, $available_blocks[ $plugin_key ], true ) ) {
+                    $compatible[] = [
+                        'plugin' => $plugin_key,
+                        'block_name' => $block_name
+                    ];
+                }
+            }
+        }
+
+        return $compatible;
+    }
+
     /**
      * Get alternative blocks for specific block
      *
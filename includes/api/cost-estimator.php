@@ -0,0 +1,274 @@
+<?php
+/**
+ * Cost Estimator Class - Settings-Driven Generation Cost Estimates
+ *
+ * This file contains the Cost_Estimator class that estimates what generating
+ * sections will cost. Rates come from the pricing table in the Cost
+ * Management settings: the model's input and output token prices, the price
+ * of a generated image and of a retrieval query. Estimates account for the
+ * generation mode, images and citations, and give a low, expected and high
+ * cost per section. assets/js/cost-estimator.js mirrors these estimates for
+ * the outline step, the blueprint editor and governance re-run previews.
+ *
+ * @package AIPageComposer\API
+ */
+
+namespace AIPageComposer\API;
+
+use AIPageComposer\Admin\Settings_Manager;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Cost Estimator class for generation cost estimates
+ */
+class Cost_Estimator {
+
+    /**
+     * List prices in USD per 1K tokens of the models the pricing table can start from
+     */
+    const MODELS = array(
+        'gpt-4' => array( 'input_per_1k' => 0.03, 'output_per_1k' => 0.06 ),
+        'gpt-4-turbo' => array( 'input_per_1k' => 0.01, 'output_per_1k' => 0.03 ),
+        'gpt-4o' => array( 'input_per_1k' => 0.0025, 'output_per_1k' => 0.01 ),
+        'gpt-4o-mini' => array( 'input_per_1k' => 0.00015, 'output_per_1k' => 0.0006 ),
+        'gpt-3.5-turbo' => array( 'input_per_1k' => 0.0005, 'output_per_1k' => 0.0015 ),
+    );
+
+    /**
+     * Default pricing table, editable under Cost Management
+     */
+    const DEFAULT_PRICING = array(
+        'model' => 'gpt-4-turbo',
+        'input_per_1k' => 0.01,
+        'output_per_1k' => 0.03,
+        'image_cost' => 0.04,
+        'retrieval_cost' => 0.0005,
+    );
+
+    /**
+     * Fixed assumptions behind the token counts
+     *
+     * - section_prompt_tokens: instructions and brief sent for every section
+     * - image_prompt_tokens: extra input to describe a section's image
+     * - retrieval_context_tokens: retrieved chunks added to grounded and hybrid prompts
+     * - citation_prompt_tokens / citation_output_tokens: source list in, citations out
+     * - output_range: share of the word target a section usually comes out at (low, high)
+     */
+    const ESTIMATION = array(
+        'chars_per_token' => 4,
+        'tokens_per_word' => 1.35,
+        'section_prompt_tokens' => 400,
+        'image_prompt_tokens' => 150,
+        'retrieval_context_tokens' => 800,
+        'citation_prompt_tokens' => 120,
+        'citation_output_tokens' => 40,
+        'words_per_minute' => 50,
+        'image_minutes' => 1,
+        'output_range' => array( 0.8, 1.3 ),
+    );
+
+    /**
+     * Pricing table in use
+     *
+     * @var array
+     */
+    private $pricing;
+
+    /**
+     * Constructor
+     *
+     * @param array|null $pricing Pricing table; read from the settings when null.
+     */
+    public function __construct( $pricing = null ) {
+        if ( null === $pricing ) {
+            $settings = get_option( Settings_Manager::OPTION_NAME, array() );
+            $pricing = $settings['cost_management']['pricing'] ?? array();
+        }
+
+        $this->pricing = array_map( function( $value ) {
+            return is_numeric( $value ) ? floatval( $value ) : $value;
+        }, wp_parse_args( (array) $pricing, self::DEFAULT_PRICING ) );
+    }
+
+    /**
+     * Get the pricing table with the estimation assumptions
+     *
+     * This is what assets/js/cost-estimator.js is localized with.
+     *
+     * @return array Pricing table.
+     */
+    public function get_pricing() {
+        return array_merge( self::ESTIMATION, $this->pricing );
+    }
+
+    /**
+     * Cost of a number of input and output tokens
+     *
+     * @param int $input_tokens Input tokens.
+     * @param int $output_tokens Output tokens.
+     * @return float Cost in USD.
+     */
+    public function token_cost( $input_tokens, $output_tokens ) {
+        return round(
+            ( $input_tokens / 1000 ) * $this->pricing['input_per_1k'] +
+            ( $output_tokens / 1000 ) * $this->pricing['output_per_1k'],
+            4
+        );
+    }
+
+    /**
+     * Estimate one section
+     *
+     * The expected cost includes images only for sections that require one;
+     * the high cost also includes optional images.
+     *
+     * @param array $section Section with 'words', 'image' ('required', 'optional' or 'none'),
+     *                       'citations' (bool) and 'mode' ('grounded', 'hybrid' or 'generative').
+     * @param array $options 'images_enabled' (bool, default true) and 'calibration', the
+     *                       'tokens', 'cost' and 'minutes' factors from Estimate_Calibration.
+     * @return array Image policy applied, token counts, cost range and minutes.
+     */
+    public function estimate_section( $section, $options = array() ) {
+        $estimation = self::ESTIMATION;
+        $images_enabled = $options['images_enabled'] ?? true;
+        $retrieves = 'generative' !== ( $section['mode'] ?? 'hybrid' );
+        $cites = $retrieves && ! empty( $section['citations'] );
+        $image = $images_enabled ? ( $section['image'] ?? 'none' ) : 'none';
+
+        $input_tokens = $estimation['section_prompt_tokens']
+            + ( $retrieves ? $estimation['retrieval_context_tokens'] : 0 )
+            + ( $cites ? $estimation['citation_prompt_tokens'] : 0 );
+        $image_input = $estimation['image_prompt_tokens'];
+
+        $output = function( $share ) use ( $section, $estimation, $cites ) {
+            return intval( ceil( intval( $section['words'] ?? 0 ) * $share * $estimation['tokens_per_word'] ) )
+                + ( $cites ? $estimation['citation_output_tokens'] : 0 );
+        };
+
+        $output_tokens = array(
+            'low' => $output( $estimation['output_range'][0] ),
+            'expected' => $output( 1 ),
+            'high' => $output( $estimation['output_range'][1] ),
+        );
+
+        $retrieval_cost = $retrieves ? $this->pricing['retrieval_cost'] : 0.0;
+        $image_cost = 'required' === $image ? $this->pricing['image_cost'] : 0.0;
+        $with_image = 'required' === $image ? $image_input : 0;
+        $high_image = 'none' === $image ? 0 : $image_input;
+
+        return $this->calibrate( array(
+            'image' => $image,
+            'input_tokens' => $input_tokens + $with_image,
+            'output_tokens' => $output_tokens,
+            'tokens' => $input_tokens + $with_image + $output_tokens['expected'],
+            'image_cost' => $image_cost,
+            'retrieval_cost' => $retrieval_cost,
+            'cost' => array(
+                'low' => round( $this->token_cost( $input_tokens + $with_image, $output_tokens['low'] ) + $image_cost + $retrieval_cost, 4 ),
+                'expected' => round( $this->token_cost( $input_tokens + $with_image, $output_tokens['expected'] ) + $image_cost + $retrieval_cost, 4 ),
+                'high' => round( $this->token_cost( $input_tokens + $high_image, $output_tokens['high'] ) + ( 'none' === $image ? 0.0 : $this->pricing['image_cost'] ) + $retrieval_cost, 4 ),
+            ),
+            'minutes' => intval( $section['words'] ?? 0 ) / $estimation['words_per_minute'] + ( 'required' === $image ? $estimation['image_minutes'] : 0 ),
+        ), $options['calibration'] ?? array() );
+    }
+
+    /**
+     * Apply correction factors to a section estimate
+     *
+     * Input and output token counts stay as estimated; the totals, costs and
+     * minutes are scaled.
+     *
+     * @param array $estimate Section estimate.
+     * @param array $factors 'tokens', 'cost' and 'minutes' factors; missing ones count as 1.
+     * @return array Calibrated estimate.
+     */
+    private function calibrate( $estimate, $factors ) {
+        $factors = wp_parse_args( (array) $factors, array( 'tokens' => 1.0, 'cost' => 1.0, 'minutes' => 1.0 ) );
+
+        $estimate['tokens'] = intval( round( $estimate['tokens'] * $factors['tokens'] ) );
+        $estimate['minutes'] = $estimate['minutes'] * $factors['minutes'];
+        foreach ( $estimate['cost'] as $key => $value ) {
+            $estimate['cost'][ $key ] = round( $value * $factors['cost'], 4 );
+        }
+
+        return $estimate;
+    }
+
+    /**
+     * Estimate a list of sections
+     *
+     * @param array $sections Sections as taken by estimate_section(), each optionally with 'id' and 'heading'.
+     * @param array $options Options passed to estimate_section().
+     * @return array Per-section estimates and totals.
+     */
+    public function estimate( $sections, $options = array() ) {
+        $breakdown = array();
+        $totals = array(
+            'tokens' => 0,
+            'image_cost' => 0.0,
+            'retrieval_cost' => 0.0,
+            'cost' => array( 'low' => 0.0, 'expected' => 0.0, 'high' => 0.0 ),
+            'minutes' => 0,
+        );
+
+        foreach ( $sections as $section ) {
+            $estimate = $this->estimate_section( $section, $options );
+            $breakdown[] = array(
+                'id' => $section['id'] ?? '',
+                'heading' => $section['heading'] ?? '',
+            ) + $estimate;
+
+            $totals['tokens'] += $estimate['tokens'];
+            $totals['image_cost'] += $estimate['image_cost'];
+            $totals['retrieval_cost'] += $estimate['retrieval_cost'];
+            $totals['minutes'] += $estimate['minutes'];
+            foreach ( $totals['cost'] as $key => $value ) {
+                $totals['cost'][ $key ] = $value + $estimate['cost'][ $key ];
+            }
+        }
+
+        $totals['cost'] = array_map( function( $value ) {
+            return round( $value, 4 );
+        }, $totals['cost'] );
+        $totals['minutes'] = max( 1, intval( ceil( $totals['minutes'] ) ) );
+
+        return array(
+            'sections' => $breakdown,
+            'totals' => $totals,
+            'calibration' => wp_parse_args( (array) ( $options['calibration'] ?? array() ), array( 'tokens' => 1.0, 'cost' => 1.0, 'minutes' => 1.0 ) ),
+        );
+    }
+
+    /**
+     * Estimate flattened blueprint sections
+     *
+     * @param array $sections Sections from Schema_Processor::flatten_sections().
+     * @param array $global_settings Blueprint global settings.
+     * @param array $calibration Correction factors from Estimate_Calibration::get_factors().
+     * @return array Per-section estimates and totals.
+     */
+    public function estimate_blueprint_sections( $sections, $global_settings = array(), $calibration = array() ) {
+        $mode = $global_settings['generation_mode'] ?? 'hybrid';
+
+        return $this->estimate(
+            array_map( function( $section ) use ( $mode ) {
+                return array(
+                    'id' => $section['id'] ?? '',
+                    'heading' => $section['heading'] ?? '',
+                    'words' => intval( $section['word_target'] ?? 150 ),
+                    'image' => $section['media_policy'] ?? 'optional',
+                    'citations' => (bool) ( $section['citations_required'] ?? true ),
+                    'mode' => $mode,
+                );
+            }, $sections ),
+            array(
+                'images_enabled' => (bool) ( $global_settings['image_generation_enabled'] ?? true ),
+                'calibration' => $calibration,
+            )
+        );
+    }
+}
@@ -0,0 +1,369 @@
+<?php
+/**
+ * Dry Run Service Class - Blueprint Test Generation Without Spend
+ *
+ * This file contains the Dry_Run_Service class that runs a blueprint through
+ * the outline and section pipeline against the LLM stub service. It reports,
+ * per section, the resolved block, generated word count, token usage and any
+ * validation failures so blueprint authors can test a blueprint for free.
+ *
+ * @package AIPageComposer\API
+ */
+
+namespace AIPageComposer\API;
+
+use AIPageComposer\Blueprints\Schema_Processor;
+use AIPageComposer\Blueprints\Section_Rules;
+use Exception;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Dry Run Service class for blueprint test generation
+ */
+class Dry_Run_Service {
+
+    /**
+     * Share of the word target a section may miss by before it is flagged
+     */
+    const WORD_TOLERANCE = 0.25;
+
+    /**
+     * LLM stub service instance
+     *
+     * @var LLM_Stub_Service
+     */
+    private $stub_service;
+
+    /**
+     * Section generator instance
+     *
+     * @var Section_Generator
+     */
+    private $section_generator;
+
+    /**
+     * Schema processor instance
+     *
+     * @var Schema_Processor
+     */
+    private $schema_processor;
+
+    /**
+     * Section rules instance
+     *
+     * @var Section_Rules
+     */
+    private $section_rules;
+
+    /**
+     * Cost estimator instance
+     *
+     * @var Cost_Estimator
+     */
+    private $cost_estimator;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->stub_service = new LLM_Stub_Service();
+        $this->section_generator = new Section_Generator();
+        $this->schema_processor = new Schema_Processor();
+        $this->section_rules = new Section_Rules();
+        $this->cost_estimator = new Cost_Estimator();
+    }
+
+    /**
+     * Run a blueprint through the outline and section pipeline
+     *
+     * Section conditions and repeats are only resolved when a brief is
+     * given; otherwise every section is tested once.
+     *
+     * @param array  $blueprint_data Blueprint schema data.
+     * @param string $brief Optional content brief; built from the headings when empty.
+     * @param string $audience Optional target audience for section conditions.
+     * @return array Dry run report.
+     */
+    public function run( $blueprint_data, $brief = '', $audience = '' ) {
+        $start_time = microtime( true );
+
+        $section_tree = array_values( array_filter( $blueprint_data['sections'] ?? array(), 'is_array' ) );
+        $applied_tree = $brief
+            ? $this->section_rules->apply( $section_tree, $this->section_rules->build_context( array( 'brief' => $brief, 'audience' => $audience ) ) )
+            : $section_tree;
+        $sections = $this->schema_processor->flatten_sections( $applied_tree );
+        $global_settings = $blueprint_data['global_settings'] ?? array();
+        $brief = $brief ? $brief : $this->build_brief( $sections );
+
+        $schema_failures = $this->group_schema_errors(
+            $this->schema_processor->validate_schema( $blueprint_data )['errors'],
+            $this->map_section_paths( $section_tree )
+        );
+
+        $outline = $this->stub_service->generate_outline(
+            array( 'brief' => $brief ),
+            array( 'schema' => array( 'sections' => $sections ) )
+        );
+
+        $results = array();
+        foreach ( $sections as $index => $section ) {
+            $results[] = $this->run_section(
+                $section,
+                $index,
+                $outline['sections'][ $index ] ?? array(),
+                $global_settings,
+                $brief,
+                $schema_failures['sections'][ $section['source_id'] ?? $section['id'] ?? '' ] ?? array()
+            );
+        }
+
+        $total_tokens = array_sum( array_column( $results, 'tokens' ) );
+        $failed_sections = count( array_filter( $results, function( $result ) {
+            return ! $result['passed'];
+        } ) );
+        $success = 0 === $failed_sections && empty( $schema_failures['blueprint'] );
+
+        return array(
+            'dry_run' => true,
+            'success' => $success,
+            'message' => $success
+                ? __( 'Dry run completed against the LLM stub with no failures.', 'ai-page-composer' )
+                : sprintf(
+                    /* translators: %d: number of sections with failures */
+                    _n( 'Dry run found problems in %d section.', 'Dry run found problems in %d sections.', $failed_sections, 'ai-page-composer' ),
+                    $failed_sections
+                ),
+            'failures' => $schema_failures['blueprint'],
+            'sections' => $results,
+            'stats' => array(
+                'sections_processed' => count( $results ),
+                'sections_skipped' => count( array_diff(
+                    array_column( $this->schema_processor->flatten_sections( $section_tree ), 'id' ),
+                    array_map( function( $section ) {
+                        return $section['source_id'] ?? $section['id'] ?? '';
+                    }, $sections )
+                ) ),
+                'total_words' => array_sum( array_column( $results, 'word_count' ) ),
+                'total_tokens' => $total_tokens,
+                'estimated_cost_usd' => round( array_sum( array_column( $results, 'estimated_cost_usd' ) ), 4 ),
+                'spent_usd' => 0.0,
+                'processing_time_ms' => round( ( microtime( true ) - $start_time ) * 1000 ),
+            ),
+        );
+    }
+
+    /**
+     * Generate one section with the stub and check the result
+     *
+     * @param array  $section Blueprint section.
+     * @param int    $index Section position.
+     * @param array  $outline_section Matching stub outline section.
+     * @param array  $global_settings Blueprint global settings.
+     * @param string $brief Content brief.
+     * @param array  $failures Schema failures already found for the section.
+     * @return array Section report.
+     */
+    private function run_section( $section, $index, $outline_section, $global_settings, $brief, $failures ) {
+        $section_id = $section['id'] ?? 'section-' . ( $index + 1 );
+        $word_target = intval( $section['word_target'] ?? 150 );
+
+        $report = array(
+            'id' => $section_id,
+            'heading' => $section['heading'] ?? '',
+            'outline_heading' => $outline_section['heading'] ?? '',
+            'type' => $section['type'] ?? 'content',
+            'depth' => intval( $section['depth'] ?? 0 ),
+            'parent_id' => $section['parent_id'] ?? '',
+            'block' => null,
+            'word_target' => $word_target,
+            'word_count' => 0,
+            'tokens' => 0,
+            'estimated_cost_usd' => 0.0,
+            'citations' => 0,
+            'image' => false,
+            'failures' => $failures,
+            'passed' => false,
+        );
+
+        $params = array(
+            'sectionId' => $section_id,
+            'content_brief' => trim( ( $section['heading'] ?? '' ) . ': ' . $brief ),
+            'mode' => $global_settings['generation_mode'] ?? 'hybrid',
+            'alpha' => floatval( $global_settings['hybrid_alpha'] ?? 0.7 ),
+            'block_preferences' => array_merge(
+                $section['block_preferences'] ?? array(),
+                array( 'section_type' => $report['type'] )
+            ),
+            'image_requirements' => array( 'policy' => $section['media_policy'] ?? 'optional' ),
+            'word_target' => $word_target,
+            'namespaces' => $global_settings['mvdb_namespaces'] ?? array( 'content' ),
+            'dry_run' => true,
+        );
+
+        try {
+            $generated = $this->section_generator->generate( $params );
+        } catch ( Exception $e ) {
+            $report['failures'][] = $e->getMessage();
+            return $report;
+        }
+
+        $metadata = $generated['generation_metadata'];
+
+        $report['block'] = $generated['blockType'];
+        $report['word_count'] = intval( $metadata['word_count'] );
+        $report['tokens'] = intval( $metadata['token_count'] );
+        $report['estimated_cost_usd'] = $this->estimate_live_cost( $report['tokens'], $report['word_count'] );
+        $report['citations'] = count( $generated['citations'] );
+        $report['image'] = ! empty( $generated['media'] );
+        $report['failures'] = array_merge( $report['failures'], $this->check_section( $section, $report, $params, $global_settings ) );
+        $report['passed'] = empty( $report['failures'] );
+
+        return $report;
+    }
+
+    /**
+     * Check a generated section against its blueprint settings
+     *
+     * @param array $section Blueprint section.
+     * @param array $report Section report so far.
+     * @param array $params Generation parameters.
+     * @param array $global_settings Blueprint global settings.
+     * @return array Failure messages.
+     */
+    private function check_section( $section, $report, $params, $global_settings ) {
+        $failures = array();
+        $block_name = $report['block']['name'] ?? '';
+
+        if ( abs( $report['word_count'] - $report['word_target'] ) > $report['word_target'] * self::WORD_TOLERANCE ) {
+            $failures[] = sprintf(
+                /* translators: 1: generated word count, 2: tolerance percentage, 3: word target */
+                __( 'Generated %1$d words, more than %2$d%% away from the %3$d word target.', 'ai-page-composer' ),
+                $report['word_count'],
+                self::WORD_TOLERANCE * 100,
+                $report['word_target']
+            );
+        }
+
+        $allowed_blocks = array_filter( (array) ( $section['allowed_blocks'] ?? array() ) );
+        if ( ! empty( $allowed_blocks ) && ! in_array( $block_name, $allowed_blocks, true ) ) {
+            $failures[] = sprintf(
+                /* translators: %s: block name */
+                __( 'Resolved block %s is not in the allowed blocks for this section.', 'ai-page-composer' ),
+                $block_name
+            );
+        }
+
+        $primary_block = $section['block_preferences']['primary_block'] ?? '';
+        if ( $primary_block && $primary_block !== $block_name ) {
+            $failures[] = sprintf(
+                /* translators: 1: primary block name, 2: resolved block name */
+                __( 'Primary block %1$s is not available; %2$s was used instead.', 'ai-page-composer' ),
+                $primary_block,
+                $block_name
+            );
+        }
+
+        if ( 'required' === ( $section['media_policy'] ?? 'optional' ) && ! $report['image'] ) {
+            $failures[] = __( 'An image is required but none would be generated.', 'ai-page-composer' );
+        }
+
+        if ( ! empty( $section['citations_required'] ) ) {
+            if ( 'generative' === $params['mode'] ) {
+                $failures[] = __( 'Citations are required, but generative mode retrieves no sources to cite.', 'ai-page-composer' );
+            } elseif ( 0 === $report['citations'] ) {
+                $failures[] = __( 'Citations are required but the section has none.', 'ai-page-composer' );
+            }
+        }
+
+        $max_tokens = intval( $global_settings['max_tokens_per_section'] ?? 0 );
+        if ( $max_tokens > 0 && $report['tokens'] > $max_tokens ) {
+            $failures[] = sprintf(
+                /* translators: 1: tokens used, 2: token limit */
+                __( 'Used %1$d tokens, above the %2$d token limit per section.', 'ai-page-composer' ),
+                $report['tokens'],
+                $max_tokens
+            );
+        }
+
+        return $failures;
+    }
+
+    /**
+     * Split schema validation errors into section and blueprint level failures
+     *
+     * @param array $errors Schema validation errors.
+     * @param array $paths Section IDs keyed by schema path.
+     * @return array Failures keyed by 'sections' (by section ID) and 'blueprint'.
+     */
+    private function group_schema_errors( $errors, $paths ) {
+        $grouped = array(
+            'sections' => array(),
+            'blueprint' => array(),
+        );
+
+        foreach ( $errors as $error ) {
+            $property = $error['property'] ?? '';
+            $message = $property ? $property . ': ' . $error['message'] : $error['message'];
+
+            if ( preg_match( '/^sections\[\d+\](?:\.children\[\d+\])*/', $property, $matches ) && isset( $paths[ $matches[0] ] ) ) {
+                $grouped['sections'][ $paths[ $matches[0] ] ][] = $message;
+            } else {
+                $grouped['blueprint'][] = $message;
+            }
+        }
+
+        return $grouped;
+    }
+
+    /**
+     * Map the schema path of each nested section to its ID
+     *
+     * @param array  $sections Nested sections.
+     * @param string $prefix Schema path of the sections array.
+     * @param array  $paths Paths collected so far.
+     * @return array Section IDs keyed by schema path, e.g. 'sections[0].children[1]'.
+     */
+    private function map_section_paths( $sections, $prefix = 'sections', $paths = array() ) {
+        foreach ( $sections as $index => $section ) {
+            $path = $prefix . '[' . $index . ']';
+            $paths[ $path ] = $section['id'] ?? '';
+
+            if ( ! empty( $section['children'] ) && is_array( $section['children'] ) ) {
+                $paths = $this->map_section_paths( array_values( array_filter( $section['children'], 'is_array' ) ), $path . '.children', $paths );
+            }
+        }
+
+        return $paths;
+    }
+
+    /**
+     * Estimate what a section would cost on the live service
+     *
+     * @param int $tokens Total tokens used.
+     * @param int $word_count Generated words.
+     * @return float Estimated cost in USD.
+     */
+    private function estimate_live_cost( $tokens, $word_count ) {
+        $output_tokens = min( $tokens, intval( ceil( $word_count * Cost_Estimator::ESTIMATION['tokens_per_word'] ) ) );
+
+        return $this->cost_estimator->token_cost( $tokens - $output_tokens, $output_tokens );
+    }
+
+    /**
+     * Build a content brief from the section headings
+     *
+     * @param array $sections Blueprint sections.
+     * @return string Content brief.
+     */
+    private function build_brief( $sections ) {
+        $headings = array_filter( array_column( $sections, 'heading' ) );
+
+        return empty( $headings )
+            ? __( 'Sample page for a blueprint dry run', 'ai-page-composer' )
+            : implode( '. ', $headings );
+    }
+}
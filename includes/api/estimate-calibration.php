@@ -0,0 +1,361 @@
+<?php
+/**
+ * Estimate Calibration Class - Blueprint Estimates Against Run Actuals
+ *
+ * This file contains the Estimate_Calibration class that compares what past
+ * AI runs of a blueprint actually used with what Cost_Estimator estimated for
+ * them. It reports the distribution of actual tokens, cost and duration, and
+ * works out correction factors that later estimates for the blueprint apply.
+ *
+ * @package AIPageComposer\API
+ */
+
+namespace AIPageComposer\API;
+
+use AIPageComposer\Blueprints\Blueprint_Versions;
+use AIPageComposer\Blueprints\Schema_Processor;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Estimate Calibration class for blueprint correction factors
+ */
+class Estimate_Calibration {
+
+    /**
+     * Blueprint post meta key caching the calibration; cleared when a run completes
+     */
+    const META_KEY = '_ai_blueprint_calibration';
+
+    /**
+     * Runs needed before correction factors are applied
+     */
+    const MIN_RUNS = 3;
+
+    /**
+     * Most recent runs taken into account
+     */
+    const MAX_RUNS = 50;
+
+    /**
+     * Bounds of the token and cost factors, so a few odd runs can't swing estimates wildly
+     */
+    const FACTOR_RANGE = array( 0.25, 4.0 );
+
+    /**
+     * Metrics compared between estimates and actuals
+     */
+    const METRICS = array( 'tokens', 'cost', 'minutes' );
+
+    /**
+     * Cost estimator instance
+     *
+     * @var Cost_Estimator
+     */
+    private $cost_estimator;
+
+    /**
+     * Constructor
+     *
+     * @param Cost_Estimator|null $cost_estimator Cost estimator; one using the settings when null.
+     */
+    public function __construct( $cost_estimator = null ) {
+        $this->cost_estimator = $cost_estimator ?? new Cost_Estimator();
+    }
+
+    /**
+     * Get the calibration of a blueprint, calculating it when not cached
+     *
+     * @param int $blueprint_id Blueprint post ID.
+     * @return array Calibration data.
+     */
+    public function get( $blueprint_id ) {
+        $calibration = get_post_meta( $blueprint_id, self::META_KEY, true );
+
+        if ( ! is_array( $calibration ) || empty( $calibration['factors'] ) ) {
+            $calibration = $this->calculate( $blueprint_id );
+            update_post_meta( $blueprint_id, self::META_KEY, $calibration );
+        }
+
+        return $calibration;
+    }
+
+    /**
+     * Get the correction factors estimates for a blueprint should apply
+     *
+     * @param int $blueprint_id Blueprint post ID.
+     * @return array Factors keyed by metric, all 1.0 until enough runs are logged.
+     */
+    public function get_factors( $blueprint_id ) {
+        if ( ! $blueprint_id || get_post_type( $blueprint_id ) !== 'ai_blueprint' ) {
+            return array_fill_keys( self::METRICS, 1.0 );
+        }
+
+        return $this->get( $blueprint_id )['factors'];
+    }
+
+    /**
+     * Clear the cached calibration of a blueprint
+     *
+     * @param int $blueprint_id Blueprint post ID.
+     */
+    public function invalidate( $blueprint_id ) {
+        delete_post_meta( $blueprint_id, self::META_KEY );
+    }
+
+    /**
+     * Compare the completed runs of a blueprint with their estimates
+     *
+     * Factors are the median ratio of actual to estimated values. Each run is
+     * compared with the estimate logged when it started or, for older runs,
+     * with an estimate of the blueprint version it was pinned to.
+     *
+     * @param int $blueprint_id Blueprint post ID.
+     * @return array Run count, per-metric estimate and actual distributions, and factors.
+     */
+    public function calculate( $blueprint_id ) {
+        $runs = $this->get_blueprint_runs( $blueprint_id );
+        $metrics = array();
+        $factors = array();
+
+        foreach ( self::METRICS as $metric ) {
+            $estimates = array_column( array_column( $runs, 'estimate' ), $metric );
+            $actuals = array_column( array_column( $runs, 'actual' ), $metric );
+            $ratios = array();
+
+            foreach ( $runs as $run ) {
+                if ( $run['estimate'][ $metric ] > 0 ) {
+                    $ratios[] = $run['actual'][ $metric ] / $run['estimate'][ $metric ];
+                }
+            }
+
+            $metrics[ $metric ] = array(
+                'estimate' => $this->median( $estimates ),
+                'actual' => $this->distribution( $actuals ),
+                'ratio' => $this->median( $ratios ),
+            );
+
+            $factor = count( $ratios ) >= self::MIN_RUNS ? $this->median( $ratios ) : 1.0;
+
+            // Durations depend on the service, not on what was asked for, so they are not bounded
+            if ( 'minutes' !== $metric ) {
+                $factor = max( self::FACTOR_RANGE[0], min( self::FACTOR_RANGE[1], $factor ) );
+            }
+
+            $factors[ $metric ] = round( $factor, 3 );
+        }
+
+        return array(
+            'runs' => count( $runs ),
+            'calibrated' => count( $runs ) >= self::MIN_RUNS,
+            'metrics' => $metrics,
+            'factors' => $factors,
+            'updated_at' => current_time( 'mysql' ),
+        );
+    }
+
+    /**
+     * Get the actuals and estimates of a blueprint's completed runs, newest first
+     *
+     * Runs that used no tokens, such as stub runs, are left out.
+     *
+     * @param int $blueprint_id Blueprint post ID.
+     * @return array Runs with 'run_id', 'estimate' and 'actual' values per metric.
+     */
+    public function get_blueprint_runs( $blueprint_id ) {
+        $posts = get_posts( array(
+            'post_type' => 'ai_run',
+            'post_status' => 'private',
+            'posts_per_page' => self::MAX_RUNS,
+            'orderby' => 'date',
+            'order' => 'DESC',
+            'meta_query' => array(
+                'relation' => 'OR',
+                array(
+                    'key' => 'blueprint_id',
+                    'value' => intval( $blueprint_id ),
+                ),
+                // Runs logged before the blueprint ID had its own meta key
+                array(
+                    'key' => 'generation_parameters',
+                    'value' => serialize( 'blueprint_id' ) . serialize( intval( $blueprint_id ) ),
+                    'compare' => 'LIKE',
+                ),
+            ),
+        ) );
+
+        $runs = array();
+        foreach ( $posts as $post ) {
+            $metadata = get_post_meta( $post->ID, 'run_metadata', true ) ?: array();
+            $costs = get_post_meta( $post->ID, 'cost_breakdown', true ) ?: array();
+            $tokens = intval( $costs['token_breakdown']['total_tokens'] ?? 0 );
+
+            if ( 'completed' !== ( $metadata['status'] ?? '' ) || $tokens <= 0 ) {
+                continue;
+            }
+
+            $estimate = get_post_meta( $post->ID, 'cost_estimate', true );
+            if ( empty( $estimate ) ) {
+                $estimate = $this->summarize( $this->estimate_run( get_post_meta( $post->ID, 'generation_parameters', true ) ?: array() ) );
+            }
+
+            $runs[] = array(
+                'run_id' => $metadata['run_id'] ?? '',
+                'estimate' => $estimate,
+                'actual' => array(
+                    'tokens' => $tokens,
+                    'cost' => floatval( $costs['total_cost_usd'] ?? 0 ),
+                    'minutes' => intval( $metadata['total_duration_ms'] ?? 0 ) / 60000,
+                ),
+            );
+        }
+
+        return $runs;
+    }
+
+    /**
+     * Estimate a run from its generation parameters, without correction factors
+     *
+     * @param array $parameters Run generation parameters.
+     * @param array $sections_log Run section log, used when the blueprint is gone.
+     * @return array Estimate from Cost_Estimator::estimate().
+     */
+    public function estimate_run( $parameters, $sections_log = array() ) {
+        return $this->cost_estimator->estimate( $this->get_run_sections( $parameters, $sections_log ) );
+    }
+
+    /**
+     * Reduce an estimate to the values compared with run actuals
+     *
+     * Minutes are summed before rounding so short runs compare fairly.
+     *
+     * @param array $estimate Estimate from Cost_Estimator::estimate().
+     * @return array Expected tokens, cost and minutes.
+     */
+    public function summarize( $estimate ) {
+        return array(
+            'tokens' => intval( $estimate['totals']['tokens'] ),
+            'cost' => floatval( $estimate['totals']['cost']['expected'] ),
+            'minutes' => round( array_sum( array_column( $estimate['sections'], 'minutes' ) ), 2 ),
+        );
+    }
+
+    /**
+     * Describe the sections of a run for the cost estimator
+     *
+     * Sections come from the blueprint version the run was pinned to, or the
+     * current blueprint when that version or its snapshot is gone. Runs without a blueprint
+     * fall back to their section log, with words worked out from the tokens
+     * each section used.
+     *
+     * @param array $parameters Run generation parameters.
+     * @param array $sections_log Run section log.
+     * @return array Sections as taken by Cost_Estimator::estimate().
+     */
+    public function get_run_sections( $parameters, $sections_log = array() ) {
+        $mode = $parameters['generation_mode'] ?? 'hybrid';
+        $blueprint = $this->get_run_blueprint( $parameters );
+
+        if ( ! empty( $blueprint['sections'] ) ) {
+            $global_settings = $blueprint['global_settings'] ?? array();
+            $images_enabled = (bool) ( $global_settings['image_generation_enabled'] ?? true );
+            $sections = ( new Schema_Processor() )->flatten_sections( $blueprint['sections'] );
+
+            return array_map( function( $section ) use ( $mode, $images_enabled ) {
+                return array(
+                    'id' => $section['id'] ?? '',
+                    'heading' => $section['heading'] ?? '',
+                    'words' => intval( $section['word_target'] ?? 150 ),
+                    'image' => $images_enabled ? ( $section['media_policy'] ?? 'optional' ) : 'none',
+                    'citations' => (bool) ( $section['citations_required'] ?? true ),
+                    'mode' => $mode,
+                );
+            }, $sections );
+        }
+
+        return array_map( function( $log ) use ( $mode ) {
+            return array(
+                'id' => $log['section_id'] ?? '',
+                'heading' => $log['section_type'] ?? '',
+                'words' => intval( ( $log['tokens_consumed'] ?? 0 ) / Cost_Estimator::ESTIMATION['tokens_per_word'] ),
+                'image' => 'none',
+                'citations' => ! empty( $log['citations'] ),
+                'mode' => $mode,
+            );
+        }, $sections_log );
+    }
+
+    /**
+     * Get the blueprint a run was generated from
+     *
+     * @param array $parameters Run generation parameters.
+     * @return array Blueprint data, or an empty array if not found.
+     */
+    private function get_run_blueprint( $parameters ) {
+        $blueprint_id = intval( $parameters['blueprint_id'] ?? 0 );
+
+        if ( ! $blueprint_id || get_post_type( $blueprint_id ) !== 'ai_blueprint' ) {
+            return array();
+        }
+
+        if ( ! empty( $parameters['blueprint_version'] ) ) {
+            $versions = new Blueprint_Versions();
+            $record = $versions->get_version( $blueprint_id, $parameters['blueprint_version'] );
+
+            if ( $record && $versions->has_snapshot( $record ) ) {
+                return $record['blueprint'];
+            }
+        }
+
+        return get_post_meta( $blueprint_id, '_ai_blueprint_schema', true ) ?: array();
+    }
+
+    /**
+     * Summarize a list of values
+     *
+     * @param array $values Numbers.
+     * @return array Minimum, quartiles, median and maximum; zeros when empty.
+     */
+    private function distribution( $values ) {
+        return array(
+            'min' => $this->percentile( $values, 0 ),
+            'p25' => $this->percentile( $values, 25 ),
+            'median' => $this->percentile( $values, 50 ),
+            'p75' => $this->percentile( $values, 75 ),
+            'max' => $this->percentile( $values, 100 ),
+        );
+    }
+
+    /**
+     * Median of a list of values
+     *
+     * @param array $values Numbers.
+     * @return float Median, or 0 when empty.
+     */
+    private function median( $values ) {
+        return $this->percentile( $values, 50 );
+    }
+
+    /**
+     * Percentile of a list of values, interpolating between neighbours
+     *
+     * @param array $values Numbers.
+     * @param int   $percent Percentile from 0 to 100.
+     * @return float Percentile value, or 0 when empty.
+     */
+    private function percentile( $values, $percent ) {
+        if ( empty( $values ) ) {
+            return 0.0;
+        }
+
+        sort( $values );
+        $position = ( count( $values ) - 1 ) * $percent / 100;
+        $lower = (int) floor( $position );
+        $upper = (int) ceil( $position );
+
+        return round( $values[ $lower ] + ( $values[ $upper ] - $values[ $lower ] ) * ( $position - $lower ), 4 );
+    }
+}
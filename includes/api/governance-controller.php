@@ -504,7 +504,7 @@ class Governance_Controller {
         wp_enqueue_script(
             'ai-composer-governance',
             plugin_dir_url(__FILE__) . '../../assets/js/governance.js',
-            ['jquery', 'wp-api'],
+            ['jquery', 'wp-api', 'ai-composer-template-renderer', 'ai-composer-cost-estimator'],
             '1.0.0',
             true
         );
@@ -314,6 +314,7 @@ class History_Manager {
             'Run ID',
             'Status',
             'Blueprint',
+            'Blueprint Version',
             'User',
             'Start Time',
             'Duration (seconds)',
@@ -328,6 +329,7 @@ class History_Manager {
                 $run['run_id'],
                 $run['status'],
                 $run['blueprint_title'],
+                $run['blueprint_version'] ?? '',
                 $run['user_name'],
                 $run['start_time'],
                 $run['duration_seconds'],
@@ -400,6 +402,7 @@ class History_Manager {
         return [
             'run_id' => $metadata['run_id'] ?? '',
             'blueprint_title' => $blueprint_title,
+            'blueprint_version' => $metadata['blueprint_version'] ?? ($parameters['blueprint_version'] ?? null),
             'user_name' => $user_name,
             'status' => $metadata['status'] ?? 'unknown',
             'start_time' => $metadata['start_timestamp'] ?? '',
@@ -124,6 +124,22 @@ class LLM_Stub_Service {
         ),
     );
 
+    /**
+     * Sentence templates for stub section copy
+     *
+     * @var array
+     */
+    private $sentence_templates = array(
+        'Getting %s right starts with a clear picture of what your readers need.',
+        'Teams that plan their %s work up front spend less time fixing it later.',
+        'Small, steady improvements to %s add up faster than occasional overhauls.',
+        'Start by listing the questions people ask most often about %s.',
+        'Real examples make %s easier to understand than abstract advice.',
+        'Measure the results of each %s change so you know what to keep.',
+        'Good %s habits are simple enough to repeat every week.',
+        'When %s gets complicated, break it into smaller steps and tackle one at a time.',
+    );
+
     /**
      * Generate outline using stub service
      *
@@ -148,6 +164,9 @@ class LLM_Stub_Service {
                 'needsImage' => $this->determine_image_need( $template_section ),
                 'mode' => 'stub',
                 'subheadings' => $this->generate_subheadings( $template_section['type'] ?? 'content', $main_topic ),
+                'headingLevel' => intval( $template_section['heading_level'] ?? 2 ),
+                'depth' => intval( $template_section['depth'] ?? 0 ),
+                'parentId' => $template_section['parent_id'] ?? '',
             );
 
             $sections[] = $section;
@@ -167,6 +186,163 @@ class LLM_Stub_Service {
         );
     }
 
+    /**
+     * Regenerate a single outline section
+     *
+     * Picks a heading and subheadings that differ from the current section and
+     * from the headings already used elsewhere in the outline.
+     *
+     * @param array $params Generation parameters.
+     * @param array $section Section being regenerated.
+     * @param array $context Surrounding outline sections.
+     * @return array Regenerated section data.
+     */
+    public function regenerate_section( $params, $section, $context ) {
+        $key_terms = $this->extract_key_terms( $params['brief'] );
+        $main_topic = ! empty( $key_terms ) ? $key_terms[0] : 'Your Topic';
+        $section_type = $section['type'] ?? 'content';
+
+        $used_headings = array_map( 'strtolower', array_column( $context, 'heading' ) );
+        $used_headings[] = strtolower( $section['heading'] ?? '' );
+
+        $templates = $this->heading_templates[ $section_type ] ?? $this->heading_templates['content'];
+        $candidates = array();
+        foreach ( $templates as $template ) {
+            $heading = sprintf( $template, ucfirst( $main_topic ) );
+            if ( ! in_array( strtolower( $heading ), $used_headings, true ) ) {
+                $candidates[] = $heading;
+            }
+        }
+
+        if ( empty( $candidates ) ) {
+            $candidates = array( sprintf( $templates[ array_rand( $templates ) ], ucfirst( $main_topic ) ) );
+        }
+
+        return array(
+            'id' => $section['id'] ?? 'section-1',
+            'heading' => $candidates[ array_rand( $candidates ) ],
+            'type' => $section_type,
+            'targetWords' => intval( $section['targetWords'] ?? 150 ),
+            'needsImage' => (bool) ( $section['needsImage'] ?? $this->determine_image_need( array( 'type' => $section_type ) ) ),
+            'mode' => 'stub',
+            'subheadings' => $this->generate_subheadings( $section_type, $main_topic ),
+        );
+    }
+
+    /**
+     * Generate section body copy without calling the AI service
+     *
+     * Mirrors AI_Service_Client::generate_content(). Copy is built from
+     * sentence templates until it reaches the word target, with [n] citation
+     * markers when context chunks are available. Token counts follow the
+     * outline pricing table; nothing is spent.
+     *
+     * @param array $params Generation parameters (prompt, word_target, citation_count).
+     * @return array Generated content with token count and a zero cost.
+     */
+    public function generate_content( $params ) {
+        $prompt = $params['prompt'] ?? '';
+        $word_target = max( 1, intval( $params['word_target'] ?? 150 ) );
+        $citation_count = intval( $params['citation_count'] ?? 0 );
+
+        $brief = preg_match( '/Content Brief: (.+)/', $prompt, $matches ) ? $matches[1] : $prompt;
+        $key_terms = $this->extract_key_terms( $brief );
+        $topic = ! empty( $key_terms ) ? $key_terms[0] : 'your topic';
+
+        $paragraphs = array();
+        $sentences = array();
+        $word_count = 0;
+
+        for ( $i = 0; $word_count < $word_target; $i++ ) {
+            $sentence = sprintf( $this->sentence_templates[ $i % count( $this->sentence_templates ) ], $topic );
+
+            // Cut the last sentence short so the copy lands on the word target
+            $words = explode( ' ', $sentence );
+            if ( count( $words ) > $word_target - $word_count ) {
+                $sentence = rtrim( implode( ' ', array_slice( $words, 0, $word_target - $word_count ) ), '.,' ) . '.';
+            }
+
+            if ( $citation_count > 0 && 2 === $i % 3 ) {
+                $sentence = rtrim( $sentence, '.' ) . ' [' . ( ( intval( $i / 3 ) % $citation_count ) + 1 ) . '].';
+            }
+
+            $sentences[] = $sentence;
+            $word_count += max( 1, str_word_count( $sentence ) );
+
+            if ( count( $sentences ) === 4 ) {
+                $paragraphs[] = '<p>' . implode( ' ', $sentences ) . '</p>';
+                $sentences = array();
+            }
+        }
+
+        if ( ! empty( $sentences ) ) {
+            $paragraphs[] = '<p>' . implode( ' ', $sentences ) . '</p>';
+        }
+
+        $input_tokens = intval( ceil( strlen( $prompt ) / Cost_Estimator::ESTIMATION['chars_per_token'] ) );
+        $output_tokens = intval( ceil( $word_count * Cost_Estimator::ESTIMATION['tokens_per_word'] ) );
+
+        return array(
+            'content' => implode( "\n", $paragraphs ),
+            'token_count' => $input_tokens + $output_tokens,
+            'cost_usd' => 0.0,
+        );
+    }
+
+    /**
+     * Generate sample MVDB context chunks for the configured namespaces
+     *
+     * Chunks use the same shape as MVDB search results, without a source URL
+     * since they come from no page. IDs are derived from the brief so
+     * excluding a chunk survives regeneration.
+     *
+     * @param array $params Generation parameters.
+     * @return array Sample context chunks, best match first.
+     */
+    public function generate_context_chunks( $params ) {
+        $mvdb_params = $params['mvdb_params'] ?? array();
+        $namespaces = array_values( $mvdb_params['namespaces'] ?? array() );
+
+        if ( empty( $namespaces ) ) {
+            return array();
+        }
+
+        $key_terms = $this->extract_key_terms( $params['brief'] );
+        if ( empty( $key_terms ) ) {
+            $key_terms = array( 'your topic' );
+        }
+
+        $topics = call_user_func_array( 'array_merge', array_values( $this->subheading_templates ) );
+        $min_score = floatval( $mvdb_params['min_score'] ?? 0.5 );
+        $top_score = max( $min_score, 0.95 );
+        $count = max( 1, min( 50, intval( $mvdb_params['k'] ?? 10 ) + count( $mvdb_params['exclude_chunks'] ?? array() ) ) );
+
+        $chunks = array();
+        for ( $i = 0; $i < $count; $i++ ) {
+            $term = $key_terms[ $i % count( $key_terms ) ];
+            $topic = sprintf( $topics[ $i % count( $topics ) ], ucfirst( $term ) );
+            $namespace = $namespaces[ $i % count( $namespaces ) ];
+
+            $chunks[] = array(
+                'id' => 'chunk-stub-' . substr( md5( $params['brief'] . '|' . $i ), 0, 10 ),
+                'namespace' => $namespace,
+                'score' => round( $top_score - ( $top_score - $min_score ) * $i / $count, 4 ),
+                'content' => sprintf(
+                    '%s: notes on %s from the %s library, covering practical steps, common pitfalls and examples readers can apply right away.',
+                    $topic,
+                    $term,
+                    $namespace
+                ),
+                'metadata' => array(
+                    'source_url' => '',
+                    'stub' => true,
+                ),
+            );
+        }
+
+        return $chunks;
+    }
+
     /**
      * Extract key terms from brief
      *
@@ -342,6 +518,16 @@ class LLM_Stub_Service {
         return max( 5, intval( $word_count / 50 ) );
     }
 
+    /**
+     * Simulate API latency between streamed sections
+     *
+     * Only sleeps when AI_COMPOSER_SIMULATE_DELAY is enabled, so streaming can
+     * be exercised offline without slowing down tests.
+     */
+    public function simulate_latency() {
+        $this->add_variation();
+    }
+
     /**
      * Generate realistic variation in responses
      *
@@ -0,0 +1,394 @@
+<?php
+/**
+ * MVDB Filters Class - Metadata Filter Validation and Translation
+ *
+ * This file contains the MVDB_Filters class that validates MVDB metadata
+ * filters, including condition groups from the outline filter builder, and
+ * translates them into a filter string. Both the retrieval test query and
+ * outline generation go through it, so they search the same content.
+ *
+ * @package AIPageComposer\API
+ */
+
+namespace AIPageComposer\API;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * MVDB Filters class for metadata filter handling
+ */
+class MVDB_Filters {
+
+    /**
+     * Validate filter parameters
+     *
+     * Unknown filters, and conditions with an unknown field, operator or an
+     * invalid value, are dropped.
+     *
+     * @param array $filters Input filters.
+     * @return array Validated filters.
+     */
+    public function validate( $filters ) {
+        if ( ! is_array( $filters ) ) {
+            return [];
+        }
+        
+        $validated = [];
+        
+        // Post type filter
+        if ( ! empty( $filters['post_type'] ) ) {
+            $post_types = is_array( $filters['post_type'] ) ? $filters['post_type'] : [ $filters['post_type'] ];
+            $valid_post_types = [];
+            
+            foreach ( $post_types as $post_type ) {
+                $clean_type = sanitize_key( $post_type );
+                if ( post_type_exists( $clean_type ) ) {
+                    $valid_post_types[] = $clean_type;
+                }
+            }
+            
+            if ( ! empty( $valid_post_types ) ) {
+                $validated['post_type'] = $valid_post_types;
+            }
+        }
+        
+        // Date range filter
+        if ( ! empty( $filters['date_range'] ) && is_array( $filters['date_range'] ) ) {
+            $date_range = [];
+            
+            if ( ! empty( $filters['date_range']['start'] ) ) {
+                $start_date = sanitize_text_field( $filters['date_range']['start'] );
+                if ( $this->validate_date_format( $start_date ) ) {
+                    $date_range['start'] = $start_date;
+                }
+            }
+            
+            if ( ! empty( $filters['date_range']['end'] ) ) {
+                $end_date = sanitize_text_field( $filters['date_range']['end'] );
+                if ( $this->validate_date_format( $end_date ) ) {
+                    $date_range['end'] = $end_date;
+                }
+            }
+            
+            if ( ! empty( $date_range ) ) {
+                $validated['date_range'] = $date_range;
+            }
+        }
+        
+        // Language filter
+        if ( ! empty( $filters['language'] ) ) {
+            $language = sanitize_key( $filters['language'] );
+            if ( strlen( $language ) === 2 ) { // ISO 639-1 language codes
+                $validated['language'] = $language;
+            }
+        }
+        
+        // License filter
+        if ( ! empty( $filters['license'] ) ) {
+            $allowed_licenses = [ 'CC-BY', 'CC-BY-SA', 'CC-BY-NC', 'public-domain', 'fair-use', 'commercial' ];
+            $licenses = is_array( $filters['license'] ) ? $filters['license'] : [ $filters['license'] ];
+            $valid_licenses = [];
+            
+            foreach ( $licenses as $license ) {
+                $clean_license = sanitize_key( $license );
+                if ( in_array( $clean_license, $allowed_licenses, true ) ) {
+                    $valid_licenses[] = $clean_license;
+                }
+            }
+            
+            if ( ! empty( $valid_licenses ) ) {
+                $validated['license'] = $valid_licenses;
+            }
+        }
+        
+        // Author filter
+        if ( ! empty( $filters['author'] ) ) {
+            $authors = is_array( $filters['author'] ) ? $filters['author'] : [ $filters['author'] ];
+            $valid_authors = array_map( 'absint', $authors );
+            $valid_authors = array_filter( $valid_authors );
+            
+            if ( ! empty( $valid_authors ) ) {
+                $validated['author'] = $valid_authors;
+            }
+        }
+        
+        // Exclude IDs filter
+        if ( ! empty( $filters['exclude_ids'] ) ) {
+            $exclude_ids = is_array( $filters['exclude_ids'] ) ? $filters['exclude_ids'] : [ $filters['exclude_ids'] ];
+            $valid_ids = array_map( 'absint', $exclude_ids );
+            $valid_ids = array_filter( $valid_ids );
+            
+            if ( ! empty( $valid_ids ) ) {
+                $validated['exclude_ids'] = $valid_ids;
+            }
+        }
+        
+        // Condition groups from the filter builder
+        if ( ! empty( $filters['groups'] ) && is_array( $filters['groups'] ) ) {
+            $groups = $this->validate_filter_groups( $filters['groups'] );
+            
+            if ( ! empty( $groups ) ) {
+                $validated['match'] = ( $filters['match'] ?? 'all' ) === 'any' ? 'any' : 'all';
+                $validated['groups'] = $groups;
+            }
+        }
+        
+        return $validated;
+    }
+
+    /**
+     * Validate filter builder condition groups
+     *
+     * Each group is `{ match: all|any, conditions: [ { field, operator, value } ] }`.
+     * Fields are core post fields or custom metadata as `meta.<key>`. Invalid
+     * conditions are dropped, as are groups left without conditions.
+     *
+     * @param array $groups Input groups.
+     * @return array Validated groups.
+     */
+    private function validate_filter_groups( $groups ) {
+        $validated = [];
+        
+        foreach ( array_slice( $groups, 0, 10 ) as $group ) {
+            if ( ! is_array( $group ) || empty( $group['conditions'] ) || ! is_array( $group['conditions'] ) ) {
+                continue;
+            }
+            
+            $conditions = [];
+            foreach ( array_slice( $group['conditions'], 0, 20 ) as $condition ) {
+                $condition = is_array( $condition ) ? $this->validate_filter_condition( $condition ) : null;
+                if ( $condition ) {
+                    $conditions[] = $condition;
+                }
+            }
+            
+            if ( ! empty( $conditions ) ) {
+                $validated[] = [
+                    'match' => ( $group['match'] ?? 'all' ) === 'any' ? 'any' : 'all',
+                    'conditions' => $conditions
+                ];
+            }
+        }
+        
+        return $validated;
+    }
+
+    /**
+     * Validate a single filter builder condition
+     *
+     * @param array $condition Input condition.
+     * @return array|null Validated condition or null if invalid.
+     */
+    private function validate_filter_condition( $condition ) {
+        $field = sanitize_text_field( $condition['field'] ?? '' );
+        $operator = sanitize_key( $condition['operator'] ?? 'eq' );
+        
+        $field_types = [
+            'post_date' => 'date',
+            'post_modified' => 'date',
+            'post_author' => 'integer',
+            'post_type' => 'key',
+            'language' => 'key',
+            'license' => 'key',
+            'category' => 'text'
+        ];
+        
+        if ( isset( $field_types[ $field ] ) ) {
+            $type = $field_types[ $field ];
+        } elseif ( preg_match( '/^meta\.[a-zA-Z0-9_-]{1,64}$/', $field ) ) {
+            $type = 'text';
+        } else {
+            return null;
+        }
+        
+        $type_operators = [
+            'date' => [ 'eq', 'neq', 'gt', 'gte', 'lt', 'lte' ],
+            'integer' => [ 'eq', 'neq', 'in', 'gt', 'gte', 'lt', 'lte' ],
+            'key' => [ 'eq', 'neq', 'in' ],
+            'text' => [ 'eq', 'neq', 'in', 'contains' ]
+        ];
+        
+        if ( ! in_array( $operator, $type_operators[ $type ], true ) ) {
+            return null;
+        }
+        
+        $values = $condition['value'] ?? '';
+        if ( 'in' === $operator ) {
+            $values = is_array( $values ) ? $values : explode( ',', (string) $values );
+        } else {
+            $values = [ is_array( $values ) ? reset( $values ) : $values ];
+        }
+        
+        $clean_values = [];
+        foreach ( $values as $value ) {
+            $value = trim( sanitize_text_field( (string) $value ) );
+            
+            if ( 'date' === $type && ! $this->validate_date_format( $value ) ) {
+                continue;
+            }
+            if ( 'integer' === $type ) {
+                $value = absint( $value );
+                if ( ! $value ) {
+                    continue;
+                }
+            }
+            if ( 'key' === $type ) {
+                // Like sanitize_key() but case is kept, license codes are upper case
+                $value = preg_replace( '/[^A-Za-z0-9_-]/', '', $value );
+            }
+            if ( '' !== $value ) {
+                $clean_values[] = $value;
+            }
+        }
+        
+        if ( empty( $clean_values ) ) {
+            return null;
+        }
+        
+        return [
+            'field' => $field,
+            'operator' => $operator,
+            'value' => 'in' === $operator ? $clean_values : $clean_values[0]
+        ];
+    }
+
+    /**
+     * Validate date format (YYYY-MM-DD)
+     *
+     * @param string $date Date string to validate.
+     * @return bool True if valid date format.
+     */
+    public function validate_date_format( $date ) {
+        $d = \DateTime::createFromFormat( 'Y-m-d', $date );
+        return $d && $d->format( 'Y-m-d' ) === $date;
+    }
+
+    /**
+     * Build the filter string for validated filters
+     *
+     * @param array $filters Validated filters.
+     * @return string|null Filter string, or null when nothing is filtered.
+     */
+    public function build_filter_string( $filters ) {
+        $filter_parts = [];
+        
+        if ( ! empty( $filters['post_type'] ) ) {
+            $post_type_filters = array_map( function( $type ) {
+                return "post_type:$type";
+            }, $filters['post_type'] );
+            $filter_parts[] = '(' . implode( ' OR ', $post_type_filters ) . ')';
+        }
+        
+        if ( ! empty( $filters['exclude_ids'] ) ) {
+            $exclude_filters = array_map( function( $id ) {
+                return "NOT ID:$id";
+            }, $filters['exclude_ids'] );
+            $filter_parts[] = '(' . implode( ' AND ', $exclude_filters ) . ')';
+        }
+        
+        if ( ! empty( $filters['date_range'] ) ) {
+            $date_filters = [];
+            if ( ! empty( $filters['date_range']['start'] ) ) {
+                $date_filters[] = "post_date:>={$filters['date_range']['start']}";
+            }
+            if ( ! empty( $filters['date_range']['end'] ) ) {
+                $date_filters[] = "post_date:<={$filters['date_range']['end']}";
+            }
+            if ( ! empty( $date_filters ) ) {
+                $filter_parts[] = '(' . implode( ' AND ', $date_filters ) . ')';
+            }
+        }
+        
+        if ( ! empty( $filters['language'] ) ) {
+            $filter_parts[] = "language:{$filters['language']}";
+        }
+        
+        if ( ! empty( $filters['license'] ) ) {
+            $license_filters = array_map( function( $license ) {
+                return "license:$license";
+            }, $filters['license'] );
+            $filter_parts[] = '(' . implode( ' OR ', $license_filters ) . ')';
+        }
+        
+        if ( ! empty( $filters['author'] ) ) {
+            $author_filters = array_map( function( $author_id ) {
+                return "post_author:$author_id";
+            }, $filters['author'] );
+            $filter_parts[] = '(' . implode( ' OR ', $author_filters ) . ')';
+        }
+        
+        if ( ! empty( $filters['groups'] ) ) {
+            $filter_parts[] = $this->build_group_filter( $filters );
+        }
+        
+        return ! empty( $filter_parts ) ? implode( ' AND ', $filter_parts ) : null;
+    }
+
+    /**
+     * Build the filter string for filter builder condition groups
+     *
+     * @param array $filters Validated filters with match and groups.
+     * @return string Filter string.
+     */
+    private function build_group_filter( $filters ) {
+        $groups = array_map( function( $group ) {
+            $conditions = array_map( [ $this, 'build_condition_filter' ], $group['conditions'] );
+            return '(' . implode( 'any' === $group['match'] ? ' OR ' : ' AND ', $conditions ) . ')';
+        }, $filters['groups'] );
+        
+        return '(' . implode( 'any' === $filters['match'] ? ' OR ' : ' AND ', $groups ) . ')';
+    }
+
+    /**
+     * Build the filter string for a single condition
+     *
+     * @param array $condition Validated condition.
+     * @return string Filter string.
+     */
+    private function build_condition_filter( $condition ) {
+        $field = $condition['field'];
+        $range_operators = [ 'gt' => '>', 'gte' => '>=', 'lt' => '<', 'lte' => '<=' ];
+        
+        switch ( $condition['operator'] ) {
+            case 'neq':
+                return "NOT $field:" . $this->quote_filter_value( $condition['value'] );
+            
+            case 'in':
+                $values = array_map( function( $value ) use ( $field ) {
+                    return "$field:" . $this->quote_filter_value( $value );
+                }, $condition['value'] );
+                return '(' . implode( ' OR ', $values ) . ')';
+            
+            case 'contains':
+                return "$field:*" . addcslashes( $condition['value'], '\\"*?:()' ) . '*';
+            
+            case 'gt':
+            case 'gte':
+            case 'lt':
+            case 'lte':
+                return "$field:" . $range_operators[ $condition['operator'] ] . $condition['value'];
+            
+            default:
+                return "$field:" . $this->quote_filter_value( $condition['value'] );
+        }
+    }
+
+    /**
+     * Quote a filter value unless it is a bare word
+     *
+     * @param string $value Filter value.
+     * @return string Filter value safe for the filter string.
+     */
+    private function quote_filter_value( $value ) {
+        $value = (string) $value;
+        
+        if ( preg_match( '/^[a-zA-Z0-9_.-]+$/', $value ) ) {
+            return $value;
+        }
+        
+        return '"' . addcslashes( $value, '\\"' ) . '"';
+    }
+}
@@ -17,6 +17,7 @@ use AIPageComposer\Utils\Security_Helper;
 use AIPageComposer\Utils\Validation_Helper;
 use AIPageComposer\API\MVDB_Cache_Manager;
 use AIPageComposer\API\MVDB_Error_Handler;
+use AIPageComposer\API\MVDB_Filters;
 
 // Prevent direct access
 if ( ! defined( 'ABSPATH' ) ) {
@@ -49,6 +50,13 @@ class MVDB_Manager {
      */
     private $error_handler;
 
+    /**
+     * Metadata filter validation and translation
+     *
+     * @var MVDB_Filters
+     */
+    private $filters;
+
     /**
      * Cache group for MVDB responses
      *
@@ -86,6 +94,7 @@ class MVDB_Manager {
         $this->settings_manager = $settings_manager ?: new Settings_Manager();
         $this->cache_manager = new MVDB_Cache_Manager( $this->settings_manager );
         $this->error_handler = new MVDB_Error_Handler( $this->settings_manager );
+        $this->filters = new MVDB_Filters();
         $this->init_api_credentials();
     }
 
@@ -246,101 +255,7 @@ class MVDB_Manager {
      * @return array Validated filters.
      */
     private function validate_filters( $filters ) {
-        if ( ! is_array( $filters ) ) {
-            return [];
-        }
-        
-        $validated = [];
-        
-        // Post type filter
-        if ( ! empty( $filters['post_type'] ) ) {
-            $post_types = is_array( $filters['post_type'] ) ? $filters['post_type'] : [ $filters['post_type'] ];
-            $valid_post_types = [];
-            
-            foreach ( $post_types as $post_type ) {
-                $clean_type = sanitize_key( $post_type );
-                if ( post_type_exists( $clean_type ) ) {
-                    $valid_post_types[] = $clean_type;
-                }
-            }
-            
-            if ( ! empty( $valid_post_types ) ) {
-                $validated['post_type'] = $valid_post_types;
-            }
-        }
-        
-        // Date range filter
-        if ( ! empty( $filters['date_range'] ) && is_array( $filters['date_range'] ) ) {
-            $date_range = [];
-            
-            if ( ! empty( $filters['date_range']['start'] ) ) {
-                $start_date = sanitize_text_field( $filters['date_range']['start'] );
-                if ( $this->validate_date_format( $start_date ) ) {
-                    $date_range['start'] = $start_date;
-                }
-            }
-            
-            if ( ! empty( $filters['date_range']['end'] ) ) {
-                $end_date = sanitize_text_field( $filters['date_range']['end'] );
-                if ( $this->validate_date_format( $end_date ) ) {
-                    $date_range['end'] = $end_date;
-                }
-            }
-            
-            if ( ! empty( $date_range ) ) {
-                $validated['date_range'] = $date_range;
-            }
-        }
-        
-        // Language filter
-        if ( ! empty( $filters['language'] ) ) {
-            $language = sanitize_key( $filters['language'] );
-            if ( strlen( $language ) === 2 ) { // ISO 639-1 language codes
-                $validated['language'] = $language;
-            }
-        }
-        
-        // License filter
-        if ( ! empty( $filters['license'] ) ) {
-            $allowed_licenses = [ 'CC-BY', 'CC-BY-SA', 'CC-BY-NC', 'public-domain', 'fair-use', 'commercial' ];
-            $licenses = is_array( $filters['license'] ) ? $filters['license'] : [ $filters['license'] ];
-            $valid_licenses = [];
-            
-            foreach ( $licenses as $license ) {
-                $clean_license = sanitize_key( $license );
-                if ( in_array( $clean_license, $allowed_licenses, true ) ) {
-                    $valid_licenses[] = $clean_license;
-                }
-            }
-            
-            if ( ! empty( $valid_licenses ) ) {
-                $validated['license'] = $valid_licenses;
-            }
-        }
-        
-        // Author filter
-        if ( ! empty( $filters['author'] ) ) {
-            $authors = is_array( $filters['author'] ) ? $filters['author'] : [ $filters['author'] ];
-            $valid_authors = array_map( 'absint', $authors );
-            $valid_authors = array_filter( $valid_authors );
-            
-            if ( ! empty( $valid_authors ) ) {
-                $validated['author'] = $valid_authors;
-            }
-        }
-        
-        // Exclude IDs filter
-        if ( ! empty( $filters['exclude_ids'] ) ) {
-            $exclude_ids = is_array( $filters['exclude_ids'] ) ? $filters['exclude_ids'] : [ $filters['exclude_ids'] ];
-            $valid_ids = array_map( 'absint', $exclude_ids );
-            $valid_ids = array_filter( $valid_ids );
-            
-            if ( ! empty( $valid_ids ) ) {
-                $validated['exclude_ids'] = $valid_ids;
-            }
-        }
-        
-        return $validated;
+        return $this->filters->validate( $filters );
     }
 
     /**
@@ -350,8 +265,7 @@ class MVDB_Manager {
      * @return bool True if valid date format.
      */
     private function validate_date_format( $date ) {
-        $d = \DateTime::createFromFormat( 'Y-m-d', $date );
-        return $d && $d->format( 'Y-m-d' ) === $date;
+        return $this->filters->validate_date_format( $date );
     }
 
     /**
@@ -496,55 +410,7 @@ class MVDB_Manager {
             'namespaces' => $params['namespaces']
         ];
         
-        // Build filter string from filters
-        $filter_parts = [];
-        
-        if ( ! empty( $params['filters']['post_type'] ) ) {
-            $post_type_filters = array_map( function( $type ) {
-                return "post_type:$type";
-            }, $params['filters']['post_type'] );
-            $filter_parts[] = '(' . implode( ' OR ', $post_type_filters ) . ')';
-        }
-        
-        if ( ! empty( $params['filters']['exclude_ids'] ) ) {
-            $exclude_filters = array_map( function( $id ) {
-                return "NOT ID:$id";
-            }, $params['filters']['exclude_ids'] );
-            $filter_parts[] = '(' . implode( ' AND ', $exclude_filters ) . ')';
-        }
-        
-        if ( ! empty( $params['filters']['date_range'] ) ) {
-            $date_filters = [];
-            if ( ! empty( $params['filters']['date_range']['start'] ) ) {
-                $date_filters[] = "post_date:>={$params['filters']['date_range']['start']}";
-            }
-            if ( ! empty( $params['filters']['date_range']['end'] ) ) {
-                $date_filters[] = "post_date:<={$params['filters']['date_range']['end']}";
-            }
-            if ( ! empty( $date_filters ) ) {
-                $filter_parts[] = '(' . implode( ' AND ', $date_filters ) . ')';
-            }
-        }
-        
-        if ( ! empty( $params['filters']['language'] ) ) {
-            $filter_parts[] = "language:{$params['filters']['language']}";
-        }
-        
-        if ( ! empty( $params['filters']['license'] ) ) {
-            $license_filters = array_map( function( $license ) {
-                return "license:$license";
-            }, $params['filters']['license'] );
-            $filter_parts[] = '(' . implode( ' OR ', $license_filters ) . ')';
-        }
-        
-        if ( ! empty( $params['filters']['author'] ) ) {
-            $author_filters = array_map( function( $author_id ) {
-                return "post_author:$author_id";
-            }, $params['filters']['author'] );
-            $filter_parts[] = '(' . implode( ' OR ', $author_filters ) . ')';
-        }
-        
-        $variables['filter'] = ! empty( $filter_parts ) ? implode( ' AND ', $filter_parts ) : null;
+        $variables['filter'] = $this->filters->build_filter_string( $params['filters'] );
         
         return [
             'query' => $query,
@@ -1343,6 +1209,7 @@ class MVDB_Manager {
             'license_filter' => ! empty( $params['filters']['license'] ),
             'author_filter' => ! empty( $params['filters']['author'] ),
             'exclude_ids_filter' => ! empty( $params['filters']['exclude_ids'] ),
+            'condition_groups_filter' => ! empty( $params['filters']['groups'] ),
             'min_score_filter' => $params['min_score'] > 0.0,
             'namespace_filter' => count( $params['namespaces'] ) < 4 // Less than all available namespaces
         ];
@@ -12,6 +12,7 @@
 namespace AIPageComposer\API;
 
 use AIPageComposer\API\Outline_Generator;
+use AIPageComposer\API\MVDB_Filters;
 use AIPageComposer\Blueprints\Blueprint_Manager;
 use AIPageComposer\Admin\Block_Preferences;
 use AIPageComposer\Utils\Security_Helper;
@@ -91,6 +92,28 @@ class Outline_Controller extends \WP_REST_Controller {
                 'args' => $this->get_outline_args(),
             )
         );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/stream',
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array( $this, 'stream_outline' ),
+                'permission_callback' => array( $this, 'generate_outline_permissions_check' ),
+                'args' => $this->get_outline_args(),
+            )
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/section',
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array( $this, 'regenerate_section' ),
+                'permission_callback' => array( $this, 'generate_outline_permissions_check' ),
+                'args' => $this->get_section_args(),
+            )
+        );
     }
 
     /**
@@ -105,7 +128,7 @@ class Outline_Controller extends \WP_REST_Controller {
             $params = $this->extract_parameters( $request );
 
             // Validate blueprint exists and is accessible
-            $blueprint = $this->validate_blueprint( $params['blueprint_id'] );
+            $blueprint = $this->validate_blueprint( $params['blueprint_id'], $params );
 
             // Generate outline using the outline generator
             $outline_data = $this->outline_generator->generate( $params, $blueprint );
@@ -129,6 +152,144 @@ class Outline_Controller extends \WP_REST_Controller {
         }
     }
 
+    /**
+     * Stream content outline generation
+     *
+     * Writes newline-delimited JSON events as sections are generated and
+     * finishes with a `done` event carrying the same payload as /outline,
+     * or an `error` event. The request ends when the client disconnects.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_Error|null Error before streaming starts, otherwise ends the request.
+     */
+    public function stream_outline( WP_REST_Request $request ) {
+        try {
+            $params = $this->extract_parameters( $request );
+            $blueprint = $this->validate_blueprint( $params['blueprint_id'], $params );
+        } catch ( \Exception $e ) {
+            return new \WP_Error(
+                'outline_generation_failed',
+                $e->getMessage(),
+                array( 'status' => 500 )
+            );
+        }
+
+        $this->start_stream();
+
+        $emit = function( $event ) {
+            if ( 'section' === $event['event'] ) {
+                $event['section'] = $this->apply_section_block_preference( $event['section'] );
+            }
+
+            return $this->send_stream_event( $event );
+        };
+
+        try {
+            $outline_data = $this->outline_generator->stream( $params, $blueprint, $emit );
+
+            if ( null !== $outline_data ) {
+                $enhanced_outline = $this->apply_block_preferences( $outline_data );
+                $this->log_outline_generation( $params, $enhanced_outline );
+                $this->send_stream_event( array(
+                    'event' => 'done',
+                    'outline' => $enhanced_outline,
+                ) );
+            }
+        } catch ( \Exception $e ) {
+            error_log( '[AI Composer] Outline streaming failed: ' . $e->getMessage() );
+
+            $this->send_stream_event( array(
+                'event' => 'error',
+                'message' => $e->getMessage(),
+            ) );
+        }
+
+        return $this->end_stream();
+    }
+
+    /**
+     * Send streaming headers and disable output buffering
+     */
+    protected function start_stream() {
+        if ( ! headers_sent() ) {
+            status_header( 200 );
+            header( 'Content-Type: application/x-ndjson; charset=' . get_option( 'blog_charset' ) );
+            header( 'Cache-Control: no-cache' );
+            header( 'X-Accel-Buffering: no' );
+        }
+
+        while ( ob_get_level() > 0 ) {
+            ob_end_flush();
+        }
+    }
+
+    /**
+     * End the request once the events are written
+     *
+     * The REST server must not append a response to the stream, so this
+     * exits. Overridden in tests to dispatch the endpoint.
+     *
+     * @return null Never returns when exiting.
+     */
+    protected function end_stream() {
+        exit;
+    }
+
+    /**
+     * Write one streaming event
+     *
+     * @param array $event Event data.
+     * @return bool False once the client has disconnected.
+     */
+    private function send_stream_event( $event ) {
+        echo wp_json_encode( $event ) . "\n";
+        flush();
+
+        return ! connection_aborted();
+    }
+
+    /**
+     * Regenerate a single outline section
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error Response object or error.
+     */
+    public function regenerate_section( WP_REST_Request $request ) {
+        try {
+            $params = $this->extract_parameters( $request );
+            $blueprint = $this->validate_blueprint( $params['blueprint_id'], $params );
+
+            $section = $this->sanitize_outline_section( $request->get_param( 'section' ) );
+            $context = array_map(
+                array( $this, 'sanitize_outline_section' ),
+                array_filter( (array) $request->get_param( 'context' ), 'is_array' )
+            );
+
+            $result = $this->outline_generator->regenerate_section( $params, $blueprint, $section, array_values( $context ) );
+
+            // A regenerated section keeps its place in the outline hierarchy
+            $result['section'] = array_merge( $result['section'], array_intersect_key( $section, array_flip( array( 'headingLevel', 'depth', 'parentId' ) ) ) );
+            $result['section'] = $this->apply_section_block_preference( $result['section'] );
+
+            $this->log_outline_generation( $params, array(
+                'mode' => $result['mode'],
+                'sections' => array( $result['section'] ),
+                'estimated_cost' => $result['estimated_cost'],
+            ) );
+
+            return rest_ensure_response( $result );
+
+        } catch ( \Exception $e ) {
+            error_log( '[AI Composer] Section regeneration failed: ' . $e->getMessage() );
+
+            return new \WP_Error(
+                'section_regeneration_failed',
+                $e->getMessage(),
+                array( 'status' => 500 )
+            );
+        }
+    }
+
     /**
      * Check permissions for outline generation
      *
@@ -200,9 +361,16 @@ class Outline_Controller extends \WP_REST_Controller {
                         'default' => 0.5,
                     ),
                     'filters' => array(
+                        'description' => __( 'Metadata filters, validated as for the retrieval test query', 'ai-page-composer' ),
                         'type' => 'object',
                         'default' => array(),
                     ),
+                    'exclude_chunks' => array(
+                        'description' => __( 'IDs of retrieved chunks to leave out of the context', 'ai-page-composer' ),
+                        'type' => 'array',
+                        'items' => array( 'type' => 'string' ),
+                        'default' => array(),
+                    ),
                 ),
             ),
             'alpha' => array(
@@ -217,6 +385,69 @@ class Outline_Controller extends \WP_REST_Controller {
         );
     }
 
+    /**
+     * Get section regeneration arguments schema
+     *
+     * @return array Arguments schema.
+     */
+    public function get_section_args() {
+        return array_merge(
+            $this->get_outline_args(),
+            array(
+                'section' => array(
+                    'description' => __( 'Section to regenerate', 'ai-page-composer' ),
+                    'type' => 'object',
+                    'required' => true,
+                    'properties' => array(
+                        'id' => array( 'type' => 'string' ),
+                        'heading' => array( 'type' => 'string' ),
+                        'type' => array(
+                            'type' => 'string',
+                            'enum' => array_keys( $this->blueprint_manager->get_schema_processor()->get_section_types() ),
+                        ),
+                        'targetWords' => array(
+                            'type' => 'integer',
+                            'minimum' => 10,
+                            'maximum' => 2000,
+                        ),
+                    ),
+                ),
+                'context' => array(
+                    'description' => __( 'Surrounding outline sections, in order', 'ai-page-composer' ),
+                    'type' => 'array',
+                    'required' => false,
+                    'default' => array(),
+                    'items' => array( 'type' => 'object' ),
+                ),
+            )
+        );
+    }
+
+    /**
+     * Sanitize an outline section sent back by the client
+     *
+     * @param array $section Raw section data.
+     * @return array Sanitized section.
+     * @throws \Exception If the section is missing.
+     */
+    private function sanitize_outline_section( $section ) {
+        if ( empty( $section ) || ! is_array( $section ) ) {
+            throw new \Exception( __( 'Section is required', 'ai-page-composer' ) );
+        }
+
+        return array(
+            'id' => sanitize_key( $section['id'] ?? '' ),
+            'heading' => sanitize_text_field( $section['heading'] ?? '' ),
+            'type' => sanitize_key( $section['type'] ?? 'content' ),
+            'targetWords' => max( 10, min( 2000, absint( $section['targetWords'] ?? 150 ) ) ),
+            'needsImage' => ! empty( $section['needsImage'] ),
+            'subheadings' => array_map( 'sanitize_text_field', (array) ( $section['subheadings'] ?? array() ) ),
+            'headingLevel' => max( 1, min( 6, absint( $section['headingLevel'] ?? 2 ) ) ),
+            'depth' => absint( $section['depth'] ?? 0 ),
+            'parentId' => sanitize_key( $section['parentId'] ?? '' ),
+        );
+    }
+
     /**
      * Extract and validate parameters from request
      *
@@ -252,6 +483,13 @@ class Outline_Controller extends \WP_REST_Controller {
             );
         }
 
+        $params['mvdb_params']['filters'] = ( new MVDB_Filters() )->validate( $params['mvdb_params']['filters'] ?? array() );
+
+        $params['mvdb_params']['exclude_chunks'] = array_values( array_filter( array_map(
+            'sanitize_key',
+            (array) ( $params['mvdb_params']['exclude_chunks'] ?? array() )
+        ) ) );
+
         // Validate required parameters
         if ( empty( $params['blueprint_id'] ) ) {
             throw new Exception( __( 'Blueprint ID is required', 'ai-page-composer' ) );
@@ -267,11 +505,15 @@ class Outline_Controller extends \WP_REST_Controller {
     /**
      * Validate blueprint exists and is accessible
      *
-     * @param int $blueprint_id Blueprint post ID.
+     * Section conditions and repeats are resolved against the outline
+     * parameters, so the returned sections are the ones to generate.
+     *
+     * @param int   $blueprint_id Blueprint post ID.
+     * @param array $params Outline parameters.
      * @return array Blueprint data.
      * @throws Exception If blueprint is invalid.
      */
-    private function validate_blueprint( $blueprint_id ) {
+    private function validate_blueprint( $blueprint_id, $params = array() ) {
         $blueprint_post = get_post( $blueprint_id );
 
         if ( ! $blueprint_post || 'ai_blueprint' !== $blueprint_post->post_type ) {
@@ -289,6 +531,17 @@ class Outline_Controller extends \WP_REST_Controller {
             throw new Exception( __( 'Blueprint schema data not found', 'ai-page-composer' ) );
         }
 
+        // Drop sections whose condition fails and expand repeated ones
+        $section_rules = $this->blueprint_manager->get_section_rules();
+        $sections = $section_rules->apply( $blueprint_data['sections'] ?? array(), $section_rules->build_context( $params ) );
+
+        if ( empty( $sections ) ) {
+            throw new Exception( __( 'No blueprint sections apply to this brief', 'ai-page-composer' ) );
+        }
+
+        // Generators work through nested sections in document order
+        $blueprint_data['sections'] = $this->blueprint_manager->get_schema_processor()->flatten_sections( $sections );
+
         return array(
             'post' => $blueprint_post,
             'schema' => $blueprint_data,
@@ -302,35 +555,39 @@ class Outline_Controller extends \WP_REST_Controller {
      * @return array Enhanced outline with block preferences.
      */
     private function apply_block_preferences( $outline_data ) {
-        $enhanced_sections = array();
-
-        foreach ( $outline_data['sections'] as $section ) {
-            $enhanced_section = $section;
-
-            // Get block preferences for this section type
-            $block_preference = $this->block_preferences->get_section_preference( $section['type'] );
-
-            if ( $block_preference ) {
-                $enhanced_section['block_preference'] = array(
-                    'preferred_plugin' => $block_preference['preferred_plugin'],
-                    'primary_block' => $block_preference['primary_block'],
-                    'fallback_blocks' => $block_preference['fallback_blocks'],
-                    'pattern_preference' => $block_preference['pattern_preference'] ?? '',
-                );
-            } else {
-                // Provide default block preference
-                $enhanced_section['block_preference'] = array(
-                    'preferred_plugin' => 'core',
-                    'primary_block' => $this->get_default_core_block( $section['type'] ),
-                    'fallback_blocks' => array( 'core/paragraph', 'core/heading' ),
-                    'pattern_preference' => '',
-                );
-            }
+        $enhanced_sections = array_map( array( $this, 'apply_section_block_preference' ), $outline_data['sections'] );
 
-            $enhanced_sections[] = $enhanced_section;
+        return array_merge( $outline_data, array( 'sections' => $enhanced_sections ) );
+    }
+
+    /**
+     * Apply block preference to a single outline section
+     *
+     * @param array $section Outline section.
+     * @return array Section with block preference.
+     */
+    private function apply_section_block_preference( $section ) {
+        // Get block preferences for this section type
+        $block_preference = $this->block_preferences->get_section_preference( $section['type'] );
+
+        if ( $block_preference ) {
+            $section['block_preference'] = array(
+                'preferred_plugin' => $block_preference['preferred_plugin'],
+                'primary_block' => $block_preference['primary_block'],
+                'fallback_blocks' => $block_preference['fallback_blocks'],
+                'pattern_preference' => $block_preference['pattern_preference'] ?? '',
+            );
+        } else {
+            // Provide default block preference
+            $section['block_preference'] = array(
+                'preferred_plugin' => 'core',
+                'primary_block' => $this->get_default_core_block( $section['type'] ),
+                'fallback_blocks' => array( 'core/paragraph', 'core/heading' ),
+                'pattern_preference' => '',
+            );
         }
 
-        return array_merge( $outline_data, array( 'sections' => $enhanced_sections ) );
+        return $section;
     }
 
     /**
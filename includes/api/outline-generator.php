@@ -13,6 +13,8 @@ namespace AIPageComposer\API;
 
 use AIPageComposer\API\LLM_Stub_Service;
 use AIPageComposer\API\AI_Service_Client;
+use AIPageComposer\API\Cost_Estimator;
+use AIPageComposer\API\Estimate_Calibration;
 use AIPageComposer\Blueprints\Blueprint_Manager;
 use AIPageComposer\Admin\Block_Preferences;
 use AIPageComposer\Admin\Settings_Manager;
@@ -62,6 +64,13 @@ class Outline_Generator {
      */
     private $ai_service;
 
+    /**
+     * Cost estimator instance
+     *
+     * @var Cost_Estimator
+     */
+    private $cost_estimator;
+
     /**
      * Constructor
      *
@@ -74,6 +83,7 @@ class Outline_Generator {
         $this->settings_manager = new Settings_Manager();
         $this->stub_service = new LLM_Stub_Service();
         $this->ai_service = new AI_Service_Client( $this->settings_manager );
+        $this->cost_estimator = new Cost_Estimator();
     }
 
     /**
@@ -94,6 +104,89 @@ class Outline_Generator {
         }
     }
 
+    /**
+     * Generate content outline, reporting progress as it goes
+     *
+     * The emitter receives event arrays (`start`, `status`, `progress`,
+     * `section`, `reset`) and may return false to cancel generation.
+     *
+     * @param array    $params Generation parameters.
+     * @param array    $blueprint Blueprint data.
+     * @param callable $emit Event callback.
+     * @return array|null Generated outline data, or null if cancelled.
+     */
+    public function stream( $params, $blueprint, $emit ) {
+        if ( ! $this->should_use_stub_mode() ) {
+            try {
+                return $this->stream_ai_outline( $params, $blueprint, $emit );
+
+            } catch ( \Exception $e ) {
+                error_log( '[AI Composer] AI outline streaming failed, falling back to stub: ' . $e->getMessage() );
+
+                // Sections already sent by the AI stream are discarded by the client
+                $reset = array(
+                    'event' => 'reset',
+                    'message' => __( 'AI service unavailable, switching to stub outline', 'ai-page-composer' ),
+                );
+
+                if ( false === call_user_func( $emit, $reset ) ) {
+                    return null;
+                }
+            }
+        }
+
+        return $this->stream_stub_outline( $params, $blueprint, $emit );
+    }
+
+    /**
+     * Regenerate a single section of an existing outline
+     *
+     * @param array $params Generation parameters.
+     * @param array $blueprint Blueprint data.
+     * @param array $section Section to regenerate.
+     * @param array $context Surrounding outline sections, in order.
+     * @return array Regenerated section with mode and cost.
+     */
+    public function regenerate_section( $params, $blueprint, $section, $context ) {
+        if ( ! $this->should_use_stub_mode() ) {
+            try {
+                $prompt = $this->build_section_prompt( $params, $section, $context );
+                $ai_response = $this->ai_service->generate_outline( $prompt, array(), $params['alpha'] );
+                $ai_section = $ai_response['sections'][0] ?? array();
+
+                $regenerated = array(
+                    'id' => $section['id'],
+                    'heading' => $ai_section['heading'] ?? $section['heading'],
+                    'type' => $section['type'],
+                    'targetWords' => intval( $ai_section['target_words'] ?? $section['targetWords'] ),
+                    'needsImage' => $this->determine_image_requirement( $ai_section, array( 'type' => $section['type'] ) ),
+                    'mode' => 'hybrid',
+                    'subheadings' => $ai_section['subheadings'] ?? array(),
+                );
+
+                $cost = $this->calculate_generation_cost( $prompt, $ai_response );
+                $this->update_cost_tracking( $cost );
+
+                return array(
+                    'section' => $regenerated,
+                    'mode' => 'hybrid',
+                    'estimated_cost' => $cost,
+                    'generated_at' => current_time( 'c' ),
+                );
+
+            } catch ( \Exception $e ) {
+                error_log( '[AI Composer] AI section regeneration failed, falling back to stub: ' . $e->getMessage() );
+            }
+        }
+
+        return array(
+            'section' => $this->stub_service->regenerate_section( $params, $section, $context ),
+            'mode' => 'stub',
+            'estimated_cost' => 0.0,
+            'generated_at' => current_time( 'c' ),
+        );
+    }
+
     /**
      * Determine if stub mode should be used
      *
@@ -120,12 +213,18 @@ class Outline_Generator {
     private function generate_stub_outline( $params, $blueprint ) {
         try {
             $outline_data = $this->stub_service->generate_outline( $params, $blueprint );
+            // No retrieval runs in stub mode, so the sample chunks are flagged as such
+            $mvdb_context = $this->select_context_chunks( $this->stub_service->generate_context_chunks( $params ), $params );
+            $outline_data = $this->attach_retrieval_context( $outline_data, $mvdb_context, $params );
+            $outline_data['retrieval']['stub'] = true;
 
             // Add generation metadata
             $outline_data['mode'] = 'stub';
             $outline_data['estimated_cost'] = 0.0;
             $outline_data['generated_at'] = current_time( 'c' );
             $outline_data['blueprint_id'] = $blueprint['post']->ID;
+            $outline_data['cost_limit_usd'] = $this->get_cost_limit( $blueprint );
+            $outline_data['calibration'] = ( new Estimate_Calibration() )->get_factors( $blueprint['post']->ID );
 
             return $outline_data;
 
@@ -135,6 +234,223 @@ class Outline_Generator {
         }
     }
 
+    /**
+     * Stream outline sections from the stub service
+     *
+     * @param array    $params Generation parameters.
+     * @param array    $blueprint Blueprint data.
+     * @param callable $emit Event callback.
+     * @return array|null Generated outline data, or null if cancelled.
+     */
+    private function stream_stub_outline( $params, $blueprint, $emit ) {
+        $outline_data = $this->generate_stub_outline( $params, $blueprint );
+
+        $start = array(
+            'event' => 'start',
+            'mode' => 'stub',
+            'sections' => count( $outline_data['sections'] ),
+        );
+
+        if ( false === call_user_func( $emit, $start ) ) {
+            return null;
+        }
+
+        $tokens = 0;
+        foreach ( $outline_data['sections'] as $index => $section ) {
+            $this->stub_service->simulate_latency();
+            $tokens += $this->estimate_tokens( wp_json_encode( $section ) );
+
+            $event = array(
+                'event' => 'section',
+                'index' => $index,
+                'section' => $section,
+                'tokens' => $tokens,
+                'cost' => 0.0,
+            );
+
+            if ( false === call_user_func( $emit, $event ) ) {
+                return null;
+            }
+        }
+
+        return $outline_data;
+    }
+
+    /**
+     * Stream outline sections from the AI service as they are completed
+     *
+     * @param array    $params Generation parameters.
+     * @param array    $blueprint Blueprint data.
+     * @param callable $emit Event callback.
+     * @return array|null Generated outline data, or null if cancelled.
+     * @throws \Exception If the AI service fails.
+     */
+    private function stream_ai_outline( $params, $blueprint, $emit ) {
+        $prompt = $this->build_generation_prompt( $params, $blueprint );
+        $blueprint_sections = $blueprint['schema']['sections'] ?? array();
+
+        // Retrieve MVDB context if configured
+        $mvdb_context = array();
+        if ( ! empty( $params['mvdb_params']['namespaces'] ) ) {
+            if ( false === call_user_func( $emit, array( 'event' => 'status', 'status' => 'retrieving' ) ) ) {
+                return null;
+            }
+
+            $mvdb_context = $this->retrieve_context( $params );
+        }
+
+        $start = array(
+            'event' => 'start',
+            'mode' => 'hybrid',
+            'sections' => count( $blueprint_sections ),
+        );
+
+        if ( false === call_user_func( $emit, $start ) ) {
+            return null;
+        }
+
+        $input_tokens = $this->estimate_tokens( $prompt . wp_json_encode( $mvdb_context ) );
+        $output_tokens = 0;
+        $reported_tokens = 0;
+        $emitted = 0;
+
+        $on_delta = function( $delta, $content ) use ( $emit, $blueprint_sections, $input_tokens, &$output_tokens, &$reported_tokens, &$emitted ) {
+            $output_tokens = $this->estimate_tokens( $content );
+            $cost = $this->calculate_token_cost( $input_tokens, $output_tokens );
+
+            // Only rescan the buffer when a JSON object may have closed
+            if ( false !== strpos( $delta, '}' ) ) {
+                $completed = $this->extract_streamed_sections( $content );
+
+                while ( $emitted < count( $completed ) ) {
+                    $event = array(
+                        'event' => 'section',
+                        'index' => $emitted,
+                        'section' => $this->build_ai_section( $completed[ $emitted ], $blueprint_sections[ $emitted ] ?? array(), $emitted ),
+                        'tokens' => $output_tokens,
+                        'cost' => $cost,
+                    );
+
+                    if ( false === call_user_func( $emit, $event ) ) {
+                        return false;
+                    }
+
+                    $emitted++;
+                    $reported_tokens = $output_tokens;
+                }
+            }
+
+            // Throttle counter updates to roughly every 10 tokens
+            if ( $output_tokens - $reported_tokens >= 10 ) {
+                $reported_tokens = $output_tokens;
+
+                return call_user_func( $emit, array(
+                    'event' => 'progress',
+                    'tokens' => $output_tokens,
+                    'cost' => $cost,
+                ) );
+            }
+
+            return true;
+        };
+
+        $ai_response = $this->ai_service->stream_outline( $prompt, $mvdb_context, $params['alpha'], $on_delta );
+
+        if ( null === $ai_response ) {
+            return null;
+        }
+
+        $outline_data = $this->process_ai_response( $ai_response, $blueprint );
+        $outline_data = $this->attach_retrieval_context( $outline_data, $mvdb_context, $params );
+
+        // Sections that could not be picked out of the stream (e.g. blueprint fallback)
+        $section_count = count( $outline_data['sections'] );
+        for ( $index = $emitted; $index < $section_count; $index++ ) {
+            $event = array(
+                'event' => 'section',
+                'index' => $index,
+                'section' => $outline_data['sections'][ $index ],
+                'tokens' => $output_tokens,
+                'cost' => $this->calculate_token_cost( $input_tokens, $output_tokens ),
+            );
+
+            if ( false === call_user_func( $emit, $event ) ) {
+                return null;
+            }
+        }
+
+        $outline_data['mode'] = 'hybrid';
+        $outline_data['estimated_cost'] = $this->calculate_generation_cost( $prompt, $ai_response );
+        $outline_data['generated_at'] = current_time( 'c' );
+        $outline_data['blueprint_id'] = $blueprint['post']->ID;
+        $outline_data['cost_limit_usd'] = $this->get_cost_limit( $blueprint );
+        $outline_data['calibration'] = ( new Estimate_Calibration() )->get_factors( $blueprint['post']->ID );
+
+        $this->update_cost_tracking( $outline_data['estimated_cost'] );
+
+        return $outline_data;
+    }
+
+    /**
+     * Pick complete section objects out of a partially streamed JSON response
+     *
+     * @param string $content JSON received so far.
+     * @return array Decoded sections that are already complete.
+     */
+    private function extract_streamed_sections( $content ) {
+        $start = strpos( $content, '"sections"' );
+        $start = false === $start ? false : strpos( $content, '[', $start );
+
+        if ( false === $start ) {
+            return array();
+        }
+
+        $sections = array();
+        $depth = 0;
+        $in_string = false;
+        $escaped = false;
+        $object_start = null;
+        $length = strlen( $content );
+
+        for ( $i = $start + 1; $i < $length; $i++ ) {
+            $char = $content[ $i ];
+
+            if ( $in_string ) {
+                if ( $escaped ) {
+                    $escaped = false;
+                } elseif ( '\\' === $char ) {
+                    $escaped = true;
+                } elseif ( '"' === $char ) {
+                    $in_string = false;
+                }
+                continue;
+            }
+
+            if ( '"' === $char ) {
+                $in_string = true;
+            } elseif ( '{' === $char ) {
+                if ( 0 === $depth ) {
+                    $object_start = $i;
+                }
+                $depth++;
+            } elseif ( '}' === $char ) {
+                $depth--;
+
+                if ( 0 === $depth && null !== $object_start ) {
+                    $decoded = json_decode( substr( $content, $object_start, $i - $object_start + 1 ), true );
+                    if ( is_array( $decoded ) ) {
+                        $sections[] = $decoded;
+                    }
+                    $object_start = null;
+                }
+            } elseif ( ']' === $char && 0 === $depth ) {
+                break;
+            }
+        }
+
+        return $sections;
+    }
+
     /**
      * Generate outline using AI service
      *
@@ -150,12 +466,7 @@ class Outline_Generator {
             // Retrieve MVDB context if configured
             $mvdb_context = array();
             if ( ! empty( $params['mvdb_params']['namespaces'] ) ) {
-                $mvdb_context = $this->ai_service->retrieve_mvdb_context(
-                    $params['brief'],
-                    $params['mvdb_params']['namespaces'],
-                    $params['mvdb_params']['k'],
-                    $params['mvdb_params']['min_score']
-                );
+                $mvdb_context = $this->retrieve_context( $params );
             }
 
             // Generate outline using AI service
@@ -163,12 +474,15 @@ class Outline_Generator {
 
             // Process and structure the response
             $outline_data = $this->process_ai_response( $ai_response, $blueprint );
+            $outline_data = $this->attach_retrieval_context( $outline_data, $mvdb_context, $params );
 
             // Add generation metadata
             $outline_data['mode'] = 'hybrid';
             $outline_data['estimated_cost'] = $this->calculate_generation_cost( $prompt, $ai_response );
             $outline_data['generated_at'] = current_time( 'c' );
             $outline_data['blueprint_id'] = $blueprint['post']->ID;
+            $outline_data['cost_limit_usd'] = $this->get_cost_limit( $blueprint );
+            $outline_data['calibration'] = ( new Estimate_Calibration() )->get_factors( $blueprint['post']->ID );
 
             // Update cost tracking
             $this->update_cost_tracking( $outline_data['estimated_cost'] );
@@ -184,6 +498,152 @@ class Outline_Generator {
         }
     }
 
+    /**
+     * Retrieve MVDB context for the brief, leaving out excluded chunks
+     *
+     * @param array $params Generation parameters.
+     * @return array MVDB results.
+     */
+    private function retrieve_context( $params ) {
+        $mvdb_params = $params['mvdb_params'];
+        $excluded = $mvdb_params['exclude_chunks'] ?? array();
+
+        // Over-fetch so excluded chunks do not shrink the context
+        $results = $this->ai_service->retrieve_mvdb_context(
+            $params['brief'],
+            $mvdb_params['namespaces'],
+            min( 50, $mvdb_params['k'] + count( $excluded ) ),
+            $mvdb_params['min_score'],
+            $mvdb_params['filters'] ?? array()
+        );
+
+        return $this->select_context_chunks( $results, $params );
+    }
+
+    /**
+     * Drop excluded chunks and keep the configured number of results
+     *
+     * @param array $chunks MVDB results, best match first.
+     * @param array $params Generation parameters.
+     * @return array Selected chunks.
+     */
+    private function select_context_chunks( $chunks, $params ) {
+        $excluded = $params['mvdb_params']['exclude_chunks'] ?? array();
+
+        $selected = array_filter( $chunks, function( $chunk ) use ( $excluded ) {
+            return ! in_array( $this->get_context_chunk_id( $chunk ), $excluded, true );
+        } );
+
+        return array_slice( array_values( $selected ), 0, intval( $params['mvdb_params']['k'] ?? 10 ) );
+    }
+
+    /**
+     * Get a stable ID for an MVDB result
+     *
+     * @param array $chunk MVDB result.
+     * @return string Chunk ID.
+     */
+    private function get_context_chunk_id( $chunk ) {
+        if ( ! empty( $chunk['id'] ) ) {
+            return sanitize_key( $chunk['id'] );
+        }
+
+        return 'chunk-' . substr( md5( $chunk['content'] ?? $chunk['text'] ?? '' ), 0, 12 );
+    }
+
+    /**
+     * Attach the retrieved chunks to the outline, and to each section the
+     * chunks that likely relate to it
+     *
+     * @param array $outline_data Outline data.
+     * @param array $mvdb_context MVDB results used for generation.
+     * @param array $params Generation parameters.
+     * @return array Outline data with retrieval details.
+     */
+    private function attach_retrieval_context( $outline_data, $mvdb_context, $params ) {
+        $chunks = array_map( array( $this, 'format_context_chunk' ), $mvdb_context );
+
+        foreach ( $outline_data['sections'] as &$section ) {
+            $section['context_chunks'] = $this->match_section_chunks( $section, $chunks );
+        }
+        unset( $section );
+
+        $outline_data['retrieval'] = array(
+            'chunks' => $chunks,
+            'min_score' => floatval( $params['mvdb_params']['min_score'] ?? 0.5 ),
+            'excluded' => array_values( $params['mvdb_params']['exclude_chunks'] ?? array() ),
+            'stub' => false,
+        );
+
+        return $outline_data;
+    }
+
+    /**
+     * Format an MVDB result for the retrieval inspector
+     *
+     * @param array $chunk MVDB result.
+     * @return array Chunk with ID, namespace, score, source URL and snippet.
+     */
+    private function format_context_chunk( $chunk ) {
+        $metadata = $chunk['metadata'] ?? array();
+
+        return array(
+            'id' => $this->get_context_chunk_id( $chunk ),
+            'namespace' => sanitize_key( $chunk['namespace'] ?? $metadata['namespace'] ?? '' ),
+            'score' => round( floatval( $chunk['score'] ?? 0 ), 4 ),
+            'source_url' => esc_url_raw( $chunk['source_url'] ?? $metadata['source_url'] ?? '' ),
+            'snippet' => wp_trim_words( $chunk['content'] ?? $chunk['text'] ?? '', 40 ),
+        );
+    }
+
+    /**
+     * Find the chunks that share terms with a section heading or its subheadings
+     *
+     * Every chunk goes into the prompt, so this only ranks which ones most
+     * likely shaped each section.
+     *
+     * @param array $section Outline section.
+     * @param array $chunks Formatted chunks.
+     * @return array IDs of up to five matching chunks, best match first.
+     */
+    private function match_section_chunks( $section, $chunks ) {
+        $section_terms = $this->extract_match_terms( ( $section['heading'] ?? '' ) . ' ' . implode( ' ', $section['subheadings'] ?? array() ) );
+        $matches = array();
+
+        foreach ( $chunks as $chunk ) {
+            $overlap = count( array_intersect( $section_terms, $this->extract_match_terms( $chunk['snippet'] ) ) );
+
+            if ( $overlap > 0 ) {
+                $matches[] = array(
+                    'id' => $chunk['id'],
+                    'overlap' => $overlap,
+                    'score' => $chunk['score'],
+                );
+            }
+        }
+
+        usort( $matches, function( $a, $b ) {
+            return array( $b['overlap'], $b['score'] ) <=> array( $a['overlap'], $a['score'] );
+        } );
+
+        return array_column( array_slice( $matches, 0, 5 ), 'id' );
+    }
+
+    /**
+     * Extract lowercase terms of four or more characters from text
+     *
+     * @param string $text Text to split.
+     * @return array Unique terms.
+     */
+    private function extract_match_terms( $text ) {
+        $stop_words = array( 'about', 'from', 'have', 'that', 'their', 'them', 'they', 'this', 'what', 'when', 'with', 'your' );
+        $words = preg_split( '/[^a-z0-9]+/', strtolower( $text ), -1, PREG_SPLIT_NO_EMPTY );
+
+        return array_values( array_unique( array_filter( $words, function( $word ) use ( $stop_words ) {
+            return strlen( $word ) >= 4 && ! in_array( $word, $stop_words, true );
+        } ) ) );
+    }
+
     /**
      * Build generation prompt from parameters and blueprint
      *
@@ -211,12 +671,14 @@ class Outline_Generator {
             $prompt_parts[] = "Required Sections:";
             foreach ( $blueprint_sections as $section ) {
                 $prompt_parts[] = sprintf(
-                    "- %s (%s, %d words, %s images)",
+                    "%s- H%d %s (%s, %d words, %s images)",
+                    str_repeat( '  ', intval( $section['depth'] ?? 0 ) ),
+                    $section['heading_level'] ?? 2,
                     $section['heading'] ?? 'Section',
                     $section['type'] ?? 'content',
                     $section['word_target'] ?? 100,
                     $section['media_policy'] === 'required' ? 'with' : 'optional'
-                );
+                ) . ( isset( $section['repeat_item'] ) ? ' about: ' . $section['repeat_item'] : '' );
             }
         }
 
@@ -226,6 +688,50 @@ class Outline_Generator {
         $prompt_parts[] = "- Target word counts";
         $prompt_parts[] = "- Image requirements";
         $prompt_parts[] = "- 2-3 subheadings per section where appropriate";
+        $prompt_parts[] = "- One entry per required section, in order; indented sections are subsections of the section above them";
+
+        return implode( "\n", $prompt_parts );
+    }
+
+    /**
+     * Build prompt for regenerating a single section
+     *
+     * @param array $params Generation parameters.
+     * @param array $section Section to regenerate.
+     * @param array $context Surrounding outline sections.
+     * @return string Generated prompt.
+     */
+    private function build_section_prompt( $params, $section, $context ) {
+        $prompt_parts = array();
+
+        $prompt_parts[] = "Content Brief: " . $params['brief'];
+
+        if ( ! empty( $params['audience'] ) ) {
+            $prompt_parts[] = "Target Audience: " . $params['audience'];
+        }
+
+        $prompt_parts[] = "Tone: " . ucfirst( $params['tone'] );
+
+        if ( ! empty( $context ) ) {
+            $prompt_parts[] = "Existing Outline (keep these unchanged):";
+            foreach ( $context as $context_section ) {
+                $prompt_parts[] = sprintf(
+                    "- %s (%s)",
+                    $context_section['heading'] ?? 'Section',
+                    $context_section['type'] ?? 'content'
+                );
+            }
+        }
+
+        $prompt_parts[] = sprintf(
+            "\nRewrite only the %s section currently titled \"%s\" (%d words).",
+            $section['type'],
+            $section['heading'],
+            $section['targetWords']
+        );
+        $prompt_parts[] = "- Use a new heading that does not repeat the existing outline";
+        $prompt_parts[] = "- 2-3 subheadings that fit between its neighbours";
+        $prompt_parts[] = "- Return exactly one section";
 
         return implode( "\n", $prompt_parts );
     }
@@ -246,17 +752,7 @@ class Outline_Generator {
         $blueprint_sections = $blueprint['schema']['sections'] ?? array();
 
         foreach ( $ai_sections as $index => $ai_section ) {
-            $blueprint_section = $blueprint_sections[ $index ] ?? array();
-            
-            $section = array(
-                'id' => 'section-' . ( $index + 1 ),
-                'heading' => $ai_section['heading'] ?? $blueprint_section['heading'] ?? 'Section ' . ( $index + 1 ),
-                'type' => $blueprint_section['type'] ?? 'content',
-                'targetWords' => intval( $ai_section['target_words'] ?? $blueprint_section['word_target'] ?? 150 ),
-                'needsImage' => $this->determine_image_requirement( $ai_section, $blueprint_section ),
-                'mode' => 'hybrid',
-                'subheadings' => $ai_section['subheadings'] ?? array(),
-            );
+            $section = $this->build_ai_section( $ai_section, $blueprint_sections[ $index ] ?? array(), $index );
 
             $sections[] = $section;
             $total_words += $section['targetWords'];
@@ -271,9 +767,10 @@ class Outline_Generator {
                     'type' => $blueprint_section['type'] ?? 'content',
                     'targetWords' => intval( $blueprint_section['word_target'] ?? 150 ),
                     'needsImage' => $blueprint_section['media_policy'] === 'required',
+                    'citations' => (bool) ( $blueprint_section['citations_required'] ?? true ),
                     'mode' => 'hybrid',
                     'subheadings' => array(),
-                );
+                ) + $this->get_section_hierarchy( $blueprint_section );
 
                 $sections[] = $section;
                 $total_words += $section['targetWords'];
@@ -287,6 +784,41 @@ class Outline_Generator {
         );
     }
 
+    /**
+     * Build an outline section from an AI section and its blueprint template
+     *
+     * @param array $ai_section AI generated section data.
+     * @param array $blueprint_section Blueprint section template.
+     * @param int   $index Section position.
+     * @return array Outline section.
+     */
+    private function build_ai_section( $ai_section, $blueprint_section, $index ) {
+        return array(
+            'id' => 'section-' . ( $index + 1 ),
+            'heading' => $ai_section['heading'] ?? $blueprint_section['heading'] ?? 'Section ' . ( $index + 1 ),
+            'type' => $blueprint_section['type'] ?? 'content',
+            'targetWords' => intval( $ai_section['target_words'] ?? $blueprint_section['word_target'] ?? 150 ),
+            'needsImage' => $this->determine_image_requirement( $ai_section, $blueprint_section ),
+            'citations' => (bool) ( $blueprint_section['citations_required'] ?? true ),
+            'mode' => 'hybrid',
+            'subheadings' => $ai_section['subheadings'] ?? array(),
+        ) + $this->get_section_hierarchy( $blueprint_section );
+    }
+
+    /**
+     * Get the outline hierarchy fields for a flattened blueprint section
+     *
+     * @param array $blueprint_section Blueprint section from Schema_Processor::flatten_sections().
+     * @return array Heading level, depth and parent section ID.
+     */
+    private function get_section_hierarchy( $blueprint_section ) {
+        return array(
+            'headingLevel' => intval( $blueprint_section['heading_level'] ?? 2 ),
+            'depth' => intval( $blueprint_section['depth'] ?? 0 ),
+            'parentId' => $blueprint_section['parent_id'] ?? '',
+        );
+    }
+
     /**
      * Determine image requirement for section
      *
@@ -323,15 +855,29 @@ class Outline_Generator {
         // Simple token-based cost estimation
         $prompt_tokens = $this->estimate_tokens( $prompt );
         $response_tokens = $this->estimate_tokens( wp_json_encode( $ai_response ) );
-        
-        // OpenAI GPT-4 pricing (approximate)
-        $input_cost_per_1k = 0.01;  // $0.01 per 1K input tokens
-        $output_cost_per_1k = 0.03; // $0.03 per 1K output tokens
-        
-        $input_cost = ( $prompt_tokens / 1000 ) * $input_cost_per_1k;
-        $output_cost = ( $response_tokens / 1000 ) * $output_cost_per_1k;
-        
-        return round( $input_cost + $output_cost, 4 );
+
+        return $this->calculate_token_cost( $prompt_tokens, $response_tokens );
+    }
+
+    /**
+     * Calculate cost for a number of input and output tokens
+     *
+     * @param int $input_tokens Input token count.
+     * @param int $output_tokens Output token count.
+     * @return float Cost in USD.
+     */
+    private function calculate_token_cost( $input_tokens, $output_tokens ) {
+        return $this->cost_estimator->token_cost( $input_tokens, $output_tokens );
+    }
+
+    /**
+     * Get the per-run cost limit of a blueprint
+     *
+     * @param array $blueprint Blueprint data.
+     * @return float Cost limit in USD.
+     */
+    private function get_cost_limit( $blueprint ) {
+        return floatval( $blueprint['schema']['global_settings']['cost_limit_usd'] ?? 5.0 );
     }
 
     /**
@@ -342,7 +888,7 @@ class Outline_Generator {
      */
     private function estimate_tokens( $text ) {
         // Rough estimation: 1 token = ~4 characters
-        return intval( strlen( $text ) / 4 );
+        return intval( strlen( $text ) / Cost_Estimator::ESTIMATION['chars_per_token'] );
     }
 
     /**
@@ -353,7 +899,7 @@ class Outline_Generator {
      */
     private function estimate_writing_time( $word_count ) {
         // Assumption: ~50 words per minute for quality content writing
-        return max( 5, intval( $word_count / 50 ) );
+        return max( 5, intval( $word_count / Cost_Estimator::ESTIMATION['words_per_minute'] ) );
     }
 
     /**
@@ -0,0 +1,273 @@
+<?php
+/**
+ * Outline Preset Controller Class - REST API for Outline Form Presets
+ *
+ * This file contains the Outline_Preset_Controller class that handles the
+ * /ai-composer/v1/outline-presets REST resource used by the outline step preset
+ * dropdown and the Outline Presets settings panel.
+ *
+ * @package AIPageComposer
+ */
+
+namespace AIPageComposer\API;
+
+use AIPageComposer\Admin\Outline_Presets;
+use WP_REST_Controller;
+use WP_REST_Server;
+use WP_REST_Request;
+use WP_Error;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Outline Preset Controller class for managing outline form presets
+ */
+class Outline_Preset_Controller extends \WP_REST_Controller {
+
+    /**
+     * REST API namespace
+     *
+     * @var string
+     */
+    protected $namespace = 'ai-composer/v1';
+
+    /**
+     * REST API base
+     *
+     * @var string
+     */
+    protected $rest_base = 'outline-presets';
+
+    /**
+     * Outline presets instance
+     *
+     * @var Outline_Presets
+     */
+    private $presets;
+
+    /**
+     * Constructor
+     *
+     * @param Outline_Presets $presets Outline presets instance.
+     */
+    public function __construct( $presets ) {
+        $this->presets = $presets;
+    }
+
+    /**
+     * Register REST API routes
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            array(
+                array(
+                    'methods' => WP_REST_Server::READABLE,
+                    'callback' => array( $this, 'get_items' ),
+                    'permission_callback' => array( $this, 'get_items_permissions_check' ),
+                ),
+                array(
+                    'methods' => WP_REST_Server::CREATABLE,
+                    'callback' => array( $this, 'create_item' ),
+                    'permission_callback' => array( $this, 'create_item_permissions_check' ),
+                    'args' => $this->get_preset_args(),
+                ),
+            )
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/(?P<id>[a-z0-9_]+)',
+            array(
+                array(
+                    'methods' => WP_REST_Server::EDITABLE,
+                    'callback' => array( $this, 'update_item' ),
+                    'permission_callback' => array( $this, 'update_item_permissions_check' ),
+                    'args' => $this->get_update_args(),
+                ),
+                array(
+                    'methods' => WP_REST_Server::DELETABLE,
+                    'callback' => array( $this, 'delete_item' ),
+                    'permission_callback' => array( $this, 'update_item_permissions_check' ),
+                ),
+            )
+        );
+    }
+
+    /**
+     * Get preset arguments schema
+     *
+     * @return array Arguments schema.
+     */
+    public function get_preset_args() {
+        return array(
+            'name' => array(
+                'description' => __( 'Preset name', 'ai-page-composer' ),
+                'type' => 'string',
+                'required' => true,
+                'maxLength' => 100,
+                'sanitize_callback' => 'sanitize_text_field',
+            ),
+            'scope' => array(
+                'description' => __( 'Whether the preset is personal or sitewide', 'ai-page-composer' ),
+                'type' => 'string',
+                'enum' => array( 'user', 'site' ),
+                'default' => 'user',
+            ),
+            'form_data' => array(
+                'description' => __( 'Outline form configuration', 'ai-page-composer' ),
+                'type' => 'object',
+                'required' => true,
+            ),
+        );
+    }
+
+    /**
+     * Get preset update arguments schema
+     *
+     * Every field is optional so a partial update keeps the stored scope and
+     * form data instead of resetting them to the create defaults.
+     *
+     * @return array Arguments schema.
+     */
+    public function get_update_args() {
+        $args = $this->get_preset_args();
+
+        unset( $args['scope']['default'] );
+        $args['name']['required'] = false;
+        $args['form_data']['required'] = false;
+
+        return $args;
+    }
+
+    /**
+     * Check permissions for listing presets
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return bool True if user has permissions.
+     */
+    public function get_items_permissions_check( $request ) {
+        return current_user_can( 'edit_posts' );
+    }
+
+    /**
+     * Check permissions for creating a preset
+     *
+     * Sitewide presets can only be written by administrators.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return bool True if user has permissions.
+     */
+    public function create_item_permissions_check( $request ) {
+        if ( ! current_user_can( 'edit_posts' ) ) {
+            return false;
+        }
+
+        return 'site' !== $request->get_param( 'scope' ) || current_user_can( 'manage_options' );
+    }
+
+    /**
+     * Check permissions for changing or deleting a preset
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return bool|WP_Error True if user has permissions.
+     */
+    public function update_item_permissions_check( $request ) {
+        if ( ! $this->create_item_permissions_check( $request ) ) {
+            return false;
+        }
+
+        $preset = $this->presets->get_preset( $request['id'], get_current_user_id() );
+
+        if ( ! $preset ) {
+            return new \WP_Error(
+                'preset_not_found',
+                __( 'Outline preset not found', 'ai-page-composer' ),
+                array( 'status' => 404 )
+            );
+        }
+
+        return 'site' !== $preset['scope'] || current_user_can( 'manage_options' );
+    }
+
+    /**
+     * List presets available to the current user
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response Response object.
+     */
+    public function get_items( $request ) {
+        return rest_ensure_response( $this->presets->get_presets( get_current_user_id() ) );
+    }
+
+    /**
+     * Create a preset
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error Response object or error.
+     */
+    public function create_item( $request ) {
+        $preset = $this->presets->save_preset( array(
+            'name' => $request->get_param( 'name' ),
+            'scope' => $request->get_param( 'scope' ),
+            'form_data' => $request->get_param( 'form_data' ),
+        ), get_current_user_id() );
+
+        if ( is_wp_error( $preset ) ) {
+            return $preset;
+        }
+
+        $response = rest_ensure_response( $preset );
+        $response->set_status( 201 );
+
+        return $response;
+    }
+
+    /**
+     * Update a preset
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error Response object or error.
+     */
+    public function update_item( $request ) {
+        $existing = $this->presets->get_preset( $request['id'], get_current_user_id() );
+
+        $preset = $this->presets->save_preset( array(
+            'id' => $request['id'],
+            'name' => $request->get_param( 'name' ) ?? $existing['name'],
+            'scope' => $request->get_param( 'scope' ) ?? $existing['scope'],
+            'form_data' => $request->get_param( 'form_data' ) ?? $existing['form_data'],
+        ), get_current_user_id() );
+
+        if ( is_wp_error( $preset ) ) {
+            return $preset;
+        }
+
+        return rest_ensure_response( $preset );
+    }
+
+    /**
+     * Delete a preset
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error Response object or error.
+     */
+    public function delete_item( $request ) {
+        if ( ! $this->presets->delete_preset( $request['id'], get_current_user_id() ) ) {
+            return new \WP_Error(
+                'preset_delete_failed',
+                __( 'Failed to delete outline preset', 'ai-page-composer' ),
+                array( 'status' => 500 )
+            );
+        }
+
+        return rest_ensure_response( array(
+            'deleted' => true,
+            'id' => $request['id'],
+        ) );
+    }
+}
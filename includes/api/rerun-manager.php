@@ -15,6 +15,8 @@ use AIPageComposer\Utils\Security_Helper;
 use AIPageComposer\Utils\Validation_Helper;
 use AIPageComposer\API\Block_Detector;
 use AIPageComposer\API\Block_Resolver;
+use AIPageComposer\API\Cost_Estimator;
+use AIPageComposer\API\Estimate_Calibration;
 
 /**
  * ReRun Manager Class
@@ -243,13 +245,23 @@ class ReRun_Manager {
             $parameter_overrides
         );
 
+        $calibration = new Estimate_Calibration();
+        $adapted_parameters = $adaptation_result['adapted_parameters'];
+        $estimator_sections = $calibration->get_run_sections($adapted_parameters, $original_data['sections_log'] ?? []);
+        $factors = $calibration->get_factors(intval($adapted_parameters['blueprint_id'] ?? 0));
+        $cost_estimate = (new Cost_Estimator())->estimate($estimator_sections, ['calibration' => $factors]);
+
         return [
             'success' => true,
             'preview' => [
                 'can_proceed' => $adaptation_result['can_proceed'],
                 'parameter_adaptations' => $adaptation_result['adaptations'],
                 'plugin_fallbacks' => $adaptation_result['plugin_fallbacks'],
-                'estimated_cost' => $this->estimate_rerun_cost($original_data, $adaptation_result),
+                'estimated_cost' => $cost_estimate['totals']['cost']['expected'],
+                'cost_estimate' => $cost_estimate,
+                'estimator_sections' => $estimator_sections,
+                'calibration' => $factors,
+                'original_cost' => floatval($original_data['cost_breakdown']['total_cost_usd'] ?? 0),
                 'warnings' => $adaptation_result['warnings'],
                 'recommendations' => $this->generate_rerun_recommendations($adaptation_result)
             ]
@@ -520,32 +532,6 @@ class ReRun_Manager {
         ];
     }
 
-    /**
-     * Estimate rerun cost
-     *
-     * @param array $original_data Original run data
-     * @param array $adaptation_result Adaptation result
-     * @return float Estimated cost
-     */
-    private function estimate_rerun_cost(array $original_data, array $adaptation_result): float {
-        $base_cost = $original_data['cost_breakdown']['total_cost_usd'] ?? 0;
-        
-        // Adjust cost based on adaptations
-        $adaptation_factor = 1.0;
-        
-        if (!empty($adaptation_result['plugin_fallbacks'])) {
-            // Fallbacks might require more tokens
-            $adaptation_factor += 0.1;
-        }
-        
-        if (!empty($adaptation_result['adaptations'])) {
-            // Parameter changes might affect cost
-            $adaptation_factor += 0.05;
-        }
-        
-        return $base_cost * $adaptation_factor;
-    }
-
     /**
      * Get current namespace versions
      *
@@ -574,8 +560,13 @@ class ReRun_Manager {
      * @return float Estimated cost
      */
     private function estimate_adapted_cost(array $original_data, array $adapted_parameters): float {
-        // Simple estimation based on original cost
-        return $original_data['cost_breakdown']['total_cost_usd'] ?? 0;
+        $calibration = new Estimate_Calibration();
+        $estimate = (new Cost_Estimator())->estimate(
+            $calibration->get_run_sections($adapted_parameters, $original_data['sections_log'] ?? []),
+            ['calibration' => $calibration->get_factors(intval($adapted_parameters['blueprint_id'] ?? 0))]
+        );
+
+        return floatval($estimate['totals']['cost']['expected']);
     }
 
     /**
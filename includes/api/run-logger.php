@@ -13,6 +13,7 @@ namespace AIPageComposer\API;
 
 use AIPageComposer\Utils\Security_Helper;
 use AIPageComposer\Utils\Validation_Helper;
+use AIPageComposer\Blueprints\Blueprint_Versions;
 
 /**
  * Run Logger Class
@@ -63,18 +64,25 @@ class Run_Logger {
     public function start_run(array $parameters): string {
         $this->current_run_id = $this->generate_run_id();
         $this->run_start_time = microtime(true);
+
+        // Pin the run to the blueprint version it was generated from
+        if (!empty($parameters['blueprint_id']) && empty($parameters['blueprint_version'])) {
+            $parameters['blueprint_version'] = $this->get_blueprint_version(intval($parameters['blueprint_id']));
+        }
         
         $this->run_data = [
             'run_metadata' => [
                 'run_id' => $this->current_run_id,
                 'user_id' => get_current_user_id(),
                 'blueprint_id' => $parameters['blueprint_id'] ?? null,
+                'blueprint_version' => $parameters['blueprint_version'] ?? null,
                 'start_timestamp' => current_time('c'),
                 'status' => 'in_progress',
                 'wordpress_version' => get_bloginfo('version'),
                 'plugin_version' => defined('AI_COMPOSER_VERSION') ? AI_COMPOSER_VERSION : '1.0.0'
             ],
             'generation_parameters' => $this->sanitize_parameters($parameters),
+            'cost_estimate' => [],
             'sections_log' => [],
             'plugin_usage' => [],
             'cost_breakdown' => [
@@ -96,6 +104,14 @@ class Run_Logger {
             ]
         ];
 
+        // Keep what the run was estimated at, to calibrate later estimates against
+        if (!empty($this->run_data['generation_parameters']['blueprint_id'])) {
+            $calibration = new Estimate_Calibration();
+            $this->run_data['cost_estimate'] = $calibration->summarize(
+                $calibration->estimate_run($this->run_data['generation_parameters'])
+            );
+        }
+
         // Create run post immediately for tracking
         $this->create_run_post();
         
@@ -206,6 +222,11 @@ class Run_Logger {
 
         // Final save to database
         $this->save_run_complete();
+
+        // The blueprint's estimates are recalibrated with this run next time they are needed
+        if (!empty($this->run_data['generation_parameters']['blueprint_id'])) {
+            (new Estimate_Calibration())->invalidate($this->run_data['generation_parameters']['blueprint_id']);
+        }
     }
 
     /**
@@ -284,6 +305,8 @@ class Run_Logger {
     private function sanitize_parameters(array $parameters): array {
         $sanitized = [];
         
+        $sanitized['blueprint_id'] = intval($parameters['blueprint_id'] ?? 0);
+        $sanitized['blueprint_version'] = sanitize_text_field($parameters['blueprint_version'] ?? '');
         $sanitized['prompt'] = sanitize_textarea_field($parameters['prompt'] ?? '');
         $sanitized['namespaces_versions'] = $parameters['namespaces_versions'] ?? [];
         $sanitized['alpha_weight'] = floatval($parameters['alpha_weight'] ?? 0.7);
@@ -294,6 +317,18 @@ class Run_Logger {
         return $sanitized;
     }
 
+    /**
+     * Get the current version of a blueprint
+     *
+     * @param int $blueprint_id Blueprint post ID
+     * @return string|null Version number, or null when the blueprint has no versions
+     */
+    private function get_blueprint_version(int $blueprint_id): ?string {
+        $version = get_post_meta($blueprint_id, Blueprint_Versions::VERSION_META_KEY, true);
+
+        return $version ? (string) $version : null;
+    }
+
     /**
      * Track plugin usage from section data
      *
@@ -406,6 +441,7 @@ class Run_Logger {
             'post_author' => get_current_user_id(),
             'meta_input' => [
                 'run_id' => $this->current_run_id,
+                'blueprint_id' => $this->run_data['generation_parameters']['blueprint_id'],
                 'status' => 'in_progress'
             ]
         ];
@@ -54,6 +54,13 @@ class Section_Generator {
      */
     private $ai_client;
 
+    /**
+     * LLM stub used for dry runs
+     *
+     * @var LLM_Stub_Service|null
+     */
+    private $stub_service = null;
+
     /**
      * Constructor
      */
@@ -67,6 +74,9 @@ class Section_Generator {
     /**
      * Generate section content
      *
+     * With `dry_run` set, content and context come from the LLM stub and
+     * images are described rather than generated, so nothing is spent.
+     *
      * @param array $params Generation parameters.
      * @return array Generated section data.
      * @throws Exception If generation fails.
@@ -96,7 +106,9 @@ class Section_Generator {
             // Handle image requirements
             $media_data = null;
             if ( $this->should_include_image( $params['image_requirements'], $block_specification ) ) {
-                $media_data = $this->process_image_for_section( $params, $block_specification );
+                $media_data = ! empty( $params['dry_run'] )
+                    ? $this->describe_image_for_section( $params, $block_specification )
+                    : $this->process_image_for_section( $params, $block_specification );
             }
             
             // Build response
@@ -120,7 +132,7 @@ class Section_Generator {
                 'generation_metadata' => [
                     'mode' => $params['mode'],
                     'alpha' => $params['alpha'],
-                    'word_count' => str_word_count( strip_tags( $content_result['html'] ) ),
+                    'word_count' => str_word_count( strip_tags( $content_result['content'] ) ),
                     'token_count' => $content_result['token_count'],
                     'cost_usd' => $content_result['cost_usd'],
                     'processing_time_ms' => round( $processing_time ),
@@ -141,6 +153,10 @@ class Section_Generator {
      * @return array Context chunks.
      */
     private function retrieve_context( $params ) {
+        if ( ! empty( $params['dry_run'] ) ) {
+            return $this->retrieve_stub_context( $params );
+        }
+
         try {
             return $this->mvdb_manager->retrieve_context( [
                 'sectionId' => $params['sectionId'],
@@ -154,6 +170,45 @@ class Section_Generator {
         }
     }
 
+    /**
+     * Build context chunks from the LLM stub in MVDB result shape
+     *
+     * @param array $params Generation parameters.
+     * @return array Context chunks.
+     */
+    private function retrieve_stub_context( $params ) {
+        $chunks = $this->get_stub_service()->generate_context_chunks( [
+            'brief' => $params['content_brief'],
+            'mvdb_params' => [
+                'namespaces' => $params['namespaces'] ?? [ 'content' ],
+                'k' => 5,
+                'min_score' => 0.5
+            ]
+        ] );
+
+        return array_map( function( $chunk ) {
+            return [
+                'id' => $chunk['id'],
+                'text' => $chunk['content'],
+                'score' => $chunk['score'],
+                'source' => $chunk['metadata']['source_url'] ?? ''
+            ];
+        }, $chunks );
+    }
+
+    /**
+     * Get the LLM stub used for dry runs
+     *
+     * @return LLM_Stub_Service
+     */
+    private function get_stub_service() {
+        if ( null === $this->stub_service ) {
+            $this->stub_service = new LLM_Stub_Service();
+        }
+
+        return $this->stub_service;
+    }
+
     /**
      * Generate content using AI service
      *
@@ -167,12 +222,15 @@ class Section_Generator {
         // Build generation prompt
         $prompt = $this->build_generation_prompt( $params, $context_chunks, $block_specification );
         
-        // Call AI service
-        $ai_response = $this->ai_client->generate_content( [
+        // Call AI service (or the stub for dry runs)
+        $client = ! empty( $params['dry_run'] ) ? $this->get_stub_service() : $this->ai_client;
+        $ai_response = $client->generate_content( [
             'prompt' => $prompt,
             'mode' => $params['mode'],
             'alpha' => $params['alpha'],
-            'block_spec' => $block_specification
+            'block_spec' => $block_specification,
+            'word_target' => $params['word_target'] ?? 150,
+            'citation_count' => count( $context_chunks )
         ] );
         
         // Convert to block format
@@ -441,6 +499,22 @@ class Section_Generator {
         }
     }
 
+    /**
+     * Describe the image a live run would request, without requesting it
+     *
+     * @param array $params Generation parameters.
+     * @param array $block_specification Block specification.
+     * @return array Media placeholder data.
+     */
+    private function describe_image_for_section( $params, $block_specification ) {
+        return [
+            'id' => null,
+            'dry_run' => true,
+            'prompt' => $this->generate_image_prompt( $params, $block_specification ),
+            'alt_text' => $this->generate_alt_text( $params, $block_specification )
+        ];
+    }
+
     /**
      * Generate image prompt
      *
@@ -0,0 +1,505 @@
+<?php
+/**
+ * Wizard Session Controller Class - REST API for Composer Wizard Sessions
+ *
+ * This file contains the Wizard_Session_Controller class that handles the
+ * /ai-composer/v1/wizard-sessions REST resource. Each session stores the state of
+ * one composition in the composer wizard (brief, form data, outline, assembly and
+ * draft) so it can be autosaved and resumed later, on any machine.
+ *
+ * @package AIPageComposer
+ */
+
+namespace AIPageComposer\API;
+
+use WP_REST_Controller;
+use WP_REST_Server;
+use WP_REST_Request;
+use WP_Error;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Wizard Session Controller class for persisting composer wizard state
+ */
+class Wizard_Session_Controller extends \WP_REST_Controller {
+
+    /**
+     * Post type used to store sessions
+     */
+    const POST_TYPE = 'ai_wizard_session';
+
+    /**
+     * Post meta key holding the session state
+     */
+    const STATE_META_KEY = '_ai_wizard_session_state';
+
+    /**
+     * REST API namespace
+     *
+     * @var string
+     */
+    protected $namespace = 'ai-composer/v1';
+
+    /**
+     * REST API base
+     *
+     * @var string
+     */
+    protected $rest_base = 'wizard-sessions';
+
+    /**
+     * Top-level state keys that can be saved
+     *
+     * @var array
+     */
+    private $state_keys = array(
+        'step',
+        'status',
+        'blueprint_id',
+        'form_data',
+        'outline',
+        'outline_approved',
+        'assembly',
+        'draft',
+    );
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        add_action( 'init', array( $this, 'register_post_type' ) );
+    }
+
+    /**
+     * Register the private post type that stores sessions
+     */
+    public function register_post_type() {
+        register_post_type( self::POST_TYPE, array(
+            'label' => __( 'Composer Sessions', 'ai-page-composer' ),
+            'public' => false,
+            'publicly_queryable' => false,
+            'show_ui' => false,
+            'show_in_rest' => false,
+            'exclude_from_search' => true,
+            'can_export' => false,
+            'supports' => array( 'title', 'author' ),
+        ) );
+    }
+
+    /**
+     * Register REST API routes
+     */
+    public function register_routes() {
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base,
+            array(
+                array(
+                    'methods' => WP_REST_Server::READABLE,
+                    'callback' => array( $this, 'get_items' ),
+                    'permission_callback' => array( $this, 'get_items_permissions_check' ),
+                    'args' => array(
+                        'status' => array(
+                            'description' => __( 'Limit results to sessions with this status', 'ai-page-composer' ),
+                            'type' => 'string',
+                            'enum' => array( 'in_progress', 'completed', 'any' ),
+                            'default' => 'in_progress',
+                        ),
+                    ),
+                ),
+                array(
+                    'methods' => WP_REST_Server::CREATABLE,
+                    'callback' => array( $this, 'create_item' ),
+                    'permission_callback' => array( $this, 'get_items_permissions_check' ),
+                ),
+            )
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/(?P<id>\d+)',
+            array(
+                array(
+                    'methods' => WP_REST_Server::READABLE,
+                    'callback' => array( $this, 'get_item' ),
+                    'permission_callback' => array( $this, 'get_item_permissions_check' ),
+                ),
+                array(
+                    'methods' => WP_REST_Server::EDITABLE,
+                    'callback' => array( $this, 'update_item' ),
+                    'permission_callback' => array( $this, 'get_item_permissions_check' ),
+                ),
+                array(
+                    'methods' => WP_REST_Server::DELETABLE,
+                    'callback' => array( $this, 'delete_item' ),
+                    'permission_callback' => array( $this, 'get_item_permissions_check' ),
+                ),
+            )
+        );
+    }
+
+    /**
+     * Check permissions for listing and creating sessions
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return bool True if user has permissions.
+     */
+    public function get_items_permissions_check( $request ) {
+        return current_user_can( 'edit_posts' );
+    }
+
+    /**
+     * Check permissions for a single session
+     *
+     * Sessions are private to the user who started them.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return bool|WP_Error True if user owns the session.
+     */
+    public function get_item_permissions_check( $request ) {
+        if ( ! current_user_can( 'edit_posts' ) ) {
+            return false;
+        }
+
+        $session = $this->get_session_post( $request['id'] );
+
+        if ( ! $session ) {
+            return new \WP_Error(
+                'session_not_found',
+                __( 'Composer session not found', 'ai-page-composer' ),
+                array( 'status' => 404 )
+            );
+        }
+
+        return (int) $session->post_author === get_current_user_id();
+    }
+
+    /**
+     * List the current user's sessions
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response Response object.
+     */
+    public function get_items( $request ) {
+        $query_args = array(
+            'post_type' => self::POST_TYPE,
+            'post_status' => 'private',
+            'author' => get_current_user_id(),
+            'posts_per_page' => 50,
+            'orderby' => 'modified',
+            'order' => 'DESC',
+        );
+
+        $status = $request->get_param( 'status' );
+        if ( $status && 'any' !== $status ) {
+            $query_args['meta_query'] = array(
+                array(
+                    'key' => '_ai_wizard_session_status',
+                    'value' => $status,
+                ),
+            );
+        }
+
+        $sessions = array_map( array( $this, 'prepare_session_summary' ), get_posts( $query_args ) );
+
+        return rest_ensure_response( $sessions );
+    }
+
+    /**
+     * Start a new session
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error Response object or error.
+     */
+    public function create_item( $request ) {
+        $state = $this->sanitize_state( (array) $request->get_json_params() );
+        $state = array_merge( $this->get_default_state(), $state );
+
+        $session_id = wp_insert_post( array(
+            'post_type' => self::POST_TYPE,
+            'post_status' => 'private',
+            'post_author' => get_current_user_id(),
+            'post_title' => $this->get_session_title( $state ),
+        ), true );
+
+        if ( is_wp_error( $session_id ) ) {
+            return $session_id;
+        }
+
+        $this->save_state( $session_id, $state );
+
+        $response = rest_ensure_response( $this->prepare_session( get_post( $session_id ) ) );
+        $response->set_status( 201 );
+
+        return $response;
+    }
+
+    /**
+     * Get a session with its full state
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response Response object.
+     */
+    public function get_item( $request ) {
+        return rest_ensure_response( $this->prepare_session( $this->get_session_post( $request['id'] ) ) );
+    }
+
+    /**
+     * Autosave part of a session's state
+     *
+     * Top-level keys in the request replace the stored ones; keys that are not
+     * sent are kept.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error Response object or error.
+     */
+    public function update_item( $request ) {
+        $session = $this->get_session_post( $request['id'] );
+        $state = array_merge(
+            $this->get_state( $session->ID ),
+            $this->sanitize_state( (array) $request->get_json_params() )
+        );
+
+        $updated = wp_update_post( array(
+            'ID' => $session->ID,
+            'post_title' => $this->get_session_title( $state ),
+        ), true );
+
+        if ( is_wp_error( $updated ) ) {
+            return $updated;
+        }
+
+        $this->save_state( $session->ID, $state );
+
+        return rest_ensure_response( $this->prepare_session_summary( get_post( $session->ID ) ) );
+    }
+
+    /**
+     * Discard a session
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response|WP_Error Response object or error.
+     */
+    public function delete_item( $request ) {
+        $session = $this->get_session_post( $request['id'] );
+
+        if ( ! wp_delete_post( $session->ID, true ) ) {
+            return new \WP_Error(
+                'session_delete_failed',
+                __( 'Failed to delete composer session', 'ai-page-composer' ),
+                array( 'status' => 500 )
+            );
+        }
+
+        return rest_ensure_response( array(
+            'deleted' => true,
+            'id' => $session->ID,
+        ) );
+    }
+
+    /**
+     * Get a session post by ID
+     *
+     * @param int $session_id Session post ID.
+     * @return \WP_Post|null Session post or null.
+     */
+    private function get_session_post( $session_id ) {
+        $session = get_post( absint( $session_id ) );
+
+        if ( ! $session || self::POST_TYPE !== $session->post_type ) {
+            return null;
+        }
+
+        return $session;
+    }
+
+    /**
+     * Get default session state
+     *
+     * @return array Default state.
+     */
+    private function get_default_state() {
+        return array(
+            'step' => 'outline-generation-step',
+            'status' => 'in_progress',
+            'blueprint_id' => 0,
+            'form_data' => array(),
+            'outline' => null,
+            'outline_approved' => false,
+            'assembly' => null,
+            'draft' => null,
+        );
+    }
+
+    /**
+     * Get stored state for a session
+     *
+     * @param int $session_id Session post ID.
+     * @return array Session state.
+     */
+    private function get_state( $session_id ) {
+        $state = get_post_meta( $session_id, self::STATE_META_KEY, true );
+
+        return array_merge( $this->get_default_state(), is_array( $state ) ? $state : array() );
+    }
+
+    /**
+     * Store state for a session
+     *
+     * @param int   $session_id Session post ID.
+     * @param array $state Session state.
+     */
+    private function save_state( $session_id, $state ) {
+        update_post_meta( $session_id, self::STATE_META_KEY, $state );
+
+        // Kept separately so sessions can be filtered by status
+        update_post_meta( $session_id, '_ai_wizard_session_status', $state['status'] );
+    }
+
+    /**
+     * Sanitize incoming session state
+     *
+     * @param array $data Raw state data.
+     * @return array Sanitized state containing only known keys.
+     */
+    private function sanitize_state( $data ) {
+        $state = array();
+
+        foreach ( array_intersect_key( $data, array_flip( $this->state_keys ) ) as $key => $value ) {
+            switch ( $key ) {
+                case 'step':
+                    $state[ $key ] = sanitize_key( $value );
+                    break;
+
+                case 'status':
+                    $state[ $key ] = 'completed' === $value ? 'completed' : 'in_progress';
+                    break;
+
+                case 'blueprint_id':
+                    $state[ $key ] = absint( $value );
+                    break;
+
+                case 'outline_approved':
+                    $state[ $key ] = (bool) $value;
+                    break;
+
+                case 'form_data':
+                    $state[ $key ] = is_array( $value ) ? $this->sanitize_form_data( $value ) : array();
+                    break;
+
+                case 'assembly':
+                    // Assembled content carries block markup
+                    $state[ $key ] = is_array( $value ) ? $this->sanitize_tree( $value, 'wp_kses_post' ) : null;
+                    break;
+
+                default:
+                    $state[ $key ] = is_array( $value ) ? $this->sanitize_tree( $value, 'sanitize_text_field' ) : null;
+                    break;
+            }
+        }
+
+        return $state;
+    }
+
+    /**
+     * Sanitize outline form data
+     *
+     * @param array $form_data Raw form data.
+     * @return array Sanitized form data.
+     */
+    private function sanitize_form_data( $form_data ) {
+        $sanitized = array(
+            'brief' => sanitize_textarea_field( $form_data['brief'] ?? '' ),
+            'audience' => sanitize_text_field( $form_data['audience'] ?? '' ),
+            'tone' => sanitize_key( $form_data['tone'] ?? '' ),
+        );
+
+        if ( isset( $form_data['alpha'] ) ) {
+            $sanitized['alpha'] = max( 0.0, min( 1.0, floatval( $form_data['alpha'] ) ) );
+        }
+
+        if ( isset( $form_data['mvdb_params'] ) && is_array( $form_data['mvdb_params'] ) ) {
+            $sanitized['mvdb_params'] = $this->sanitize_tree( $form_data['mvdb_params'], 'sanitize_text_field' );
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Recursively sanitize string values in a nested array
+     *
+     * @param array    $data Nested data.
+     * @param callable $callback Sanitizer for string values.
+     * @return array Sanitized data.
+     */
+    private function sanitize_tree( $data, $callback ) {
+        $sanitized = array();
+
+        foreach ( $data as $key => $value ) {
+            if ( is_array( $value ) ) {
+                $sanitized[ $key ] = $this->sanitize_tree( $value, $callback );
+            } elseif ( is_string( $value ) ) {
+                $sanitized[ $key ] = call_user_func( $callback, $value );
+            } elseif ( is_scalar( $value ) || is_null( $value ) ) {
+                $sanitized[ $key ] = $value;
+            }
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Build a human readable title from the session brief
+     *
+     * @param array $state Session state.
+     * @return string Session title.
+     */
+    private function get_session_title( $state ) {
+        $brief = trim( $state['form_data']['brief'] ?? '' );
+
+        if ( '' === $brief ) {
+            return __( 'Untitled composition', 'ai-page-composer' );
+        }
+
+        return wp_trim_words( $brief, 12 );
+    }
+
+    /**
+     * Prepare a session for a list response
+     *
+     * @param \WP_Post $session Session post.
+     * @return array Session summary.
+     */
+    private function prepare_session_summary( $session ) {
+        $state = $this->get_state( $session->ID );
+
+        return array(
+            'id' => $session->ID,
+            'title' => $session->post_title,
+            'step' => $state['step'],
+            'status' => $state['status'],
+            'blueprint_id' => $state['blueprint_id'],
+            'total_words' => intval( $state['outline']['total_words'] ?? 0 ),
+            'section_count' => count( $state['outline']['sections'] ?? array() ),
+            'created_at' => get_post_time( 'c', true, $session ),
+            'updated_at' => get_post_modified_time( 'c', true, $session ),
+        );
+    }
+
+    /**
+     * Prepare a session with its full state
+     *
+     * @param \WP_Post $session Session post.
+     * @return array Session data.
+     */
+    private function prepare_session( $session ) {
+        return array_merge(
+            $this->prepare_session_summary( $session ),
+            array( 'state' => $this->get_state( $session->ID ) )
+        );
+    }
+}
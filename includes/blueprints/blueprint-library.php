@@ -0,0 +1,333 @@
+<?php
+/**
+ * Blueprint Library Class - Browse, Star, Clone and Install Blueprints
+ *
+ * This file contains the Blueprint_Library class that powers the Blueprint
+ * Library admin screen. It lists the site's blueprints with the details the
+ * library filters on, keeps each user's starred blueprints and installs the
+ * bundled starter blueprints as drafts.
+ *
+ * @package AIPageComposer
+ */
+
+namespace AIPageComposer\Blueprints;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Blueprint Library class
+ */
+class Blueprint_Library {
+
+    /**
+     * Admin page slug
+     */
+    const PAGE_SLUG = 'ai-composer-blueprint-library';
+
+    /**
+     * User meta key holding starred blueprint IDs
+     */
+    const STARRED_META_KEY = '_ai_composer_starred_blueprints';
+
+    /**
+     * Blueprint manager instance
+     *
+     * @var Blueprint_Manager
+     */
+    private $blueprint_manager;
+
+    /**
+     * Schema processor instance
+     *
+     * @var Schema_Processor
+     */
+    private $schema_processor;
+
+    /**
+     * Starter blueprints instance
+     *
+     * @var Starter_Blueprints
+     */
+    private $starters;
+
+    /**
+     * Library page hook suffix
+     *
+     * @var string|false
+     */
+    private $page_hook = false;
+
+    /**
+     * Constructor
+     *
+     * @param Blueprint_Manager $blueprint_manager Blueprint manager instance.
+     */
+    public function __construct( $blueprint_manager ) {
+        $this->blueprint_manager = $blueprint_manager;
+        $this->schema_processor = $blueprint_manager->get_schema_processor();
+        $this->starters = new Starter_Blueprints();
+
+        add_action( 'admin_menu', array( $this, 'add_library_page' ) );
+        add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_library_scripts' ) );
+    }
+
+    /**
+     * Add the library page next to the AI Composer settings
+     */
+    public function add_library_page() {
+        $this->page_hook = add_submenu_page(
+            'edit.php',
+            __( 'Blueprint Library', 'ai-page-composer' ),
+            __( 'Blueprint Library', 'ai-page-composer' ),
+            'manage_options',
+            self::PAGE_SLUG,
+            array( $this, 'render_library_page' )
+        );
+    }
+
+    /**
+     * Enqueue library scripts and styles
+     *
+     * @param string $hook_suffix Current admin page hook suffix.
+     */
+    public function enqueue_library_scripts( $hook_suffix ) {
+        if ( ! $this->page_hook || $hook_suffix !== $this->page_hook ) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'ai-blueprint-library',
+            AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/blueprint-library.js',
+            array( 'jquery', 'wp-api-fetch', 'ai-composer-template-renderer' ),
+            AI_PAGE_COMPOSER_VERSION,
+            true
+        );
+
+        wp_enqueue_style(
+            'ai-blueprint-library',
+            AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/css/blueprint-library.css',
+            array(),
+            AI_PAGE_COMPOSER_VERSION
+        );
+
+        wp_localize_script(
+            'ai-blueprint-library',
+            'aiBlueprintLibrary',
+            array(
+                'i18n' => array(
+                    'loadError' => __( 'Failed to load the blueprint library.', 'ai-page-composer' ),
+                    'actionError' => __( 'The request failed.', 'ai-page-composer' ),
+                    /* translators: %s: blueprint title */
+                    'cloned' => __( 'Cloned "%s". Opening the copy…', 'ai-page-composer' ),
+                    /* translators: %s: starter blueprint title */
+                    'installed' => __( 'Installed "%s". Opening it for editing…', 'ai-page-composer' ),
+                    /* translators: %s: starter blueprint title */
+                    'confirmReinstall' => __( '"%s" is already installed. Install another copy?', 'ai-page-composer' ),
+                ),
+            )
+        );
+    }
+
+    /**
+     * Render the library page
+     */
+    public function render_library_page() {
+        $categories = $this->schema_processor->get_categories();
+        $difficulty_levels = $this->schema_processor->get_difficulty_levels();
+        $section_types = $this->schema_processor->get_section_types();
+
+        include AI_PAGE_COMPOSER_PLUGIN_DIR . 'templates/admin/blueprint/library-page.php';
+    }
+
+    /**
+     * Get the library items for a user
+     *
+     * @param int $user_id User ID, used for starred state.
+     * @return array Blueprint items, starred first, then most recently modified.
+     */
+    public function get_items( $user_id ) {
+        $starred = $this->get_starred( $user_id );
+
+        $posts = $this->blueprint_manager->get_blueprints( array(
+            'post_status' => array( 'publish', 'draft', 'pending', 'private' ),
+            'orderby' => 'modified',
+            'order' => 'DESC',
+        ) );
+
+        $items = array();
+        foreach ( $posts as $post ) {
+            $blueprint_data = $this->blueprint_manager->get_blueprint( $post->ID );
+            if ( ! is_array( $blueprint_data ) ) {
+                continue;
+            }
+
+            $items[] = array_merge(
+                $this->summarize( $blueprint_data ),
+                array(
+                    'id' => $post->ID,
+                    'title' => $post->post_title,
+                    'status' => $post->post_status,
+                    'author_name' => get_the_author_meta( 'display_name', $post->post_author ),
+                    'modified' => mysql_to_rfc3339( $post->post_modified ),
+                    'version' => (string) get_post_meta( $post->ID, Blueprint_Versions::VERSION_META_KEY, true ),
+                    'starter' => (string) get_post_meta( $post->ID, Starter_Blueprints::META_KEY, true ),
+                    'starred' => in_array( $post->ID, $starred, true ),
+                    'edit_url' => get_edit_post_link( $post->ID, 'raw' ),
+                    'blueprint' => $blueprint_data,
+                )
+            );
+        }
+
+        usort( $items, function( $a, $b ) {
+            if ( $a['starred'] !== $b['starred'] ) {
+                return $a['starred'] ? -1 : 1;
+            }
+            return strcmp( $b['modified'], $a['modified'] );
+        } );
+
+        return $items;
+    }
+
+    /**
+     * Get the starter blueprints with their install state
+     *
+     * @return array Starter items.
+     */
+    public function get_starters() {
+        $installed = $this->get_installed_starters();
+        $items = array();
+
+        foreach ( $this->starters->get_all() as $slug => $starter ) {
+            $installed_id = $installed[ $slug ] ?? 0;
+
+            $items[] = array_merge(
+                $this->summarize( $starter['blueprint'] ),
+                array(
+                    'slug' => $slug,
+                    'title' => $starter['title'],
+                    'installed_id' => $installed_id,
+                    'installed_url' => $installed_id ? get_edit_post_link( $installed_id, 'raw' ) : '',
+                    'blueprint' => $starter['blueprint'],
+                )
+            );
+        }
+
+        return $items;
+    }
+
+    /**
+     * Install a starter blueprint as a draft blueprint
+     *
+     * @param string $slug Starter slug.
+     * @return int|\WP_Error New blueprint post ID or error.
+     */
+    public function install_starter( $slug ) {
+        $starter = $this->starters->get( $slug );
+
+        if ( ! $starter ) {
+            return new \WP_Error( 'starter_not_found', __( 'Starter blueprint not found.', 'ai-page-composer' ), array( 'status' => 404 ) );
+        }
+
+        $post_id = $this->blueprint_manager->import_blueprint( wp_json_encode( array(
+            'blueprint' => $starter['blueprint'],
+            'title' => $starter['title'],
+        ) ) );
+
+        if ( is_wp_error( $post_id ) ) {
+            return $post_id;
+        }
+
+        update_post_meta( $post_id, Starter_Blueprints::META_KEY, $slug );
+
+        do_action( 'ai_blueprint_starter_installed', $post_id, $slug );
+
+        return $post_id;
+    }
+
+    /**
+     * Get the blueprint IDs a user starred
+     *
+     * @param int $user_id User ID.
+     * @return array Blueprint post IDs.
+     */
+    public function get_starred( $user_id ) {
+        $starred = get_user_meta( $user_id, self::STARRED_META_KEY, true );
+
+        return is_array( $starred ) ? array_values( array_map( 'intval', $starred ) ) : array();
+    }
+
+    /**
+     * Star or unstar a blueprint for a user
+     *
+     * @param int  $user_id User ID.
+     * @param int  $post_id Blueprint post ID.
+     * @param bool $starred Whether the blueprint should be starred.
+     * @return array Starred blueprint post IDs.
+     */
+    public function set_starred( $user_id, $post_id, $starred ) {
+        $ids = array_diff( $this->get_starred( $user_id ), array( $post_id ) );
+
+        if ( $starred ) {
+            $ids[] = $post_id;
+        }
+
+        $ids = array_values( $ids );
+        update_user_meta( $user_id, self::STARRED_META_KEY, $ids );
+
+        return $ids;
+    }
+
+    /**
+     * Summarize the blueprint details the library filters on
+     *
+     * @param array $blueprint_data Blueprint data.
+     * @return array Summary.
+     */
+    private function summarize( $blueprint_data ) {
+        $sections = $this->schema_processor->flatten_sections( $blueprint_data['sections'] ?? array() );
+        $metadata = $blueprint_data['metadata'] ?? array();
+        $categories = $this->schema_processor->get_categories();
+        $difficulty_levels = $this->schema_processor->get_difficulty_levels();
+
+        $category = $metadata['category'] ?? 'custom';
+        $difficulty = $metadata['difficulty_level'] ?? 'intermediate';
+
+        return array(
+            'description' => $metadata['description'] ?? '',
+            'tags' => array_values( (array) ( $metadata['tags'] ?? array() ) ),
+            'category' => $category,
+            'category_label' => $categories[ $category ] ?? $category,
+            'difficulty' => $difficulty,
+            'difficulty_label' => $difficulty_levels[ $difficulty ] ?? $difficulty,
+            'section_types' => array_values( array_unique( array_column( $sections, 'type' ) ) ),
+            'section_count' => count( $sections ),
+            'total_words' => array_sum( array_map( 'intval', array_column( $sections, 'word_target' ) ) ),
+            'generation_mode' => $blueprint_data['global_settings']['generation_mode'] ?? 'hybrid',
+        );
+    }
+
+    /**
+     * Map starter slugs to the most recent blueprint installed from them
+     *
+     * @return array Blueprint post IDs keyed by starter slug.
+     */
+    private function get_installed_starters() {
+        $posts = $this->blueprint_manager->get_blueprints( array(
+            'post_status' => array( 'publish', 'draft', 'pending', 'private' ),
+            'orderby' => 'date',
+            'order' => 'ASC',
+            'fields' => 'ids',
+            'meta_key' => Starter_Blueprints::META_KEY,
+        ) );
+
+        $installed = array();
+        foreach ( $posts as $post_id ) {
+            $installed[ get_post_meta( $post_id, Starter_Blueprints::META_KEY, true ) ] = (int) $post_id;
+        }
+
+        return $installed;
+    }
+}
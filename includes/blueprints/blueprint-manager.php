@@ -14,6 +14,8 @@ namespace AIPageComposer\Blueprints;
 
 use AIPageComposer\Blueprints\Schema_Processor;
 use AIPageComposer\Blueprints\Blueprint_Meta_Boxes;
+use AIPageComposer\Blueprints\Blueprint_Versions;
+use AIPageComposer\Blueprints\Blueprint_Library;
 use AIPageComposer\Admin\Block_Preferences;
 
 /**
@@ -42,6 +44,27 @@ class Blueprint_Manager {
      */
     private $block_preferences;
 
+    /**
+     * Blueprint versions instance
+     *
+     * @var Blueprint_Versions
+     */
+    private $versions;
+
+    /**
+     * Blueprint library instance
+     *
+     * @var Blueprint_Library
+     */
+    private $library;
+
+    /**
+     * Section rules instance
+     *
+     * @var Section_Rules
+     */
+    private $section_rules;
+
     /**
      * Constructor
      *
@@ -50,6 +73,9 @@ class Blueprint_Manager {
     public function __construct( $block_preferences = null ) {
         $this->schema_processor = new Schema_Processor();
         $this->block_preferences = $block_preferences;
+        $this->versions = new Blueprint_Versions();
+        $this->library = new Blueprint_Library( $this );
+        $this->section_rules = new Section_Rules();
 
         add_action( 'init', array( $this, 'register_post_type' ) );
         add_action( 'init', array( $this, 'init_meta_boxes' ) );
@@ -181,6 +207,11 @@ class Blueprint_Manager {
             $blueprint_data['global_settings'] = $this->process_global_settings_data( $_POST['global_settings'] );
         }
 
+        // Process library details if not in schema data
+        if ( empty( $blueprint_data['metadata'] ) && isset( $_POST['metadata'] ) && is_array( $_POST['metadata'] ) ) {
+            $blueprint_data['metadata'] = $this->process_metadata_data( $_POST['metadata'] );
+        }
+
         // Apply defaults and sanitize
         $blueprint_data = $this->schema_processor->apply_defaults( $blueprint_data );
         $blueprint_data = $this->schema_processor->sanitize_data( $blueprint_data );
@@ -199,7 +230,41 @@ class Blueprint_Manager {
             delete_post_meta( $post_id, '_ai_blueprint_validation_errors' );
         }
 
+        // Record the save as a new version
+        $blueprint_data = $this->versions->record( $post_id, $blueprint_data );
+
         // Save the blueprint data
+        $this->store_blueprint_data( $post_id, $blueprint_data );
+
+        do_action( 'ai_blueprint_saved', $post_id, $blueprint_data, $validation_result );
+    }
+
+    /**
+     * Process library details from form submission
+     *
+     * @param array $metadata_data Raw metadata from form.
+     * @return array Processed metadata.
+     */
+    private function process_metadata_data( $metadata_data ) {
+        $tags = is_array( $metadata_data['tags'] ?? null )
+            ? $metadata_data['tags']
+            : explode( ',', wp_unslash( $metadata_data['tags'] ?? '' ) );
+
+        return array(
+            'category' => sanitize_key( $metadata_data['category'] ?? 'custom' ),
+            'difficulty_level' => sanitize_key( $metadata_data['difficulty_level'] ?? 'intermediate' ),
+            'description' => sanitize_textarea_field( wp_unslash( $metadata_data['description'] ?? '' ) ),
+            'tags' => array_slice( array_values( array_filter( array_map( 'sanitize_text_field', array_map( 'trim', $tags ) ) ) ), 0, 10 )
+        );
+    }
+
+    /**
+     * Write blueprint data to post meta
+     *
+     * @param int   $post_id        Post ID.
+     * @param array $blueprint_data Blueprint data.
+     */
+    private function store_blueprint_data( $post_id, $blueprint_data ) {
         update_post_meta( $post_id, '_ai_blueprint_schema', $blueprint_data );
         update_post_meta( $post_id, '_ai_blueprint_sections', $blueprint_data['sections'] ?? array() );
         update_post_meta( $post_id, '_ai_blueprint_global_settings', $blueprint_data['global_settings'] ?? array() );
@@ -207,13 +272,14 @@ class Blueprint_Manager {
 
         // Update post meta for easy querying
         $this->update_blueprint_meta_cache( $post_id, $blueprint_data );
-
-        do_action( 'ai_blueprint_saved', $post_id, $blueprint_data, $validation_result );
     }
 
     /**
      * Process sections data from form submission
      *
+     * Section rows are posted flat with a depth; rows are nested under the
+     * closest preceding row one level up.
+     *
      * @param array $sections_data Raw sections data from form.
      * @return array Processed sections data.
      */
@@ -234,9 +300,34 @@ class Blueprint_Manager {
                 'media_policy' => sanitize_text_field( $section['media_policy'] ?? 'optional' ),
                 'internal_links' => absint( $section['internal_links'] ?? 2 ),
                 'citations_required' => isset( $section['citations_required'] ) ? (bool) $section['citations_required'] : true,
-                'tone' => sanitize_text_field( $section['tone'] ?? 'professional' )
+                'tone' => sanitize_text_field( $section['tone'] ?? 'professional' ),
+                'depth' => min( 5, absint( $section['depth'] ?? 0 ) )
             );
 
+            // Nested rows can take tone, media policy and citations from their parent, each on its own
+            if ( $processed_section['depth'] > 0 && ! empty( $section['inherit'] ) ) {
+                $inherited = array_intersect( Schema_Processor::INHERITED_SECTION_KEYS, (array) $section['inherit'] );
+                $processed_section = array_diff_key( $processed_section, array_flip( $inherited ) );
+            }
+
+            // Process section rules; an expression that doesn't parse is dropped
+            if ( ! empty( $section['condition'] ) ) {
+                $condition = is_array( $section['condition'] )
+                    ? $section['condition']
+                    : $this->section_rules->parse_condition( wp_unslash( $section['condition'] ) );
+
+                if ( ! is_wp_error( $condition ) ) {
+                    $processed_section['condition'] = $condition;
+                }
+            }
+
+            if ( ! empty( $section['repeat']['over'] ) ) {
+                $processed_section['repeat'] = array(
+                    'over' => sanitize_key( $section['repeat']['over'] ),
+                    'max' => absint( $section['repeat']['max'] ?? 10 ),
+                );
+            }
+
             // Process allowed blocks
             if ( isset( $section['allowed_blocks'] ) ) {
                 if ( is_string( $section['allowed_blocks'] ) ) {
@@ -279,7 +370,32 @@ class Blueprint_Manager {
             $processed_sections[] = $processed_section;
         }
 
-        return $processed_sections;
+        return $this->nest_sections( $processed_sections );
+    }
+
+    /**
+     * Nest flat section rows by depth
+     *
+     * @param array $rows Processed rows with a 'depth' key, consumed as they are nested.
+     * @param int   $depth Depth of the level being built.
+     * @return array Sections at this level with their children.
+     */
+    private function nest_sections( &$rows, $depth = 0 ) {
+        $sections = array();
+
+        while ( ! empty( $rows ) && $rows[0]['depth'] >= $depth ) {
+            $section = array_shift( $rows );
+            unset( $section['depth'] );
+
+            $children = $this->nest_sections( $rows, $depth + 1 );
+            if ( ! empty( $children ) ) {
+                $section['children'] = $children;
+            }
+
+            $sections[] = $section;
+        }
+
+        return $sections;
     }
 
     /**
@@ -296,7 +412,8 @@ class Blueprint_Manager {
             'image_generation_enabled' => isset( $global_settings_data['image_generation_enabled'] ),
             'seo_optimization' => isset( $global_settings_data['seo_optimization'] ),
             'accessibility_checks' => isset( $global_settings_data['accessibility_checks'] ),
-            'cost_limit_usd' => floatval( $global_settings_data['cost_limit_usd'] ?? 5.0 )
+            'cost_limit_usd' => floatval( $global_settings_data['cost_limit_usd'] ?? 5.0 ),
+            'default_preset' => sanitize_key( $global_settings_data['default_preset'] ?? '' )
         );
 
         // Process MVDB namespaces
@@ -317,7 +434,7 @@ class Blueprint_Manager {
      */
     private function update_blueprint_meta_cache( $post_id, $blueprint_data ) {
         // Cache section count
-        $section_count = count( $blueprint_data['sections'] ?? array() );
+        $section_count = count( $this->schema_processor->flatten_sections( $blueprint_data['sections'] ?? array() ) );
         update_post_meta( $post_id, '_ai_blueprint_section_count', $section_count );
 
         // Cache blueprint category
@@ -617,6 +734,78 @@ class Blueprint_Manager {
         return $this->schema_processor;
     }
 
+    /**
+     * Get blueprint versions instance
+     *
+     * @return Blueprint_Versions
+     */
+    public function get_versions() {
+        return $this->versions;
+    }
+
+    /**
+     * Get blueprint library instance
+     *
+     * @return Blueprint_Library
+     */
+    public function get_library() {
+        return $this->library;
+    }
+
+    /**
+     * Get section rules instance
+     *
+     * @return Section_Rules
+     */
+    public function get_section_rules() {
+        return $this->section_rules;
+    }
+
+    /**
+     * Roll a blueprint back to an earlier version
+     *
+     * The restored blueprint is saved as a new version, so the rollback
+     * itself can be rolled back.
+     *
+     * @param int    $post_id Blueprint post ID.
+     * @param string $version Version to restore.
+     * @return array|WP_Error Restored blueprint data or error.
+     */
+    public function rollback_blueprint( $post_id, $version ) {
+        $record = $this->versions->get_version( $post_id, $version );
+
+        if ( ! $record ) {
+            return new \WP_Error( 'version_not_found', __( 'Blueprint version not found.', 'ai-page-composer' ), array( 'status' => 404 ) );
+        }
+
+        if ( ! $this->versions->has_snapshot( $record ) ) {
+            return new \WP_Error( 'version_snapshot_pruned', __( 'This version is too old to roll back to; only its changes are kept.', 'ai-page-composer' ), array( 'status' => 410 ) );
+        }
+
+        $blueprint_data = $record['blueprint'];
+        unset( $blueprint_data['metadata']['version'] );
+
+        $blueprint_data = $this->versions->record(
+            $post_id,
+            $blueprint_data,
+            /* translators: %s: version number */
+            sprintf( __( 'Rolled back to %s', 'ai-page-composer' ), $version )
+        );
+
+        $validation_result = $this->schema_processor->validate_schema( $blueprint_data );
+        if ( $validation_result['valid'] ) {
+            delete_post_meta( $post_id, '_ai_blueprint_validation_errors' );
+        } else {
+            update_post_meta( $post_id, '_ai_blueprint_validation_errors', $validation_result['errors'] );
+        }
+
+        $this->store_blueprint_data( $post_id, $blueprint_data );
+
+        do_action( 'ai_blueprint_rolled_back', $post_id, $version, $blueprint_data );
+
+        return $blueprint_data;
+    }
+
     /**
      * Export blueprint as JSON
      *
@@ -680,14 +869,9 @@ class Blueprint_Manager {
             return $post_id;
         }
 
-        // Save blueprint data
-        update_post_meta( $post_id, '_ai_blueprint_schema', $blueprint_data );
-        update_post_meta( $post_id, '_ai_blueprint_sections', $blueprint_data['sections'] ?? array() );
-        update_post_meta( $post_id, '_ai_blueprint_global_settings', $blueprint_data['global_settings'] ?? array() );
-        update_post_meta( $post_id, '_ai_blueprint_metadata', $blueprint_data['metadata'] ?? array() );
-
-        // Update cache meta
-        $this->update_blueprint_meta_cache( $post_id, $blueprint_data );
+        // Save blueprint data as its first version
+        $blueprint_data = $this->versions->record( $post_id, $blueprint_data, __( 'Imported', 'ai-page-composer' ) );
+        $this->store_blueprint_data( $post_id, $blueprint_data );
 
         do_action( 'ai_blueprint_imported', $post_id, $blueprint_data );
 
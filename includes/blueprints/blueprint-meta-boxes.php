@@ -14,6 +14,9 @@ namespace AIPageComposer\Blueprints;
 
 use AIPageComposer\Blueprints\Schema_Processor;
 use AIPageComposer\Admin\Block_Preferences;
+use AIPageComposer\Admin\Outline_Presets;
+use AIPageComposer\API\Cost_Estimator;
+use AIPageComposer\API\Estimate_Calibration;
 
 /**
  * Blueprint Meta Boxes class for admin interface
@@ -34,6 +37,13 @@ class Blueprint_Meta_Boxes {
      */
     private $block_preferences;
 
+    /**
+     * Blueprint versions instance
+     *
+     * @var Blueprint_Versions
+     */
+    private $versions;
+
     /**
      * Constructor
      *
@@ -43,6 +53,7 @@ class Blueprint_Meta_Boxes {
     public function __construct( $schema_processor, $block_preferences = null ) {
         $this->schema_processor = $schema_processor;
         $this->block_preferences = $block_preferences;
+        $this->versions = new Blueprint_Versions();
 
         add_action( 'add_meta_boxes_ai_blueprint', array( $this, 'add_meta_boxes' ) );
         add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_meta_box_scripts' ) );
@@ -96,6 +107,15 @@ class Blueprint_Meta_Boxes {
             'side',
             'low'
         );
+
+        add_meta_box(
+            'ai_blueprint_versions',
+            __( 'Version History', 'ai-page-composer' ),
+            array( $this, 'render_versions_meta_box' ),
+            'ai_blueprint',
+            'side',
+            'low'
+        );
     }
 
     /**
@@ -113,11 +133,33 @@ class Blueprint_Meta_Boxes {
             return;
         }
 
+        // CodeMirror settings for the JSON editor; false when the user turned syntax highlighting off
+        $code_editor = wp_enqueue_code_editor(
+            array(
+                'type' => 'application/json',
+                'codemirror' => array(
+                    'indentUnit' => 2,
+                    'tabSize' => 2,
+                    'indentWithTabs' => false,
+                    'foldGutter' => true,
+                    'gutters' => array( 'CodeMirror-lint-markers', 'CodeMirror-foldgutter' ),
+                ),
+            )
+        );
+
+        wp_enqueue_script(
+            'ai-blueprint-json-editor',
+            AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/blueprint-json-editor.js',
+            array( 'jquery' ),
+            AI_PAGE_COMPOSER_VERSION,
+            true
+        );
+
         // Enqueue blueprint admin scripts
         wp_enqueue_script(
             'ai-blueprint-admin',
             AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/blueprint-admin.js',
-            array( 'jquery', 'wp-util', 'wp-api' ),
+            array( 'jquery', 'wp-util', 'wp-api', 'ai-composer-template-renderer', 'ai-composer-command-history', 'ai-composer-section-rules', 'ai-composer-cost-estimator', 'ai-blueprint-json-editor' ),
             AI_PAGE_COMPOSER_VERSION,
             true
         );
@@ -126,7 +168,7 @@ class Blueprint_Meta_Boxes {
         wp_enqueue_style(
             'ai-blueprint-admin',
             AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/css/blueprint-admin.css',
-            array(),
+            array( 'ai-composer-command-history' ),
             AI_PAGE_COMPOSER_VERSION
         );
 
@@ -139,10 +181,14 @@ class Blueprint_Meta_Boxes {
                 'restUrl' => rest_url( 'ai-composer/v1/' ),
                 'nonce' => wp_create_nonce( 'wp_rest' ),
                 'postId' => get_the_ID(),
+                'version' => $this->versions->get_current_version( get_the_ID() ),
                 'sectionTypes' => $this->schema_processor->get_section_types(),
                 'toneOptions' => $this->schema_processor->get_tone_options(),
                 'generationModes' => $this->schema_processor->get_generation_modes(),
+                'schema' => $this->schema_processor->get_schema(),
+                'codeEditor' => $code_editor,
                 'detectedPlugins' => $this->get_detected_block_plugins(),
+                'calibration' => ( new Estimate_Calibration() )->get_factors( get_the_ID() ),
                 'i18n' => array(
                     'addSection' => __( 'Add Section', 'ai-page-composer' ),
                     'removeSection' => __( 'Remove Section', 'ai-page-composer' ),
@@ -151,7 +197,13 @@ class Blueprint_Meta_Boxes {
                     'validationSuccess' => __( 'Blueprint validation successful', 'ai-page-composer' ),
                     'validationError' => __( 'Blueprint validation failed', 'ai-page-composer' ),
                     'previewError' => __( 'Error generating preview', 'ai-page-composer' ),
-                    'testError' => __( 'Error running test generation', 'ai-page-composer' )
+                    'testError' => __( 'Error running test generation', 'ai-page-composer' ),
+                    'noAutoFixes' => __( 'No automatic fixes are available for these issues.', 'ai-page-composer' ),
+                    'autoFixApplied' => __( 'Auto-fixes applied.', 'ai-page-composer' ),
+                    'importApplied' => __( 'Blueprint imported. Save the blueprint to keep it.', 'ai-page-composer' ),
+                    'importNotBlueprint' => __( 'The imported JSON does not contain a blueprint with a sections list.', 'ai-page-composer' ),
+                    /* translators: %s: version number */
+                    'confirmRollback' => __( 'Roll back to version %s? Unsaved changes will be lost. The restored blueprint is saved as a new version.', 'ai-page-composer' )
                 )
             )
         );
@@ -167,6 +219,12 @@ class Blueprint_Meta_Boxes {
 
         $schema_data = get_post_meta( $post->ID, '_ai_blueprint_schema', true );
         $schema_json = $schema_data ? wp_json_encode( $schema_data, JSON_PRETTY_PRINT ) : '';
+        $import_posts = get_posts( array(
+            'post_type' => array( 'post', 'page' ),
+            'post_status' => 'publish',
+            'numberposts' => 100,
+            'orderby' => 'modified',
+        ) );
 
         include AI_PAGE_COMPOSER_PLUGIN_DIR . 'templates/admin/blueprint/schema-meta-box.php';
     }
@@ -177,7 +235,13 @@ class Blueprint_Meta_Boxes {
      * @param WP_Post $post Current post object.
      */
     public function render_sections_meta_box( $post ) {
-        $sections_data = get_post_meta( $post->ID, '_ai_blueprint_sections', true ) ?: array();
+        $sections_data = $this->schema_processor->flatten_sections( get_post_meta( $post->ID, '_ai_blueprint_sections', true ) ?: array() );
+        $section_rules = new Section_Rules();
+
+        // Conditions are edited as expressions
+        foreach ( $sections_data as $index => $section ) {
+            $sections_data[ $index ]['condition_text'] = $section_rules->format_condition( $section['condition'] ?? array() );
+        }
         $section_types = $this->schema_processor->get_section_types();
         $tone_options = $this->schema_processor->get_tone_options();
         $detected_plugins = $this->get_detected_block_plugins();
@@ -193,6 +257,10 @@ class Blueprint_Meta_Boxes {
     public function render_global_settings_meta_box( $post ) {
         $global_settings = get_post_meta( $post->ID, '_ai_blueprint_global_settings', true ) ?: array();
         $generation_modes = $this->schema_processor->get_generation_modes();
+        $outline_presets = ( new Outline_Presets() )->get_site_presets();
+        $metadata = get_post_meta( $post->ID, '_ai_blueprint_metadata', true ) ?: array();
+        $categories = $this->schema_processor->get_categories();
+        $difficulty_levels = $this->schema_processor->get_difficulty_levels();
 
         include AI_PAGE_COMPOSER_PLUGIN_DIR . 'templates/admin/blueprint/global-settings-meta-box.php';
     }
@@ -203,6 +271,8 @@ class Blueprint_Meta_Boxes {
      * @param WP_Post $post Current post object.
      */
     public function render_preview_meta_box( $post ) {
+        $calibration = ( new Estimate_Calibration() )->get( $post->ID );
+
         include AI_PAGE_COMPOSER_PLUGIN_DIR . 'templates/admin/blueprint/preview-meta-box.php';
     }
 
@@ -218,6 +288,19 @@ class Blueprint_Meta_Boxes {
         include AI_PAGE_COMPOSER_PLUGIN_DIR . 'templates/admin/blueprint/validation-meta-box.php';
     }
 
+    /**
+     * Render the version history meta box
+     *
+     * @param WP_Post $post Current post object.
+     */
+    public function render_versions_meta_box( $post ) {
+        $versions = $this->versions->get_versions( $post->ID );
+        $current_version = $this->versions->get_current_version( $post->ID );
+        $versions_api = $this->versions;
+
+        include AI_PAGE_COMPOSER_PLUGIN_DIR . 'templates/admin/blueprint/versions-meta-box.php';
+    }
+
     /**
      * Get detected block plugins
      *
@@ -382,7 +465,7 @@ class Blueprint_Meta_Boxes {
         }
 
         // Generate a preview structure based on the blueprint
-        $preview = $this->generate_blueprint_preview( $blueprint_data );
+        $preview = $this->generate_blueprint_preview( $blueprint_data, intval( $_POST['post_id'] ?? 0 ) );
 
         wp_send_json_success( array(
             'preview' => $preview,
@@ -394,9 +477,10 @@ class Blueprint_Meta_Boxes {
      * Generate a preview of the blueprint structure
      *
      * @param array $blueprint_data Blueprint configuration data.
+     * @param int   $post_id Blueprint post ID whose correction factors apply, if saved.
      * @return array Preview structure.
      */
-    private function generate_blueprint_preview( $blueprint_data ) {
+    private function generate_blueprint_preview( $blueprint_data, $post_id = 0 ) {
         $preview = array(
             'sections' => array(),
             'estimated_tokens' => 0,
@@ -408,102 +492,42 @@ class Blueprint_Meta_Boxes {
             return $preview;
         }
 
-        foreach ( $blueprint_data['sections'] as $section ) {
-            $section_preview = array(
+        $sections = $this->schema_processor->flatten_sections( $blueprint_data['sections'] );
+        $estimate = ( new Cost_Estimator() )->estimate_blueprint_sections(
+            $sections,
+            $blueprint_data['global_settings'] ?? array(),
+            ( new Estimate_Calibration() )->get_factors( $post_id )
+        );
+
+        foreach ( $sections as $index => $section ) {
+            $preview['sections'][] = array(
                 'id' => $section['id'] ?? '',
                 'type' => $section['type'] ?? 'content',
                 'heading' => $section['heading'] ?? '',
                 'heading_level' => $section['heading_level'] ?? 2,
                 'word_target' => $section['word_target'] ?? 150,
                 'media_policy' => $section['media_policy'] ?? 'optional',
-                'estimated_tokens' => $this->estimate_section_tokens( $section ),
+                'condition' => $section['condition'] ?? null,
+                'repeat' => $section['repeat'] ?? null,
+                'depth' => $section['depth'],
+                'parent_id' => $section['parent_id'],
+                'child_count' => $section['child_count'],
+                'estimated_tokens' => $estimate['sections'][ $index ]['tokens'],
+                'estimated_cost' => $estimate['sections'][ $index ]['cost'],
                 'block_info' => $this->get_section_block_info( $section )
             );
-
-            $preview['sections'][] = $section_preview;
-            $preview['estimated_tokens'] += $section_preview['estimated_tokens'];
         }
 
         // Estimate cost and time
-        $preview['estimated_cost'] = $this->estimate_generation_cost( $preview['estimated_tokens'] );
-        $preview['estimated_time_minutes'] = $this->estimate_generation_time( $blueprint_data );
+        $preview['estimated_tokens'] = $estimate['totals']['tokens'];
+        $preview['estimated_cost'] = floatval( $estimate['totals']['cost']['expected'] );
+        $preview['estimated_cost_range'] = $estimate['totals']['cost'];
+        $preview['estimated_time_minutes'] = $estimate['totals']['minutes'];
+        $preview['calibration'] = $estimate['calibration'];
 
         return $preview;
     }
 
-    /**
-     * Estimate tokens for a section
-     *
-     * @param array $section Section data.
-     * @return int Estimated tokens.
-     */
-    private function estimate_section_tokens( $section ) {
-        $word_target = $section['word_target'] ?? 150;
-        
-        // Rough estimation: 1 token ≈ 0.75 words
-        $content_tokens = ceil( $word_target / 0.75 );
-        
-        // Add overhead for structure and metadata
-        $overhead_tokens = 50;
-        
-        // Add tokens for media generation if required
-        if ( ( $section['media_policy'] ?? 'optional' ) === 'required' ) {
-            $overhead_tokens += 100; // Image generation prompt tokens
-        }
-        
-        return $content_tokens + $overhead_tokens;
-    }
-
-    /**
-     * Estimate generation cost in USD
-     *
-     * @param int $total_tokens Total estimated tokens.
-     * @return float Estimated cost in USD.
-     */
-    private function estimate_generation_cost( $total_tokens ) {
-        // Rough estimation based on OpenAI GPT-4 pricing
-        // $0.03 per 1K tokens (input) + $0.06 per 1K tokens (output)
-        // Assuming roughly equal input/output
-        $cost_per_1k_tokens = 0.045; // Average of input/output
-        
-        return ( $total_tokens / 1000 ) * $cost_per_1k_tokens;
-    }
-
-    /**
-     * Estimate generation time in minutes
-     *
-     * @param array $blueprint_data Blueprint data.
-     * @return int Estimated time in minutes.
-     */
-    private function estimate_generation_time( $blueprint_data ) {
-        $section_count = count( $blueprint_data['sections'] ?? array() );
-        
-        // Base time: 2 minutes per section
-        $base_time = $section_count * 2;
-        
-        // Add time for complex sections
-        $complex_types = array( 'hero', 'gallery', 'pricing', 'faq' );
-        $complex_sections = 0;
-        
-        foreach ( $blueprint_data['sections'] ?? array() as $section ) {
-            if ( in_array( $section['type'] ?? '', $complex_types, true ) ) {
-                $complex_sections++;
-            }
-        }
-        
-        $complexity_time = $complex_sections * 1; // 1 extra minute per complex section
-        
-        // Add time for image generation
-        $image_time = 0;
-        foreach ( $blueprint_data['sections'] ?? array() as $section ) {
-            if ( ( $section['media_policy'] ?? 'optional' ) === 'required' ) {
-                $image_time += 1; // 1 minute per required image
-            }
-        }
-        
-        return max( 5, $base_time + $complexity_time + $image_time ); // Minimum 5 minutes
-    }
-
     /**
      * Get block information for a section
      *
@@ -18,6 +18,11 @@ use WP_REST_Response;
 use WP_Error;
 use AIPageComposer\Blueprints\Schema_Processor;
 use AIPageComposer\Blueprints\Blueprint_Manager;
+use AIPageComposer\Blueprints\Post_Blueprint_Mapper;
+use AIPageComposer\Blueprints\Blueprint_Versions;
+use AIPageComposer\API\Dry_Run_Service;
+use AIPageComposer\API\Cost_Estimator;
+use AIPageComposer\API\Estimate_Calibration;
 
 /**
  * Blueprint REST Controller class
@@ -113,6 +118,84 @@ class Blueprint_REST_Controller extends \WP_REST_Controller {
             )
         );
 
+        // Blueprint version history endpoints
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/(?P<id>[\d]+)/versions',
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => array( $this, 'get_versions' ),
+                'permission_callback' => array( $this, 'versions_permissions_check' ),
+            )
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/(?P<id>[\d]+)/versions/(?P<version>\d+\.\d+\.\d+)',
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => array( $this, 'get_version' ),
+                'permission_callback' => array( $this, 'versions_permissions_check' ),
+            )
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/(?P<id>[\d]+)/versions/(?P<version>\d+\.\d+\.\d+)/rollback',
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array( $this, 'rollback_version' ),
+                'permission_callback' => array( $this, 'versions_permissions_check' ),
+            )
+        );
+
+        // Blueprint library endpoints
+        register_rest_route(
+            $this->namespace,
+            '/blueprint-library',
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => array( $this, 'get_library' ),
+                'permission_callback' => array( $this, 'library_permissions_check' ),
+            )
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/(?P<id>[\d]+)/clone',
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array( $this, 'clone_item' ),
+                'permission_callback' => array( $this, 'versions_permissions_check' ),
+            )
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/' . $this->rest_base . '/(?P<id>[\d]+)/star',
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array( $this, 'star_item' ),
+                'permission_callback' => array( $this, 'library_permissions_check' ),
+                'args' => array(
+                    'starred' => array(
+                        'type' => 'boolean',
+                        'default' => true,
+                    ),
+                ),
+            )
+        );
+
+        register_rest_route(
+            $this->namespace,
+            '/blueprint-starters/(?P<slug>[a-z0-9-]+)/install',
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array( $this, 'install_starter' ),
+                'permission_callback' => array( $this, 'create_item_permissions_check' ),
+            )
+        );
+
         // Schema validation endpoint
         register_rest_route(
             $this->namespace,
@@ -132,6 +215,42 @@ class Blueprint_REST_Controller extends \WP_REST_Controller {
                 'methods' => WP_REST_Server::CREATABLE,
                 'callback' => array( $this, 'generate_preview' ),
                 'permission_callback' => array( $this, 'generate_preview_permissions_check' ),
+                'args' => array(
+                    'blueprint_id' => array(
+                        'type' => 'integer',
+                        'default' => 0,
+                        'sanitize_callback' => 'absint',
+                    ),
+                ),
+            )
+        );
+
+        // Dry run endpoint
+        register_rest_route(
+            $this->namespace,
+            '/blueprint-dry-run',
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array( $this, 'dry_run' ),
+                'permission_callback' => array( $this, 'dry_run_permissions_check' ),
+            )
+        );
+
+        // Blueprint from existing post endpoint
+        register_rest_route(
+            $this->namespace,
+            '/blueprint-from-post',
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array( $this, 'blueprint_from_post' ),
+                'permission_callback' => array( $this, 'blueprint_from_post_permissions_check' ),
+                'args' => array(
+                    'post_id' => array(
+                        'required' => true,
+                        'type' => 'integer',
+                        'sanitize_callback' => 'absint',
+                    ),
+                ),
             )
         );
 
@@ -193,6 +312,182 @@ class Blueprint_REST_Controller extends \WP_REST_Controller {
         return rest_ensure_response( $data );
     }
 
+    /**
+     * Get the version history of a blueprint
+     *
+     * @param WP_REST_Request $request Full data about the request.
+     * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+     */
+    public function get_versions( $request ) {
+        $post_id = (int) $request['id'];
+
+        if ( get_post_type( $post_id ) !== 'ai_blueprint' ) {
+            return new \WP_Error( 'rest_blueprint_not_found', __( 'Blueprint not found.', 'ai-page-composer' ), array( 'status' => 404 ) );
+        }
+
+        $versions = new Blueprint_Versions();
+        $current = $versions->get_current_version( $post_id );
+
+        $items = array_map( function( $record ) use ( $versions, $current ) {
+            $record['has_snapshot'] = $versions->has_snapshot( $record );
+            unset( $record['blueprint'] );
+            $record['summary'] = $versions->summarize( $record['changes'] );
+            $record['current'] = $record['version'] === $current;
+            return $record;
+        }, $versions->get_versions( $post_id ) );
+
+        return rest_ensure_response( array(
+            'current' => $current,
+            'versions' => $items,
+        ) );
+    }
+
+    /**
+     * Get one version of a blueprint, including its snapshot
+     *
+     * @param WP_REST_Request $request Full data about the request.
+     * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+     */
+    public function get_version( $request ) {
+        $versions = new Blueprint_Versions();
+        $record = $versions->get_version( (int) $request['id'], $request['version'] );
+
+        if ( ! $record ) {
+            return new \WP_Error( 'rest_version_not_found', __( 'Blueprint version not found.', 'ai-page-composer' ), array( 'status' => 404 ) );
+        }
+
+        $record['summary'] = $versions->summarize( $record['changes'] );
+
+        return rest_ensure_response( $record );
+    }
+
+    /**
+     * Roll a blueprint back to an earlier version
+     *
+     * @param WP_REST_Request $request Full data about the request.
+     * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+     */
+    public function rollback_version( $request ) {
+        if ( ! $this->blueprint_manager ) {
+            return new \WP_Error( 'rest_blueprint_manager_unavailable', __( 'Blueprint manager is not available.', 'ai-page-composer' ), array( 'status' => 500 ) );
+        }
+
+        $post_id = (int) $request['id'];
+        $blueprint_data = $this->blueprint_manager->rollback_blueprint( $post_id, $request['version'] );
+
+        if ( is_wp_error( $blueprint_data ) ) {
+            return $blueprint_data;
+        }
+
+        return rest_ensure_response( array(
+            'success' => true,
+            'version' => $blueprint_data['metadata']['version'],
+            'blueprint' => $blueprint_data,
+        ) );
+    }
+
+    /**
+     * Get the blueprint library with its filter options and starters
+     *
+     * @param WP_REST_Request $request Full data about the request.
+     * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+     */
+    public function get_library( $request ) {
+        if ( ! $this->blueprint_manager ) {
+            return new \WP_Error( 'rest_blueprint_manager_unavailable', __( 'Blueprint manager is not available.', 'ai-page-composer' ), array( 'status' => 500 ) );
+        }
+
+        $library = $this->blueprint_manager->get_library();
+
+        return rest_ensure_response( array(
+            'blueprints' => $library->get_items( get_current_user_id() ),
+            'starters' => $library->get_starters(),
+            'categories' => $this->schema_processor->get_categories(),
+            'difficulty_levels' => $this->schema_processor->get_difficulty_levels(),
+            'section_types' => $this->schema_processor->get_section_types(),
+        ) );
+    }
+
+    /**
+     * Clone a blueprint into a new draft
+     *
+     * @param WP_REST_Request $request Full data about the request.
+     * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+     */
+    public function clone_item( $request ) {
+        if ( ! $this->blueprint_manager ) {
+            return new \WP_Error( 'rest_blueprint_manager_unavailable', __( 'Blueprint manager is not available.', 'ai-page-composer' ), array( 'status' => 500 ) );
+        }
+
+        $post_id = (int) $request['id'];
+
+        if ( get_post_type( $post_id ) !== 'ai_blueprint' ) {
+            return new \WP_Error( 'rest_blueprint_not_found', __( 'Blueprint not found.', 'ai-page-composer' ), array( 'status' => 404 ) );
+        }
+
+        $new_post_id = $this->blueprint_manager->duplicate_blueprint( $post_id );
+
+        if ( is_wp_error( $new_post_id ) ) {
+            return $new_post_id;
+        }
+
+        return rest_ensure_response( array(
+            'id' => $new_post_id,
+            'title' => get_the_title( $new_post_id ),
+            'edit_url' => get_edit_post_link( $new_post_id, 'raw' ),
+        ) );
+    }
+
+    /**
+     * Star or unstar a blueprint for the current user
+     *
+     * @param WP_REST_Request $request Full data about the request.
+     * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+     */
+    public function star_item( $request ) {
+        if ( ! $this->blueprint_manager ) {
+            return new \WP_Error( 'rest_blueprint_manager_unavailable', __( 'Blueprint manager is not available.', 'ai-page-composer' ), array( 'status' => 500 ) );
+        }
+
+        $post_id = (int) $request['id'];
+
+        if ( get_post_type( $post_id ) !== 'ai_blueprint' ) {
+            return new \WP_Error( 'rest_blueprint_not_found', __( 'Blueprint not found.', 'ai-page-composer' ), array( 'status' => 404 ) );
+        }
+
+        $starred = (bool) $request->get_param( 'starred' );
+        $this->blueprint_manager->get_library()->set_starred( get_current_user_id(), $post_id, $starred );
+
+        return rest_ensure_response( array(
+            'id' => $post_id,
+            'starred' => $starred,
+        ) );
+    }
+
+    /**
+     * Install a starter blueprint as a draft blueprint
+     *
+     * @param WP_REST_Request $request Full data about the request.
+     * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+     */
+    public function install_starter( $request ) {
+        if ( ! $this->blueprint_manager ) {
+            return new \WP_Error( 'rest_blueprint_manager_unavailable', __( 'Blueprint manager is not available.', 'ai-page-composer' ), array( 'status' => 500 ) );
+        }
+
+        $post_id = $this->blueprint_manager->get_library()->install_starter( $request['slug'] );
+
+        if ( is_wp_error( $post_id ) ) {
+            return $post_id;
+        }
+
+        return rest_ensure_response( array(
+            'id' => $post_id,
+            'title' => get_the_title( $post_id ),
+            'edit_url' => get_edit_post_link( $post_id, 'raw' ),
+        ) );
+    }
+
     /**
      * Validate blueprint schema
      *
@@ -237,7 +532,7 @@ class Blueprint_REST_Controller extends \WP_REST_Controller {
             );
         }
 
-        $preview = $this->generate_blueprint_preview( $blueprint_data );
+        $preview = $this->generate_blueprint_preview( $blueprint_data, $request->get_param( 'blueprint_id' ) );
 
         return rest_ensure_response( array(
             'preview' => $preview,
@@ -245,6 +540,68 @@ class Blueprint_REST_Controller extends \WP_REST_Controller {
         ) );
     }
 
+    /**
+     * Run a blueprint through the generation pipeline against the LLM stub
+     *
+     * @param WP_REST_Request $request Full data about the request.
+     * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+     */
+    public function dry_run( $request ) {
+        $blueprint_data = json_decode( $request->get_body(), true );
+
+        if ( json_last_error() !== JSON_ERROR_NONE ) {
+            return new \WP_Error(
+                'rest_invalid_json',
+                __( 'Invalid JSON data provided.', 'ai-page-composer' ),
+                array( 'status' => 400 )
+            );
+        }
+
+        if ( empty( $blueprint_data['sections'] ) || ! is_array( $blueprint_data['sections'] ) ) {
+            return new \WP_Error(
+                'rest_blueprint_no_sections',
+                __( 'Add at least one section before running a test generation.', 'ai-page-composer' ),
+                array( 'status' => 400 )
+            );
+        }
+
+        $dry_run_service = new Dry_Run_Service();
+        $report = $dry_run_service->run(
+            $blueprint_data,
+            sanitize_textarea_field( $request->get_param( 'brief' ) ?? '' ),
+            sanitize_text_field( $request->get_param( 'audience' ) ?? '' )
+        );
+        $report['generated_at'] = current_time( 'mysql' );
+
+        return rest_ensure_response( $report );
+    }
+
+    /**
+     * Reverse-engineer a blueprint from an existing published post
+     *
+     * @param WP_REST_Request $request Full data about the request.
+     * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+     */
+    public function blueprint_from_post( $request ) {
+        $post_id = $request->get_param( 'post_id' );
+
+        $mapper = new Post_Blueprint_Mapper();
+        $blueprint_data = $mapper->map_post( $post_id );
+
+        if ( is_wp_error( $blueprint_data ) ) {
+            return $blueprint_data;
+        }
+
+        return rest_ensure_response( array(
+            'blueprint' => $blueprint_data,
+            'source' => array(
+                'id' => $post_id,
+                'title' => get_the_title( $post_id ),
+                'type' => get_post_type( $post_id ),
+            ),
+        ) );
+    }
+
     /**
      * Get detected block plugins
      *
@@ -290,7 +647,7 @@ class Blueprint_REST_Controller extends \WP_REST_Controller {
             'status' => $post->post_status,
             'date' => mysql_to_rfc3339( $post->post_date ),
             'blueprint_data' => $schema_data ?: new \stdClass(),
-            'sections_count' => count( $schema_data['sections'] ?? array() ),
+            'sections_count' => count( $this->schema_processor->flatten_sections( $schema_data['sections'] ?? array() ) ),
             'category' => $schema_data['metadata']['category'] ?? 'custom',
             'valid' => empty( $validation_errors ),
             'validation_errors' => $validation_errors ?: array(),
@@ -303,9 +660,10 @@ class Blueprint_REST_Controller extends \WP_REST_Controller {
      * Generate blueprint preview
      *
      * @param array $blueprint_data Blueprint data.
+     * @param int   $blueprint_id Saved blueprint whose correction factors apply, if any.
      * @return array Preview data.
      */
-    private function generate_blueprint_preview( $blueprint_data ) {
+    private function generate_blueprint_preview( $blueprint_data, $blueprint_id = 0 ) {
         $preview = array(
             'sections' => array(),
             'estimated_tokens' => 0,
@@ -316,34 +674,38 @@ class Blueprint_REST_Controller extends \WP_REST_Controller {
             return $preview;
         }
 
-        foreach ( $blueprint_data['sections'] as $section ) {
-            $section_tokens = $this->estimate_section_tokens( $section );
+        $sections = $this->schema_processor->flatten_sections( $blueprint_data['sections'] );
+        $estimate = ( new Cost_Estimator() )->estimate_blueprint_sections(
+            $sections,
+            $blueprint_data['global_settings'] ?? array(),
+            ( new Estimate_Calibration() )->get_factors( $blueprint_id )
+        );
+
+        foreach ( $sections as $index => $section ) {
             $preview['sections'][] = array(
                 'id' => $section['id'] ?? '',
                 'type' => $section['type'] ?? 'content',
                 'heading' => $section['heading'] ?? '',
+                'heading_level' => $section['heading_level'] ?? 2,
                 'word_target' => $section['word_target'] ?? 150,
-                'estimated_tokens' => $section_tokens,
+                'condition' => $section['condition'] ?? null,
+                'repeat' => $section['repeat'] ?? null,
+                'depth' => $section['depth'],
+                'parent_id' => $section['parent_id'],
+                'child_count' => $section['child_count'],
+                'estimated_tokens' => $estimate['sections'][ $index ]['tokens'],
+                'estimated_cost' => $estimate['sections'][ $index ]['cost'],
             );
-            $preview['estimated_tokens'] += $section_tokens;
         }
 
-        $preview['estimated_cost'] = ( $preview['estimated_tokens'] / 1000 ) * 0.045;
+        $preview['estimated_tokens'] = $estimate['totals']['tokens'];
+        $preview['estimated_cost'] = floatval( $estimate['totals']['cost']['expected'] );
+        $preview['estimated_cost_range'] = $estimate['totals']['cost'];
+        $preview['calibration'] = $estimate['calibration'];
 
         return $preview;
     }
 
-    /**
-     * Estimate tokens for a section
-     *
-     * @param array $section Section data.
-     * @return int Estimated tokens.
-     */
-    private function estimate_section_tokens( $section ) {
-        $word_target = $section['word_target'] ?? 150;
-        return ceil( $word_target / 0.75 ) + 50; // 1 token ≈ 0.75 words + overhead
-    }
-
     /**
      * Permission checks
      */
@@ -375,6 +737,22 @@ class Blueprint_REST_Controller extends \WP_REST_Controller {
         return current_user_can( 'manage_options' );
     }
 
+    public function dry_run_permissions_check( $request ) {
+        return current_user_can( 'manage_options' );
+    }
+
+    public function versions_permissions_check( $request ) {
+        return current_user_can( 'edit_post', (int) $request['id'] );
+    }
+
+    public function library_permissions_check( $request ) {
+        return current_user_can( 'manage_options' );
+    }
+
+    public function blueprint_from_post_permissions_check( $request ) {
+        return current_user_can( 'manage_options' );
+    }
+
     public function get_detected_plugins_permissions_check( $request ) {
         return current_user_can( 'manage_options' );
     }
@@ -0,0 +1,406 @@
+<?php
+/**
+ * Blueprint Versions Class - Semantic Version History for AI Blueprints
+ *
+ * This file contains the Blueprint_Versions class that records every saved
+ * change to a blueprint as a semantic version. Each version keeps its author,
+ * a diff of sections and global settings against the previous version and a
+ * full snapshot of the blueprint so it can be viewed or rolled back. Only the
+ * most recent snapshots are kept; older versions stay in the history as
+ * changelog entries.
+ *
+ * @package AIPageComposer
+ */
+
+namespace AIPageComposer\Blueprints;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Blueprint Versions class
+ */
+class Blueprint_Versions {
+
+    /**
+     * Post meta key holding the version records, oldest first
+     */
+    const META_KEY = '_ai_blueprint_versions';
+
+    /**
+     * Post meta key holding the current version number
+     */
+    const VERSION_META_KEY = '_ai_blueprint_version';
+
+    /**
+     * Version given to a blueprint's first save
+     */
+    const INITIAL_VERSION = '1.0.0';
+
+    /**
+     * Most recent versions that keep a full snapshot of the blueprint
+     */
+    const MAX_SNAPSHOTS = 20;
+
+    /**
+     * Most recent versions kept in the history at all
+     */
+    const MAX_VERSIONS = 200;
+
+    /**
+     * Get the version records of a blueprint, newest first
+     *
+     * @param int $post_id Blueprint post ID.
+     * @return array Version records.
+     */
+    public function get_versions( $post_id ) {
+        return array_reverse( $this->get_records( $post_id ) );
+    }
+
+    /**
+     * Get one version record
+     *
+     * @param int    $post_id Blueprint post ID.
+     * @param string $version Version number.
+     * @return array|null Version record or null if not found.
+     */
+    public function get_version( $post_id, $version ) {
+        foreach ( $this->get_records( $post_id ) as $record ) {
+            if ( $record['version'] === $version ) {
+                return $record;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the current version number of a blueprint
+     *
+     * @param int $post_id Blueprint post ID.
+     * @return string Version number, or an empty string if never versioned.
+     */
+    public function get_current_version( $post_id ) {
+        return (string) get_post_meta( $post_id, self::VERSION_META_KEY, true );
+    }
+
+    /**
+     * Record a save as a new version
+     *
+     * The version number is bumped from the previous one according to what
+     * changed. A higher version already set in the blueprint metadata wins,
+     * so authors can bump a version by hand. Saves that change nothing keep
+     * the current version.
+     *
+     * @param int    $post_id Blueprint post ID.
+     * @param array  $blueprint_data Blueprint data about to be saved.
+     * @param string $note Optional note, e.g. for rollbacks.
+     * @return array Blueprint data with metadata.version set.
+     */
+    public function record( $post_id, $blueprint_data, $note = '' ) {
+        $records = $this->get_records( $post_id );
+        $previous = end( $records );
+        $requested = $blueprint_data['metadata']['version'] ?? '';
+
+        if ( $previous ) {
+            $changes = $this->diff( $previous['blueprint'], $blueprint_data );
+            $bump = $this->get_bump_type( $changes );
+
+            if ( ! $bump && ! $this->is_newer( $requested, $previous['version'] ) ) {
+                $blueprint_data['metadata']['version'] = $previous['version'];
+                return $blueprint_data;
+            }
+
+            $version = $this->bump( $previous['version'], $bump ? $bump : 'patch' );
+            if ( $this->is_newer( $requested, $version ) ) {
+                $version = $requested;
+            }
+        } else {
+            $changes = $this->diff( array(), $blueprint_data );
+            $bump = 'initial';
+            $version = $this->is_semver( $requested ) ? $requested : self::INITIAL_VERSION;
+        }
+
+        $blueprint_data['metadata']['version'] = $version;
+        $user = wp_get_current_user();
+
+        $records[] = array(
+            'version' => $version,
+            'bump' => $bump ? $bump : 'patch',
+            'author_id' => $user->ID,
+            'author_name' => $user->exists() ? $user->display_name : __( 'System', 'ai-page-composer' ),
+            'created_at' => current_time( 'mysql' ),
+            'note' => sanitize_text_field( $note ),
+            'changes' => $changes,
+            'blueprint' => $blueprint_data,
+        );
+
+        update_post_meta( $post_id, self::META_KEY, $this->prune( $records ) );
+        update_post_meta( $post_id, self::VERSION_META_KEY, $version );
+
+        do_action( 'ai_blueprint_version_recorded', $post_id, $version, $changes );
+
+        return $blueprint_data;
+    }
+
+    /**
+     * Diff the sections and global settings of two blueprints
+     *
+     * Sections are matched by ID. A section whose ID changed shows up as one
+     * removed and one added section.
+     *
+     * @param array $before Previous blueprint data.
+     * @param array $after New blueprint data.
+     * @return array Diff with 'sections', 'global_settings' and 'metadata' parts.
+     */
+    public function diff( $before, $after ) {
+        $before_sections = $this->index_sections( $before['sections'] ?? array() );
+        $after_sections = $this->index_sections( $after['sections'] ?? array() );
+
+        $changed = array();
+        foreach ( array_intersect_key( $after_sections, $before_sections ) as $id => $section ) {
+            $fields = $this->changed_keys( $before_sections[ $id ], $section );
+            if ( ! empty( $fields ) ) {
+                $changed[ $id ] = $fields;
+            }
+        }
+
+        $common_before = array_values( array_intersect( array_keys( $before_sections ), array_keys( $after_sections ) ) );
+        $common_after = array_values( array_intersect( array_keys( $after_sections ), array_keys( $before_sections ) ) );
+
+        $settings = array();
+        $before_settings = $before['global_settings'] ?? array();
+        $after_settings = $after['global_settings'] ?? array();
+        foreach ( $this->changed_keys( $before_settings, $after_settings ) as $key ) {
+            $settings[ $key ] = array(
+                'from' => $before_settings[ $key ] ?? null,
+                'to' => $after_settings[ $key ] ?? null,
+            );
+        }
+
+        $before_metadata = $before['metadata'] ?? array();
+        $after_metadata = $after['metadata'] ?? array();
+        unset( $before_metadata['version'], $after_metadata['version'] );
+
+        return array(
+            'sections' => array(
+                'added' => array_values( array_diff( array_keys( $after_sections ), array_keys( $before_sections ) ) ),
+                'removed' => array_values( array_diff( array_keys( $before_sections ), array_keys( $after_sections ) ) ),
+                'changed' => $changed,
+                'reordered' => $common_before !== $common_after,
+            ),
+            'global_settings' => $settings,
+            'metadata' => $this->changed_keys( $before_metadata, $after_metadata ),
+        );
+    }
+
+    /**
+     * Pick the semantic version bump for a diff
+     *
+     * Removing sections or changing a section type breaks runs and presets
+     * that rely on them, so it is a major change. Adding or reordering
+     * sections, or changing the generation mode, is minor. Anything else is
+     * a patch.
+     *
+     * @param array $changes Diff from diff().
+     * @return string 'major', 'minor', 'patch' or '' when nothing changed.
+     */
+    public function get_bump_type( $changes ) {
+        $sections = $changes['sections'];
+        $type_changed = array_filter( $sections['changed'], function( $fields ) {
+            return in_array( 'type', $fields, true );
+        } );
+
+        if ( ! empty( $sections['removed'] ) || ! empty( $type_changed ) ) {
+            return 'major';
+        }
+
+        if ( ! empty( $sections['added'] ) || $sections['reordered'] || isset( $changes['global_settings']['generation_mode'] ) ) {
+            return 'minor';
+        }
+
+        if ( ! empty( $sections['changed'] ) || ! empty( $changes['global_settings'] ) || ! empty( $changes['metadata'] ) ) {
+            return 'patch';
+        }
+
+        return '';
+    }
+
+    /**
+     * Bump a version number
+     *
+     * @param string $version Current version.
+     * @param string $type 'major', 'minor' or 'patch'.
+     * @return string Bumped version.
+     */
+    public function bump( $version, $type ) {
+        $parts = $this->is_semver( $version ) ? array_map( 'intval', explode( '.', $version ) ) : array( 1, 0, 0 );
+
+        switch ( $type ) {
+            case 'major':
+                return ( $parts[0] + 1 ) . '.0.0';
+            case 'minor':
+                return $parts[0] . '.' . ( $parts[1] + 1 ) . '.0';
+            default:
+                return $parts[0] . '.' . $parts[1] . '.' . ( $parts[2] + 1 );
+        }
+    }
+
+    /**
+     * Summarize a diff in one line
+     *
+     * @param array $changes Diff from diff().
+     * @return string Summary.
+     */
+    public function summarize( $changes ) {
+        $parts = array();
+        $sections = $changes['sections'] ?? array();
+
+        $counts = array(
+            /* translators: %d: number of sections */
+            'added' => _n_noop( '%d section added', '%d sections added', 'ai-page-composer' ),
+            /* translators: %d: number of sections */
+            'removed' => _n_noop( '%d section removed', '%d sections removed', 'ai-page-composer' ),
+            /* translators: %d: number of sections */
+            'changed' => _n_noop( '%d section changed', '%d sections changed', 'ai-page-composer' ),
+        );
+
+        foreach ( $counts as $key => $noop ) {
+            $count = count( $sections[ $key ] ?? array() );
+            if ( $count ) {
+                $parts[] = sprintf( translate_nooped_plural( $noop, $count, 'ai-page-composer' ), $count );
+            }
+        }
+
+        if ( ! empty( $sections['reordered'] ) ) {
+            $parts[] = __( 'sections reordered', 'ai-page-composer' );
+        }
+
+        if ( ! empty( $changes['global_settings'] ) ) {
+            $parts[] = sprintf(
+                /* translators: %s: comma-separated setting names */
+                __( 'settings: %s', 'ai-page-composer' ),
+                implode( ', ', array_keys( $changes['global_settings'] ) )
+            );
+        }
+
+        if ( ! empty( $changes['metadata'] ) ) {
+            $parts[] = __( 'details updated', 'ai-page-composer' );
+        }
+
+        return empty( $parts ) ? __( 'No changes', 'ai-page-composer' ) : implode( '; ', $parts );
+    }
+
+    /**
+     * Check a version record still has its blueprint snapshot
+     *
+     * @param array $record Version record.
+     * @return bool Whether the version can be viewed or rolled back.
+     */
+    public function has_snapshot( $record ) {
+        return ! empty( $record['blueprint'] );
+    }
+
+    /**
+     * Limit the history so the meta row doesn't grow without bound
+     *
+     * Versions past MAX_SNAPSHOTS lose their snapshot but keep their diff,
+     * and versions past MAX_VERSIONS are dropped.
+     *
+     * @param array $records Version records, oldest first.
+     * @return array Pruned records.
+     */
+    private function prune( $records ) {
+        $records = array_slice( $records, -self::MAX_VERSIONS );
+        $snapshot_from = count( $records ) - self::MAX_SNAPSHOTS;
+
+        foreach ( $records as $index => &$record ) {
+            if ( $index < $snapshot_from ) {
+                unset( $record['blueprint'] );
+            }
+        }
+        unset( $record );
+
+        return $records;
+    }
+
+    /**
+     * Get the stored version records, oldest first
+     *
+     * @param int $post_id Blueprint post ID.
+     * @return array Version records.
+     */
+    private function get_records( $post_id ) {
+        $records = get_post_meta( $post_id, self::META_KEY, true );
+
+        return is_array( $records ) ? array_values( $records ) : array();
+    }
+
+    /**
+     * Key sections by ID, keeping their document order
+     *
+     * Nested sections are listed after their parent and record its ID, so
+     * moving a section to another parent shows up as a change.
+     *
+     * @param array  $sections Blueprint sections.
+     * @param string $parent_id ID of the section the sections are nested in.
+     * @return array Sections keyed by ID, without their children.
+     */
+    private function index_sections( $sections, $parent_id = '' ) {
+        $indexed = array();
+
+        foreach ( $sections as $index => $section ) {
+            if ( ! is_array( $section ) ) {
+                continue;
+            }
+
+            $id = (string) ( $section['id'] ?? 'section-' . ( $index + 1 ) );
+            $children = is_array( $section['children'] ?? null ) ? $section['children'] : array();
+            unset( $section['children'] );
+
+            $section['parent_id'] = $parent_id;
+            $indexed[ $id ] = $section;
+            $indexed += $this->index_sections( $children, $id );
+        }
+
+        return $indexed;
+    }
+
+    /**
+     * List the top-level keys whose values differ
+     *
+     * @param array $before Previous values.
+     * @param array $after New values.
+     * @return array Changed keys.
+     */
+    private function changed_keys( $before, $after ) {
+        $keys = array_unique( array_merge( array_keys( (array) $before ), array_keys( (array) $after ) ) );
+
+        return array_values( array_filter( $keys, function( $key ) use ( $before, $after ) {
+            return wp_json_encode( $before[ $key ] ?? null ) !== wp_json_encode( $after[ $key ] ?? null );
+        } ) );
+    }
+
+    /**
+     * Check a version number is MAJOR.MINOR.PATCH
+     *
+     * @param string $version Version number.
+     * @return bool Whether the version is valid.
+     */
+    private function is_semver( $version ) {
+        return is_string( $version ) && (bool) preg_match( '/^\d+\.\d+\.\d+$/', $version );
+    }
+
+    /**
+     * Check a version number is valid and higher than another
+     *
+     * @param string $version Candidate version.
+     * @param string $than Version to compare against.
+     * @return bool Whether the candidate is newer.
+     */
+    private function is_newer( $version, $than ) {
+        return $this->is_semver( $version ) && version_compare( $version, $than, '>' );
+    }
+}
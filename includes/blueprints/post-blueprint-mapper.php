@@ -0,0 +1,363 @@
+<?php
+/**
+ * Post Blueprint Mapper Class - Reverse-Engineer Blueprints From Posts
+ *
+ * This file contains the Post_Blueprint_Mapper class that builds a blueprint
+ * from an existing published post. Each heading in the post starts a section;
+ * the blocks under it decide the section type, word target, media policy and
+ * block preferences.
+ *
+ * @package AIPageComposer
+ */
+
+namespace AIPageComposer\Blueprints;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Post Blueprint Mapper class
+ */
+class Post_Blueprint_Mapper {
+
+    /**
+     * Section types for core blocks
+     */
+    const CORE_SECTION_TYPES = [
+        'core/cover' => 'hero',
+        'core/media-text' => 'media_text',
+        'core/columns' => 'columns',
+        'core/list' => 'list',
+        'core/quote' => 'quote',
+        'core/pullquote' => 'quote',
+        'core/gallery' => 'gallery',
+        'core/details' => 'faq',
+        'core/buttons' => 'cta',
+        'core/button' => 'cta',
+        'core/table' => 'pricing',
+    ];
+
+    /**
+     * Section types guessed from words in third-party block names
+     */
+    const KEYWORD_SECTION_TYPES = [
+        'hero' => 'hero',
+        'testimonial' => 'testimonial',
+        'pricing' => 'pricing',
+        'accordion' => 'faq',
+        'faq' => 'faq',
+        'team' => 'team',
+        'profile' => 'team',
+        'gallery' => 'gallery',
+        'button' => 'cta',
+        'cta' => 'cta',
+        'list' => 'list',
+    ];
+
+    /**
+     * Blueprint plugin keys by block namespace
+     */
+    const PLUGIN_NAMESPACES = [
+        'core' => 'core',
+        'genesis-blocks' => 'genesis_blocks',
+        'kadence' => 'kadence_blocks',
+        'ugb' => 'stackable',
+        'uagb' => 'ultimate_addons',
+        'blocksy' => 'blocksy',
+    ];
+
+    /**
+     * Blocks that carry an image
+     */
+    const MEDIA_BLOCKS = [ 'core/image', 'core/cover', 'core/gallery', 'core/media-text' ];
+
+    /**
+     * Schema processor instance
+     *
+     * @var Schema_Processor
+     */
+    private $schema_processor;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->schema_processor = new Schema_Processor();
+    }
+
+    /**
+     * Build a blueprint from a published post
+     *
+     * @param int $post_id Post ID.
+     * @return array|\WP_Error Blueprint data or error.
+     */
+    public function map_post( $post_id ) {
+        $post = get_post( $post_id );
+
+        if ( ! $post || 'publish' !== $post->post_status || 'ai_blueprint' === $post->post_type ) {
+            return new \WP_Error(
+                'rest_post_not_found',
+                __( 'Choose a published post or page to import from.', 'ai-page-composer' ),
+                [ 'status' => 404 ]
+            );
+        }
+
+        $groups = $this->group_blocks( parse_blocks( $post->post_content ), $post->post_title );
+
+        if ( empty( $groups ) ) {
+            return new \WP_Error(
+                'rest_post_empty',
+                __( 'The selected post has no content to build sections from.', 'ai-page-composer' ),
+                [ 'status' => 400 ]
+            );
+        }
+
+        $sections = [];
+        $used_ids = [];
+        foreach ( $groups as $group ) {
+            $sections[] = $this->map_section( $group, $used_ids );
+        }
+
+        return $this->schema_processor->apply_defaults( [
+            'sections' => $sections,
+            'global_settings' => [],
+            'metadata' => [
+                'description' => sprintf(
+                    /* translators: %s: post title */
+                    __( 'Imported from "%s".', 'ai-page-composer' ),
+                    wp_strip_all_tags( $post->post_title )
+                ),
+                'category' => 'post' === $post->post_type ? 'blog-post' : 'custom',
+            ],
+        ] );
+    }
+
+    /**
+     * Split top-level blocks into heading-led groups
+     *
+     * A heading starts a new group. A container block with its own heading
+     * (a cover, a group, a plugin hero) forms a group on its own. Content
+     * before the first heading is grouped under the post title.
+     *
+     * @param array  $blocks Parsed blocks.
+     * @param string $title Post title.
+     * @return array Groups with 'heading', 'level' and 'blocks'.
+     */
+    private function group_blocks( $blocks, $title ) {
+        $groups = [];
+        $current = null;
+
+        foreach ( $blocks as $block ) {
+            if ( empty( $block['blockName'] ) ) {
+                continue;
+            }
+
+            if ( 'core/heading' === $block['blockName'] ) {
+                if ( $current ) {
+                    $groups[] = $current;
+                }
+                $current = [
+                    'heading' => $this->block_text( $block ),
+                    'level' => intval( $block['attrs']['level'] ?? 2 ),
+                    'blocks' => [],
+                ];
+                continue;
+            }
+
+            $inner_heading = $this->find_heading( $block['innerBlocks'] ?? [] );
+            if ( $inner_heading ) {
+                if ( $current ) {
+                    $groups[] = $current;
+                }
+                $groups[] = [
+                    'heading' => $this->block_text( $inner_heading ),
+                    'level' => intval( $inner_heading['attrs']['level'] ?? 2 ),
+                    'blocks' => [ $block ],
+                ];
+                $current = null;
+                continue;
+            }
+
+            if ( ! $current ) {
+                $current = [
+                    'heading' => wp_strip_all_tags( $title ),
+                    'level' => 1,
+                    'blocks' => [],
+                ];
+            }
+            $current['blocks'][] = $block;
+        }
+
+        if ( $current ) {
+            $groups[] = $current;
+        }
+
+        return array_values( array_filter( $groups, function( $group ) {
+            return '' !== $group['heading'] || ! empty( $group['blocks'] );
+        } ) );
+    }
+
+    /**
+     * Map a block group to a blueprint section
+     *
+     * @param array $group Block group.
+     * @param array $used_ids Section IDs taken so far, updated in place.
+     * @return array Blueprint section.
+     */
+    private function map_section( $group, &$used_ids ) {
+        $heading = '' !== $group['heading'] ? $group['heading'] : __( 'Untitled Section', 'ai-page-composer' );
+        $names = $this->block_names( $group['blocks'] );
+        $primary_block = $group['blocks'][0]['blockName'] ?? '';
+        $html = serialize_blocks( $group['blocks'] );
+        $words = str_word_count( wp_strip_all_tags( $html ) );
+
+        return [
+            'id' => $this->unique_id( $heading, $used_ids ),
+            'type' => $this->section_type( $group['blocks'] ),
+            'heading' => mb_substr( $heading, 0, 200 ),
+            'heading_level' => max( 1, min( 6, $group['level'] ) ),
+            'word_target' => $words ? max( 10, min( 2000, intval( round( $words / 10 ) * 10 ) ) ) : 150,
+            'media_policy' => array_intersect( self::MEDIA_BLOCKS, $names ) ? 'required' : 'optional',
+            'internal_links' => min( 10, $this->count_internal_links( $html ) ),
+            'allowed_blocks' => [],
+            'block_preferences' => [
+                'preferred_plugin' => $this->plugin_for_block( $primary_block ),
+                'primary_block' => $primary_block,
+                'fallback_blocks' => [],
+            ],
+        ];
+    }
+
+    /**
+     * Pick the section type from the first block that suggests one
+     *
+     * @param array $blocks Group blocks.
+     * @return string Section type.
+     */
+    private function section_type( $blocks ) {
+        foreach ( $blocks as $block ) {
+            $name = $block['blockName'] ?? '';
+
+            if ( isset( self::CORE_SECTION_TYPES[ $name ] ) ) {
+                return self::CORE_SECTION_TYPES[ $name ];
+            }
+
+            if ( 0 !== strpos( $name, 'core/' ) ) {
+                foreach ( self::KEYWORD_SECTION_TYPES as $keyword => $type ) {
+                    if ( false !== strpos( $name, $keyword ) ) {
+                        return $type;
+                    }
+                }
+            }
+        }
+
+        return 'content';
+    }
+
+    /**
+     * Map a block name to a blueprint plugin key
+     *
+     * @param string $block_name Block name.
+     * @return string Plugin key.
+     */
+    private function plugin_for_block( $block_name ) {
+        $namespace = strstr( $block_name, '/', true );
+
+        return self::PLUGIN_NAMESPACES[ $namespace ] ?? 'auto';
+    }
+
+    /**
+     * Find the first heading block in a block tree
+     *
+     * @param array $blocks Parsed blocks.
+     * @return array|null Heading block.
+     */
+    private function find_heading( $blocks ) {
+        foreach ( $blocks as $block ) {
+            if ( 'core/heading' === ( $block['blockName'] ?? '' ) ) {
+                return $block;
+            }
+
+            $inner = $this->find_heading( $block['innerBlocks'] ?? [] );
+            if ( $inner ) {
+                return $inner;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Collect every block name in a block tree
+     *
+     * @param array $blocks Parsed blocks.
+     * @return array Block names.
+     */
+    private function block_names( $blocks ) {
+        $names = [];
+
+        foreach ( $blocks as $block ) {
+            if ( ! empty( $block['blockName'] ) ) {
+                $names[] = $block['blockName'];
+            }
+            $names = array_merge( $names, $this->block_names( $block['innerBlocks'] ?? [] ) );
+        }
+
+        return $names;
+    }
+
+    /**
+     * Plain text of a block
+     *
+     * @param array $block Parsed block.
+     * @return string Text content.
+     */
+    private function block_text( $block ) {
+        return trim( preg_replace( '/\s+/', ' ', wp_strip_all_tags( $block['innerHTML'] ?? '' ) ) );
+    }
+
+    /**
+     * Count links that point at this site
+     *
+     * @param string $html Section markup.
+     * @return int Internal link count.
+     */
+    private function count_internal_links( $html ) {
+        if ( ! preg_match_all( '/<a\s[^>]*href=["\']([^"\']+)["\']/i', $html, $matches ) ) {
+            return 0;
+        }
+
+        $home_host = wp_parse_url( home_url(), PHP_URL_HOST );
+
+        return count( array_filter( $matches[1], function( $href ) use ( $home_host ) {
+            if ( 0 === strpos( $href, '/' ) && 0 !== strpos( $href, '//' ) ) {
+                return true;
+            }
+            return wp_parse_url( $href, PHP_URL_HOST ) === $home_host;
+        } ) );
+    }
+
+    /**
+     * Build a unique section ID from a heading
+     *
+     * @param string $heading Section heading.
+     * @param array  $used_ids Section IDs taken so far, updated in place.
+     * @return string Section ID.
+     */
+    private function unique_id( $heading, &$used_ids ) {
+        $base = substr( trim( preg_replace( '/[^a-z0-9_-]+/', '-', strtolower( remove_accents( $heading ) ) ), '-' ), 0, 44 );
+        $base = '' !== $base ? $base : 'section';
+        $id = $base;
+        $suffix = 2;
+
+        while ( in_array( $id, $used_ids, true ) ) {
+            $id = $base . '-' . $suffix++;
+        }
+
+        $used_ids[] = $id;
+
+        return $id;
+    }
+}
@@ -19,6 +19,11 @@ use JsonSchema\Constraints\Constraint;
  */
 class Schema_Processor {
 
+    /**
+     * Section settings a child section inherits from its parent
+     */
+    const INHERITED_SECTION_KEYS = [ 'tone', 'media_policy', 'citations_required' ];
+
     /**
      * Base JSON schema for AI Blueprints
      *
@@ -50,57 +55,68 @@ class Schema_Processor {
                 'required' => ['id', 'type', 'heading'],
                 'properties' => [
                     'id' => [
+                        'description' => 'Unique identifier for the section. Lowercase letters, numbers, dashes and underscores.',
                         'type' => 'string',
                         'pattern' => '^[a-z0-9_-]+$',
                         'minLength' => 1,
                         'maxLength' => 50
                     ],
                     'type' => [
+                        'description' => 'Section type. Drives the generated structure and block selection.',
                         'type' => 'string',
                         'enum' => [
                             'hero', 'content', 'media_text', 'columns', 
                             'list', 'quote', 'gallery', 'faq', 'cta',
                             'testimonial', 'pricing', 'team', 'custom'
-                        ]
+                        ],
+                        'default' => 'content'
                     ],
                     'heading' => [
+                        'description' => 'Heading shown above the section and used to steer generation.',
                         'type' => 'string',
                         'minLength' => 1,
                         'maxLength' => 200
                     ],
                     'heading_level' => [
+                        'description' => 'HTML heading level (1-6) for the section heading.',
                         'type' => 'integer',
                         'minimum' => 1,
                         'maximum' => 6,
                         'default' => 2
                     ],
                     'word_target' => [
+                        'description' => 'Target word count for the section (10-2000).',
                         'type' => 'integer',
                         'minimum' => 10,
                         'maximum' => 2000,
                         'default' => 150
                     ],
                     'media_policy' => [
+                        'description' => 'Whether the section must, may or must not include an image.',
                         'type' => 'string',
                         'enum' => ['required', 'optional', 'none'],
                         'default' => 'optional'
                     ],
                     'internal_links' => [
+                        'description' => 'Number of internal links to add to the section (0-10).',
                         'type' => 'integer',
                         'minimum' => 0,
                         'maximum' => 10,
                         'default' => 2
                     ],
                     'citations_required' => [
+                        'description' => 'Whether generated claims must cite retrieved sources.',
                         'type' => 'boolean',
                         'default' => true
                     ],
                     'tone' => [
+                        'description' => 'Writing tone for the section.',
                         'type' => 'string',
                         'enum' => ['professional', 'casual', 'technical', 'friendly', 'authoritative'],
                         'default' => 'professional'
                     ],
                     'allowed_blocks' => [
+                        'description' => 'Block names the section may be assembled from. Empty allows any block.',
                         'type' => 'array',
                         'items' => [
                             'type' => 'string'
@@ -111,11 +127,77 @@ class Schema_Processor {
                         '$ref' => '#/definitions/block_preferences'
                     ],
                     'custom_prompts' => [
+                        'description' => 'Prompt overrides for this section.',
                         'type' => 'object',
                         'properties' => [
                             'system_prompt' => ['type' => 'string'],
                             'user_prompt_template' => ['type' => 'string']
                         ]
+                    ],
+                    'children' => [
+                        'description' => 'Nested sections. Children default to one heading level below their parent and inherit its tone, media_policy and citations_required unless they set their own.',
+                        'type' => 'array',
+                        'items' => [
+                            '$ref' => '#/definitions/section'
+                        ],
+                        'default' => []
+                    ],
+                    'condition' => [
+                        'description' => 'Generate the section only when all (or any) of the rules hold for the generation inputs.',
+                        'type' => 'object',
+                        'required' => ['rules'],
+                        'properties' => [
+                            'match' => [
+                                'type' => 'string',
+                                'enum' => ['all', 'any'],
+                                'default' => 'all'
+                            ],
+                            'rules' => [
+                                'type' => 'array',
+                                'minItems' => 1,
+                                'items' => [
+                                    '$ref' => '#/definitions/rule'
+                                ]
+                            ]
+                        ]
+                    ],
+                    'repeat' => [
+                        'description' => 'Generate the section once per item of a list in the brief. {item} in the heading is replaced with the item.',
+                        'type' => 'object',
+                        'required' => ['over'],
+                        'properties' => [
+                            'over' => [
+                                'description' => 'Name of the list, e.g. products for a "Products:" line in the brief.',
+                                'type' => 'string',
+                                'pattern' => '^[a-z0-9_]+$'
+                            ],
+                            'max' => [
+                                'description' => 'Maximum number of copies (1-20).',
+                                'type' => 'integer',
+                                'minimum' => 1,
+                                'maximum' => 20,
+                                'default' => 10
+                            ]
+                        ]
+                    ]
+                ]
+            ],
+            'rule' => [
+                'type' => 'object',
+                'required' => ['field', 'operator'],
+                'properties' => [
+                    'field' => [
+                        'description' => 'Input to test: brief, audience, tone, item or a list named in the brief.',
+                        'type' => 'string',
+                        'pattern' => '^[a-z0-9_]+$'
+                    ],
+                    'operator' => [
+                        'type' => 'string',
+                        'enum' => ['equals', 'not_equals', 'contains', 'not_contains', 'is_empty', 'not_empty', 'min_items']
+                    ],
+                    'value' => [
+                        'type' => 'string',
+                        'maxLength' => 200
                     ]
                 ]
             ],
@@ -123,17 +205,21 @@ class Schema_Processor {
                 'type' => 'object',
                 'properties' => [
                     'preferred_plugin' => [
+                        'description' => 'Block plugin to prefer when assembling the section.',
                         'type' => 'string',
                         'enum' => ['auto', 'core', 'genesis_blocks', 'kadence_blocks', 'stackable', 'ultimate_addons', 'blocksy']
                     ],
                     'primary_block' => [
+                        'description' => 'Block to use for the section when available.',
                         'type' => 'string'
                     ],
                     'fallback_blocks' => [
+                        'description' => 'Blocks to try, in order, when the primary block is not available.',
                         'type' => 'array',
                         'items' => ['type' => 'string']
                     ],
                     'pattern_preference' => [
+                        'description' => 'Block pattern to base the section on.',
                         'type' => 'string'
                     ],
                     'custom_attributes' => [
@@ -146,17 +232,20 @@ class Schema_Processor {
                 'required' => ['generation_mode'],
                 'properties' => [
                     'generation_mode' => [
+                        'description' => 'Grounded uses retrieved content only, generative uses the model only, hybrid blends both.',
                         'type' => 'string',
                         'enum' => ['grounded', 'hybrid', 'generative'],
                         'default' => 'hybrid'
                     ],
                     'hybrid_alpha' => [
+                        'description' => 'Blend between retrieved content (1.0) and model knowledge (0.0) in hybrid mode.',
                         'type' => 'number',
                         'minimum' => 0.0,
                         'maximum' => 1.0,
                         'default' => 0.7
                     ],
                     'mvdb_namespaces' => [
+                        'description' => 'Vector database namespaces to retrieve context from.',
                         'type' => 'array',
                         'items' => [
                             'type' => 'string',
@@ -165,28 +254,40 @@ class Schema_Processor {
                         'default' => ['content']
                     ],
                     'max_tokens_per_section' => [
+                        'description' => 'Maximum output tokens per generated section.',
                         'type' => 'integer',
                         'minimum' => 100,
                         'maximum' => 5000,
                         'default' => 1000
                     ],
                     'image_generation_enabled' => [
+                        'description' => 'Whether images may be generated for sections that need them.',
                         'type' => 'boolean',
                         'default' => true
                     ],
                     'seo_optimization' => [
+                        'description' => 'Whether to optimize headings and copy for search.',
                         'type' => 'boolean',
                         'default' => true
                     ],
                     'accessibility_checks' => [
+                        'description' => 'Whether to run accessibility checks on the assembled page.',
                         'type' => 'boolean',
                         'default' => true
                     ],
                     'cost_limit_usd' => [
+                        'description' => 'Maximum spend in USD for a single generation run.',
                         'type' => 'number',
                         'minimum' => 0.01,
                         'maximum' => 100.0,
                         'default' => 5.0
+                    ],
+                    'default_preset' => [
+                        'description' => 'Outline preset applied when this blueprint is selected.',
+                        'type' => 'string',
+                        'pattern' => '^[a-z0-9_]*$',
+                        'maxLength' => 64,
+                        'default' => ''
                     ]
                 ]
             ],
@@ -194,29 +295,35 @@ class Schema_Processor {
                 'type' => 'object',
                 'properties' => [
                     'version' => [
+                        'description' => 'Blueprint version in MAJOR.MINOR.PATCH form.',
                         'type' => 'string',
                         'pattern' => '^\d+\.\d+\.\d+$',
                         'default' => '1.0.0'
                     ],
                     'description' => [
+                        'description' => 'Short description of what the blueprint is for.',
                         'type' => 'string',
                         'maxLength' => 500
                     ],
                     'tags' => [
+                        'description' => 'Up to 10 tags used to find the blueprint.',
                         'type' => 'array',
                         'items' => ['type' => 'string'],
                         'maxItems' => 10
                     ],
                     'category' => [
+                        'description' => 'Kind of page the blueprint produces.',
                         'type' => 'string',
                         'enum' => ['landing-page', 'blog-post', 'product-page', 'about-page', 'contact-page', 'custom']
                     ],
                     'estimated_time_minutes' => [
+                        'description' => 'Estimated generation time in minutes.',
                         'type' => 'integer',
                         'minimum' => 1,
                         'maximum' => 120
                     ],
                     'difficulty_level' => [
+                        'description' => 'How much editing the generated page usually needs.',
                         'type' => 'string',
                         'enum' => ['beginner', 'intermediate', 'advanced']
                     ]
@@ -327,6 +434,35 @@ class Schema_Processor {
         ];
     }
 
+    /**
+     * Get available blueprint categories
+     *
+     * @return array Available categories with labels.
+     */
+    public function get_categories() {
+        return [
+            'landing-page' => __( 'Landing Page', 'ai-page-composer' ),
+            'blog-post' => __( 'Blog Post', 'ai-page-composer' ),
+            'product-page' => __( 'Product Page', 'ai-page-composer' ),
+            'about-page' => __( 'About Page', 'ai-page-composer' ),
+            'contact-page' => __( 'Contact Page', 'ai-page-composer' ),
+            'custom' => __( 'Custom', 'ai-page-composer' )
+        ];
+    }
+
+    /**
+     * Get available difficulty levels
+     *
+     * @return array Available difficulty levels with labels.
+     */
+    public function get_difficulty_levels() {
+        return [
+            'beginner' => __( 'Beginner', 'ai-page-composer' ),
+            'intermediate' => __( 'Intermediate', 'ai-page-composer' ),
+            'advanced' => __( 'Advanced', 'ai-page-composer' )
+        ];
+    }
+
     /**
      * Validate individual section data
      *
@@ -378,33 +514,15 @@ class Schema_Processor {
             'image_generation_enabled' => true,
             'seo_optimization' => true,
             'accessibility_checks' => true,
-            'cost_limit_usd' => 5.0
+            'cost_limit_usd' => 5.0,
+            'default_preset' => ''
         ];
 
         $data['global_settings'] = wp_parse_args( $data['global_settings'], $global_defaults );
 
         // Apply section defaults
         if ( isset( $data['sections'] ) && is_array( $data['sections'] ) ) {
-            foreach ( $data['sections'] as $index => $section ) {
-                $section_defaults = [
-                    'heading_level' => 2,
-                    'word_target' => 150,
-                    'media_policy' => 'optional',
-                    'internal_links' => 2,
-                    'citations_required' => true,
-                    'tone' => 'professional',
-                    'allowed_blocks' => [],
-                    'block_preferences' => [
-                        'preferred_plugin' => 'auto',
-                        'primary_block' => '',
-                        'fallback_blocks' => [],
-                        'pattern_preference' => '',
-                        'custom_attributes' => []
-                    ]
-                ];
-
-                $data['sections'][ $index ] = wp_parse_args( $section, $section_defaults );
-            }
+            $data['sections'] = $this->apply_section_defaults( $data['sections'], false );
         }
 
         // Apply metadata defaults
@@ -435,34 +553,7 @@ class Schema_Processor {
     public function sanitize_data( $data ) {
         // Sanitize sections
         if ( isset( $data['sections'] ) && is_array( $data['sections'] ) ) {
-            foreach ( $data['sections'] as $index => $section ) {
-                $data['sections'][ $index ]['id'] = sanitize_key( $section['id'] ?? '' );
-                $data['sections'][ $index ]['type'] = sanitize_text_field( $section['type'] ?? 'content' );
-                $data['sections'][ $index ]['heading'] = sanitize_text_field( $section['heading'] ?? '' );
-                $data['sections'][ $index ]['heading_level'] = absint( $section['heading_level'] ?? 2 );
-                $data['sections'][ $index ]['word_target'] = absint( $section['word_target'] ?? 150 );
-                $data['sections'][ $index ]['media_policy'] = sanitize_text_field( $section['media_policy'] ?? 'optional' );
-                $data['sections'][ $index ]['internal_links'] = absint( $section['internal_links'] ?? 2 );
-                $data['sections'][ $index ]['citations_required'] = (bool) ( $section['citations_required'] ?? true );
-                $data['sections'][ $index ]['tone'] = sanitize_text_field( $section['tone'] ?? 'professional' );
-
-                // Sanitize allowed_blocks array
-                if ( isset( $section['allowed_blocks'] ) && is_array( $section['allowed_blocks'] ) ) {
-                    $data['sections'][ $index ]['allowed_blocks'] = array_map( 'sanitize_text_field', $section['allowed_blocks'] );
-                }
-
-                // Sanitize block preferences
-                if ( isset( $section['block_preferences'] ) && is_array( $section['block_preferences'] ) ) {
-                    $prefs = &$data['sections'][ $index ]['block_preferences'];
-                    $prefs['preferred_plugin'] = sanitize_text_field( $prefs['preferred_plugin'] ?? 'auto' );
-                    $prefs['primary_block'] = sanitize_text_field( $prefs['primary_block'] ?? '' );
-                    $prefs['pattern_preference'] = sanitize_text_field( $prefs['pattern_preference'] ?? '' );
-                    
-                    if ( isset( $prefs['fallback_blocks'] ) && is_array( $prefs['fallback_blocks'] ) ) {
-                        $prefs['fallback_blocks'] = array_map( 'sanitize_text_field', $prefs['fallback_blocks'] );
-                    }
-                }
-            }
+            $data['sections'] = $this->sanitize_sections( $data['sections'], false );
         }
 
         // Sanitize global settings
@@ -497,4 +588,200 @@ class Schema_Processor {
 
         return $data;
     }
-}
\ No newline at end of file
+
+    /**
+     * Flatten nested sections into document order
+     *
+     * Each section gets its depth and parent ID, inherits tone, media_policy and
+     * citations_required from its parent where it doesn't set them (listed in
+     * 'inherited'), and defaults to one heading level below its parent.
+     *
+     * @param array      $sections Nested sections.
+     * @param array|null $parent Resolved parent section, null for top-level sections.
+     * @return array Flat list of resolved sections without their children.
+     */
+    public function flatten_sections( $sections, $parent = null ) {
+        $flat = [];
+
+        foreach ( array_filter( (array) $sections, 'is_array' ) as $section ) {
+            $children = is_array( $section['children'] ?? null ) ? $section['children'] : [];
+            unset( $section['children'] );
+
+            $section['inherited'] = [];
+
+            if ( $parent ) {
+                foreach ( self::INHERITED_SECTION_KEYS as $key ) {
+                    if ( ! isset( $section[ $key ] ) && isset( $parent[ $key ] ) ) {
+                        $section[ $key ] = $parent[ $key ];
+                        $section['inherited'][] = $key;
+                    }
+                }
+
+                if ( ! isset( $section['heading_level'] ) ) {
+                    $section['heading_level'] = min( 6, intval( $parent['heading_level'] ?? 2 ) + 1 );
+                }
+            }
+
+            $section['depth'] = $parent ? $parent['depth'] + 1 : 0;
+            $section['parent_id'] = $parent ? $parent['id'] : '';
+            $section['child_count'] = count( $children );
+
+            $flat[] = $section;
+            $flat = array_merge( $flat, $this->flatten_sections( $children, $section ) );
+        }
+
+        return $flat;
+    }
+
+    /**
+     * Apply section defaults to a level of the section tree
+     *
+     * Child sections don't get defaults for the settings they inherit, or for
+     * their heading level, so those follow the parent.
+     *
+     * @param array $sections Sections at one level.
+     * @param bool  $is_child Whether the sections are children of another section.
+     * @return array Sections with defaults applied.
+     */
+    private function apply_section_defaults( $sections, $is_child ) {
+        $section_defaults = [
+            'heading_level' => 2,
+            'word_target' => 150,
+            'media_policy' => 'optional',
+            'internal_links' => 2,
+            'citations_required' => true,
+            'tone' => 'professional',
+            'allowed_blocks' => [],
+            'block_preferences' => [
+                'preferred_plugin' => 'auto',
+                'primary_block' => '',
+                'fallback_blocks' => [],
+                'pattern_preference' => '',
+                'custom_attributes' => []
+            ]
+        ];
+
+        if ( $is_child ) {
+            $section_defaults = array_diff_key( $section_defaults, array_flip( array_merge( self::INHERITED_SECTION_KEYS, [ 'heading_level' ] ) ) );
+        }
+
+        foreach ( $sections as $index => $section ) {
+            $sections[ $index ] = wp_parse_args( $section, $section_defaults );
+
+            if ( ! empty( $section['children'] ) && is_array( $section['children'] ) ) {
+                $sections[ $index ]['children'] = $this->apply_section_defaults( $section['children'], true );
+            }
+        }
+
+        return $sections;
+    }
+
+    /**
+     * Sanitize a level of the section tree
+     *
+     * @param array $sections Sections at one level.
+     * @param bool  $is_child Whether the sections are children of another section.
+     * @return array Sanitized sections.
+     */
+    private function sanitize_sections( $sections, $is_child ) {
+        foreach ( $sections as $index => $section ) {
+            $sections[ $index ]['id'] = sanitize_key( $section['id'] ?? '' );
+            $sections[ $index ]['type'] = sanitize_text_field( $section['type'] ?? 'content' );
+            $sections[ $index ]['heading'] = sanitize_text_field( $section['heading'] ?? '' );
+            $sections[ $index ]['word_target'] = absint( $section['word_target'] ?? 150 );
+            $sections[ $index ]['internal_links'] = absint( $section['internal_links'] ?? 2 );
+
+            // Children leave unset values to their parent
+            if ( ! $is_child || isset( $section['heading_level'] ) ) {
+                $sections[ $index ]['heading_level'] = absint( $section['heading_level'] ?? 2 );
+            }
+            if ( ! $is_child || isset( $section['media_policy'] ) ) {
+                $sections[ $index ]['media_policy'] = sanitize_text_field( $section['media_policy'] ?? 'optional' );
+            }
+            if ( ! $is_child || isset( $section['citations_required'] ) ) {
+                $sections[ $index ]['citations_required'] = (bool) ( $section['citations_required'] ?? true );
+            }
+            if ( ! $is_child || isset( $section['tone'] ) ) {
+                $sections[ $index ]['tone'] = sanitize_text_field( $section['tone'] ?? 'professional' );
+            }
+
+            // Sanitize allowed_blocks array
+            if ( isset( $section['allowed_blocks'] ) && is_array( $section['allowed_blocks'] ) ) {
+                $sections[ $index ]['allowed_blocks'] = array_map( 'sanitize_text_field', $section['allowed_blocks'] );
+            }
+
+            // Sanitize block preferences
+            if ( isset( $section['block_preferences'] ) && is_array( $section['block_preferences'] ) ) {
+                $prefs = &$sections[ $index ]['block_preferences'];
+                $prefs['preferred_plugin'] = sanitize_text_field( $prefs['preferred_plugin'] ?? 'auto' );
+                $prefs['primary_block'] = sanitize_text_field( $prefs['primary_block'] ?? '' );
+                $prefs['pattern_preference'] = sanitize_text_field( $prefs['pattern_preference'] ?? '' );
+
+                if ( isset( $prefs['fallback_blocks'] ) && is_array( $prefs['fallback_blocks'] ) ) {
+                    $prefs['fallback_blocks'] = array_map( 'sanitize_text_field', $prefs['fallback_blocks'] );
+                }
+                unset( $prefs );
+            }
+
+            // Sanitize section rules
+            if ( isset( $section['condition'] ) ) {
+                $sections[ $index ]['condition'] = $this->sanitize_condition( $section['condition'] );
+                if ( null === $sections[ $index ]['condition'] ) {
+                    unset( $sections[ $index ]['condition'] );
+                }
+            }
+            if ( isset( $section['repeat'] ) ) {
+                $over = str_replace( '-', '_', sanitize_key( $section['repeat']['over'] ?? '' ) );
+                if ( '' === $over ) {
+                    unset( $sections[ $index ]['repeat'] );
+                } else {
+                    $sections[ $index ]['repeat'] = [
+                        'over' => $over,
+                        'max' => max( 1, min( 20, absint( $section['repeat']['max'] ?? 10 ) ) ),
+                    ];
+                }
+            }
+
+            // Sanitize nested sections
+            if ( isset( $section['children'] ) ) {
+                $sections[ $index ]['children'] = is_array( $section['children'] )
+                    ? $this->sanitize_sections( array_values( $section['children'] ), true )
+                    : [];
+            }
+        }
+
+        return $sections;
+    }
+
+    /**
+     * Sanitize a section condition
+     *
+     * @param mixed $condition Condition with 'match' and 'rules'.
+     * @return array|null Sanitized condition, null when it has no rules.
+     */
+    private function sanitize_condition( $condition ) {
+        $rules = [];
+
+        foreach ( (array) ( $condition['rules'] ?? [] ) as $rule ) {
+            $field = is_array( $rule ) ? str_replace( '-', '_', sanitize_key( $rule['field'] ?? '' ) ) : '';
+            if ( '' === $field ) {
+                continue;
+            }
+
+            $rules[] = [
+                'field' => $field,
+                'operator' => sanitize_text_field( $rule['operator'] ?? 'equals' ),
+                'value' => sanitize_text_field( $rule['value'] ?? '' ),
+            ];
+        }
+
+        if ( empty( $rules ) ) {
+            return null;
+        }
+
+        return [
+            'match' => 'any' === ( $condition['match'] ?? 'all' ) ? 'any' : 'all',
+            'rules' => $rules,
+        ];
+    }
+}
@@ -0,0 +1,420 @@
+<?php
+/**
+ * Section Rules Class - Conditional and Repeatable Blueprint Sections
+ *
+ * This file contains the Section_Rules class that evaluates the `condition`
+ * and `repeat` rules of blueprint sections against the generation inputs. A
+ * condition decides whether a section is generated at all; a repeat generates
+ * the section once per item of a list named in the brief, such as
+ * "Products: Acme One, Acme Two". assets/js/section-rules.js mirrors these
+ * rules for the blueprint editor.
+ *
+ * @package AIPageComposer
+ */
+
+namespace AIPageComposer\Blueprints;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Section Rules class
+ */
+class Section_Rules {
+
+    /**
+     * Condition operators and the words used for them in expressions
+     */
+    const OPERATORS = [
+        'not_empty' => 'is not empty',
+        'is_empty' => 'is empty',
+        'not_equals' => 'is not',
+        'equals' => 'is',
+        'not_contains' => 'does not contain',
+        'contains' => 'contains',
+        'min_items' => 'has at least',
+    ];
+
+    /**
+     * Operators that don't take a value
+     */
+    const VALUELESS_OPERATORS = [ 'is_empty', 'not_empty' ];
+
+    /**
+     * Placeholder replaced with the repeat item in headings
+     */
+    const ITEM_PLACEHOLDER = '{item}';
+
+    /**
+     * Build the variables rules are evaluated against
+     *
+     * Lists in the brief become variables named after their label, so
+     * "Products: A, B and C" gives `products` => [ 'A', 'B', 'C' ].
+     *
+     * @param array $inputs Generation inputs: brief, audience and tone.
+     * @return array Variables keyed by name.
+     */
+    public function build_context( $inputs ) {
+        $brief = (string) ( $inputs['brief'] ?? '' );
+
+        return array_merge(
+            $this->parse_brief_lists( $brief ),
+            [
+                'brief' => $brief,
+                'audience' => (string) ( $inputs['audience'] ?? '' ),
+                'tone' => (string) ( $inputs['tone'] ?? '' ),
+                'item' => '',
+            ]
+        );
+    }
+
+    /**
+     * Find labelled lists in a brief
+     *
+     * A list is either a "Label: a, b and c" line or a "Label:" line followed
+     * by bulleted items.
+     *
+     * @param string $brief Content brief.
+     * @return array Lists keyed by their label as a slug.
+     */
+    public function parse_brief_lists( $brief ) {
+        $lists = [];
+        $current = null;
+
+        foreach ( preg_split( '/\r\n|\r|\n/', (string) $brief ) as $line ) {
+            $line = trim( $line );
+
+            if ( null !== $current && preg_match( '/^(?:[-*•]|\d+[.)])\s+(.+)$/u', $line, $matches ) ) {
+                $lists[ $current ][] = trim( $matches[1] );
+                continue;
+            }
+
+            $current = null;
+
+            if ( ! preg_match( '/^([A-Za-z][A-Za-z0-9 _-]{0,40}):\s*(.*)$/', $line, $matches ) ) {
+                continue;
+            }
+
+            $name = trim( preg_replace( '/[^a-z0-9]+/', '_', strtolower( $matches[1] ) ), '_' );
+            $items = array_values( array_filter( array_map( 'trim', preg_split( '/\s*(?:,|;|\band\b)\s*/i', $matches[2] ) ), 'strlen' ) );
+
+            $lists[ $name ] = $items;
+            if ( empty( $items ) ) {
+                $current = $name;
+            }
+        }
+
+        return $lists;
+    }
+
+    /**
+     * Apply conditions and repeats to a section tree
+     *
+     * Sections whose condition fails are dropped with their children.
+     * Repeated sections are copied once per item, with {item} in the heading
+     * replaced, `-N` added to the ID, and `source_id` and `repeat_item` set.
+     *
+     * @param array $sections Nested blueprint sections.
+     * @param array $context Variables from build_context().
+     * @return array Expanded sections.
+     */
+    public function apply( $sections, $context ) {
+        $expanded = [];
+
+        foreach ( array_filter( (array) $sections, 'is_array' ) as $section ) {
+            $repeat = $section['repeat'] ?? null;
+            $items = is_array( $repeat ) && ! empty( $repeat['over'] ) ? $this->get_repeat_items( $repeat, $context ) : [ null ];
+
+            foreach ( $items as $index => $item ) {
+                $item_context = null === $item ? $context : array_merge( $context, [ 'item' => $item ] );
+
+                if ( ! $this->evaluate_condition( $section['condition'] ?? null, $item_context ) ) {
+                    continue;
+                }
+
+                $copy = null === $item ? $section : $this->repeat_section( $section, $item, $index + 1 );
+
+                if ( ! empty( $copy['children'] ) && is_array( $copy['children'] ) ) {
+                    $copy['children'] = $this->apply( $copy['children'], $item_context );
+                }
+
+                $expanded[] = $copy;
+            }
+        }
+
+        return $expanded;
+    }
+
+    /**
+     * Evaluate a section condition
+     *
+     * @param array|null $condition Condition with 'match' ('all' or 'any') and 'rules'.
+     * @param array      $context Variables from build_context().
+     * @return bool Whether the section should be generated.
+     */
+    public function evaluate_condition( $condition, $context ) {
+        $rules = is_array( $condition ) ? array_filter( (array) ( $condition['rules'] ?? [] ), 'is_array' ) : [];
+
+        if ( empty( $rules ) ) {
+            return true;
+        }
+
+        $results = array_map( function( $rule ) use ( $context ) {
+            return $this->evaluate_rule( $rule, $context );
+        }, $rules );
+
+        return 'any' === ( $condition['match'] ?? 'all' ) ? in_array( true, $results, true ) : ! in_array( false, $results, true );
+    }
+
+    /**
+     * Evaluate one condition rule
+     *
+     * Text comparisons ignore case. Against a list, is and contains match
+     * when any item matches.
+     *
+     * @param array $rule Rule with field, operator and value.
+     * @param array $context Variables from build_context().
+     * @return bool Whether the rule holds.
+     */
+    public function evaluate_rule( $rule, $context ) {
+        $actual = $context[ $rule['field'] ?? '' ] ?? '';
+        $values = is_array( $actual ) ? $actual : ( '' === trim( $actual ) ? [] : [ $actual ] );
+        $expected = strtolower( trim( (string) ( $rule['value'] ?? '' ) ) );
+
+        $any = function( $test ) use ( $values ) {
+            foreach ( $values as $value ) {
+                if ( $test( strtolower( trim( (string) $value ) ) ) ) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        $equals = function( $value ) use ( $expected ) {
+            return $value === $expected;
+        };
+
+        $contains = function( $value ) use ( $expected ) {
+            return '' === $expected || false !== strpos( $value, $expected );
+        };
+
+        switch ( $rule['operator'] ?? '' ) {
+            case 'equals':
+                return $any( $equals );
+            case 'not_equals':
+                return ! $any( $equals );
+            case 'contains':
+                return $any( $contains );
+            case 'not_contains':
+                return ! $any( $contains );
+            case 'is_empty':
+                return empty( $values );
+            case 'not_empty':
+                return ! empty( $values );
+            case 'min_items':
+                return count( $values ) >= intval( $expected );
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the items a repeated section is generated for
+     *
+     * @param array $repeat Repeat rule with 'over' (list name) and 'max'.
+     * @param array $context Variables from build_context().
+     * @return array Items, at most 'max' of them.
+     */
+    public function get_repeat_items( $repeat, $context ) {
+        $list = $context[ $repeat['over'] ?? '' ] ?? [];
+        $items = is_array( $list ) ? $list : array_filter( [ trim( (string) $list ) ], 'strlen' );
+
+        return array_slice( array_values( $items ), 0, max( 1, intval( $repeat['max'] ?? 10 ) ) );
+    }
+
+    /**
+     * Parse a condition expression such as `audience contains "beginner" and products has at least 2`
+     *
+     * Clauses are joined with either "and" or "or", not both. Quote values
+     * that contain spaces, "and" or "or".
+     *
+     * @param string $expression Condition expression.
+     * @return array|\WP_Error Condition with 'match' and 'rules', or error.
+     */
+    public function parse_condition( $expression ) {
+        preg_match_all( '/"([^"]*)"|\'([^\']*)\'|(\S+)/', (string) $expression, $matches, PREG_SET_ORDER );
+
+        $clauses = [ [] ];
+        $joins = [];
+        foreach ( $matches as $match ) {
+            $quoted = ! isset( $match[3] ) || '' === $match[3];
+            $word = $quoted ? ( '' !== $match[1] ? $match[1] : ( $match[2] ?? '' ) ) : $match[3];
+
+            if ( ! $quoted && in_array( strtolower( $word ), [ 'and', 'or' ], true ) ) {
+                $joins[] = strtolower( $word );
+                $clauses[] = [];
+                continue;
+            }
+
+            $clauses[ count( $clauses ) - 1 ][] = [ 'text' => $word, 'quoted' => $quoted ];
+        }
+
+        if ( count( array_unique( $joins ) ) > 1 ) {
+            return new \WP_Error( 'invalid_condition', __( 'Use either "and" or "or" between rules, not both.', 'ai-page-composer' ) );
+        }
+
+        $rules = [];
+        foreach ( $clauses as $tokens ) {
+            $rule = $this->parse_rule( $tokens );
+            if ( is_wp_error( $rule ) ) {
+                return $rule;
+            }
+            $rules[] = $rule;
+        }
+
+        return [
+            'match' => in_array( 'or', $joins, true ) ? 'any' : 'all',
+            'rules' => $rules,
+        ];
+    }
+
+    /**
+     * Write a condition as an expression
+     *
+     * @param array $condition Condition with 'match' and 'rules'.
+     * @return string Expression parse_condition() reads back.
+     */
+    public function format_condition( $condition ) {
+        $clauses = [];
+
+        foreach ( (array) ( $condition['rules'] ?? [] ) as $rule ) {
+            $operator = $rule['operator'] ?? 'equals';
+            $clause = ( $rule['field'] ?? '' ) . ' ' . ( self::OPERATORS[ $operator ] ?? $operator );
+
+            if ( ! in_array( $operator, self::VALUELESS_OPERATORS, true ) ) {
+                $value = (string) ( $rule['value'] ?? '' );
+                $clause .= ' ' . ( 'min_items' === $operator ? intval( $value ) : '"' . str_replace( '"', "'", $value ) . '"' );
+            }
+
+            $clauses[] = $clause;
+        }
+
+        return implode( 'any' === ( $condition['match'] ?? 'all' ) ? ' or ' : ' and ', $clauses );
+    }
+
+    /**
+     * Parse the tokens of one clause into a rule
+     *
+     * @param array $tokens Clause tokens with 'text' and 'quoted'.
+     * @return array|\WP_Error Rule or error.
+     */
+    private function parse_rule( $tokens ) {
+        if ( empty( $tokens ) || $tokens[0]['quoted'] || ! preg_match( '/^[a-z0-9_]+$/i', $tokens[0]['text'] ) ) {
+            return new \WP_Error( 'invalid_condition', __( 'Each rule must start with a variable name, such as audience or products.', 'ai-page-composer' ) );
+        }
+
+        $field = strtolower( $tokens[0]['text'] );
+        $rest = array_slice( $tokens, 1 );
+
+        foreach ( self::OPERATORS as $operator => $phrase ) {
+            $words = explode( ' ', $phrase );
+            $head = array_slice( $rest, 0, count( $words ) );
+
+            $matches = count( $head ) === count( $words ) && ! in_array( true, array_column( $head, 'quoted' ), true )
+                && strtolower( implode( ' ', array_column( $head, 'text' ) ) ) === $phrase;
+
+            if ( ! $matches ) {
+                continue;
+            }
+
+            $value = implode( ' ', array_column( array_slice( $rest, count( $words ) ), 'text' ) );
+            $valueless = in_array( $operator, self::VALUELESS_OPERATORS, true );
+
+            if ( $valueless !== ( '' === $value ) || ( 'min_items' === $operator && ! ctype_digit( $value ) ) ) {
+                return new \WP_Error(
+                    'invalid_condition',
+                    /* translators: %s: condition operator, e.g. "contains" */
+                    sprintf( __( 'Check the value after "%s".', 'ai-page-composer' ), $phrase )
+                );
+            }
+
+            return [
+                'field' => $field,
+                'operator' => $operator,
+                'value' => $value,
+            ];
+        }
+
+        return new \WP_Error(
+            'invalid_condition',
+            /* translators: %s: list of condition operators */
+            sprintf( __( 'Unknown operator. Use one of: %s.', 'ai-page-composer' ), implode( ', ', self::OPERATORS ) )
+        );
+    }
+
+    /**
+     * Copy a section for one repeat item
+     *
+     * @param array  $section Blueprint section.
+     * @param string $item Repeat item.
+     * @param int    $number 1-based item number.
+     * @return array Section copy.
+     */
+    private function repeat_section( $section, $item, $number ) {
+        $suffix = '-' . $number;
+        $id = (string) ( $section['id'] ?? 'section' );
+
+        $section['source_id'] = $id;
+        $section['id'] = substr( $id, 0, 50 - strlen( $suffix ) ) . $suffix;
+        $section['repeat_item'] = $item;
+        $section['heading'] = $this->replace_item( $section['heading'] ?? '', $item );
+
+        if ( ! empty( $section['children'] ) && is_array( $section['children'] ) ) {
+            $section['children'] = $this->repeat_children( $section['children'], $item, $suffix );
+        }
+
+        unset( $section['repeat'] );
+
+        return $section;
+    }
+
+    /**
+     * Give the children of a repeated section unique IDs and the item in their headings
+     *
+     * @param array  $children Child sections.
+     * @param string $item Repeat item.
+     * @param string $suffix ID suffix of the repeated parent.
+     * @return array Child sections.
+     */
+    private function repeat_children( $children, $item, $suffix ) {
+        foreach ( $children as $index => $child ) {
+            if ( ! is_array( $child ) ) {
+                continue;
+            }
+
+            $id = (string) ( $child['id'] ?? 'section' );
+            $children[ $index ]['source_id'] = $child['source_id'] ?? $id;
+            $children[ $index ]['id'] = substr( $id, 0, 50 - strlen( $suffix ) ) . $suffix;
+            $children[ $index ]['heading'] = $this->replace_item( $child['heading'] ?? '', $item );
+
+            if ( ! empty( $child['children'] ) && is_array( $child['children'] ) ) {
+                $children[ $index ]['children'] = $this->repeat_children( $child['children'], $item, $suffix );
+            }
+        }
+
+        return $children;
+    }
+
+    /**
+     * Replace the item placeholder in a heading
+     *
+     * @param string $heading Heading.
+     * @param string $item Repeat item.
+     * @return string Heading.
+     */
+    private function replace_item( $heading, $item ) {
+        return str_ireplace( self::ITEM_PLACEHOLDER, $item, (string) $heading );
+    }
+}
@@ -0,0 +1,163 @@
+<?php
+/**
+ * Starter Blueprints Class - Bundled Blueprints for the Blueprint Library
+ *
+ * This file contains the Starter_Blueprints class that defines the blueprints
+ * shipped with the plugin. Teams install a starter from the Blueprint Library
+ * as a draft blueprint and customize it from there.
+ *
+ * @package AIPageComposer
+ */
+
+namespace AIPageComposer\Blueprints;
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Starter Blueprints class
+ */
+class Starter_Blueprints {
+
+    /**
+     * Post meta key linking an installed blueprint to its starter
+     */
+    const META_KEY = '_ai_blueprint_starter';
+
+    /**
+     * Schema processor instance
+     *
+     * @var Schema_Processor
+     */
+    private $schema_processor;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->schema_processor = new Schema_Processor();
+    }
+
+    /**
+     * Get all starter blueprints
+     *
+     * @return array Starters keyed by slug, each with title and blueprint data.
+     */
+    public function get_all() {
+        $starters = apply_filters( 'ai_composer_starter_blueprints', $this->get_definitions() );
+
+        foreach ( $starters as $slug => $starter ) {
+            $starters[ $slug ]['slug'] = $slug;
+            $starters[ $slug ]['blueprint'] = $this->schema_processor->apply_defaults( $starter['blueprint'] );
+        }
+
+        return $starters;
+    }
+
+    /**
+     * Get one starter blueprint
+     *
+     * @param string $slug Starter slug.
+     * @return array|null Starter or null if not found.
+     */
+    public function get( $slug ) {
+        $starters = $this->get_all();
+
+        return $starters[ $slug ] ?? null;
+    }
+
+    /**
+     * Get the bundled starter definitions
+     *
+     * @return array Starter definitions keyed by slug.
+     */
+    private function get_definitions() {
+        return [
+            'landing-page' => [
+                'title' => __( 'Landing Page', 'ai-page-composer' ),
+                'blueprint' => [
+                    'sections' => [
+                        [ 'id' => 'hero', 'type' => 'hero', 'heading' => __( 'Headline and Value Proposition', 'ai-page-composer' ), 'heading_level' => 1, 'word_target' => 60, 'media_policy' => 'required', 'internal_links' => 0, 'citations_required' => false, 'tone' => 'friendly' ],
+                        [ 'id' => 'benefits', 'type' => 'columns', 'heading' => __( 'Key Benefits', 'ai-page-composer' ), 'word_target' => 180, 'media_policy' => 'optional', 'internal_links' => 1, 'citations_required' => false, 'tone' => 'friendly' ],
+                        [ 'id' => 'how-it-works', 'type' => 'list', 'heading' => __( 'How It Works', 'ai-page-composer' ), 'word_target' => 150, 'media_policy' => 'optional', 'internal_links' => 1, 'citations_required' => false, 'tone' => 'friendly' ],
+                        [ 'id' => 'testimonials', 'type' => 'testimonial', 'heading' => __( 'What Customers Say', 'ai-page-composer' ), 'word_target' => 120, 'media_policy' => 'optional', 'internal_links' => 0, 'citations_required' => true, 'tone' => 'friendly' ],
+                        [ 'id' => 'pricing', 'type' => 'pricing', 'heading' => __( 'Plans and Pricing', 'ai-page-composer' ), 'word_target' => 120, 'media_policy' => 'none', 'internal_links' => 1, 'citations_required' => false, 'tone' => 'professional' ],
+                        [ 'id' => 'faq', 'type' => 'faq', 'heading' => __( 'Frequently Asked Questions', 'ai-page-composer' ), 'word_target' => 200, 'media_policy' => 'none', 'internal_links' => 2, 'citations_required' => false, 'tone' => 'friendly' ],
+                        [ 'id' => 'cta', 'type' => 'cta', 'heading' => __( 'Get Started Today', 'ai-page-composer' ), 'word_target' => 40, 'media_policy' => 'none', 'internal_links' => 1, 'citations_required' => false, 'tone' => 'friendly' ],
+                    ],
+                    'global_settings' => [ 'generation_mode' => 'hybrid', 'hybrid_alpha' => 0.5 ],
+                    'metadata' => [
+                        'description' => __( 'Conversion-focused page with a hero, benefits, social proof, pricing and a closing call to action.', 'ai-page-composer' ),
+                        'tags' => [ 'marketing', 'conversion' ],
+                        'category' => 'landing-page',
+                        'difficulty_level' => 'beginner',
+                        'estimated_time_minutes' => 10,
+                    ],
+                ],
+            ],
+            'product-review' => [
+                'title' => __( 'Product Review', 'ai-page-composer' ),
+                'blueprint' => [
+                    'sections' => [
+                        [ 'id' => 'verdict', 'type' => 'hero', 'heading' => __( 'The Verdict', 'ai-page-composer' ), 'heading_level' => 1, 'word_target' => 100, 'media_policy' => 'required', 'internal_links' => 0, 'citations_required' => false, 'tone' => 'authoritative' ],
+                        [ 'id' => 'overview', 'type' => 'content', 'heading' => __( 'Product Overview', 'ai-page-composer' ), 'word_target' => 250, 'media_policy' => 'optional', 'internal_links' => 1, 'citations_required' => true, 'tone' => 'professional' ],
+                        [ 'id' => 'features', 'type' => 'media_text', 'heading' => __( 'Features in Practice', 'ai-page-composer' ), 'word_target' => 400, 'media_policy' => 'required', 'internal_links' => 2, 'citations_required' => true, 'tone' => 'professional' ],
+                        [ 'id' => 'pros-cons', 'type' => 'columns', 'heading' => __( 'Pros and Cons', 'ai-page-composer' ), 'word_target' => 150, 'media_policy' => 'none', 'internal_links' => 0, 'citations_required' => false, 'tone' => 'professional' ],
+                        [ 'id' => 'alternatives', 'type' => 'list', 'heading' => __( 'Alternatives to Consider', 'ai-page-composer' ), 'word_target' => 200, 'media_policy' => 'none', 'internal_links' => 3, 'citations_required' => true, 'tone' => 'professional' ],
+                        [ 'id' => 'buy', 'type' => 'cta', 'heading' => __( 'Where to Buy', 'ai-page-composer' ), 'word_target' => 50, 'media_policy' => 'none', 'internal_links' => 1, 'citations_required' => false, 'tone' => 'professional' ],
+                    ],
+                    'global_settings' => [ 'generation_mode' => 'grounded' ],
+                    'metadata' => [
+                        'description' => __( 'In-depth review with a verdict up front, hands-on feature notes, pros and cons and alternatives.', 'ai-page-composer' ),
+                        'tags' => [ 'review', 'product' ],
+                        'category' => 'product-page',
+                        'difficulty_level' => 'intermediate',
+                        'estimated_time_minutes' => 20,
+                    ],
+                ],
+            ],
+            'how-to' => [
+                'title' => __( 'How-To Guide', 'ai-page-composer' ),
+                'blueprint' => [
+                    'sections' => [
+                        [ 'id' => 'intro', 'type' => 'content', 'heading' => __( 'What You Will Learn', 'ai-page-composer' ), 'heading_level' => 1, 'word_target' => 120, 'media_policy' => 'optional', 'internal_links' => 1, 'citations_required' => false, 'tone' => 'friendly' ],
+                        [ 'id' => 'requirements', 'type' => 'list', 'heading' => __( 'What You Need', 'ai-page-composer' ), 'word_target' => 80, 'media_policy' => 'none', 'internal_links' => 2, 'citations_required' => false, 'tone' => 'technical' ],
+                        [ 'id' => 'steps', 'type' => 'list', 'heading' => __( 'Step-by-Step Instructions', 'ai-page-composer' ), 'word_target' => 600, 'media_policy' => 'required', 'internal_links' => 2, 'citations_required' => true, 'tone' => 'technical' ],
+                        [ 'id' => 'troubleshooting', 'type' => 'faq', 'heading' => __( 'Troubleshooting', 'ai-page-composer' ), 'word_target' => 250, 'media_policy' => 'none', 'internal_links' => 1, 'citations_required' => true, 'tone' => 'technical' ],
+                        [ 'id' => 'next-steps', 'type' => 'cta', 'heading' => __( 'Next Steps', 'ai-page-composer' ), 'word_target' => 60, 'media_policy' => 'none', 'internal_links' => 2, 'citations_required' => false, 'tone' => 'friendly' ],
+                    ],
+                    'global_settings' => [ 'generation_mode' => 'hybrid', 'hybrid_alpha' => 0.7 ],
+                    'metadata' => [
+                        'description' => __( 'Task-focused tutorial with prerequisites, numbered steps and troubleshooting.', 'ai-page-composer' ),
+                        'tags' => [ 'tutorial', 'guide' ],
+                        'category' => 'blog-post',
+                        'difficulty_level' => 'beginner',
+                        'estimated_time_minutes' => 15,
+                    ],
+                ],
+            ],
+            'comparison' => [
+                'title' => __( 'Comparison', 'ai-page-composer' ),
+                'blueprint' => [
+                    'sections' => [
+                        [ 'id' => 'summary', 'type' => 'content', 'heading' => __( 'Quick Comparison', 'ai-page-composer' ), 'heading_level' => 1, 'word_target' => 120, 'media_policy' => 'optional', 'internal_links' => 0, 'citations_required' => false, 'tone' => 'professional' ],
+                        [ 'id' => 'comparison-table', 'type' => 'pricing', 'heading' => __( 'Side-by-Side Features', 'ai-page-composer' ), 'word_target' => 200, 'media_policy' => 'none', 'internal_links' => 0, 'citations_required' => true, 'tone' => 'technical' ],
+                        [ 'id' => 'option-a', 'type' => 'media_text', 'heading' => __( 'Option A in Detail', 'ai-page-composer' ), 'word_target' => 300, 'media_policy' => 'optional', 'internal_links' => 1, 'citations_required' => true, 'tone' => 'professional' ],
+                        [ 'id' => 'option-b', 'type' => 'media_text', 'heading' => __( 'Option B in Detail', 'ai-page-composer' ), 'word_target' => 300, 'media_policy' => 'optional', 'internal_links' => 1, 'citations_required' => true, 'tone' => 'professional' ],
+                        [ 'id' => 'recommendation', 'type' => 'quote', 'heading' => __( 'Which One Should You Choose?', 'ai-page-composer' ), 'word_target' => 180, 'media_policy' => 'none', 'internal_links' => 1, 'citations_required' => false, 'tone' => 'authoritative' ],
+                    ],
+                    'global_settings' => [ 'generation_mode' => 'grounded' ],
+                    'metadata' => [
+                        'description' => __( 'Head-to-head comparison of two options with a feature table and a clear recommendation.', 'ai-page-composer' ),
+                        'tags' => [ 'comparison', 'versus' ],
+                        'category' => 'blog-post',
+                        'difficulty_level' => 'intermediate',
+                        'estimated_time_minutes' => 20,
+                    ],
+                ],
+            ],
+        ];
+    }
+}
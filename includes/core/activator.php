@@ -188,6 +188,7 @@ class Activator {
                 'faq' => 'auto',
                 'cta' => 'auto',
             ),
+            'section_blocks' => array(),
             'custom_block_types' => array(),
         );
 
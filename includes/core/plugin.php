@@ -17,8 +17,12 @@ namespace AIPageComposer\Core;
 use AIPageComposer\Admin\Admin_Manager;
 use AIPageComposer\Admin\Settings_Manager;
 use AIPageComposer\Admin\Block_Preferences;
+use AIPageComposer\Admin\Outline_Presets;
 use AIPageComposer\API\API_Manager;
 use AIPageComposer\API\Outline_Controller;
+use AIPageComposer\API\Cost_Estimator;
+use AIPageComposer\API\Wizard_Session_Controller;
+use AIPageComposer\API\Outline_Preset_Controller;
 use AIPageComposer\Utils\Security_Helper;
 use AIPageComposer\Blueprints\Blueprint_Manager;
 use AIPageComposer\Blueprints\Blueprint_REST_Controller;
@@ -71,6 +75,27 @@ class Plugin {
 	 */
 	public $outline_controller;
 
+	/**
+	 * Wizard session controller instance
+	 *
+	 * @var Wizard_Session_Controller
+	 */
+	public $wizard_sessions;
+
+	/**
+	 * Outline presets instance
+	 *
+	 * @var Outline_Presets
+	 */
+	public $outline_presets;
+
+	/**
+	 * Outline preset controller instance
+	 *
+	 * @var Outline_Preset_Controller
+	 */
+	public $outline_preset_controller;
+
 	/**
 	 * Security helper instance
 	 *
@@ -135,6 +160,7 @@ class Plugin {
 	private function init_hooks() {
 		add_action( 'init', array( $this, 'init_plugin' ) );
 		add_action( 'wp_enqueue_scripts', array( $this, 'enqueue_scripts' ) );
+		add_action( 'admin_enqueue_scripts', array( $this, 'register_admin_scripts' ), 5 );
 		add_action( 'wp_head', array( $this, 'add_meta_tags' ) );
 
 		// Register scheduled event hooks
@@ -173,12 +199,21 @@ class Plugin {
 		$this->outline_controller = new Outline_Controller( $this->blueprints, $this->block_preferences );
 		$this->api->set_outline_controller( $this->outline_controller );
 
+		// Initialize wizard session persistence
+		$this->wizard_sessions = new Wizard_Session_Controller();
+
+		// Initialize outline form presets
+		$this->outline_presets = new Outline_Presets();
+		$this->outline_preset_controller = new Outline_Preset_Controller( $this->outline_presets );
+
 		// Initialize governance system
 		$this->governance = new Governance_Controller();
 		$this->governance->init();
 
 		// Register REST routes after init
 		add_action( 'rest_api_init', array( $this->blueprint_rest, 'register_routes' ) );
+		add_action( 'rest_api_init', array( $this->wizard_sessions, 'register_routes' ) );
+		add_action( 'rest_api_init', array( $this->outline_preset_controller, 'register_routes' ) );
 	}
 
 	/**
@@ -228,6 +263,100 @@ class Plugin {
 		);
 	}
 
+	/**
+	 * Register scripts shared by the admin screens
+	 *
+	 * Registered early so that screen-specific scripts can declare them as
+	 * dependencies.
+	 */
+	public function register_admin_scripts() {
+		wp_register_script(
+			'ai-composer-template-renderer',
+			AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/template-renderer.js',
+			array(),
+			AI_PAGE_COMPOSER_VERSION,
+			true
+		);
+
+		wp_register_script(
+			'ai-composer-command-history',
+			AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/command-history.js',
+			array( 'jquery' ),
+			AI_PAGE_COMPOSER_VERSION,
+			true
+		);
+
+		wp_register_script(
+			'ai-composer-section-rules',
+			AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/section-rules.js',
+			array(),
+			AI_PAGE_COMPOSER_VERSION,
+			true
+		);
+
+		wp_register_script(
+			'ai-composer-cost-estimator',
+			AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/cost-estimator.js',
+			array(),
+			AI_PAGE_COMPOSER_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'ai-composer-cost-estimator',
+			'aiComposerPricing',
+			( new Cost_Estimator() )->get_pricing()
+		);
+
+		wp_register_style(
+			'ai-composer-command-history',
+			AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/css/command-history.css',
+			array(),
+			AI_PAGE_COMPOSER_VERSION
+		);
+
+		wp_register_script(
+			'ai-composer-outline-step',
+			AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/outline-step.js',
+			array( 'jquery', 'jquery-ui-sortable', 'wp-api-fetch', 'wp-a11y', 'ai-composer-template-renderer', 'ai-composer-command-history', 'ai-composer-cost-estimator' ),
+			AI_PAGE_COMPOSER_VERSION,
+			true
+		);
+
+		wp_register_script(
+			'ai-composer-assembly-interface',
+			AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/assembly-interface.js',
+			array( 'jquery', 'wp-api', 'ai-composer-template-renderer' ),
+			AI_PAGE_COMPOSER_VERSION,
+			true
+		);
+
+		wp_register_style(
+			'ai-composer-assembly-interface',
+			AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/css/assembly-interface.css',
+			array(),
+			AI_PAGE_COMPOSER_VERSION
+		);
+
+		wp_register_script(
+			'ai-composer-wizard-session',
+			AI_PAGE_COMPOSER_PLUGIN_URL . 'assets/js/wizard-session.js',
+			array( 'jquery', 'wp-api-fetch', 'ai-composer-template-renderer', 'ai-composer-outline-step' ),
+			AI_PAGE_COMPOSER_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'ai-composer-wizard-session',
+			'aiComposerWizardSession',
+			array(
+				'restUrl'  => rest_url( 'ai-composer/v1/wizard-sessions' ),
+				'nonce'    => wp_create_nonce( 'wp_rest' ),
+				'autosave' => 1500,
+			)
+		);
+	}
+
 	/**
 	 * Add meta tags for AI Page Composer
 	 */
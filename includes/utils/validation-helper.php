@@ -11,6 +11,8 @@
 
 namespace AIPageComposer\Utils;
 
+use AIPageComposer\API\Cost_Estimator;
+
 // Prevent direct access
 if ( ! defined( 'ABSPATH' ) ) {
     exit;
@@ -269,6 +271,31 @@ class Validation_Helper {
         return $sanitized;
     }
 
+    /**
+     * Sanitize preferred blocks per section type
+     *
+     * @param mixed $value Block names keyed by section type.
+     * @return array The sanitized section blocks
+     */
+    public static function sanitize_section_blocks( $value ) {
+        if ( ! is_array( $value ) ) {
+            return array();
+        }
+
+        $sanitized = array();
+        foreach ( $value as $section => $block_name ) {
+            $clean_section = sanitize_key( $section );
+            $clean_block = is_string( $block_name ) ? strtolower( trim( $block_name ) ) : '';
+
+            // Block names are namespace/name
+            if ( ! empty( $clean_section ) && preg_match( '/^[a-z0-9-]+\/[a-z0-9-]+$/', $clean_block ) ) {
+                $sanitized[ $clean_section ] = $clean_block;
+            }
+        }
+
+        return $sanitized;
+    }
+
     /**
      * Sanitize license filters
      *
@@ -373,6 +400,35 @@ class Validation_Helper {
         return $schedule;
     }
 
+    /**
+     * Sanitize the cost estimator pricing table
+     *
+     * @param mixed $value The pricing table to sanitize.
+     * @return array The sanitized pricing table
+     */
+    public static function sanitize_pricing_table( $value ) {
+        $defaults = Cost_Estimator::DEFAULT_PRICING;
+        $value = is_array( $value ) ? $value : array();
+        $model = sanitize_text_field( $value['model'] ?? $defaults['model'] );
+
+        if ( 'custom' !== $model && ! isset( Cost_Estimator::MODELS[ $model ] ) ) {
+            add_settings_error(
+                'ai_composer_settings',
+                'invalid_pricing_model',
+                __( 'Invalid pricing model.', 'ai-page-composer' )
+            );
+            $model = $defaults['model'];
+        }
+
+        return array(
+            'model'          => $model,
+            'input_per_1k'   => self::validate_float_range( $value['input_per_1k'] ?? $defaults['input_per_1k'], 0.0, 1.0, $defaults['input_per_1k'] ),
+            'output_per_1k'  => self::validate_float_range( $value['output_per_1k'] ?? $defaults['output_per_1k'], 0.0, 1.0, $defaults['output_per_1k'] ),
+            'image_cost'     => self::validate_float_range( $value['image_cost'] ?? $defaults['image_cost'], 0.0, 10.0, $defaults['image_cost'] ),
+            'retrieval_cost' => self::validate_float_range( $value['retrieval_cost'] ?? $defaults['retrieval_cost'], 0.0, 1.0, $defaults['retrieval_cost'] ),
+        );
+    }
+
     /**
      * Sanitize and validate URL
      *
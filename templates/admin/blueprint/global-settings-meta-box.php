@@ -21,7 +21,15 @@ $global_settings = wp_parse_args( $global_settings, array(
     'image_generation_enabled' => true,
     'seo_optimization' => true,
     'accessibility_checks' => true,
-    'cost_limit_usd' => 5.0
+    'cost_limit_usd' => 5.0,
+    'default_preset' => ''
+) );
+
+$metadata = wp_parse_args( $metadata, array(
+    'category' => 'custom',
+    'difficulty_level' => 'intermediate',
+    'description' => '',
+    'tags' => array()
 ) );
 ?>
 
@@ -110,6 +118,57 @@ $global_settings = wp_parse_args( $global_settings, array(
         </p>
     </div>
     
+    <div class="field-group">
+        <label for="default_preset"><?php esc_html_e( 'Default Outline Preset:', 'ai-page-composer' ); ?></label>
+        <select id="default_preset" name="global_settings[default_preset]">
+            <option value=""><?php esc_html_e( 'None', 'ai-page-composer' ); ?></option>
+            <?php foreach ( $outline_presets as $preset_id => $preset ) : ?>
+                <option value="<?php echo esc_attr( $preset_id ); ?>" 
+                        <?php selected( $global_settings['default_preset'], $preset_id ); ?>>
+                    <?php echo esc_html( $preset['name'] ); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+        <p class="description">
+            <?php esc_html_e( 'Sitewide outline preset applied to the outline form when this blueprint is selected.', 'ai-page-composer' ); ?>
+        </p>
+    </div>
+    
+    <div class="field-group library-details">
+        <h4><?php esc_html_e( 'Library Details', 'ai-page-composer' ); ?></h4>
+        
+        <label for="blueprint_category"><?php esc_html_e( 'Category:', 'ai-page-composer' ); ?></label>
+        <select id="blueprint_category" name="metadata[category]">
+            <?php foreach ( $categories as $category => $label ) : ?>
+                <option value="<?php echo esc_attr( $category ); ?>" <?php selected( $metadata['category'], $category ); ?>>
+                    <?php echo esc_html( $label ); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+        
+        <label for="blueprint_difficulty"><?php esc_html_e( 'Difficulty:', 'ai-page-composer' ); ?></label>
+        <select id="blueprint_difficulty" name="metadata[difficulty_level]">
+            <?php foreach ( $difficulty_levels as $level => $label ) : ?>
+                <option value="<?php echo esc_attr( $level ); ?>" <?php selected( $metadata['difficulty_level'], $level ); ?>>
+                    <?php echo esc_html( $label ); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+        
+        <label for="blueprint_description"><?php esc_html_e( 'Description:', 'ai-page-composer' ); ?></label>
+        <textarea id="blueprint_description" name="metadata[description]" rows="3" maxlength="500" class="widefat"><?php echo esc_textarea( $metadata['description'] ); ?></textarea>
+        
+        <label for="blueprint_tags"><?php esc_html_e( 'Tags:', 'ai-page-composer' ); ?></label>
+        <input type="text" 
+               id="blueprint_tags" 
+               name="metadata[tags]" 
+               value="<?php echo esc_attr( implode( ', ', (array) $metadata['tags'] ) ); ?>"
+               class="widefat">
+        <p class="description">
+            <?php esc_html_e( 'Used to find the blueprint in the Blueprint Library. Separate tags with commas.', 'ai-page-composer' ); ?>
+        </p>
+    </div>
+    
     <div class="field-group checkbox-group">
         <h4><?php esc_html_e( 'Features', 'ai-page-composer' ); ?></h4>
         
@@ -188,6 +247,11 @@ $global_settings = wp_parse_args( $global_settings, array(
     gap: 8px;
 }
 
+.library-details label {
+    display: block;
+    margin: 8px 0 4px;
+}
+
 .mvdb-namespaces-group .checkbox-group {
     display: grid;
     grid-template-columns: repeat(2, 1fr);
@@ -0,0 +1,149 @@
+<?php
+/**
+ * Blueprint Library Page Template
+ *
+ * This template renders the Blueprint Library screen. Teams search and filter
+ * the site's blueprints, star the ones they use most, clone a blueprint as a
+ * starting point and install the bundled starter blueprints.
+ *
+ * @package AIPageComposer
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+?>
+
+<div class="wrap ai-blueprint-library">
+    <h1 class="wp-heading-inline"><?php esc_html_e( 'Blueprint Library', 'ai-page-composer' ); ?></h1>
+    <a href="<?php echo esc_url( admin_url( 'post-new.php?post_type=ai_blueprint' ) ); ?>" class="page-title-action"><?php esc_html_e( 'Add New Blueprint', 'ai-page-composer' ); ?></a>
+    <hr class="wp-header-end">
+
+    <div id="blueprint-library-notices"></div>
+
+    <div class="library-filters">
+        <label class="screen-reader-text" for="library-search"><?php esc_html_e( 'Search blueprints', 'ai-page-composer' ); ?></label>
+        <input type="search" id="library-search" placeholder="<?php esc_attr_e( 'Search title, description or tags…', 'ai-page-composer' ); ?>">
+
+        <label class="screen-reader-text" for="library-category"><?php esc_html_e( 'Category', 'ai-page-composer' ); ?></label>
+        <select id="library-category">
+            <option value=""><?php esc_html_e( 'All categories', 'ai-page-composer' ); ?></option>
+            <?php foreach ( $categories as $value => $label ) : ?>
+                <option value="<?php echo esc_attr( $value ); ?>"><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+
+        <label class="screen-reader-text" for="library-difficulty"><?php esc_html_e( 'Difficulty', 'ai-page-composer' ); ?></label>
+        <select id="library-difficulty">
+            <option value=""><?php esc_html_e( 'All difficulty levels', 'ai-page-composer' ); ?></option>
+            <?php foreach ( $difficulty_levels as $value => $label ) : ?>
+                <option value="<?php echo esc_attr( $value ); ?>"><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+
+        <label class="screen-reader-text" for="library-section-type"><?php esc_html_e( 'Section type', 'ai-page-composer' ); ?></label>
+        <select id="library-section-type">
+            <option value=""><?php esc_html_e( 'Any section type', 'ai-page-composer' ); ?></option>
+            <?php foreach ( $section_types as $value => $label ) : ?>
+                <option value="<?php echo esc_attr( $value ); ?>"><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+
+        <label class="library-starred-filter">
+            <input type="checkbox" id="library-starred-only">
+            <?php esc_html_e( 'Starred only', 'ai-page-composer' ); ?>
+        </label>
+
+        <span id="library-count" class="library-count" aria-live="polite"></span>
+    </div>
+
+    <div id="blueprint-library-grid" class="library-grid">
+        <p class="description"><?php esc_html_e( 'Loading blueprints…', 'ai-page-composer' ); ?></p>
+    </div>
+
+    <h2><?php esc_html_e( 'Starter Blueprints', 'ai-page-composer' ); ?></h2>
+    <p class="description"><?php esc_html_e( 'Install a starter as a draft blueprint, then customize its sections and settings for your site.', 'ai-page-composer' ); ?></p>
+    <div id="blueprint-starter-grid" class="library-grid"></div>
+</div>
+
+<!-- Blueprint Card Template -->
+<script type="text/template" id="blueprint-library-cards-template">
+    {{#each blueprints}}
+    <div class="library-card{{#if starred}} is-starred{{/if}}" data-blueprint-id="{{id}}">
+        <div class="library-thumbnail" data-thumbnail-key="blueprint-{{id}}">
+            <span class="spinner is-active"></span>
+        </div>
+        <div class="library-card-body">
+            <div class="library-card-header">
+                <h3 class="library-card-title"><a href="{{edit_url}}">{{title}}</a></h3>
+                <button type="button" class="button-link star-blueprint" aria-pressed="{{#if starred}}true{{else}}false{{/if}}" title="<?php esc_attr_e( 'Star', 'ai-page-composer' ); ?>">
+                    <span class="dashicons {{#if starred}}dashicons-star-filled{{else}}dashicons-star-empty{{/if}}"></span>
+                    <span class="screen-reader-text"><?php esc_html_e( 'Star', 'ai-page-composer' ); ?></span>
+                </button>
+            </div>
+            <div class="library-card-meta">
+                <span class="library-badge">{{category_label}}</span>
+                <span class="library-badge library-difficulty-{{difficulty}}">{{difficulty_label}}</span>
+                {{#if version}}<code>{{version}}</code>{{/if}}
+                {{#unless is_published}}<span class="library-status">{{status}}</span>{{/unless}}
+            </div>
+            {{#if description}}<p class="library-card-description">{{description}}</p>{{/if}}
+            <p class="library-card-stats">
+                {{section_count}} <?php esc_html_e( 'sections', 'ai-page-composer' ); ?> &middot;
+                {{total_words}} <?php esc_html_e( 'words', 'ai-page-composer' ); ?> &middot;
+                {{author_name}}
+            </p>
+            <div class="library-card-actions">
+                <a href="{{edit_url}}" class="button button-small"><?php esc_html_e( 'Edit', 'ai-page-composer' ); ?></a>
+                <button type="button" class="button button-small clone-blueprint"><?php esc_html_e( 'Clone', 'ai-page-composer' ); ?></button>
+            </div>
+        </div>
+    </div>
+    {{else}}
+    <p class="description library-empty"><?php esc_html_e( 'No blueprints match these filters.', 'ai-page-composer' ); ?></p>
+    {{/each}}
+</script>
+
+<!-- Starter Card Template -->
+<script type="text/template" id="blueprint-starter-cards-template">
+    {{#each starters}}
+    <div class="library-card library-starter" data-starter-slug="{{slug}}">
+        <div class="library-thumbnail" data-thumbnail-key="starter-{{slug}}">
+            <span class="spinner is-active"></span>
+        </div>
+        <div class="library-card-body">
+            <h3 class="library-card-title">{{title}}</h3>
+            <div class="library-card-meta">
+                <span class="library-badge">{{category_label}}</span>
+                <span class="library-badge library-difficulty-{{difficulty}}">{{difficulty_label}}</span>
+            </div>
+            <p class="library-card-description">{{description}}</p>
+            <p class="library-card-stats">
+                {{section_count}} <?php esc_html_e( 'sections', 'ai-page-composer' ); ?> &middot;
+                {{total_words}} <?php esc_html_e( 'words', 'ai-page-composer' ); ?>
+            </p>
+            <div class="library-card-actions">
+                <button type="button" class="button button-primary button-small install-starter"><?php esc_html_e( 'Install', 'ai-page-composer' ); ?></button>
+                {{#if installed_url}}
+                <a href="{{installed_url}}" class="library-installed"><?php esc_html_e( 'Installed – edit', 'ai-page-composer' ); ?></a>
+                {{/if}}
+            </div>
+        </div>
+    </div>
+    {{/each}}
+</script>
+
+<!-- Thumbnail Template -->
+<script type="text/template" id="blueprint-thumbnail-template">
+    <ol class="thumbnail-sections">
+        {{#each sections}}
+        <li class="thumbnail-section thumbnail-type-{{type}}" data-depth="{{depth}}" title="{{heading}} ({{word_target}})">
+            <span class="thumbnail-bar" style="width: {{width}}%;"></span>
+        </li>
+        {{else}}
+        <li class="thumbnail-empty"><?php esc_html_e( 'No sections', 'ai-page-composer' ); ?></li>
+        {{/each}}
+    </ol>
+    <span class="thumbnail-tokens">~{{estimated_tokens}} <?php esc_html_e( 'tokens', 'ai-page-composer' ); ?></span>
+</script>
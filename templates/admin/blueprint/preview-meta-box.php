@@ -11,6 +11,25 @@
 if ( ! defined( 'ABSPATH' ) ) {
     exit;
 }
+
+$calibration_labels = array(
+    'tokens' => __( 'Tokens', 'ai-page-composer' ),
+    'cost' => __( 'Cost', 'ai-page-composer' ),
+    'minutes' => __( 'Duration', 'ai-page-composer' ),
+);
+
+$format_calibration_value = function( $metric, $value ) {
+    if ( 'cost' === $metric ) {
+        return '$' . number_format_i18n( $value, 4 );
+    }
+
+    if ( 'minutes' === $metric ) {
+        /* translators: %s: number of minutes */
+        return sprintf( __( '%s min', 'ai-page-composer' ), number_format_i18n( $value, 1 ) );
+    }
+
+    return number_format_i18n( $value );
+};
 ?>
 
 <div class="ai-blueprint-preview">
@@ -29,6 +48,18 @@ if ( ! defined( 'ABSPATH' ) ) {
         </button>
     </div>
     
+    <div class="preview-sample-inputs">
+        <p>
+            <label for="preview-sample-brief"><?php esc_html_e( 'Sample Brief:', 'ai-page-composer' ); ?></label>
+            <textarea id="preview-sample-brief" rows="3" class="widefat" placeholder="<?php esc_attr_e( 'Products: Speedgoat 5, Peregrine 13, Cascadia 17', 'ai-page-composer' ); ?>"></textarea>
+        </p>
+        <p>
+            <label for="preview-sample-audience"><?php esc_html_e( 'Sample Audience:', 'ai-page-composer' ); ?></label>
+            <input type="text" id="preview-sample-audience" class="widefat" placeholder="<?php esc_attr_e( 'beginners', 'ai-page-composer' ); ?>">
+        </p>
+        <p class="description"><?php esc_html_e( 'Section conditions and repeats are resolved against these in the preview and test generation.', 'ai-page-composer' ); ?></p>
+    </div>
+
     <div id="blueprint-preview-container" class="preview-container">
         <div class="preview-placeholder">
             <div class="placeholder-content">
@@ -62,8 +93,61 @@ if ( ! defined( 'ABSPATH' ) ) {
                 <span class="value" id="estimated-time">-</span>
             </div>
         </div>
+        <p class="cost-calibration-note" id="cost-calibration" style="display:none;"></p>
+        <p class="cost-limit-warning" id="cost-limit-warning" style="display:none;"></p>
+        <div id="cost-breakdown" class="cost-breakdown"></div>
+        <p class="description" id="cost-basis"></p>
     </div>
     
+    <div class="cost-calibration-history">
+        <h4><?php esc_html_e( 'Actuals vs. Estimate', 'ai-page-composer' ); ?></h4>
+        <?php if ( empty( $calibration['runs'] ) ) : ?>
+            <p class="description"><?php esc_html_e( 'No completed runs of this blueprint yet. Once pages are generated from it, their actual tokens, cost and duration are compared with the estimate here.', 'ai-page-composer' ); ?></p>
+        <?php else : ?>
+            <table class="widefat striped cost-calibration-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th><?php esc_html_e( 'Estimate', 'ai-page-composer' ); ?></th>
+                        <th><?php esc_html_e( 'Min', 'ai-page-composer' ); ?></th>
+                        <th><?php esc_html_e( '25%', 'ai-page-composer' ); ?></th>
+                        <th><?php esc_html_e( 'Median', 'ai-page-composer' ); ?></th>
+                        <th><?php esc_html_e( '75%', 'ai-page-composer' ); ?></th>
+                        <th><?php esc_html_e( 'Max', 'ai-page-composer' ); ?></th>
+                        <th><?php esc_html_e( 'Factor', 'ai-page-composer' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ( $calibration['metrics'] as $metric => $data ) : ?>
+                        <tr>
+                            <th scope="row"><?php echo esc_html( $calibration_labels[ $metric ] ?? $metric ); ?></th>
+                            <td><?php echo esc_html( $format_calibration_value( $metric, $data['estimate'] ) ); ?></td>
+                            <?php foreach ( $data['actual'] as $value ) : ?>
+                                <td><?php echo esc_html( $format_calibration_value( $metric, $value ) ); ?></td>
+                            <?php endforeach; ?>
+                            <td title="<?php /* translators: %s: median ratio of actual to estimated values */ echo esc_attr( sprintf( __( 'Median actual / estimate: %s', 'ai-page-composer' ), number_format_i18n( $data['ratio'], 2 ) ) ); ?>">
+                                &times;<?php echo esc_html( number_format_i18n( $calibration['factors'][ $metric ], 2 ) ); ?>
+                            </td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+            <p class="description">
+                <?php if ( $calibration['calibrated'] ) : ?>
+                    <?php
+                    /* translators: %d: number of runs */
+                    echo esc_html( sprintf( _n( 'Based on the last %d completed run. Estimates for this blueprint are multiplied by these factors.', 'Based on the last %d completed runs. Estimates for this blueprint are multiplied by these factors.', $calibration['runs'], 'ai-page-composer' ), $calibration['runs'] ) );
+                    ?>
+                <?php else : ?>
+                    <?php
+                    /* translators: 1: runs needed, 2: completed runs so far */
+                    echo esc_html( sprintf( __( 'Estimates are adjusted once %1$d runs have completed (%2$d so far).', 'ai-page-composer' ), \AIPageComposer\API\Estimate_Calibration::MIN_RUNS, $calibration['runs'] ) );
+                    ?>
+                <?php endif; ?>
+            </p>
+        <?php endif; ?>
+    </div>
+
     <div class="preview-help">
         <h4><?php esc_html_e( 'Preview Actions', 'ai-page-composer' ); ?></h4>
         <ul>
@@ -73,16 +157,159 @@ if ( ! defined( 'ABSPATH' ) ) {
             </li>
             <li>
                 <strong><?php esc_html_e( 'Test Generation:', 'ai-page-composer' ); ?></strong>
-                <?php esc_html_e( 'Runs a limited test generation to validate your configuration and API connectivity.', 'ai-page-composer' ); ?>
+                <?php esc_html_e( 'Runs the outline and section pipeline against the LLM stub, with no spend, and reports the block, word count, tokens and any failures for each section.', 'ai-page-composer' ); ?>
             </li>
             <li>
                 <strong><?php esc_html_e( 'Estimate Cost:', 'ai-page-composer' ); ?></strong>
-                <?php esc_html_e( 'Calculates the estimated cost and time for generating content with this blueprint.', 'ai-page-composer' ); ?>
+                <?php esc_html_e( 'Calculates the low, expected and high cost of each section from the pricing table in the Cost Management settings, including images and retrieval. Sample inputs apply section rules first, and correction factors from past runs apply last.', 'ai-page-composer' ); ?>
             </li>
         </ul>
     </div>
 </div>
 
+<!-- Blueprint Preview Template -->
+<script type="text/template" id="blueprint-preview-template">
+    <div class="blueprint-preview-content">
+        {{#if sections}}
+        <h4><?php esc_html_e( 'Preview Structure', 'ai-page-composer' ); ?></h4>
+        {{#each sections}}
+        <div class="preview-section{{#if skipped}} is-skipped{{/if}}" data-depth="{{depth}}">
+            <div class="preview-section-header">
+                <h5 class="preview-section-title">{{@number}}. {{#if heading}}{{heading}}{{else}}<?php esc_html_e( 'Untitled Section', 'ai-page-composer' ); ?>{{/if}}</h5>
+                <span class="preview-section-meta">H{{heading_level}} &bull; {{type}} &bull; {{word_target}} <?php esc_html_e( 'words', 'ai-page-composer' ); ?></span>
+            </div>
+            {{#if condition_text}}
+            <div class="preview-section-rule">
+                <span class="preview-rule-badge"><?php esc_html_e( 'If', 'ai-page-composer' ); ?></span> <code>{{condition_text}}</code>
+            </div>
+            {{/if}}
+            {{#if repeat_over}}
+            <div class="preview-section-rule">
+                <span class="preview-rule-badge"><?php esc_html_e( 'Repeat', 'ai-page-composer' ); ?></span> <?php esc_html_e( 'for each of', 'ai-page-composer' ); ?> <code>{{repeat_over}}</code> (<?php esc_html_e( 'up to', 'ai-page-composer' ); ?> {{repeat_max}})
+            </div>
+            {{/if}}
+            {{#if evaluated}}
+            <div class="preview-section-outcome">
+                {{#if skipped}}
+                <?php esc_html_e( 'Skipped for the sample inputs', 'ai-page-composer' ); ?>
+                {{else}}
+                <?php esc_html_e( 'Generated', 'ai-page-composer' ); ?> &times;{{instance_count}}{{#if repeat_items}}: {{repeat_items}}{{/if}}
+                {{/if}}
+            </div>
+            {{/if}}
+        </div>
+        {{/each}}
+
+        <div class="preview-summary">
+            <p><strong><?php esc_html_e( 'Total Sections:', 'ai-page-composer' ); ?></strong> {{section_count}}</p>
+            {{#if evaluated}}
+            <p><strong><?php esc_html_e( 'Sections Generated for the Sample Inputs:', 'ai-page-composer' ); ?></strong> {{generated_count}}</p>
+            {{/if}}
+            <p><strong><?php esc_html_e( 'Estimated Tokens:', 'ai-page-composer' ); ?></strong> {{estimated_tokens}}</p>
+            <p><strong><?php esc_html_e( 'Estimated Cost:', 'ai-page-composer' ); ?></strong> {{estimated_cost}}</p>
+        </div>
+        {{else}}
+        <div class="preview-empty"><p><?php esc_html_e( 'No sections configured yet.', 'ai-page-composer' ); ?></p></div>
+        {{/if}}
+    </div>
+</script>
+
+<!-- Generation Test Results Template -->
+<script type="text/template" id="blueprint-test-results-template">
+    <div class="test-results-content">
+        {{#if success}}
+        <div class="test-success">
+            <h5>&#10003; <?php esc_html_e( 'Test Successful', 'ai-page-composer' ); ?></h5>
+            <p>{{message}}</p>
+        </div>
+        {{else}}
+        <div class="test-error">
+            <h5>&#9888; <?php esc_html_e( 'Test Failed', 'ai-page-composer' ); ?></h5>
+            <p>{{#if message}}{{message}}{{else}}<?php esc_html_e( 'Test generation failed', 'ai-page-composer' ); ?>{{/if}}</p>
+            {{#if failures}}
+            <ul class="test-failures">
+                {{#each failures}}<li>{{this}}</li>{{/each}}
+            </ul>
+            {{/if}}
+        </div>
+        {{/if}}
+        {{#with stats}}
+        <ul class="test-stats">
+            <li><?php esc_html_e( 'Sections Processed:', 'ai-page-composer' ); ?> {{sections_processed}}</li>
+            {{#if sections_skipped}}
+            <li><?php esc_html_e( 'Sections Skipped by Conditions:', 'ai-page-composer' ); ?> {{sections_skipped}}</li>
+            {{/if}}
+            <li><?php esc_html_e( 'Words Generated:', 'ai-page-composer' ); ?> {{total_words}}</li>
+            <li><?php esc_html_e( 'Tokens Used:', 'ai-page-composer' ); ?> {{total_tokens}}</li>
+            <li><?php esc_html_e( 'Live Run Estimate:', 'ai-page-composer' ); ?> ${{estimated_cost}} <?php esc_html_e( '(nothing was spent)', 'ai-page-composer' ); ?></li>
+        </ul>
+        {{/with}}
+        {{#if sections}}
+        <table class="widefat striped test-sections">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e( 'Section', 'ai-page-composer' ); ?></th>
+                    <th><?php esc_html_e( 'Block', 'ai-page-composer' ); ?></th>
+                    <th><?php esc_html_e( 'Words', 'ai-page-composer' ); ?></th>
+                    <th><?php esc_html_e( 'Tokens', 'ai-page-composer' ); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                {{#each sections}}
+                <tr class="{{#if passed}}test-section-passed{{else}}test-section-failed{{/if}}" data-depth="{{depth}}">
+                    <td>
+                        {{#if passed}}&#10003;{{else}}&#9888;{{/if}}
+                        {{#if heading}}{{heading}}{{else}}{{id}}{{/if}}
+                        {{#unless passed}}
+                        <ul class="test-failures">
+                            {{#each failures}}<li>{{this}}</li>{{/each}}
+                        </ul>
+                        {{/unless}}
+                    </td>
+                    <td>
+                        {{#if block_name}}<code>{{block_name}}</code>{{else}}&mdash;{{/if}}
+                        {{#if fallback_used}}<span class="test-fallback"><?php esc_html_e( 'fallback', 'ai-page-composer' ); ?></span>{{/if}}
+                    </td>
+                    <td>{{word_count}} / {{word_target}}</td>
+                    <td>{{tokens}}</td>
+                </tr>
+                {{/each}}
+            </tbody>
+        </table>
+        {{/if}}
+    </div>
+</script>
+
+<!-- Cost Breakdown Template -->
+<script type="text/template" id="blueprint-cost-breakdown-template">
+    <table class="widefat striped cost-breakdown-table">
+        <thead>
+            <tr>
+                <th><?php esc_html_e( 'Section', 'ai-page-composer' ); ?></th>
+                <th><?php esc_html_e( 'Tokens', 'ai-page-composer' ); ?></th>
+                <th><?php esc_html_e( 'Low', 'ai-page-composer' ); ?></th>
+                <th><?php esc_html_e( 'Expected', 'ai-page-composer' ); ?></th>
+                <th><?php esc_html_e( 'High', 'ai-page-composer' ); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            {{#each sections}}
+            <tr>
+                <td>
+                    {{heading}}
+                    {{#if has_image}}<span class="cost-image-tag"><?php esc_html_e( 'image', 'ai-page-composer' ); ?></span>{{/if}}
+                    {{#if optional_image}}<span class="cost-image-tag is-optional"><?php esc_html_e( 'optional image', 'ai-page-composer' ); ?></span>{{/if}}
+                </td>
+                <td>{{tokens}}</td>
+                <td>${{low}}</td>
+                <td>${{expected}}</td>
+                <td>${{high}}</td>
+            </tr>
+            {{/each}}
+        </tbody>
+    </table>
+</script>
+
 <style>
 .preview-actions {
     display: flex;
@@ -146,6 +373,90 @@ if ( ! defined( 'ABSPATH' ) ) {
     color: #1d2327;
 }
 
+.cost-breakdown-table {
+    margin-top: 12px;
+}
+
+.cost-breakdown-table td {
+    font-size: 12px;
+}
+
+.cost-image-tag {
+    display: inline-block;
+    margin-left: 4px;
+    padding: 0 4px;
+    background: #f0f0f1;
+    border-radius: 2px;
+    font-size: 11px;
+}
+
+.cost-image-tag.is-optional {
+    color: #646970;
+}
+
+.cost-calibration-note {
+    margin: 12px 0 0 0;
+    color: #50575e;
+    font-style: italic;
+}
+
+.cost-calibration-history {
+    background: #f9f9f9;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    padding: 16px;
+    margin-bottom: 16px;
+}
+
+.cost-calibration-history h4 {
+    margin-top: 0;
+    margin-bottom: 12px;
+    color: #1d2327;
+}
+
+.cost-calibration-table th,
+.cost-calibration-table td {
+    font-size: 12px;
+    white-space: nowrap;
+}
+
+.cost-calibration-history .description {
+    margin-bottom: 0;
+}
+
+.cost-limit-warning {
+    margin: 12px 0 0 0;
+    color: #b32d2e;
+}
+
+.test-stats {
+    margin: 8px 0 12px 0;
+}
+
+.test-sections td {
+    vertical-align: top;
+    font-size: 12px;
+}
+
+.test-section-failed td:first-child {
+    color: #b32d2e;
+}
+
+.test-failures {
+    margin: 4px 0 0 16px;
+    list-style: disc;
+    color: #50575e;
+}
+
+.test-fallback {
+    display: inline-block;
+    margin-left: 4px;
+    padding: 0 4px;
+    background: #f0f0f1;
+    border-radius: 2px;
+    font-size: 11px;
+}
+
 .cost-details {
     display: grid;
     grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));
@@ -210,6 +521,28 @@ if ( ! defined( 'ABSPATH' ) ) {
     background: #fafafa;
 }
 
+.preview-section[data-depth="1"] {
+    margin-left: 24px;
+}
+
+.preview-section[data-depth="2"],
+.preview-section[data-depth="3"],
+.preview-section[data-depth="4"],
+.preview-section[data-depth="5"] {
+    margin-left: 48px;
+}
+
+tr[data-depth="1"] td:first-child {
+    padding-left: 24px;
+}
+
+tr[data-depth="2"] td:first-child,
+tr[data-depth="3"] td:first-child,
+tr[data-depth="4"] td:first-child,
+tr[data-depth="5"] td:first-child {
+    padding-left: 48px;
+}
+
 .preview-section-header {
     padding: 12px 16px;
     background: #f0f0f0;
@@ -219,6 +552,43 @@ if ( ! defined( 'ABSPATH' ) ) {
     align-items: center;
 }
 
+.preview-section.is-skipped {
+    opacity: 0.6;
+    border-style: dashed;
+}
+
+.preview-section-rule,
+.preview-section-outcome {
+    padding: 6px 16px;
+    font-size: 12px;
+    color: #50575e;
+}
+
+.preview-section-outcome {
+    border-top: 1px solid #e0e0e0;
+    font-style: italic;
+}
+
+.preview-rule-badge {
+    display: inline-block;
+    padding: 0 6px;
+    background: #2271b1;
+    border-radius: 2px;
+    color: #fff;
+    font-size: 11px;
+    text-transform: uppercase;
+}
+
+.preview-sample-inputs {
+    margin-bottom: 16px;
+}
+
+.preview-sample-inputs label {
+    display: block;
+    margin-bottom: 4px;
+    font-weight: 600;
+}
+
 .preview-section-title {
     font-weight: 600;
     color: #1d2327;
@@ -19,6 +19,7 @@ if ( ! defined( 'ABSPATH' ) ) {
             <li><a href="#visual-editor" class="nav-tab nav-tab-active" data-tab="visual-editor"><?php esc_html_e( 'Visual Editor', 'ai-page-composer' ); ?></a></li>
             <li><a href="#json-editor" class="nav-tab" data-tab="json-editor"><?php esc_html_e( 'JSON Editor', 'ai-page-composer' ); ?></a></li>
             <li><a href="#validation-results" class="nav-tab" data-tab="validation-results"><?php esc_html_e( 'Validation', 'ai-page-composer' ); ?></a></li>
+            <li><a href="#import-blueprint" class="nav-tab" data-tab="import-blueprint"><?php esc_html_e( 'Import', 'ai-page-composer' ); ?></a></li>
         </ul>
     </div>
     
@@ -53,8 +54,9 @@ if ( ! defined( 'ABSPATH' ) ) {
                   class="large-text code"
                   spellcheck="false"
                   placeholder="<?php esc_attr_e( 'Enter blueprint JSON configuration here...', 'ai-page-composer' ); ?>"><?php echo esc_textarea( $schema_json ); ?></textarea>
+        <div id="json-sync-status" class="json-sync-status" aria-live="polite"></div>
         <p class="description">
-            <?php esc_html_e( 'Edit the blueprint schema in JSON format. Changes will be validated automatically. Use the "Sync from Sections" button to generate JSON from the visual editor.', 'ai-page-composer' ); ?>
+            <?php esc_html_e( 'Edit the blueprint schema in JSON format. Edits are applied to the section rows as you type; whichever side you edit last wins. Use the "Sync from Sections" button to regenerate the JSON from the visual editor.', 'ai-page-composer' ); ?>
         </p>
     </div>
     
@@ -68,10 +70,162 @@ if ( ! defined( 'ABSPATH' ) ) {
             </div>
         </div>
     </div>
+    
+    <div id="import-blueprint" class="tab-content">
+        <div id="blueprint-import-dropzone" class="import-dropzone">
+            <span class="dashicons dashicons-upload"></span>
+            <p>
+                <?php esc_html_e( 'Drop a blueprint JSON file here or', 'ai-page-composer' ); ?>
+                <label for="blueprint-import-file" class="button button-secondary"><?php esc_html_e( 'Choose File', 'ai-page-composer' ); ?></label>
+            </p>
+            <input type="file" id="blueprint-import-file" class="screen-reader-text" accept=".json,application/json">
+        </div>
+
+        <div class="import-source">
+            <label for="blueprint-import-text">
+                <?php esc_html_e( 'Or paste blueprint JSON:', 'ai-page-composer' ); ?>
+            </label>
+            <textarea id="blueprint-import-text" 
+                      rows="6" 
+                      class="large-text code"
+                      spellcheck="false"></textarea>
+            <button type="button" id="import-from-text" class="button button-secondary">
+                <?php esc_html_e( 'Preview Import', 'ai-page-composer' ); ?>
+            </button>
+        </div>
+
+        <div class="import-source">
+            <label for="blueprint-import-post">
+                <?php esc_html_e( 'Or build a blueprint from an existing post:', 'ai-page-composer' ); ?>
+            </label>
+            <select id="blueprint-import-post">
+                <option value=""><?php esc_html_e( 'Select a published post or page', 'ai-page-composer' ); ?></option>
+                <?php foreach ( $import_posts as $import_post ) : ?>
+                    <option value="<?php echo esc_attr( $import_post->ID ); ?>">
+                        <?php echo esc_html( get_the_title( $import_post ) ?: __( '(no title)', 'ai-page-composer' ) ); ?>
+                        (<?php echo esc_html( get_post_type_object( $import_post->post_type )->labels->singular_name ); ?>)
+                    </option>
+                <?php endforeach; ?>
+            </select>
+            <button type="button" id="import-from-post" class="button button-secondary">
+                <?php esc_html_e( 'Build From Post', 'ai-page-composer' ); ?>
+            </button>
+            <p class="description">
+                <?php esc_html_e( 'Each heading in the post becomes a section. Section types, word targets, media policies and block preferences are taken from the blocks under it.', 'ai-page-composer' ); ?>
+            </p>
+        </div>
+
+        <div id="blueprint-import-preview" aria-live="polite"></div>
+    </div>
 </div>
 
 <input type="hidden" id="blueprint_schema_data" name="blueprint_schema_data" value="">
 
+<!-- Validation Results Template -->
+<script type="text/template" id="blueprint-validation-results-template">
+    {{#if valid}}
+    <div class="validation-success">
+        <h4>&#10003; <?php esc_html_e( 'Blueprint Valid', 'ai-page-composer' ); ?></h4>
+        <p><?php esc_html_e( 'Your blueprint configuration is valid and ready for use.', 'ai-page-composer' ); ?></p>
+    </div>
+    {{else}}
+    <div class="validation-errors">
+        <h4>&#9888; <?php esc_html_e( 'Validation Errors', 'ai-page-composer' ); ?></h4>
+        <ul>
+            {{#each errors}}
+            <li><strong>{{#if property}}{{property}}{{else}}<?php esc_html_e( 'General', 'ai-page-composer' ); ?>{{/if}}:</strong> {{message}}</li>
+            {{/each}}
+        </ul>
+    </div>
+    {{/if}}
+    <div class="validation-results-actions">
+        <button type="button" class="button button-secondary auto-fix-errors">
+            <span class="dashicons dashicons-admin-tools"></span>
+            <?php esc_html_e( 'Auto-fix Common Issues', 'ai-page-composer' ); ?>
+        </button>
+    </div>
+    <div id="blueprint-autofix-patches"></div>
+</script>
+
+<!-- Auto-fix Patch List Template -->
+<script type="text/template" id="blueprint-autofix-template">
+    <div class="autofix-patches">
+        <h4><?php esc_html_e( 'Suggested Fixes', 'ai-page-composer' ); ?></h4>
+        <p class="description"><?php esc_html_e( 'Review the changes below. Unchecked fixes are skipped.', 'ai-page-composer' ); ?></p>
+        <ul class="autofix-patch-list">
+            {{#each patches}}
+            <li class="autofix-patch">
+                <label>
+                    <input type="checkbox" class="autofix-patch-toggle" value="{{@index}}" checked>
+                    <code class="autofix-patch-path">{{label}}</code>
+                    <span class="autofix-patch-description">{{description}}</span>
+                </label>
+                <div class="autofix-patch-diff">
+                    <del>{{before}}</del>
+                    <span class="dashicons dashicons-arrow-right-alt"></span>
+                    <ins>{{after}}</ins>
+                </div>
+            </li>
+            {{/each}}
+        </ul>
+        <div class="autofix-patch-actions">
+            <button type="button" id="apply-auto-fixes" class="button button-primary">
+                <?php esc_html_e( 'Apply Selected Fixes', 'ai-page-composer' ); ?>
+            </button>
+            <button type="button" id="cancel-auto-fixes" class="button button-secondary">
+                <?php esc_html_e( 'Cancel', 'ai-page-composer' ); ?>
+            </button>
+        </div>
+    </div>
+</script>
+
+<!-- Import Preview Template -->
+<script type="text/template" id="blueprint-import-preview-template">
+    <div class="import-preview">
+        <h4><?php esc_html_e( 'Import Preview', 'ai-page-composer' ); ?></h4>
+        <p class="import-preview-source">{{source}}</p>
+        {{#if valid}}
+        <p class="import-preview-valid">&#10003; <?php esc_html_e( 'The imported blueprint is valid.', 'ai-page-composer' ); ?></p>
+        {{else}}
+        <div class="import-preview-errors">
+            <p>&#9888; <?php esc_html_e( 'The imported blueprint has validation errors. You can still import it and fix them afterwards.', 'ai-page-composer' ); ?></p>
+            <ul>
+                {{#each errors}}
+                <li><strong>{{#if property}}{{property}}{{else}}<?php esc_html_e( 'General', 'ai-page-composer' ); ?>{{/if}}:</strong> {{message}}</li>
+                {{/each}}
+            </ul>
+        </div>
+        {{/if}}
+        <p class="import-preview-summary">
+            <?php esc_html_e( 'Sections:', 'ai-page-composer' ); ?> {{sections_before}} &rarr; {{sections_after}}
+        </p>
+        {{#if changes}}
+        <ul class="autofix-patch-list import-change-list">
+            {{#each changes}}
+            <li class="autofix-patch import-change import-change-{{kind}}">
+                <code class="autofix-patch-path">{{label}}</code>
+                <div class="autofix-patch-diff">
+                    <del>{{before}}</del>
+                    <span class="dashicons dashicons-arrow-right-alt"></span>
+                    <ins>{{after}}</ins>
+                </div>
+            </li>
+            {{/each}}
+        </ul>
+        {{else}}
+        <p><?php esc_html_e( 'The imported blueprint matches the current one.', 'ai-page-composer' ); ?></p>
+        {{/if}}
+        <div class="autofix-patch-actions">
+            <button type="button" id="apply-import" class="button button-primary">
+                <?php esc_html_e( 'Replace Current Blueprint', 'ai-page-composer' ); ?>
+            </button>
+            <button type="button" id="cancel-import" class="button button-secondary">
+                <?php esc_html_e( 'Cancel', 'ai-page-composer' ); ?>
+            </button>
+        </div>
+    </div>
+</script>
+
 <script type="text/javascript">
 // Initialize blueprint data for React component
 window.aiBlueprintData = <?php echo wp_json_encode( $schema_data ?: array() ); ?>;
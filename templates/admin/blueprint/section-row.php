@@ -24,6 +24,10 @@ $section = wp_parse_args( $section, array(
     'citations_required' => true,
     'tone' => 'professional',
     'allowed_blocks' => array(),
+    'depth' => 0,
+    'inherited' => array(),
+    'condition_text' => '',
+    'repeat' => array(),
     'block_preferences' => array(
         'preferred_plugin' => 'auto',
         'primary_block' => '',
@@ -32,13 +36,30 @@ $section = wp_parse_args( $section, array(
         'custom_attributes' => array()
     )
 ) );
+
+// Nested rows inherit each inheritable value from their parent unless they set it themselves
+$inherit_labels = array(
+    'tone' => __( 'Tone', 'ai-page-composer' ),
+    'media_policy' => __( 'Media policy', 'ai-page-composer' ),
+    'citations_required' => __( 'Citations', 'ai-page-composer' ),
+);
+$repeat = wp_parse_args( $section['repeat'], array( 'over' => '', 'max' => 10 ) );
 ?>
 
-<div class="section-row" data-index="<?php echo esc_attr( $index ); ?>">
+<div class="section-row" data-index="<?php echo esc_attr( $index ); ?>" data-depth="<?php echo esc_attr( $section['depth'] ); ?>">
     <div class="section-header">
+        <label class="section-select-label">
+            <input type="checkbox" class="section-select">
+            <span class="screen-reader-text"><?php esc_html_e( 'Select section', 'ai-page-composer' ); ?></span>
+        </label>
+
         <div class="section-handle">
             <span class="dashicons dashicons-menu"></span>
         </div>
+
+        <button type="button" class="button-link toggle-section-children" aria-expanded="true" title="<?php esc_attr_e( 'Collapse subsections', 'ai-page-composer' ); ?>">
+            <span class="dashicons dashicons-arrow-down"></span>
+        </button>
         
         <h5 class="section-title">
             <span class="section-number"><?php echo esc_html( is_numeric( $index ) ? $index + 1 : '{{number}}' ); ?>.</span>
@@ -54,6 +75,12 @@ $section = wp_parse_args( $section, array(
             <button type="button" class="button-link section-toggle" title="<?php esc_attr_e( 'Toggle section details', 'ai-page-composer' ); ?>">
                 <span class="dashicons dashicons-arrow-up-alt2"></span>
             </button>
+            <button type="button" class="button-link outdent-section" title="<?php esc_attr_e( 'Outdent', 'ai-page-composer' ); ?>">
+                <span class="dashicons dashicons-editor-outdent"></span>
+            </button>
+            <button type="button" class="button-link indent-section" title="<?php esc_attr_e( 'Indent under the section above', 'ai-page-composer' ); ?>">
+                <span class="dashicons dashicons-editor-indent"></span>
+            </button>
             <button type="button" class="button-link move-section-up" title="<?php esc_attr_e( 'Move Up', 'ai-page-composer' ); ?>">
                 <span class="dashicons dashicons-arrow-up"></span>
             </button>
@@ -72,6 +99,7 @@ $section = wp_parse_args( $section, array(
     <div class="section-content">
         <!-- Hidden ID field -->
         <input type="hidden" name="sections[<?php echo esc_attr( $index ); ?>][id]" value="<?php echo esc_attr( $section['id'] ?: 'section-' . ( is_numeric( $index ) ? $index + 1 : uniqid() ) ); ?>" class="section-id-field">
+        <input type="hidden" name="sections[<?php echo esc_attr( $index ); ?>][depth]" value="<?php echo esc_attr( $section['depth'] ); ?>" class="section-depth-field">
         
         <div class="section-row-fields">
             <div class="field-group">
@@ -125,6 +153,21 @@ $section = wp_parse_args( $section, array(
                 </select>
                 <p class="description"><?php esc_html_e( 'Whether images should be included in this section.', 'ai-page-composer' ); ?></p>
             </div>
+
+            <div class="field-group checkbox-group section-inherit-group">
+                <label><?php esc_html_e( 'Inherit from Parent:', 'ai-page-composer' ); ?></label>
+                <?php foreach ( \AIPageComposer\Blueprints\Schema_Processor::INHERITED_SECTION_KEYS as $inherit_key ) : ?>
+                    <label>
+                        <input type="checkbox"
+                               name="sections[<?php echo esc_attr( $index ); ?>][inherit][]"
+                               value="<?php echo esc_attr( $inherit_key ); ?>"
+                               class="section-inherit"
+                               <?php checked( $section['depth'] > 0 && in_array( $inherit_key, $section['inherited'], true ) ); ?>>
+                        <?php echo esc_html( $inherit_labels[ $inherit_key ] ); ?>
+                    </label>
+                <?php endforeach; ?>
+                <p class="description"><?php esc_html_e( 'Use the parent section\'s value for each checked setting.', 'ai-page-composer' ); ?></p>
+            </div>
         </div>
         
         <!-- Block Preferences Section -->
@@ -243,6 +286,43 @@ $section = wp_parse_args( $section, array(
                         <?php esc_html_e( 'One block name per line. Leave empty to allow all blocks. This restricts which blocks can be used in this section.', 'ai-page-composer' ); ?>
                     </p>
                 </div>
+
+                <div class="field-group section-condition-group">
+                    <label><?php esc_html_e( 'Only Include When:', 'ai-page-composer' ); ?></label>
+                    <input type="text"
+                           name="sections[<?php echo esc_attr( $index ); ?>][condition]"
+                           value="<?php echo esc_attr( $section['condition_text'] ); ?>"
+                           class="regular-text code section-condition"
+                           placeholder="<?php esc_attr_e( 'audience contains "beginner"', 'ai-page-composer' ); ?>"
+                           spellcheck="false">
+                    <p class="section-condition-status" aria-live="polite"></p>
+                    <p class="description">
+                        <?php esc_html_e( 'Leave empty to always include the section. Test brief, audience, tone, item, or a list from the brief such as products for a "Products: A, B" line, with is, is not, contains, does not contain, is empty, is not empty or has at least N. Join rules with "and" or "or".', 'ai-page-composer' ); ?>
+                    </p>
+                </div>
+
+                <div class="field-group section-repeat-group">
+                    <label><?php esc_html_e( 'Repeat For Each:', 'ai-page-composer' ); ?></label>
+                    <input type="text"
+                           name="sections[<?php echo esc_attr( $index ); ?>][repeat][over]"
+                           value="<?php echo esc_attr( $repeat['over'] ); ?>"
+                           class="regular-text code section-repeat-over"
+                           placeholder="<?php esc_attr_e( 'products', 'ai-page-composer' ); ?>"
+                           pattern="[a-z0-9_]*"
+                           spellcheck="false">
+                    <label>
+                        <?php esc_html_e( 'Up to', 'ai-page-composer' ); ?>
+                        <input type="number"
+                               name="sections[<?php echo esc_attr( $index ); ?>][repeat][max]"
+                               value="<?php echo esc_attr( $repeat['max'] ); ?>"
+                               min="1" max="20" step="1"
+                               class="small-text section-repeat-max">
+                        <?php esc_html_e( 'times', 'ai-page-composer' ); ?>
+                    </label>
+                    <p class="description">
+                        <?php esc_html_e( 'Name of a list in the brief. The section, with its subsections, is generated once per item, and {item} in headings is replaced with the item.', 'ai-page-composer' ); ?>
+                    </p>
+                </div>
             </div>
         </details>
         
@@ -16,10 +16,22 @@ if ( ! defined( 'ABSPATH' ) ) {
 <div class="ai-blueprint-sections">
     <div class="sections-header">
         <h4><?php esc_html_e( 'Content Sections Configuration', 'ai-page-composer' ); ?></h4>
-        <button type="button" id="add-section" class="button button-secondary">
-            <span class="dashicons dashicons-plus-alt"></span>
-            <?php esc_html_e( 'Add Section', 'ai-page-composer' ); ?>
-        </button>
+        <div class="sections-header-actions">
+            <span class="history-controls">
+                <button type="button" id="blueprint-undo" class="button" disabled>
+                    <span class="dashicons dashicons-undo"></span>
+                    <?php esc_html_e( 'Undo', 'ai-page-composer' ); ?>
+                </button>
+                <button type="button" id="blueprint-redo" class="button" disabled>
+                    <span class="dashicons dashicons-redo"></span>
+                    <?php esc_html_e( 'Redo', 'ai-page-composer' ); ?>
+                </button>
+            </span>
+            <button type="button" id="add-section" class="button button-secondary">
+                <span class="dashicons dashicons-plus-alt"></span>
+                <?php esc_html_e( 'Add Section', 'ai-page-composer' ); ?>
+            </button>
+        </div>
     </div>
     
     <?php if ( empty( $sections_data ) ) : ?>
@@ -59,16 +71,55 @@ if ( ! defined( 'ABSPATH' ) ) {
         </p>
         
         <div class="section-bulk-actions">
+            <label class="select-all-sections-label">
+                <input type="checkbox" id="select-all-sections">
+                <?php esc_html_e( 'Select all', 'ai-page-composer' ); ?>
+            </label>
             <select id="bulk-action-selector">
                 <option value=""><?php esc_html_e( 'Bulk Actions', 'ai-page-composer' ); ?></option>
                 <option value="duplicate"><?php esc_html_e( 'Duplicate Selected', 'ai-page-composer' ); ?></option>
-                <option value="delete"><?php esc_html_e( 'Delete Selected', 'ai-page-composer' ); ?></option>
+                <option value="move-top"><?php esc_html_e( 'Move to Top', 'ai-page-composer' ); ?></option>
+                <option value="move-bottom"><?php esc_html_e( 'Move to Bottom', 'ai-page-composer' ); ?></option>
                 <option value="set-tone"><?php esc_html_e( 'Set Tone', 'ai-page-composer' ); ?></option>
-                <option value="set-plugin"><?php esc_html_e( 'Set Preferred Plugin', 'ai-page-composer' ); ?></option>
+                <option value="set-media-policy"><?php esc_html_e( 'Set Media Policy', 'ai-page-composer' ); ?></option>
+                <option value="set-word-target"><?php esc_html_e( 'Set Word Target', 'ai-page-composer' ); ?></option>
+                <option value="toggle-citations"><?php esc_html_e( 'Toggle Citations Required', 'ai-page-composer' ); ?></option>
+                <option value="group"><?php esc_html_e( 'Group into Subsection', 'ai-page-composer' ); ?></option>
+                <option value="delete"><?php esc_html_e( 'Delete Selected', 'ai-page-composer' ); ?></option>
             </select>
+
+            <span class="bulk-action-params" data-bulk-action="set-tone">
+                <select id="bulk-tone">
+                    <?php foreach ( $tone_options as $tone => $label ) : ?>
+                        <option value="<?php echo esc_attr( $tone ); ?>"><?php echo esc_html( $label ); ?></option>
+                    <?php endforeach; ?>
+                </select>
+            </span>
+
+            <span class="bulk-action-params" data-bulk-action="set-media-policy">
+                <select id="bulk-media-policy">
+                    <option value="none"><?php esc_html_e( 'No Images', 'ai-page-composer' ); ?></option>
+                    <option value="optional"><?php esc_html_e( 'Optional', 'ai-page-composer' ); ?></option>
+                    <option value="required"><?php esc_html_e( 'Required', 'ai-page-composer' ); ?></option>
+                </select>
+            </span>
+
+            <span class="bulk-action-params" data-bulk-action="set-word-target">
+                <select id="bulk-word-target-mode">
+                    <option value="absolute"><?php esc_html_e( 'Set to', 'ai-page-composer' ); ?></option>
+                    <option value="percent"><?php esc_html_e( 'Scale by %', 'ai-page-composer' ); ?></option>
+                </select>
+                <input type="number" id="bulk-word-target-value" class="small-text" value="150" min="1" step="10">
+            </span>
+
+            <span class="bulk-action-params" data-bulk-action="group">
+                <input type="text" id="bulk-group-name" class="regular-text" placeholder="<?php esc_attr_e( 'Subsection heading', 'ai-page-composer' ); ?>">
+            </span>
+
             <button type="button" id="apply-bulk-action" class="button" disabled>
                 <?php esc_html_e( 'Apply', 'ai-page-composer' ); ?>
             </button>
+            <span id="bulk-selection-count" class="bulk-selection-count"></span>
         </div>
     </div>
 </div>
@@ -115,4 +166,33 @@ if ( ! defined( 'ABSPATH' ) ) {
 .section-bulk-actions button {
     margin-right: 8px;
 }
+
+.section-bulk-actions .select-all-sections-label {
+    margin-right: 12px;
+}
+
+.section-bulk-actions .bulk-action-params {
+    display: none;
+}
+
+.section-bulk-actions .bulk-action-params.active {
+    display: inline;
+}
+
+.section-bulk-actions .bulk-action-params input {
+    margin-right: 8px;
+}
+
+.bulk-selection-count {
+    color: #646970;
+}
+
+.section-select-label {
+    display: flex;
+    align-items: center;
+}
+
+.section-row.is-selected {
+    border-color: #2271b1;
+}
 </style>
\ No newline at end of file
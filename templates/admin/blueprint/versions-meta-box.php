@@ -0,0 +1,101 @@
+<?php
+/**
+ * Blueprint Version History Meta Box Template
+ * 
+ * This template renders the version history meta box for AI Blueprints.
+ * It lists every saved version with its author and changes, and lets the
+ * user view or roll back the versions that still have a snapshot.
+ *
+ * @package AIPageComposer
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+?>
+
+<div class="ai-blueprint-versions">
+    <?php if ( empty( $versions ) ) : ?>
+        <p class="description"><?php esc_html_e( 'Save the blueprint to record its first version.', 'ai-page-composer' ); ?></p>
+    <?php else : ?>
+        <p>
+            <strong><?php esc_html_e( 'Current Version:', 'ai-page-composer' ); ?></strong>
+            <code><?php echo esc_html( $current_version ); ?></code>
+        </p>
+        <ul class="version-list">
+            <?php foreach ( $versions as $version ) : ?>
+                <li class="version-item<?php echo $version['version'] === $current_version ? ' is-current' : ''; ?>">
+                    <div class="version-header">
+                        <code class="version-number"><?php echo esc_html( $version['version'] ); ?></code>
+                        <span class="version-bump version-bump-<?php echo esc_attr( $version['bump'] ); ?>"><?php echo esc_html( $version['bump'] ); ?></span>
+                    </div>
+                    <div class="version-meta">
+                        <?php
+                        echo esc_html( sprintf(
+                            /* translators: 1: author name, 2: time since the version was saved */
+                            __( '%1$s, %2$s ago', 'ai-page-composer' ),
+                            $version['author_name'],
+                            human_time_diff( strtotime( $version['created_at'] ), current_time( 'timestamp' ) )
+                        ) );
+                        ?>
+                    </div>
+                    <?php if ( ! empty( $version['note'] ) ) : ?>
+                        <div class="version-note"><?php echo esc_html( $version['note'] ); ?></div>
+                    <?php endif; ?>
+                    <div class="version-summary"><?php echo esc_html( $versions_api->summarize( $version['changes'] ) ); ?></div>
+                    <div class="version-actions">
+                        <?php if ( $versions_api->has_snapshot( $version ) ) : ?>
+                            <button type="button" class="button-link view-blueprint-version" data-version="<?php echo esc_attr( $version['version'] ); ?>">
+                                <?php esc_html_e( 'View', 'ai-page-composer' ); ?>
+                            </button>
+                            <?php if ( $version['version'] !== $current_version ) : ?>
+                                <button type="button" class="button-link rollback-blueprint-version" data-version="<?php echo esc_attr( $version['version'] ); ?>">
+                                    <?php esc_html_e( 'Roll Back', 'ai-page-composer' ); ?>
+                                </button>
+                            <?php endif; ?>
+                        <?php else : ?>
+                            <span class="description"><?php esc_html_e( 'Changes only; snapshot no longer kept', 'ai-page-composer' ); ?></span>
+                        <?php endif; ?>
+                    </div>
+                </li>
+            <?php endforeach; ?>
+        </ul>
+    <?php endif; ?>
+
+    <div id="blueprint-version-view"></div>
+</div>
+
+<!-- Version View Template -->
+<script type="text/template" id="blueprint-version-view-template">
+    <div class="version-view">
+        <h4>
+            <?php esc_html_e( 'Version', 'ai-page-composer' ); ?> <code>{{version}}</code>
+            <button type="button" id="close-blueprint-version" class="button-link" aria-label="<?php esc_attr_e( 'Close', 'ai-page-composer' ); ?>">
+                <span class="dashicons dashicons-no-alt"></span>
+            </button>
+        </h4>
+        <p class="version-meta">{{author_name}} &middot; {{created_at}}</p>
+        <p class="version-summary">{{summary}}</p>
+        <h5><?php esc_html_e( 'Differences from the current editor', 'ai-page-composer' ); ?></h5>
+        {{#if changes}}
+        <ul class="autofix-patch-list">
+            {{#each changes}}
+            <li class="autofix-patch">
+                <code class="autofix-patch-path">{{label}}</code>
+                <div class="autofix-patch-diff">
+                    <del>{{before}}</del>
+                    <span class="dashicons dashicons-arrow-right-alt"></span>
+                    <ins>{{after}}</ins>
+                </div>
+            </li>
+            {{/each}}
+        </ul>
+        {{else}}
+        <p><?php esc_html_e( 'This version matches the current editor.', 'ai-page-composer' ); ?></p>
+        {{/if}}
+        <details>
+            <summary><?php esc_html_e( 'Blueprint JSON', 'ai-page-composer' ); ?></summary>
+            <pre class="version-json">{{json}}</pre>
+        </details>
+    </div>
+</script>
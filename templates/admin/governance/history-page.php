@@ -107,7 +107,12 @@ if ( ! defined( 'ABSPATH' ) ) {
                                     <?php echo esc_html( ucfirst( $run['status'] ) ); ?>
                                 </span>
                             </td>
-                            <td><?php echo esc_html( $run['blueprint_title'] ); ?></td>
+                            <td>
+                                <?php echo esc_html( $run['blueprint_title'] ); ?>
+                                <?php if ( ! empty( $run['blueprint_version'] ) ) : ?>
+                                    <code><?php echo esc_html( $run['blueprint_version'] ); ?></code>
+                                <?php endif; ?>
+                            </td>
                             <td><?php echo esc_html( $run['user_name'] ); ?></td>
                             <td>
                                 <?php 
@@ -298,6 +303,158 @@ if ( ! defined( 'ABSPATH' ) ) {
     </div>
 </div>
 
+<!-- Diff Template -->
+<script type="text/template" id="governance-diff-template">
+    <div class="diff-viewer">
+        {{#with summary}}
+        <div class="diff-summary">
+            <h3><?php esc_html_e( 'Change Summary', 'ai-page-composer' ); ?></h3>
+            <div class="summary-stats">
+                <span class="stat"><?php esc_html_e( 'Total Changes:', 'ai-page-composer' ); ?> <strong>{{total_changes}}</strong></span>
+                <span class="stat"><?php esc_html_e( 'Significant Changes:', 'ai-page-composer' ); ?> <strong>{{significant_changes}}</strong></span>
+                <span class="stat"><?php esc_html_e( 'Plugin Changes:', 'ai-page-composer' ); ?> <strong>{{plugin_changes}}</strong></span>
+            </div>
+            {{#if ../recommendation}}
+            <div class="diff-recommendation">
+                <strong><?php esc_html_e( 'Recommendation:', 'ai-page-composer' ); ?></strong> {{../recommendation}}
+            </div>
+            {{/if}}
+        </div>
+        {{/with}}
+
+        {{#if parameter_changes}}
+        <div class="diff-section">
+            <h3><?php esc_html_e( 'Parameter Changes', 'ai-page-composer' ); ?></h3>
+            <table class="widefat">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e( 'Parameter', 'ai-page-composer' ); ?></th>
+                        <th><?php esc_html_e( 'From', 'ai-page-composer' ); ?></th>
+                        <th><?php esc_html_e( 'To', 'ai-page-composer' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each parameter_changes}}
+                    <tr>
+                        <td>{{parameter}}</td>
+                        <td>{{from}}</td>
+                        <td>{{to}}</td>
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+        </div>
+        {{/if}}
+
+        {{#if section_diffs}}
+        <div class="diff-section">
+            <h3><?php esc_html_e( 'Section Changes', 'ai-page-composer' ); ?></h3>
+            {{#each section_diffs}}
+            <div class="section-diff">
+                <h4><?php esc_html_e( 'Section:', 'ai-page-composer' ); ?> {{section_id}}</h4>
+                {{#each changes}}
+                {{> governance-change-item}}
+                {{/each}}
+            </div>
+            {{/each}}
+        </div>
+        {{/if}}
+
+        {{#if plugin_changes}}
+        <div class="diff-section">
+            <h3><?php esc_html_e( 'Plugin Changes', 'ai-page-composer' ); ?></h3>
+            {{#each plugin_changes}}
+            <div class="plugin-diff">
+                <h4>{{plugin}}</h4>
+                {{#each changes}}
+                {{> governance-change-item}}
+                {{/each}}
+            </div>
+            {{/each}}
+        </div>
+        {{/if}}
+    </div>
+</script>
+
+<!-- Diff Change Item Partial -->
+<script type="text/template" data-partial="governance-change-item">
+    <div class="change-item">
+        <strong>{{label}}:</strong>
+        {{#if is_transition}}
+        {{from}} &rarr; {{to}}{{#if reason}} ({{reason}}){{/if}}
+        {{else}}
+        {{value}}
+        {{/if}}
+    </div>
+</script>
+
+<!-- Re-run Preview Template -->
+<script type="text/template" id="governance-rerun-preview-template">
+    <div class="rerun-preview">
+        {{#if can_proceed}}
+        <div class="notice notice-success"><p><?php esc_html_e( 'Re-run is ready to proceed', 'ai-page-composer' ); ?></p></div>
+        {{else}}
+        <div class="notice notice-error"><p><?php esc_html_e( 'Re-run cannot proceed', 'ai-page-composer' ); ?></p></div>
+        {{/if}}
+
+        {{#if parameter_adaptations}}
+        <h4><?php esc_html_e( 'Parameter Adaptations', 'ai-page-composer' ); ?></h4>
+        <ul>
+            {{#each parameter_adaptations}}
+            <li><strong>{{parameter}}:</strong> {{original}} &rarr; {{adapted}} ({{reason}})</li>
+            {{/each}}
+        </ul>
+        {{/if}}
+
+        {{#if plugin_fallbacks}}
+        <h4><?php esc_html_e( 'Plugin Fallbacks', 'ai-page-composer' ); ?></h4>
+        <ul>
+            {{#each plugin_fallbacks}}
+            <li>{{original}} &rarr; {{fallback}}</li>
+            {{/each}}
+        </ul>
+        {{/if}}
+
+        {{#if warnings}}
+        <h4><?php esc_html_e( 'Warnings', 'ai-page-composer' ); ?></h4>
+        <ul>
+            {{#each warnings}}
+            <li class="warning">{{this}}</li>
+            {{/each}}
+        </ul>
+        {{/if}}
+
+        {{#if estimated_cost}}
+        <div class="estimated-cost">
+            <strong><?php esc_html_e( 'Estimated Cost:', 'ai-page-composer' ); ?></strong> {{estimated_cost}}
+            {{#if original_cost}}
+            <span class="original-cost"><?php esc_html_e( 'Original run:', 'ai-page-composer' ); ?> ${{original_cost}}</span>
+            {{/if}}
+            {{#if cost_sections}}
+            <table class="widefat striped cost-breakdown">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e( 'Section', 'ai-page-composer' ); ?></th>
+                        <th><?php esc_html_e( 'Tokens', 'ai-page-composer' ); ?></th>
+                        <th><?php esc_html_e( 'Cost (low–high)', 'ai-page-composer' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each cost_sections}}
+                    <tr>
+                        <td>{{heading}}</td>
+                        <td>{{tokens}}</td>
+                        <td>{{cost}}</td>
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+            {{/if}}
+        </div>
+        {{/if}}
+    </div>
+</script>
+
 <style>
 .governance-stats {
     margin: 20px 0;
@@ -11,6 +11,9 @@
 if ( ! defined( 'ABSPATH' ) ) {
     exit;
 }
+
+// Undo toast styles (printed in the footer when enqueued this late)
+wp_enqueue_style( 'ai-composer-command-history' );
 ?>
 
 <div id="outline-generation-step" class="ai-composer-step" style="display: none;">
@@ -27,7 +30,24 @@ if ( ! defined( 'ABSPATH' ) ) {
             
             <div class="form-section">
                 <h4><?php esc_html_e( 'Content Requirements', 'ai-page-composer' ); ?></h4>
-                
+
+                <div class="form-row outline-preset-row">
+                    <label for="outline-preset" class="form-label">
+                        <?php esc_html_e( 'Preset:', 'ai-page-composer' ); ?>
+                    </label>
+                    <div class="outline-preset-controls">
+                        <select id="outline-preset" class="form-control">
+                            <option value=""><?php esc_html_e( 'Choose a preset...', 'ai-page-composer' ); ?></option>
+                        </select>
+                        <button type="button" class="button save-outline-preset">
+                            <?php esc_html_e( 'Save as Preset', 'ai-page-composer' ); ?>
+                        </button>
+                    </div>
+                    <div class="form-help">
+                        <?php esc_html_e( 'Fill the form from a saved configuration. Sitewide presets are managed on the settings screen.', 'ai-page-composer' ); ?>
+                    </div>
+                </div>
+
                 <div class="form-row">
                     <label for="content-brief" class="form-label required">
                         <?php esc_html_e( 'Content Brief:', 'ai-page-composer' ); ?>
@@ -141,6 +161,35 @@ if ( ! defined( 'ABSPATH' ) ) {
                         </div>
                     </div>
 
+                    <div class="form-row mvdb-filter-builder">
+                        <span class="form-label">
+                            <?php esc_html_e( 'Retrieval Filters:', 'ai-page-composer' ); ?>
+                        </span>
+                        <div class="filter-match-row">
+                            <label for="mvdb-filter-match"><?php esc_html_e( 'Match', 'ai-page-composer' ); ?></label>
+                            <select id="mvdb-filter-match">
+                                <option value="all"><?php esc_html_e( 'all', 'ai-page-composer' ); ?></option>
+                                <option value="any"><?php esc_html_e( 'any', 'ai-page-composer' ); ?></option>
+                            </select>
+                            <?php esc_html_e( 'of the following groups', 'ai-page-composer' ); ?>
+                        </div>
+                        <div id="mvdb-filter-groups"></div>
+                        <div class="filter-builder-actions">
+                            <button type="button" class="button add-filter-group">
+                                <span class="dashicons dashicons-plus-alt2"></span>
+                                <?php esc_html_e( 'Add Filter Group', 'ai-page-composer' ); ?>
+                            </button>
+                            <button type="button" class="button test-mvdb-query">
+                                <span class="dashicons dashicons-search"></span>
+                                <?php esc_html_e( 'Test Query', 'ai-page-composer' ); ?>
+                            </button>
+                        </div>
+                        <div id="mvdb-test-results" aria-live="polite" style="display: none;"></div>
+                        <div class="form-help">
+                            <?php esc_html_e( 'Restrict retrieval by date, author, content type or custom metadata. Test the query to preview the matching chunks before generating.', 'ai-page-composer' ); ?>
+                        </div>
+                    </div>
+
                     <div class="form-row">
                         <label for="alpha-value" class="form-label">
                             <?php esc_html_e( 'Context vs Creativity Balance:', 'ai-page-composer' ); ?>
@@ -171,8 +220,16 @@ if ( ! defined( 'ABSPATH' ) ) {
                     <span class="btn-text"><?php esc_html_e( 'Generate Outline', 'ai-page-composer' ); ?></span>
                     <span class="spinner" style="display: none;"></span>
                 </button>
+                <button type="button" class="button button-secondary button-large" id="cancel-outline-btn" style="display: none;">
+                    <?php esc_html_e( 'Cancel', 'ai-page-composer' ); ?>
+                </button>
                 
                 <div class="generation-info">
+                    <small class="stream-counters" style="display: none;" aria-live="polite">
+                        <span class="stream-progress"></span> &middot;
+                        <span class="stream-tokens">0</span> <?php esc_html_e( 'tokens', 'ai-page-composer' ); ?> &middot;
+                        $<span class="stream-cost">0.0000</span>
+                    </small>
                     <small class="cost-estimate" style="display: none;">
                         <?php esc_html_e( 'Estimated cost: $0.00', 'ai-page-composer' ); ?>
                     </small>
@@ -188,13 +245,36 @@ if ( ! defined( 'ABSPATH' ) ) {
                 <span class="total-words"></span>
                 <span class="estimated-time"></span>
                 <span class="generation-mode"></span>
+                <span class="projected-cost"></span>
             </div>
         </div>
 
+        <div class="notice notice-warning inline outline-cost-warning" id="outline-cost-warning" role="alert" style="display: none;"></div>
+
+        <div class="outline-toolbar">
+            <span class="history-controls">
+                <button type="button" class="button button-small" id="outline-undo" disabled>
+                    <span class="dashicons dashicons-undo"></span>
+                    <?php esc_html_e( 'Undo', 'ai-page-composer' ); ?>
+                </button>
+                <button type="button" class="button button-small" id="outline-redo" disabled>
+                    <span class="dashicons dashicons-redo"></span>
+                    <?php esc_html_e( 'Redo', 'ai-page-composer' ); ?>
+                </button>
+            </span>
+            <button type="button" class="button button-small insert-section">
+                <span class="dashicons dashicons-plus"></span>
+                <?php esc_html_e( 'Insert Section at Top', 'ai-page-composer' ); ?>
+            </button>
+            <span class="outline-toolbar-hint"><?php esc_html_e( 'Drag sections, use the arrow buttons, or press Alt + Arrow Up/Down to reorder.', 'ai-page-composer' ); ?></span>
+        </div>
+
         <div class="outline-sections" id="outline-sections-container">
             <!-- Generated sections will be inserted here -->
         </div>
 
+        <div class="outline-retrieval" id="outline-retrieval" style="display: none;"></div>
+
         <div class="results-actions">
             <button type="button" class="button button-secondary" id="regenerate-outline">
                 <?php esc_html_e( 'Regenerate Outline', 'ai-page-composer' ); ?>
@@ -203,6 +283,23 @@ if ( ! defined( 'ABSPATH' ) ) {
                 <?php esc_html_e( 'Use This Outline', 'ai-page-composer' ); ?>
             </button>
         </div>
+
+        <div class="outline-history" id="outline-history" style="display: none;">
+            <h4><?php esc_html_e( 'Version History', 'ai-page-composer' ); ?></h4>
+            <ol class="outline-version-list" id="outline-version-list"></ol>
+
+            <div class="outline-compare-controls">
+                <label for="compare-version-a"><?php esc_html_e( 'Compare', 'ai-page-composer' ); ?></label>
+                <select id="compare-version-a" class="form-control"></select>
+                <label for="compare-version-b"><?php esc_html_e( 'with', 'ai-page-composer' ); ?></label>
+                <select id="compare-version-b" class="form-control"></select>
+                <button type="button" class="button button-small" id="compare-versions">
+                    <?php esc_html_e( 'Compare', 'ai-page-composer' ); ?>
+                </button>
+            </div>
+
+            <div class="outline-version-compare" id="outline-version-compare" style="display: none;" aria-live="polite"></div>
+        </div>
     </div>
 
     <div class="step-navigation">
@@ -217,17 +314,36 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 <!-- Outline Section Template -->
 <script type="text/template" id="outline-section-template">
-    <div class="outline-section" data-section-id="{{id}}">
+    <div class="outline-section" data-section-id="{{id}}" data-depth="{{depth}}">
         <div class="section-header">
+            <button type="button" class="button-link section-drag-handle" title="<?php esc_attr_e( 'Drag to reorder (or use the arrow keys)', 'ai-page-composer' ); ?>" aria-label="<?php esc_attr_e( 'Reorder section', 'ai-page-composer' ); ?>">
+                <span class="dashicons dashicons-menu"></span>
+            </button>
             <div class="section-info">
                 <h5 class="section-heading">{{heading}}</h5>
                 <div class="section-meta">
                     <span class="section-type">{{type}}</span>
                     <span class="word-count">{{targetWords}} words</span>
                     <span class="image-requirement">{{imageText}}</span>
+                    <span class="section-tone-label"{{#unless tone_label}} style="display: none;"{{/unless}}>{{tone_label}}</span>
                 </div>
             </div>
             <div class="section-actions">
+                <button type="button" class="button button-small move-section-up" title="<?php esc_attr_e( 'Move Up', 'ai-page-composer' ); ?>">
+                    <span class="dashicons dashicons-arrow-up-alt2"></span>
+                </button>
+                <button type="button" class="button button-small move-section-down" title="<?php esc_attr_e( 'Move Down', 'ai-page-composer' ); ?>">
+                    <span class="dashicons dashicons-arrow-down-alt2"></span>
+                </button>
+                <button type="button" class="button button-small insert-section" title="<?php esc_attr_e( 'Insert Section Below', 'ai-page-composer' ); ?>">
+                    <span class="dashicons dashicons-plus"></span>
+                </button>
+                <button type="button" class="button button-small regenerate-section" title="<?php esc_attr_e( 'Regenerate Section', 'ai-page-composer' ); ?>">
+                    <span class="dashicons dashicons-update"></span>
+                </button>
+                <button type="button" class="button button-small lock-section" aria-pressed="false" title="<?php esc_attr_e( 'Lock Section', 'ai-page-composer' ); ?>">
+                    <span class="dashicons dashicons-unlock"></span>
+                </button>
                 <button type="button" class="button button-small edit-section" title="<?php esc_attr_e( 'Edit Section', 'ai-page-composer' ); ?>">
                     <span class="dashicons dashicons-edit"></span>
                 </button>
@@ -238,6 +354,28 @@ if ( ! defined( 'ABSPATH' ) ) {
         </div>
 
         <div class="section-details">
+            <div class="section-controls">
+                <label class="section-control section-word-control">
+                    <span><?php esc_html_e( 'Words', 'ai-page-composer' ); ?></span>
+                    <input type="range" class="section-word-target" min="10" max="2000" step="10" value="{{targetWords}}">
+                    <span class="section-word-value">{{targetWords}}</span>
+                </label>
+                <label class="section-control">
+                    <span><?php esc_html_e( 'Tone', 'ai-page-composer' ); ?></span>
+                    <select class="section-tone">
+                        <option value=""><?php esc_html_e( 'Outline tone', 'ai-page-composer' ); ?></option>
+                        {{#each tones}}
+                        <option value="{{value}}"{{#if selected}} selected{{/if}}>{{label}}</option>
+                        {{/each}}
+                    </select>
+                </label>
+                <label class="section-control">
+                    <input type="checkbox" class="section-needs-image"{{#if needsImage}} checked{{/if}}>
+                    <?php esc_html_e( 'Image', 'ai-page-composer' ); ?>
+                </label>
+                <span class="section-cost">{{section_cost}}</span>
+            </div>
+
             {{#if subheadings}}
             <div class="subheadings">
                 <strong><?php esc_html_e( 'Key Points:', 'ai-page-composer' ); ?></strong>
@@ -249,20 +387,188 @@ if ( ! defined( 'ABSPATH' ) ) {
             </div>
             {{/if}}
 
-            {{#if block_preference}}
-            <div class="block-preferences">
-                <strong><?php esc_html_e( 'Block Recommendation:', 'ai-page-composer' ); ?></strong>
-                <span class="preferred-plugin">{{block_preference.preferred_plugin}}</span>
-                <span class="primary-block">{{block_preference.primary_block}}</span>
-                {{#if block_preference.pattern_preference}}
-                <span class="pattern-preference">({{block_preference.pattern_preference}})</span>
-                {{/if}}
+            {{#with block_preference}}
+            {{> outline-block-preference}}
+            {{/with}}
+
+            {{#if context_count}}
+            <div class="section-context-inspector">
+                <button type="button" class="button-link toggle-section-context" aria-expanded="false">
+                    <span class="dashicons dashicons-database"></span>
+                    <?php esc_html_e( 'Likely related context', 'ai-page-composer' ); ?> ({{context_count}})
+                </button>
+                <ol class="section-context context-chunk-list" hidden>
+                    {{#each context_chunks}}
+                    {{> outline-context-chunk}}
+                    {{/each}}
+                </ol>
             </div>
             {{/if}}
         </div>
     </div>
 </script>
 
+<!-- Outline Context Chunk Partial -->
+<script type="text/template" data-partial="outline-context-chunk">
+    <li class="context-chunk{{#if excluded}} is-excluded{{/if}}" data-chunk-id="{{id}}">
+        <span class="chunk-score">{{score}}</span>
+        <div class="chunk-body">
+            <p class="chunk-text">{{snippet}}</p>
+            <small class="chunk-meta">
+                {{#if namespace}}<span class="chunk-namespace">{{namespace}}</span>{{/if}}
+                {{#if source_url}} &middot; <a href="{{source_url}}" target="_blank" rel="noopener">{{source_url}}</a>{{/if}}
+            </small>
+        </div>
+        <button type="button" class="button button-small exclude-chunk" data-chunk-id="{{id}}" aria-pressed="{{#if excluded}}true{{else}}false{{/if}}">{{toggle_label}}</button>
+    </li>
+</script>
+
+<!-- Outline Retrieval Summary Template -->
+<script type="text/template" id="outline-retrieval-template">
+    <div class="retrieval-header">
+        <h4>
+            {{#if stub}}
+            <?php esc_html_e( 'Sample Context', 'ai-page-composer' ); ?>
+            {{else}}
+            <?php esc_html_e( 'Retrieved Context', 'ai-page-composer' ); ?>
+            {{/if}}
+        </h4>
+        <span class="retrieval-summary">
+            <strong>{{total}}</strong> <?php esc_html_e( 'chunks', 'ai-page-composer' ); ?>
+            &middot; <?php esc_html_e( 'average score', 'ai-page-composer' ); ?> <strong>{{average_score}}</strong>
+            &middot; <?php esc_html_e( 'minimum score', 'ai-page-composer' ); ?> <strong>{{min_score}}</strong>
+        </span>
+    </div>
+
+    {{#if stub}}
+    <p class="description retrieval-stub-note">
+        <?php esc_html_e( 'Stub mode does not query MVDB. These sample chunks only stand in for retrieval results.', 'ai-page-composer' ); ?>
+    </p>
+    {{else}}
+    <p class="description">
+        <?php esc_html_e( 'Every chunk goes into the prompt. Sections list the chunks that share terms with their headings, which likely shaped them.', 'ai-page-composer' ); ?>
+    </p>
+    {{/if}}
+
+    <div class="score-histogram" role="img" aria-label="<?php esc_attr_e( 'Distribution of chunk scores', 'ai-page-composer' ); ?>">
+        <div class="histogram-bars">
+            {{#each buckets}}
+            <div class="histogram-bucket{{#if below}} is-below-threshold{{/if}}" title="{{label}}: {{count}}">
+                <span class="histogram-count">{{count}}</span>
+                <span class="histogram-bar" style="height: {{height}}%;"></span>
+            </div>
+            {{/each}}
+            <span class="histogram-threshold" style="left: {{min_score_percent}}%;" title="<?php esc_attr_e( 'Minimum score', 'ai-page-composer' ); ?>"></span>
+        </div>
+        <div class="histogram-axis">
+            <span>0.0</span>
+            <span>0.5</span>
+            <span>1.0</span>
+        </div>
+    </div>
+
+    <details class="retrieval-chunks">
+        <summary><?php esc_html_e( 'All retrieved chunks', 'ai-page-composer' ); ?></summary>
+        <ol class="context-chunk-list">
+            {{#each chunks}}
+            {{> outline-context-chunk}}
+            {{/each}}
+        </ol>
+    </details>
+
+    <div class="retrieval-actions">
+        <span class="retrieval-excluded">{{excluded_count}} <?php esc_html_e( 'excluded', 'ai-page-composer' ); ?></span>
+        <button type="button" class="button regenerate-without-excluded"{{#unless has_changes}} disabled{{/unless}}>
+            <?php esc_html_e( 'Regenerate With Exclusions', 'ai-page-composer' ); ?>
+        </button>
+    </div>
+</script>
+
+<!-- Outline Block Preference Partial -->
+<script type="text/template" data-partial="outline-block-preference">
+    <div class="block-preferences">
+        <strong><?php esc_html_e( 'Block Recommendation:', 'ai-page-composer' ); ?></strong>
+        <span class="preferred-plugin">{{preferred_plugin}}</span>
+        <span class="primary-block">{{primary_block}}</span>
+        {{#if pattern_preference}}
+        <span class="pattern-preference">({{pattern_preference}})</span>
+        {{/if}}
+    </div>
+</script>
+
+<!-- MVDB Filter Group Template -->
+<script type="text/template" id="mvdb-filter-group-template">
+    <fieldset class="mvdb-filter-group">
+        <legend>
+            <?php esc_html_e( 'Group', 'ai-page-composer' ); ?> {{number}}:
+            <select class="filter-group-match" aria-label="<?php esc_attr_e( 'Group match', 'ai-page-composer' ); ?>">
+                <option value="all"{{#if match_all}} selected{{/if}}><?php esc_html_e( 'all conditions (AND)', 'ai-page-composer' ); ?></option>
+                <option value="any"{{#unless match_all}} selected{{/unless}}><?php esc_html_e( 'any condition (OR)', 'ai-page-composer' ); ?></option>
+            </select>
+        </legend>
+        <div class="filter-conditions">
+            {{#each conditions}}
+            {{> mvdb-filter-condition}}
+            {{/each}}
+        </div>
+        <div class="filter-group-actions">
+            <button type="button" class="button-link add-filter-condition"><?php esc_html_e( 'Add condition', 'ai-page-composer' ); ?></button>
+            <button type="button" class="button-link remove-filter-group"><?php esc_html_e( 'Remove group', 'ai-page-composer' ); ?></button>
+        </div>
+    </fieldset>
+</script>
+
+<!-- MVDB Filter Condition Partial -->
+<script type="text/template" data-partial="mvdb-filter-condition">
+    <div class="mvdb-filter-condition">
+        <select class="filter-field" aria-label="<?php esc_attr_e( 'Field', 'ai-page-composer' ); ?>">
+            {{#each fields}}
+            <option value="{{value}}"{{#if selected}} selected{{/if}}>{{label}}</option>
+            {{/each}}
+        </select>
+        {{#if is_meta}}
+        <input type="text" class="filter-meta-key" value="{{meta_key}}" placeholder="<?php esc_attr_e( 'meta key', 'ai-page-composer' ); ?>" aria-label="<?php esc_attr_e( 'Metadata key', 'ai-page-composer' ); ?>">
+        {{/if}}
+        <select class="filter-operator" aria-label="<?php esc_attr_e( 'Operator', 'ai-page-composer' ); ?>">
+            {{#each operators}}
+            <option value="{{value}}"{{#if selected}} selected{{/if}}>{{label}}</option>
+            {{/each}}
+        </select>
+        <input type="{{input_type}}" class="filter-value" value="{{value}}" placeholder="{{placeholder}}" aria-label="<?php esc_attr_e( 'Value', 'ai-page-composer' ); ?>">
+        <button type="button" class="button-link remove-filter-condition" aria-label="<?php esc_attr_e( 'Remove condition', 'ai-page-composer' ); ?>">
+            <span class="dashicons dashicons-no-alt"></span>
+        </button>
+    </div>
+</script>
+
+<!-- MVDB Test Query Results Template -->
+<script type="text/template" id="mvdb-test-results-template">
+    <div class="mvdb-test-summary">
+        <strong>{{total_retrieved}}</strong> <?php esc_html_e( 'matching chunks', 'ai-page-composer' ); ?>
+        &middot; <?php esc_html_e( 'average score', 'ai-page-composer' ); ?> <strong>{{average_score}}</strong>
+        &middot; {{processing_time_ms}} ms
+    </div>
+    {{#each warnings}}
+    <p class="mvdb-test-warning">{{message}}</p>
+    {{/each}}
+    <ol class="mvdb-test-chunks">
+        {{#each chunks}}
+        <li class="mvdb-test-chunk">
+            <span class="chunk-score">{{score}}</span>
+            <div class="chunk-body">
+                <p class="chunk-text">{{text}}</p>
+                <small class="chunk-meta">
+                    {{metadata.type}}{{#if metadata.date}} &middot; {{metadata.date}}{{/if}}{{#if metadata.author}} &middot; {{metadata.author}}{{/if}}
+                    {{#if metadata.source_url}} &middot; <a href="{{metadata.source_url}}" target="_blank" rel="noopener"><?php esc_html_e( 'source', 'ai-page-composer' ); ?></a>{{/if}}
+                </small>
+            </div>
+        </li>
+        {{else}}
+        <li class="mvdb-test-empty"><?php esc_html_e( 'No chunks match these filters.', 'ai-page-composer' ); ?></li>
+        {{/each}}
+    </ol>
+</script>
+
 <style>
 .ai-composer-step {
     max-width: 800px;
@@ -335,6 +641,229 @@ if ( ! defined( 'ABSPATH' ) ) {
     outline: none;
 }
 
+.outline-preset-controls {
+    display: flex;
+    gap: 10px;
+    align-items: center;
+}
+
+.outline-preset-controls .form-control {
+    flex: 1;
+}
+
+.filter-match-row {
+    margin-bottom: 10px;
+}
+
+.mvdb-filter-group {
+    margin: 0 0 10px 0;
+    padding: 10px 12px;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    background: #fff;
+}
+
+.mvdb-filter-group legend {
+    padding: 0 5px;
+    font-weight: 600;
+}
+
+.mvdb-filter-condition {
+    display: flex;
+    gap: 6px;
+    align-items: center;
+    margin-bottom: 6px;
+}
+
+.mvdb-filter-condition .filter-value {
+    flex: 1;
+}
+
+.mvdb-filter-condition .filter-meta-key {
+    width: 120px;
+}
+
+.filter-group-actions,
+.filter-builder-actions {
+    display: flex;
+    gap: 10px;
+}
+
+.remove-filter-group,
+.remove-filter-condition {
+    color: #b32d2e;
+}
+
+#mvdb-test-results {
+    margin-top: 10px;
+    padding: 10px 12px;
+    background: #f6f7f7;
+    border-radius: 4px;
+}
+
+.mvdb-test-warning {
+    margin: 5px 0;
+    color: #996800;
+}
+
+.mvdb-test-chunks {
+    margin: 10px 0 0 20px;
+    max-height: 300px;
+    overflow-y: auto;
+}
+
+.mvdb-test-chunk {
+    display: flex;
+    gap: 10px;
+    margin-bottom: 8px;
+}
+
+.mvdb-test-chunk .chunk-score {
+    min-width: 44px;
+    font-weight: 600;
+    color: #0073aa;
+}
+
+.mvdb-test-chunk .chunk-text {
+    margin: 0;
+}
+
+.mvdb-test-chunk .chunk-meta {
+    color: #666;
+}
+
+.section-context-inspector {
+    margin-top: 10px;
+}
+
+.toggle-section-context .dashicons {
+    font-size: 16px;
+    vertical-align: text-bottom;
+}
+
+.context-chunk-list {
+    margin: 8px 0 0 0;
+    list-style: none;
+    max-height: 320px;
+    overflow-y: auto;
+}
+
+.context-chunk {
+    display: flex;
+    align-items: flex-start;
+    gap: 10px;
+    padding: 6px 0;
+    border-bottom: 1px solid #f0f0f1;
+}
+
+.context-chunk .chunk-score {
+    min-width: 44px;
+    font-weight: 600;
+    color: #0073aa;
+}
+
+.context-chunk .chunk-body {
+    flex: 1;
+    min-width: 0;
+}
+
+.context-chunk .chunk-text {
+    margin: 0;
+}
+
+.context-chunk .chunk-meta {
+    color: #666;
+    word-break: break-all;
+}
+
+.context-chunk .chunk-namespace {
+    font-weight: 600;
+}
+
+.context-chunk.is-excluded .chunk-body,
+.context-chunk.is-excluded .chunk-score {
+    opacity: 0.5;
+    text-decoration: line-through;
+}
+
+.outline-retrieval {
+    margin-top: 20px;
+    padding: 15px;
+    background: #f6f7f7;
+    border-radius: 4px;
+}
+
+.outline-retrieval .retrieval-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: baseline;
+    flex-wrap: wrap;
+    gap: 10px;
+}
+
+.outline-retrieval h4 {
+    margin: 0;
+}
+
+.score-histogram {
+    margin: 15px 0;
+}
+
+.histogram-bars {
+    position: relative;
+    display: flex;
+    align-items: flex-end;
+    gap: 4px;
+    height: 100px;
+    border-bottom: 1px solid #c3c4c7;
+}
+
+.histogram-bucket {
+    flex: 1;
+    display: flex;
+    flex-direction: column;
+    justify-content: flex-end;
+    align-items: center;
+    height: 100%;
+}
+
+.histogram-count {
+    font-size: 11px;
+    color: #50575e;
+}
+
+.histogram-bar {
+    display: block;
+    width: 100%;
+    background: #2271b1;
+}
+
+.histogram-bucket.is-below-threshold .histogram-bar {
+    background: #c3c4c7;
+}
+
+.histogram-threshold {
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    border-left: 2px dashed #d63638;
+}
+
+.histogram-axis {
+    display: flex;
+    justify-content: space-between;
+    font-size: 11px;
+    color: #646970;
+}
+
+.retrieval-actions {
+    display: flex;
+    justify-content: flex-end;
+    align-items: center;
+    gap: 10px;
+    margin-top: 10px;
+}
+
 .form-help {
     margin-top: 5px;
     font-size: 13px;
@@ -407,13 +936,72 @@ if ( ! defined( 'ABSPATH' ) ) {
     border-left: 4px solid #0073aa;
 }
 
+.outline-section[data-depth="1"] {
+    margin-left: 24px;
+    border-left-color: #72aee6;
+}
+
+.outline-section[data-depth="2"],
+.outline-section[data-depth="3"],
+.outline-section[data-depth="4"],
+.outline-section[data-depth="5"] {
+    margin-left: 48px;
+    border-left-color: #c5d9ed;
+}
+
 .section-header {
     display: flex;
     justify-content: space-between;
     align-items: flex-start;
+    gap: 10px;
     margin-bottom: 10px;
 }
 
+.section-header .section-info {
+    flex: 1;
+}
+
+.section-drag-handle {
+    cursor: move;
+    color: #8c8f94;
+}
+
+.outline-section-placeholder {
+    margin-bottom: 20px;
+    height: 60px;
+    border: 2px dashed #c3c4c7;
+    border-radius: 6px;
+}
+
+.outline-toolbar {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    margin-bottom: 15px;
+    font-size: 12px;
+    color: #666;
+}
+
+.section-insert-menu {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 20px;
+    padding: 10px 15px;
+    background: #f0f6fc;
+    border: 1px dashed #0073aa;
+    border-radius: 6px;
+}
+
+.section-insert-menu .form-label {
+    margin: 0;
+    white-space: nowrap;
+}
+
+.section-insert-menu .form-control {
+    width: auto;
+}
+
 .section-heading {
     margin: 0 0 5px 0;
     font-size: 16px;
@@ -437,11 +1025,152 @@ if ( ! defined( 'ABSPATH' ) ) {
     gap: 5px;
 }
 
+.outline-history {
+    margin-top: 25px;
+    padding-top: 15px;
+    border-top: 1px solid #ddd;
+}
+
+.outline-version-list {
+    margin: 0 0 15px 0;
+    padding: 0;
+    list-style: none;
+    max-height: 220px;
+    overflow-y: auto;
+}
+
+.outline-version {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    padding: 6px 8px;
+    border-bottom: 1px solid #f0f0f1;
+}
+
+.outline-version.is-current {
+    background: #f0f6fc;
+}
+
+.outline-version .version-label {
+    flex: 1;
+}
+
+.outline-version .version-meta,
+.outline-version .version-current,
+.outline-compare-table .compare-meta {
+    color: #666;
+    font-size: 12px;
+}
+
+.outline-compare-controls {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    flex-wrap: wrap;
+}
+
+.outline-compare-controls select {
+    width: auto;
+}
+
+.outline-version-compare {
+    margin-top: 15px;
+}
+
+.outline-compare-table .compare-meta {
+    display: block;
+}
+
+.outline-compare-table tr.is-added td {
+    background: #edfaef;
+}
+
+.outline-compare-table tr.is-removed td {
+    background: #fcf0f1;
+}
+
+.outline-compare-table tr.is-changed td {
+    background: #fcf9e8;
+}
+
+.outline-sections.is-streaming .section-actions,
+.outline-sections.is-streaming .section-controls,
+.outline-sections.is-streaming .section-drag-handle {
+    visibility: hidden;
+}
+
+.outline-sections.is-streaming .outline-section:last-child {
+    animation: fadeIn 0.3s ease-in;
+}
+
+@keyframes fadeIn {
+    from { opacity: 0; }
+    to { opacity: 1; }
+}
+
+.stream-counters {
+    display: block;
+    color: #50575e;
+}
+
+.outline-section.is-locked {
+    border-left: 4px solid #2271b1;
+}
+
+.outline-section.is-regenerating {
+    opacity: 0.6;
+}
+
+.outline-section.is-regenerating .regenerate-section .dashicons {
+    animation: spin 1s infinite linear;
+}
+
+@keyframes spin {
+    from { transform: rotate(0deg); }
+    to { transform: rotate(360deg); }
+}
+
 .section-details {
     margin-top: 10px;
     font-size: 14px;
 }
 
+.section-controls {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 15px;
+    margin-bottom: 10px;
+    padding: 8px 10px;
+    background: #f6f7f7;
+    border-radius: 4px;
+}
+
+.section-control {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+}
+
+.section-word-target {
+    width: 160px;
+}
+
+.section-word-value {
+    min-width: 36px;
+    font-weight: 600;
+}
+
+.section-cost {
+    margin-left: auto;
+    color: #50575e;
+}
+
+.outline-cost-warning {
+    margin: 10px 0;
+    padding: 8px 12px;
+}
+
 .subheadings ul {
     margin: 5px 0 0 20px;
 }
@@ -466,6 +1195,55 @@ if ( ! defined( 'ABSPATH' ) ) {
     font-size: 11px;
 }
 
+.section-editor {
+    margin-top: 10px;
+    padding: 15px;
+    background: #fff;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+}
+
+.section-editor .form-row {
+    margin-bottom: 15px;
+}
+
+.editor-inline-fields {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 10px;
+}
+
+.editor-field {
+    flex: 1 1 150px;
+}
+
+.editor-checkbox {
+    display: flex;
+    align-items: flex-end;
+    padding-bottom: 10px;
+}
+
+.editor-subtitle {
+    margin-bottom: 5px;
+    font-weight: 600;
+}
+
+.edit-subheadings {
+    margin: 0 0 10px 0;
+}
+
+.subheading-field {
+    display: flex;
+    gap: 5px;
+    align-items: center;
+}
+
+.editor-actions {
+    display: flex;
+    gap: 5px;
+    justify-content: flex-end;
+}
+
 .results-actions {
     text-align: center;
     margin-top: 20px;
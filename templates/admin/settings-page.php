@@ -48,6 +48,9 @@ AIPageComposer\Utils\Security_Helper::verify_request( false );
             <a href="#section-generation" class="nav-tab" data-target="#section-generation-panel">
                 <?php esc_html_e( 'Section Generation', 'ai-page-composer' ); ?>
             </a>
+            <a href="#outline-presets" class="nav-tab" data-target="#outline-presets-panel">
+                <?php esc_html_e( 'Outline Presets', 'ai-page-composer' ); ?>
+            </a>
             <a href="#cost-management" class="nav-tab" data-target="#cost-management-panel">
                 <?php esc_html_e( 'Cost Management', 'ai-page-composer' ); ?>
             </a>
@@ -647,6 +650,161 @@ AIPageComposer\Utils\Security_Helper::verify_request( false );
                 </div>
             </div>
             
+            <!-- Outline Presets Panel -->
+            <div id="outline-presets-panel" class="ai-composer-panel">
+                <h2><?php esc_html_e( 'Outline Presets', 'ai-page-composer' ); ?></h2>
+                <p class="description">
+                    <?php esc_html_e( 'Named outline form configurations that can be applied from the preset dropdown in the outline step. Sitewide presets are shared with every user and can be set as a blueprint default.', 'ai-page-composer' ); ?>
+                </p>
+                
+                <div id="outline-preset-list" aria-live="polite"></div>
+                
+                <p>
+                    <button type="button" class="button button-secondary add-outline-preset">
+                        <?php esc_html_e( 'Add Preset', 'ai-page-composer' ); ?>
+                    </button>
+                </p>
+                
+                <!-- Preset fields have no name so they are not posted with the settings form -->
+                <div id="outline-preset-editor" class="outline-preset-editor" style="display: none;">
+                    <h3 class="preset-editor-title"><?php esc_html_e( 'Edit Preset', 'ai-page-composer' ); ?></h3>
+                    <input type="hidden" id="preset-id" value="" />
+                    <table class="form-table">
+                        <tr>
+                            <th scope="row">
+                                <label for="preset-name"><?php esc_html_e( 'Name', 'ai-page-composer' ); ?> <span class="required">*</span></label>
+                            </th>
+                            <td>
+                                <input type="text" id="preset-name" class="regular-text" maxlength="100" />
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="preset-scope"><?php esc_html_e( 'Available To', 'ai-page-composer' ); ?></label>
+                            </th>
+                            <td>
+                                <select id="preset-scope">
+                                    <option value="user"><?php esc_html_e( 'Only me', 'ai-page-composer' ); ?></option>
+                                    <?php if ( current_user_can( 'manage_options' ) ) : ?>
+                                        <option value="site"><?php esc_html_e( 'Everyone (sitewide)', 'ai-page-composer' ); ?></option>
+                                    <?php endif; ?>
+                                </select>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="preset-brief"><?php esc_html_e( 'Brief Template', 'ai-page-composer' ); ?></label>
+                            </th>
+                            <td>
+                                <textarea id="preset-brief" rows="4" class="large-text" maxlength="2000"></textarea>
+                                <p class="description">
+                                    <?php esc_html_e( 'Optional. Leave empty to keep the brief the user has already typed.', 'ai-page-composer' ); ?>
+                                </p>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="preset-audience"><?php esc_html_e( 'Target Audience', 'ai-page-composer' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="text" id="preset-audience" class="regular-text" maxlength="500" />
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="preset-tone"><?php esc_html_e( 'Content Tone', 'ai-page-composer' ); ?></label>
+                            </th>
+                            <td>
+                                <select id="preset-tone">
+                                    <option value="professional"><?php esc_html_e( 'Professional', 'ai-page-composer' ); ?></option>
+                                    <option value="casual"><?php esc_html_e( 'Casual', 'ai-page-composer' ); ?></option>
+                                    <option value="friendly"><?php esc_html_e( 'Friendly', 'ai-page-composer' ); ?></option>
+                                    <option value="technical"><?php esc_html_e( 'Technical', 'ai-page-composer' ); ?></option>
+                                    <option value="authoritative"><?php esc_html_e( 'Authoritative', 'ai-page-composer' ); ?></option>
+                                </select>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="preset-namespaces"><?php esc_html_e( 'Knowledge Base Namespaces', 'ai-page-composer' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="text" id="preset-namespaces" class="regular-text" placeholder="<?php esc_attr_e( 'content, products, docs (comma-separated)', 'ai-page-composer' ); ?>" />
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="preset-k"><?php esc_html_e( 'Search Results (k)', 'ai-page-composer' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="number" id="preset-k" value="10" min="1" max="50" class="small-text" />
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="preset-min-score"><?php esc_html_e( 'Minimum Relevance Score', 'ai-page-composer' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="number" id="preset-min-score" value="0.5" min="0" max="1" step="0.1" class="small-text" />
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="preset-alpha"><?php esc_html_e( 'Hybrid Alpha', 'ai-page-composer' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="number" id="preset-alpha" value="0.7" min="0" max="1" step="0.1" class="small-text" />
+                            </td>
+                        </tr>
+                    </table>
+                    <p>
+                        <button type="button" class="button button-primary save-outline-preset-edit">
+                            <?php esc_html_e( 'Save Preset', 'ai-page-composer' ); ?>
+                        </button>
+                        <button type="button" class="button cancel-outline-preset-edit">
+                            <?php esc_html_e( 'Cancel', 'ai-page-composer' ); ?>
+                        </button>
+                    </p>
+                </div>
+                
+                <script type="text/template" id="outline-preset-list-template">
+                    {{#if presets}}
+                    <table class="widefat striped outline-preset-table">
+                        <thead>
+                            <tr>
+                                <th><?php esc_html_e( 'Name', 'ai-page-composer' ); ?></th>
+                                <th><?php esc_html_e( 'Available To', 'ai-page-composer' ); ?></th>
+                                <th><?php esc_html_e( 'Audience', 'ai-page-composer' ); ?></th>
+                                <th><?php esc_html_e( 'Tone', 'ai-page-composer' ); ?></th>
+                                <th><?php esc_html_e( 'Namespaces', 'ai-page-composer' ); ?></th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {{#each presets}}
+                            <tr data-preset-id="{{id}}">
+                                <td><strong>{{name}}</strong></td>
+                                <td>{{scope_label}}</td>
+                                <td>{{form_data.audience}}</td>
+                                <td>{{form_data.tone}}</td>
+                                <td>{{namespaces}}</td>
+                                <td>
+                                    {{#if editable}}
+                                    <button type="button" class="button-link edit-outline-preset"><?php esc_html_e( 'Edit', 'ai-page-composer' ); ?></button>
+                                    |
+                                    <button type="button" class="button-link delete-outline-preset"><?php esc_html_e( 'Delete', 'ai-page-composer' ); ?></button>
+                                    {{/if}}
+                                </td>
+                            </tr>
+                            {{/each}}
+                        </tbody>
+                    </table>
+                    {{else}}
+                    <p class="description"><?php esc_html_e( 'No presets saved yet.', 'ai-page-composer' ); ?></p>
+                    {{/if}}
+                </script>
+            </div>
+            
             <!-- Cost Management Panel -->
             <div id="cost-management-panel" class="ai-composer-panel">
                 <h2><?php esc_html_e( 'Cost Management', 'ai-page-composer' ); ?></h2>
@@ -759,6 +917,96 @@ AIPageComposer\Utils\Security_Helper::verify_request( false );
                         </td>
                     </tr>
                 </table>
+
+                <?php $pricing = wp_parse_args( $settings['cost_management']['pricing'] ?? array(), \AIPageComposer\API\Cost_Estimator::DEFAULT_PRICING ); ?>
+                <h3><?php esc_html_e( 'Pricing Table', 'ai-page-composer' ); ?></h3>
+                <p class="description">
+                    <?php esc_html_e( 'Rates used to estimate generation cost in the outline step, the blueprint editor and re-run previews.', 'ai-page-composer' ); ?>
+                </p>
+
+                <table class="form-table">
+                    <tr>
+                        <th scope="row">
+                            <label for="pricing_model"><?php esc_html_e( 'Model', 'ai-page-composer' ); ?></label>
+                        </th>
+                        <td>
+                            <select id="pricing_model" name="ai_composer_settings[cost_management][pricing][model]">
+                                <?php foreach ( \AIPageComposer\API\Cost_Estimator::MODELS as $model => $rates ) : ?>
+                                <option value="<?php echo esc_attr( $model ); ?>"
+                                        data-input="<?php echo esc_attr( $rates['input_per_1k'] ); ?>"
+                                        data-output="<?php echo esc_attr( $rates['output_per_1k'] ); ?>"
+                                        <?php selected( $pricing['model'], $model ); ?>>
+                                    <?php echo esc_html( $model ); ?>
+                                </option>
+                                <?php endforeach; ?>
+                                <option value="custom" <?php selected( $pricing['model'], 'custom' ); ?>>
+                                    <?php esc_html_e( 'Custom rates', 'ai-page-composer' ); ?>
+                                </option>
+                            </select>
+                            <p class="description">
+                                <?php esc_html_e( 'Choosing a model fills in its list prices; edit them to match your contract.', 'ai-page-composer' ); ?>
+                            </p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row">
+                            <label for="pricing_input_per_1k"><?php esc_html_e( 'Input Tokens (USD per 1K)', 'ai-page-composer' ); ?></label>
+                        </th>
+                        <td>
+                            <input type="number" 
+                                   id="pricing_input_per_1k" 
+                                   name="ai_composer_settings[cost_management][pricing][input_per_1k]" 
+                                   value="<?php echo esc_attr( $pricing['input_per_1k'] ); ?>" 
+                                   min="0" max="1" step="0.00001" 
+                                   class="small-text" />
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row">
+                            <label for="pricing_output_per_1k"><?php esc_html_e( 'Output Tokens (USD per 1K)', 'ai-page-composer' ); ?></label>
+                        </th>
+                        <td>
+                            <input type="number" 
+                                   id="pricing_output_per_1k" 
+                                   name="ai_composer_settings[cost_management][pricing][output_per_1k]" 
+                                   value="<?php echo esc_attr( $pricing['output_per_1k'] ); ?>" 
+                                   min="0" max="1" step="0.00001" 
+                                   class="small-text" />
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row">
+                            <label for="pricing_image_cost"><?php esc_html_e( 'Image (USD each)', 'ai-page-composer' ); ?></label>
+                        </th>
+                        <td>
+                            <input type="number" 
+                                   id="pricing_image_cost" 
+                                   name="ai_composer_settings[cost_management][pricing][image_cost]" 
+                                   value="<?php echo esc_attr( $pricing['image_cost'] ); ?>" 
+                                   min="0" max="10" step="0.001" 
+                                   class="small-text" />
+                            <p class="description">
+                                <?php esc_html_e( 'Sections that require an image always include it; optional images only count toward the high estimate.', 'ai-page-composer' ); ?>
+                            </p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row">
+                            <label for="pricing_retrieval_cost"><?php esc_html_e( 'Retrieval (USD per query)', 'ai-page-composer' ); ?></label>
+                        </th>
+                        <td>
+                            <input type="number" 
+                                   id="pricing_retrieval_cost" 
+                                   name="ai_composer_settings[cost_management][pricing][retrieval_cost]" 
+                                   value="<?php echo esc_attr( $pricing['retrieval_cost'] ); ?>" 
+                                   min="0" max="1" step="0.0001" 
+                                   class="small-text" />
+                            <p class="description">
+                                <?php esc_html_e( 'Charged once per section in grounded and hybrid modes.', 'ai-page-composer' ); ?>
+                            </p>
+                        </td>
+                    </tr>
+                </table>
                 
                 <div style="margin-top: 20px;">
                     <button type="button" class="button button-secondary refresh-cost-stats">
@@ -153,6 +153,40 @@ if ( ! defined( 'ABSPATH' ) ) {
     </table>
 </div>
 
+<!-- Preferred Blocks -->
+<div class="section-blocks">
+    <h3><?php esc_html_e( 'Preferred Blocks', 'ai-page-composer' ); ?></h3>
+    <p class="description">
+        <?php esc_html_e( 'Blocks picked for a section in the assembly step are used for sections of the same type from then on. Remove one to go back to the plugin preference above.', 'ai-page-composer' ); ?>
+    </p>
+
+    <div id="section-blocks-container">
+        <?php
+        $section_blocks = $block_preferences['section_blocks'] ?? array();
+        if ( ! empty( $section_blocks ) ) :
+            foreach ( $section_blocks as $section_key => $block_name ) :
+        ?>
+        <div class="section-block-row">
+            <input type="hidden"
+                   name="ai_composer_settings[block_preferences][section_blocks][<?php echo esc_attr( $section_key ); ?>]"
+                   value="<?php echo esc_attr( $block_name ); ?>" />
+            <strong><?php echo esc_html( $section_types[ $section_key ] ?? ucfirst( $section_key ) ); ?></strong>
+            <code><?php echo esc_html( $block_name ); ?></code>
+            <button type="button" class="button remove-section-block">
+                <?php esc_html_e( 'Remove', 'ai-page-composer' ); ?>
+            </button>
+        </div>
+        <?php
+            endforeach;
+        else :
+        ?>
+        <p class="description">
+            <em><?php esc_html_e( 'No blocks picked yet.', 'ai-page-composer' ); ?></em>
+        </p>
+        <?php endif; ?>
+    </div>
+</div>
+
 <!-- Block Detection Settings -->
 <div class="block-detection-settings">
     <h3><?php esc_html_e( 'Detection Settings', 'ai-page-composer' ); ?></h3>
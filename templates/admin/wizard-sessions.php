@@ -0,0 +1,108 @@
+<?php
+/**
+ * Wizard Sessions Template
+ * 
+ * This template renders the list of unfinished compositions above the composer
+ * wizard steps so users can resume one where they left off.
+ * 
+ * @package AIPageComposer
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+?>
+
+<div id="ai-composer-sessions" class="ai-composer-sessions" style="display: none;">
+    <h4><?php esc_html_e( 'Unfinished Compositions', 'ai-page-composer' ); ?></h4>
+    <p class="sessions-description">
+        <?php esc_html_e( 'Your progress is saved automatically. Resume a composition to continue at the step where you left off.', 'ai-page-composer' ); ?>
+    </p>
+    <div id="ai-composer-session-list" aria-live="polite"></div>
+</div>
+
+<!-- Session List Template -->
+<script type="text/template" id="wizard-session-list-template">
+    <ul class="session-list">
+        {{#each sessions}}
+        <li class="session-item{{#if is_current}} is-current{{/if}}" data-session-id="{{id}}">
+            <div class="session-info">
+                <strong class="session-title">{{title}}</strong>
+                <span class="session-meta">
+                    {{step_label}} &middot;
+                    {{section_count}} <?php esc_html_e( 'sections', 'ai-page-composer' ); ?> &middot;
+                    <?php esc_html_e( 'saved', 'ai-page-composer' ); ?> {{updated_label}}
+                </span>
+            </div>
+            <div class="session-actions">
+                {{#if is_current}}
+                <span class="session-current"><?php esc_html_e( 'Open', 'ai-page-composer' ); ?></span>
+                {{else}}
+                <button type="button" class="button button-small resume-session"><?php esc_html_e( 'Resume', 'ai-page-composer' ); ?></button>
+                {{/if}}
+                <button type="button" class="button-link delete-session"><?php esc_html_e( 'Discard', 'ai-page-composer' ); ?></button>
+            </div>
+        </li>
+        {{/each}}
+    </ul>
+</script>
+
+<style>
+.ai-composer-sessions {
+    max-width: 800px;
+    margin: 0 auto 20px;
+    padding: 15px 20px;
+    background: #fff;
+    border: 1px solid #ddd;
+    border-radius: 8px;
+}
+
+.ai-composer-sessions h4 {
+    margin: 0 0 5px 0;
+}
+
+.sessions-description {
+    margin: 0 0 10px 0;
+    color: #666;
+}
+
+.session-list {
+    margin: 0;
+    list-style: none;
+}
+
+.session-item {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 10px;
+    padding: 8px 0;
+    border-top: 1px solid #f0f0f1;
+}
+
+.session-item.is-current {
+    background: #f0f6fc;
+}
+
+.session-info {
+    display: flex;
+    flex-direction: column;
+}
+
+.session-meta,
+.session-current {
+    color: #666;
+    font-size: 12px;
+}
+
+.session-actions {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+}
+
+.session-actions .delete-session {
+    color: #b32d2e;
+}
+</style>
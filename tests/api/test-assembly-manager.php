@@ -262,6 +262,75 @@ class Test_Assembly_Manager extends TestCase {
         $this->assertCount( 1, $decoded['blocks'] );
     }
 
+    /**
+     * Test re-assembling one section with a block picked for it
+     */
+    public function test_reassemble_section_with_block_override() {
+        $sections = [
+            [ 'type' => 'hero', 'content' => '<h1>Test Hero Section</h1>' ],
+            [ 'type' => 'testimonial', 'content' => '<p>Great product.</p>' ]
+        ];
+        $settings = get_option( 'ai_composer_settings', [] );
+
+        $assembly = $this->assembly_manager->assemble_sections( $sections );
+        $section = array_merge( $sections[1], [ 'block_override' => 'core/quote' ] );
+        $result = ( new Assembly_Manager() )->reassemble_section( $assembly, $section, 1 );
+
+        $indicator = $result['plugin_indicators'][1];
+        $this->assertEquals( 'core/quote', $indicator['block_name'] );
+        $this->assertEquals( 'override', $indicator['source'] );
+        $this->assertFalse( $indicator['fallback_used'] );
+        $this->assertContains( 'core/quote', array_column( $indicator['compatible_blocks'], 'block_name' ) );
+
+        // The other section and its block stay as they were
+        $this->assertEquals( $assembly['assembled_content']['blocks'][0], $result['assembled_content']['blocks'][0] );
+        $this->assertEquals( $assembly['plugin_indicators'][0], $result['plugin_indicators'][0] );
+        $this->assertCount( 2, $result['assembled_content']['blocks'] );
+
+        // The choice is saved for later testimonial sections
+        $preferences = new \AIPageComposer\Admin\Block_Preferences();
+        $this->assertEquals( 'core/quote', $preferences->get_section_blocks()['testimonial'] ?? '' );
+
+        $next = ( new Assembly_Manager() )->assemble_sections( [ $sections[1] ] );
+        $this->assertEquals( 'core/quote', $next['plugin_indicators'][0]['block_name'] );
+        $this->assertEquals( 'saved_preference', $next['plugin_indicators'][0]['source'] );
+
+        update_option( 'ai_composer_settings', $settings );
+    }
+
+    /**
+     * Test a picked block that isn't available falls back and isn't saved
+     */
+    public function test_reassemble_section_with_unavailable_block() {
+        $sections = [ [ 'type' => 'testimonial', 'content' => '<p>Great product.</p>' ] ];
+        $settings = get_option( 'ai_composer_settings', [] );
+
+        $assembly = $this->assembly_manager->assemble_sections( $sections );
+        $section = array_merge( $sections[0], [ 'block_override' => 'missing-plugin/testimonial' ] );
+        $result = ( new Assembly_Manager() )->reassemble_section( $assembly, $section, 0 );
+
+        $indicator = $result['plugin_indicators'][0];
+        $this->assertNotEquals( 'missing-plugin/testimonial', $indicator['block_name'] );
+        $this->assertTrue( $indicator['fallback_used'] );
+        $this->assertStringContainsString( 'missing-plugin/testimonial', $indicator['fallback_reason'] );
+        $this->assertEquals( 1, $result['assembly_metadata']['fallbacks_applied'] );
+
+        $preferences = new \AIPageComposer\Admin\Block_Preferences();
+        $this->assertArrayNotHasKey( 'testimonial', $preferences->get_section_blocks() );
+
+        update_option( 'ai_composer_settings', $settings );
+    }
+
+    /**
+     * Test re-assembling a section outside the assembly
+     */
+    public function test_reassemble_section_with_invalid_index() {
+        $assembly = $this->assembly_manager->assemble_sections( [ [ 'type' => 'content', 'content' => '<p>Test</p>' ] ] );
+
+        $this->expectException( \InvalidArgumentException::class );
+        $this->assembly_manager->reassemble_section( $assembly, [ 'type' => 'content' ], 3 );
+    }
+
     /**
      * Tear down test environment
      */
@@ -0,0 +1,156 @@
+<?php
+/**
+ * Unit Tests for Blueprint Versions
+ *
+ * @package AIPageComposer
+ */
+
+use AIPageComposer\Blueprints\Blueprint_Versions;
+
+/**
+ * Blueprint Versions test case
+ */
+class Test_Blueprint_Versions extends WP_UnitTestCase {
+
+    /**
+     * Blueprint versions instance
+     *
+     * @var Blueprint_Versions
+     */
+    private $versions;
+
+    /**
+     * Blueprint post ID
+     *
+     * @var int
+     */
+    private $post_id;
+
+    /**
+     * Set up test fixtures
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->versions = new Blueprint_Versions();
+        $this->post_id = self::factory()->post->create( array( 'post_type' => 'ai_blueprint' ) );
+        wp_set_current_user( self::factory()->user->create( array( 'role' => 'administrator', 'display_name' => 'Editor One' ) ) );
+    }
+
+    /**
+     * Build blueprint data
+     *
+     * @param array $sections Sections.
+     * @param array $global_settings Global settings.
+     * @return array Blueprint data.
+     */
+    private function make_blueprint( $sections, $global_settings = array( 'generation_mode' => 'hybrid' ) ) {
+        return array(
+            'sections' => $sections,
+            'global_settings' => $global_settings,
+            'metadata' => array( 'version' => '1.0.0' ),
+        );
+    }
+
+    /**
+     * Test the first save is recorded as the initial version
+     */
+    public function test_first_save_records_initial_version() {
+        $data = $this->versions->record( $this->post_id, $this->make_blueprint( array(
+            array( 'id' => 'intro', 'type' => 'hero', 'heading' => 'Intro' ),
+        ) ) );
+
+        $this->assertEquals( '1.0.0', $data['metadata']['version'] );
+        $this->assertEquals( '1.0.0', $this->versions->get_current_version( $this->post_id ) );
+
+        $record = $this->versions->get_version( $this->post_id, '1.0.0' );
+        $this->assertEquals( 'initial', $record['bump'] );
+        $this->assertEquals( 'Editor One', $record['author_name'] );
+        $this->assertEquals( array( 'intro' ), $record['changes']['sections']['added'] );
+    }
+
+    /**
+     * Test version bumps follow the kind of change
+     */
+    public function test_bumps_follow_the_kind_of_change() {
+        $intro = array( 'id' => 'intro', 'type' => 'hero', 'heading' => 'Intro' );
+        $body = array( 'id' => 'body', 'type' => 'content', 'heading' => 'Body' );
+
+        $this->versions->record( $this->post_id, $this->make_blueprint( array( $intro ) ) );
+
+        // Unchanged save keeps the version
+        $data = $this->versions->record( $this->post_id, $this->make_blueprint( array( $intro ) ) );
+        $this->assertEquals( '1.0.0', $data['metadata']['version'] );
+        $this->assertCount( 1, $this->versions->get_versions( $this->post_id ) );
+
+        // Changed heading is a patch
+        $data = $this->versions->record( $this->post_id, $this->make_blueprint( array( array_merge( $intro, array( 'heading' => 'Welcome' ) ) ) ) );
+        $this->assertEquals( '1.0.1', $data['metadata']['version'] );
+
+        // Added section is minor
+        $data = $this->versions->record( $this->post_id, $this->make_blueprint( array( array_merge( $intro, array( 'heading' => 'Welcome' ) ), $body ) ) );
+        $this->assertEquals( '1.1.0', $data['metadata']['version'] );
+
+        // Removed section is major
+        $data = $this->versions->record( $this->post_id, $this->make_blueprint( array( $body ) ) );
+        $this->assertEquals( '2.0.0', $data['metadata']['version'] );
+
+        $latest = $this->versions->get_versions( $this->post_id )[0];
+        $this->assertEquals( '2.0.0', $latest['version'] );
+        $this->assertEquals( array( 'intro' ), $latest['changes']['sections']['removed'] );
+    }
+
+    /**
+     * Test a hand-set higher version is kept
+     */
+    public function test_manual_version_bump_is_kept() {
+        $section = array( 'id' => 'intro', 'type' => 'hero', 'heading' => 'Intro' );
+        $this->versions->record( $this->post_id, $this->make_blueprint( array( $section ) ) );
+
+        $blueprint = $this->make_blueprint( array( $section ) );
+        $blueprint['metadata']['version'] = '3.0.0';
+
+        $data = $this->versions->record( $this->post_id, $blueprint );
+
+        $this->assertEquals( '3.0.0', $data['metadata']['version'] );
+    }
+
+    /**
+     * Test old versions lose their snapshot, then drop out of the history
+     */
+    public function test_history_is_capped() {
+        $saves = Blueprint_Versions::MAX_VERSIONS + 5;
+        for ( $i = 0; $i < $saves; $i++ ) {
+            $this->versions->record( $this->post_id, $this->make_blueprint( array(
+                array( 'id' => 'intro', 'type' => 'hero', 'heading' => 'Intro ' . $i ),
+            ) ) );
+        }
+
+        $versions = $this->versions->get_versions( $this->post_id );
+        $this->assertCount( Blueprint_Versions::MAX_VERSIONS, $versions );
+        $this->assertEquals( '1.0.' . ( $saves - 1 ), $versions[0]['version'] );
+
+        $with_snapshot = array_filter( $versions, array( $this->versions, 'has_snapshot' ) );
+        $this->assertCount( Blueprint_Versions::MAX_SNAPSHOTS, $with_snapshot );
+        $this->assertEquals( array_slice( $versions, 0, Blueprint_Versions::MAX_SNAPSHOTS ), array_values( $with_snapshot ) );
+
+        // Older versions keep their changelog entry
+        $oldest = end( $versions );
+        $this->assertEquals( '1.0.5', $oldest['version'] );
+        $this->assertEquals( array( 'intro' => array( 'heading' ) ), $oldest['changes']['sections']['changed'] );
+        $this->assertArrayNotHasKey( 'blueprint', $oldest );
+        $this->assertNull( $this->versions->get_version( $this->post_id, '1.0.0' ) );
+    }
+
+    /**
+     * Test global settings changes are diffed with before and after values
+     */
+    public function test_global_settings_diff() {
+        $changes = $this->versions->diff(
+            $this->make_blueprint( array(), array( 'generation_mode' => 'hybrid', 'hybrid_alpha' => 0.7 ) ),
+            $this->make_blueprint( array(), array( 'generation_mode' => 'grounded', 'hybrid_alpha' => 0.7 ) )
+        );
+
+        $this->assertEquals( array( 'generation_mode' => array( 'from' => 'hybrid', 'to' => 'grounded' ) ), $changes['global_settings'] );
+        $this->assertEquals( 'minor', $this->versions->get_bump_type( $changes ) );
+    }
+}
@@ -0,0 +1,124 @@
+<?php
+/**
+ * Unit Tests for Cost Estimator
+ *
+ * @package AIPageComposer
+ */
+
+use AIPageComposer\API\Cost_Estimator;
+use AIPageComposer\Admin\Settings_Manager;
+
+/**
+ * Cost Estimator test case
+ */
+class Test_Cost_Estimator extends WP_UnitTestCase {
+
+    /**
+     * Cost estimator instance
+     *
+     * @var Cost_Estimator
+     */
+    private $estimator;
+
+    /**
+     * Set up test fixtures
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->estimator = new Cost_Estimator( Cost_Estimator::DEFAULT_PRICING );
+    }
+
+    /**
+     * Test a grounded section with a required image and citations
+     */
+    public function test_estimate_section_with_image_and_citations() {
+        $estimate = $this->estimator->estimate_section( array(
+            'words' => 200,
+            'image' => 'required',
+            'citations' => true,
+            'mode' => 'hybrid',
+        ) );
+
+        // Prompt, retrieved context, source list and image prompt
+        $this->assertEquals( 1470, $estimate['input_tokens'] );
+        $this->assertEquals( array( 'low' => 256, 'expected' => 310, 'high' => 391 ), $estimate['output_tokens'] );
+        $this->assertEquals( 0.04, $estimate['image_cost'] );
+        $this->assertEquals( 0.0005, $estimate['retrieval_cost'] );
+        $this->assertEqualsWithDelta( 0.0645, $estimate['cost']['expected'], 0.00001 );
+        $this->assertLessThan( $estimate['cost']['expected'], $estimate['cost']['low'] );
+        $this->assertGreaterThan( $estimate['cost']['expected'], $estimate['cost']['high'] );
+    }
+
+    /**
+     * Test generative sections skip retrieval and optional images only raise the high cost
+     */
+    public function test_generative_section_with_optional_image() {
+        $estimate = $this->estimator->estimate_section( array(
+            'words' => 100,
+            'image' => 'optional',
+            'citations' => true,
+            'mode' => 'generative',
+        ) );
+
+        $this->assertEquals( 400, $estimate['input_tokens'] );
+        $this->assertEquals( 135, $estimate['output_tokens']['expected'] );
+        $this->assertEquals( 0.0, $estimate['retrieval_cost'] );
+        $this->assertEquals( 0.0, $estimate['image_cost'] );
+        $this->assertGreaterThan( 0.04, $estimate['cost']['high'] - $estimate['cost']['expected'] );
+
+        $disabled = $this->estimator->estimate_section( array( 'words' => 100, 'image' => 'required', 'mode' => 'generative' ), array( 'images_enabled' => false ) );
+        $this->assertEquals( 'none', $disabled['image'] );
+        $this->assertEquals( 0.0, $disabled['image_cost'] );
+    }
+
+    /**
+     * Test blueprint sections are estimated with the blueprint's mode and totals add up
+     */
+    public function test_estimate_blueprint_sections() {
+        $result = $this->estimator->estimate_blueprint_sections(
+            array(
+                array( 'id' => 'intro', 'heading' => 'Intro', 'word_target' => 150, 'media_policy' => 'none', 'citations_required' => false ),
+                array( 'id' => 'details', 'heading' => 'Details', 'word_target' => 300, 'media_policy' => 'required' ),
+            ),
+            array( 'generation_mode' => 'grounded' )
+        );
+
+        $this->assertCount( 2, $result['sections'] );
+        $this->assertEquals( 'details', $result['sections'][1]['id'] );
+        $this->assertEquals( 1200, $result['sections'][0]['input_tokens'] );
+        $this->assertEquals(
+            $result['sections'][0]['tokens'] + $result['sections'][1]['tokens'],
+            $result['totals']['tokens']
+        );
+        $this->assertEqualsWithDelta(
+            $result['sections'][0]['cost']['expected'] + $result['sections'][1]['cost']['expected'],
+            $result['totals']['cost']['expected'],
+            0.0001
+        );
+        $this->assertEquals( 10, $result['totals']['minutes'] );
+    }
+
+    /**
+     * Test rates are read from the Cost Management settings
+     */
+    public function test_pricing_from_settings() {
+        update_option( Settings_Manager::OPTION_NAME, array(
+            'cost_management' => array(
+                'pricing' => array(
+                    'model' => 'gpt-4',
+                    'input_per_1k' => '0.03',
+                    'output_per_1k' => '0.06',
+                ),
+            ),
+        ) );
+
+        $estimator = new Cost_Estimator();
+        $pricing = $estimator->get_pricing();
+
+        $this->assertEquals( 'gpt-4', $pricing['model'] );
+        $this->assertSame( 0.06, $pricing['output_per_1k'] );
+        $this->assertEquals( Cost_Estimator::DEFAULT_PRICING['image_cost'], $pricing['image_cost'] );
+        $this->assertEquals( 1.35, $pricing['tokens_per_word'] );
+        $this->assertEquals( 0.09, $estimator->token_cost( 1000, 1000 ) );
+    }
+}
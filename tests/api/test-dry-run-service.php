@@ -0,0 +1,94 @@
+<?php
+/**
+ * Unit Tests for Dry Run Service
+ *
+ * @package AIPageComposer
+ */
+
+use AIPageComposer\API\Dry_Run_Service;
+
+/**
+ * Dry Run Service test case
+ */
+class Test_Dry_Run_Service extends WP_UnitTestCase {
+
+    /**
+     * Dry run service instance
+     *
+     * @var Dry_Run_Service
+     */
+    private $dry_run_service;
+
+    /**
+     * Set up test fixtures
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->dry_run_service = new Dry_Run_Service();
+    }
+
+    /**
+     * Build a blueprint with the given sections and generation mode
+     *
+     * @param array  $sections Blueprint sections.
+     * @param string $mode Generation mode.
+     * @return array Blueprint data.
+     */
+    private function make_blueprint( $sections, $mode = 'hybrid' ) {
+        return array(
+            'sections' => $sections,
+            'global_settings' => array(
+                'generation_mode' => $mode,
+                'hybrid_alpha' => 0.7,
+            ),
+        );
+    }
+
+    /**
+     * Test the report covers every section without spending anything
+     */
+    public function test_run_reports_each_section_without_spend() {
+        $result = $this->dry_run_service->run( $this->make_blueprint( array(
+            array( 'id' => 'intro', 'type' => 'hero', 'heading' => 'Welcome', 'word_target' => 120 ),
+            array( 'id' => 'body', 'type' => 'content', 'heading' => 'Details', 'word_target' => 300 ),
+        ) ) );
+
+        $this->assertTrue( $result['dry_run'] );
+        $this->assertCount( 2, $result['sections'] );
+        $this->assertEquals( 2, $result['stats']['sections_processed'] );
+        $this->assertEquals( 0.0, $result['stats']['spent_usd'] );
+        $this->assertGreaterThan( 0, $result['stats']['total_tokens'] );
+
+        $section = $result['sections'][0];
+        $this->assertEquals( 'intro', $section['id'] );
+        $this->assertArrayHasKey( 'name', $section['block'] );
+        $this->assertEquals( 120, $section['word_count'] );
+        $this->assertGreaterThan( 0, $section['tokens'] );
+        $this->assertIsArray( $section['failures'] );
+    }
+
+    /**
+     * Test required citations fail in generative mode
+     */
+    public function test_citations_required_fail_in_generative_mode() {
+        $result = $this->dry_run_service->run( $this->make_blueprint( array(
+            array( 'id' => 'facts', 'type' => 'content', 'heading' => 'Facts', 'word_target' => 150, 'citations_required' => true ),
+        ), 'generative' ) );
+
+        $this->assertFalse( $result['success'] );
+        $this->assertFalse( $result['sections'][0]['passed'] );
+        $this->assertNotEmpty( $result['sections'][0]['failures'] );
+    }
+
+    /**
+     * Test schema errors are reported against their section
+     */
+    public function test_schema_errors_are_reported_per_section() {
+        $result = $this->dry_run_service->run( $this->make_blueprint( array(
+            array( 'id' => 'short', 'type' => 'content', 'heading' => 'Short', 'word_target' => 5 ),
+        ) ) );
+
+        $this->assertFalse( $result['sections'][0]['passed'] );
+        $this->assertStringContainsString( 'sections[0]', $result['sections'][0]['failures'][0] );
+    }
+}
@@ -0,0 +1,134 @@
+<?php
+/**
+ * Unit Tests for Estimate Calibration
+ *
+ * @package AIPageComposer
+ */
+
+use AIPageComposer\API\Cost_Estimator;
+use AIPageComposer\API\Estimate_Calibration;
+
+/**
+ * Estimate Calibration test case
+ */
+class Test_Estimate_Calibration extends WP_UnitTestCase {
+
+    /**
+     * Estimate calibration instance
+     *
+     * @var Estimate_Calibration
+     */
+    private $calibration;
+
+    /**
+     * Blueprint post ID
+     *
+     * @var int
+     */
+    private $blueprint_id;
+
+    /**
+     * Set up test fixtures
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->calibration = new Estimate_Calibration( new Cost_Estimator( Cost_Estimator::DEFAULT_PRICING ) );
+        $this->blueprint_id = self::factory()->post->create( array( 'post_type' => 'ai_blueprint' ) );
+    }
+
+    /**
+     * Log a completed run of a blueprint
+     *
+     * @param int   $blueprint_id Blueprint post ID.
+     * @param int   $tokens Tokens used.
+     * @param float $cost Cost in USD.
+     * @param int   $duration_ms Duration in milliseconds.
+     * @param array $estimate Estimate logged when the run started.
+     * @return int Run post ID.
+     */
+    private function make_run( $blueprint_id, $tokens, $cost, $duration_ms, $estimate = array( 'tokens' => 1000, 'cost' => 0.05, 'minutes' => 2 ) ) {
+        return self::factory()->post->create( array(
+            'post_type' => 'ai_run',
+            'post_status' => 'private',
+            'meta_input' => array(
+                'blueprint_id' => $blueprint_id,
+                'run_metadata' => array( 'run_id' => 'run_' . wp_generate_password( 8, false ), 'status' => 'completed', 'total_duration_ms' => $duration_ms ),
+                'generation_parameters' => array( 'blueprint_id' => $blueprint_id, 'generation_mode' => 'hybrid' ),
+                'cost_breakdown' => array( 'total_cost_usd' => $cost, 'token_breakdown' => array( 'total_tokens' => $tokens ) ),
+                'cost_estimate' => $estimate,
+            ),
+        ) );
+    }
+
+    /**
+     * Test factors are the median ratio of actuals to estimates, with the actual distribution
+     */
+    public function test_factors_from_run_actuals() {
+        $this->make_run( $this->blueprint_id, 2000, 0.10, 60000 );
+        $this->make_run( $this->blueprint_id, 2500, 0.125, 120000 );
+        $this->make_run( $this->blueprint_id, 3000, 0.15, 180000 );
+
+        // Stub runs and other blueprints' runs are left out
+        $this->make_run( $this->blueprint_id, 0, 0.0, 1000 );
+        $this->make_run( self::factory()->post->create( array( 'post_type' => 'ai_blueprint' ) ), 9000, 0.9, 60000 );
+
+        $result = $this->calibration->calculate( $this->blueprint_id );
+
+        $this->assertEquals( 3, $result['runs'] );
+        $this->assertTrue( $result['calibrated'] );
+        $this->assertEquals( array( 'min' => 2000, 'p25' => 2250, 'median' => 2500, 'p75' => 2750, 'max' => 3000 ), $result['metrics']['tokens']['actual'] );
+        $this->assertEquals( 1000, $result['metrics']['tokens']['estimate'] );
+        $this->assertEquals( 2.5, $result['factors']['tokens'] );
+        $this->assertEqualsWithDelta( 2.5, $result['factors']['cost'], 0.001 );
+        $this->assertEquals( 1.0, $result['factors']['minutes'] );
+    }
+
+    /**
+     * Test estimates stay as they are until enough runs have completed
+     */
+    public function test_too_few_runs_leave_factors_at_one() {
+        $this->make_run( $this->blueprint_id, 3000, 0.15, 60000 );
+        $this->make_run( $this->blueprint_id, 3000, 0.15, 60000 );
+
+        $result = $this->calibration->calculate( $this->blueprint_id );
+
+        $this->assertEquals( 2, $result['runs'] );
+        $this->assertFalse( $result['calibrated'] );
+        $this->assertEquals( 3.0, $result['metrics']['tokens']['ratio'] );
+        $this->assertEquals( array( 'tokens' => 1.0, 'cost' => 1.0, 'minutes' => 1.0 ), $result['factors'] );
+        $this->assertEquals( array( 'tokens' => 1.0, 'cost' => 1.0, 'minutes' => 1.0 ), $this->calibration->get_factors( 0 ) );
+    }
+
+    /**
+     * Test factors are bounded, cached until invalidated, and scale estimates
+     */
+    public function test_cached_factors_apply_to_estimates() {
+        for ( $i = 0; $i < 3; $i++ ) {
+            $this->make_run( $this->blueprint_id, 10000, 0.5, 120000 );
+        }
+
+        $factors = $this->calibration->get_factors( $this->blueprint_id );
+        $this->assertEquals( Estimate_Calibration::FACTOR_RANGE[1], $factors['tokens'] );
+        $this->assertEquals( Estimate_Calibration::FACTOR_RANGE[1], $factors['cost'] );
+
+        // New runs count once the cache is cleared, as Run_Logger does when a run completes
+        for ( $i = 0; $i < 4; $i++ ) {
+            $this->make_run( $this->blueprint_id, 1000, 0.05, 120000 );
+        }
+        $this->assertEquals( 3, $this->calibration->get( $this->blueprint_id )['runs'] );
+
+        $this->calibration->invalidate( $this->blueprint_id );
+        $factors = $this->calibration->get_factors( $this->blueprint_id );
+        $this->assertEquals( 7, $this->calibration->get( $this->blueprint_id )['runs'] );
+        $this->assertEquals( array( 'tokens' => 1.0, 'cost' => 1.0, 'minutes' => 1.0 ), $factors );
+
+        $estimator = new Cost_Estimator( Cost_Estimator::DEFAULT_PRICING );
+        $sections = array( array( 'words' => 200, 'image' => 'none', 'mode' => 'hybrid' ) );
+        $plain = $estimator->estimate( $sections );
+        $calibrated = $estimator->estimate( $sections, array( 'calibration' => array( 'tokens' => 2.0, 'cost' => 2.0 ) ) );
+
+        $this->assertEquals( $plain['totals']['tokens'] * 2, $calibrated['totals']['tokens'] );
+        $this->assertEqualsWithDelta( $plain['totals']['cost']['expected'] * 2, $calibrated['totals']['cost']['expected'], 0.0002 );
+        $this->assertEquals( 1.0, $calibrated['calibration']['minutes'] );
+    }
+}
@@ -380,4 +380,54 @@ class Test_LLM_Stub_Service extends WP_UnitTestCase {
         $small_result = $this->stub_service->generate_outline( $params, $small_blueprint );
         $this->assertEquals( 5, $small_result['estimated_time'] ); // Minimum 5 minutes
     }
-}
\ No newline at end of file
+
+    /**
+     * Test single section regeneration avoids headings already in the outline
+     */
+    public function test_regenerate_section_avoids_context_headings() {
+        $params = array( 'brief' => 'Sustainable gardening practices for small urban balconies' );
+
+        $section = array(
+            'id' => 'section-2',
+            'heading' => 'Understanding Gardening: Key Insights',
+            'type' => 'content',
+            'targetWords' => 275,
+            'needsImage' => false,
+            'subheadings' => array(),
+        );
+
+        $context = array(
+            array( 'id' => 'section-1', 'heading' => 'Essential Gardening Strategies', 'type' => 'content' ),
+            array( 'id' => 'section-3', 'heading' => 'How Gardening Can Benefit You', 'type' => 'content' ),
+        );
+
+        $result = $this->stub_service->regenerate_section( $params, $section, $context );
+
+        // Identity, type and word target are kept
+        $this->assertEquals( 'section-2', $result['id'] );
+        $this->assertEquals( 'content', $result['type'] );
+        $this->assertEquals( 275, $result['targetWords'] );
+        $this->assertEquals( 'stub', $result['mode'] );
+
+        // Heading is new and does not repeat a neighbour
+        $this->assertNotEquals( $section['heading'], $result['heading'] );
+        $this->assertNotContains( $result['heading'], array_column( $context, 'heading' ) );
+        $this->assertNotEmpty( $result['subheadings'] );
+    }
+
+    /**
+     * Test stub content lands on the word target with citation markers
+     */
+    public function test_generate_content_hits_word_target() {
+        $result = $this->stub_service->generate_content( array(
+            'prompt' => "Content Brief: Composting basics\nGeneration Mode: hybrid",
+            'word_target' => 137,
+            'citation_count' => 2,
+        ) );
+
+        $this->assertEquals( 137, str_word_count( strip_tags( $result['content'] ) ) );
+        $this->assertStringContainsString( '[1]', $result['content'] );
+        $this->assertGreaterThan( 0, $result['token_count'] );
+        $this->assertEquals( 0.0, $result['cost_usd'] );
+    }
+}
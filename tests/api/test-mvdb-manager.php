@@ -164,6 +164,93 @@ class Test_MVDB_Manager extends TestCase {
         $this->assertStringContains( 'language:en', $variables['filter'] );
     }
 
+    /**
+     * Test filter builder condition group validation
+     */
+    public function test_filter_group_validation() {
+        $this->mvdb_manager = new MVDB_Manager( $this->settings_manager );
+
+        $reflection = new \ReflectionClass( $this->mvdb_manager );
+        $method = $reflection->getMethod( 'validate_filters' );
+        $method->setAccessible( true );
+
+        $result = $method->invoke( $this->mvdb_manager, [
+            'match' => 'any',
+            'groups' => [
+                [
+                    'match' => 'all',
+                    'conditions' => [
+                        [ 'field' => 'post_date', 'operator' => 'gte', 'value' => '2024-01-01' ],
+                        [ 'field' => 'post_date', 'operator' => 'lt', 'value' => 'yesterday' ], // Invalid date
+                        [ 'field' => 'post_author', 'operator' => 'in', 'value' => '3, 7, abc' ],
+                        [ 'field' => 'meta.product_line', 'operator' => 'contains', 'value' => 'garden' ],
+                        [ 'field' => 'post_content', 'operator' => 'eq', 'value' => 'x' ], // Unknown field
+                        [ 'field' => 'license', 'operator' => 'contains', 'value' => 'CC' ] // Operator not allowed
+                    ]
+                ],
+                [
+                    'match' => 'any',
+                    'conditions' => [
+                        [ 'field' => 'language', 'operator' => 'eq', 'value' => '' ]
+                    ]
+                ]
+            ]
+        ] );
+
+        $this->assertEquals( 'any', $result['match'] );
+        $this->assertCount( 1, $result['groups'] );
+        $this->assertEquals( [
+            [ 'field' => 'post_date', 'operator' => 'gte', 'value' => '2024-01-01' ],
+            [ 'field' => 'post_author', 'operator' => 'in', 'value' => [ 3, 7 ] ],
+            [ 'field' => 'meta.product_line', 'operator' => 'contains', 'value' => 'garden' ]
+        ], $result['groups'][0]['conditions'] );
+    }
+
+    /**
+     * Test filter string construction for condition groups
+     */
+    public function test_build_group_filter_query() {
+        $this->mvdb_manager = new MVDB_Manager( $this->settings_manager );
+
+        $reflection = new \ReflectionClass( $this->mvdb_manager );
+        $method = $reflection->getMethod( 'build_similarity_query' );
+        $method->setAccessible( true );
+
+        $params = [
+            'query' => 'Sustainable gardening for beginners',
+            'namespaces' => ['content'],
+            'k' => 10,
+            'min_score' => 0.5,
+            'filters' => [
+                'post_type' => ['post'],
+                'match' => 'any',
+                'groups' => [
+                    [
+                        'match' => 'all',
+                        'conditions' => [
+                            [ 'field' => 'post_date', 'operator' => 'gte', 'value' => '2024-01-01' ],
+                            [ 'field' => 'license', 'operator' => 'neq', 'value' => 'CC-BY-NC' ]
+                        ]
+                    ],
+                    [
+                        'match' => 'any',
+                        'conditions' => [
+                            [ 'field' => 'post_author', 'operator' => 'in', 'value' => [ 3, 7 ] ],
+                            [ 'field' => 'meta.region', 'operator' => 'eq', 'value' => 'North America' ]
+                        ]
+                    ]
+                ]
+            ]
+        ];
+
+        $result = $method->invoke( $this->mvdb_manager, $params );
+
+        $this->assertEquals(
+            '(post_type:post) AND ((post_date:>=2024-01-01 AND NOT license:CC-BY-NC) OR ((post_author:3 OR post_author:7) OR meta.region:"North America"))',
+            $result['variables']['filter']
+        );
+    }
+
     /**
      * Test cache key generation
      */
@@ -242,6 +242,136 @@ class Test_Outline_Controller extends WP_UnitTestCase {
         $this->assertArrayHasKey( 'sections', $data );
     }
 
+    /**
+     * Test filter builder groups are validated and translated as for the test query
+     */
+    public function test_mvdb_filters_validated_for_outline_retrieval() {
+        $request = new \WP_REST_Request( 'POST', '/ai-composer/v1/outline' );
+        $request->set_param( 'blueprint_id', $this->test_blueprint_id );
+        $request->set_param( 'brief', 'Create comprehensive guide for sustainable gardening practices' );
+        $request->set_param( 'mvdb_params', array(
+            'namespaces' => array( 'content' ),
+            'k' => 10,
+            'min_score' => 0.5,
+            'filters' => array(
+                'match' => 'all',
+                'groups' => array(
+                    array(
+                        'match' => 'all',
+                        'conditions' => array(
+                            array( 'field' => 'language', 'operator' => 'eq', 'value' => 'en' ),
+                            array( 'field' => 'post_password', 'operator' => 'eq', 'value' => 'secret' ),
+                            array( 'field' => 'post_type', 'operator' => 'contains', 'value' => 'post' ),
+                        ),
+                    ),
+                ),
+                'category' => 'gardening',
+            ),
+        ) );
+
+        $reflection = new \ReflectionClass( $this->outline_controller );
+        $method = $reflection->getMethod( 'extract_parameters' );
+        $method->setAccessible( true );
+        $params = $method->invoke( $this->outline_controller, $request );
+
+        // The unknown field, the operator the field doesn't support and the unknown filter are dropped
+        $this->assertEquals( array(
+            'match' => 'all',
+            'groups' => array(
+                array(
+                    'match' => 'all',
+                    'conditions' => array(
+                        array( 'field' => 'language', 'operator' => 'eq', 'value' => 'en' ),
+                    ),
+                ),
+            ),
+        ), $params['mvdb_params']['filters'] );
+
+        update_option( 'ai_composer_settings', array(
+            'api_settings' => array( 'mvdb_api_key' => 'test-mvdb-key' ),
+        ) );
+
+        $sent = null;
+        $capture = function( $preempt, $args, $url ) use ( &$sent ) {
+            $sent = json_decode( $args['body'], true );
+            return array( 'body' => wp_json_encode( array( 'results' => array() ) ), 'response' => array( 'code' => 200 ) );
+        };
+        add_filter( 'pre_http_request', $capture, 10, 3 );
+
+        $ai_service = new \AIPageComposer\API\AI_Service_Client( new \AIPageComposer\Admin\Settings_Manager() );
+        $ai_service->retrieve_mvdb_context( $params['brief'], array( 'content' ), 10, 0.5, $params['mvdb_params']['filters'] );
+
+        remove_filter( 'pre_http_request', $capture, 10 );
+
+        $this->assertEquals( '((language:en))', $sent['filter'] );
+    }
+
+    /**
+     * Dispatch a request to the streaming endpoint and collect its events
+     *
+     * @param Outline_Controller $controller Controller serving the route.
+     * @return array Decoded events in the order they were written.
+     */
+    private function dispatch_stream( $controller ) {
+        global $wp_rest_server;
+        $wp_rest_server = new WP_REST_Server();
+        $controller->register_routes();
+
+        $request = new \WP_REST_Request( 'POST', '/ai-composer/v1/outline/stream' );
+        $request->set_param( 'blueprint_id', $this->test_blueprint_id );
+        $request->set_param( 'brief', 'Create content about sustainable gardening practices for beginners' );
+
+        ob_start();
+        rest_get_server()->dispatch( $request );
+        $output = ob_get_clean();
+
+        return array_map( function( $line ) {
+            return json_decode( $line, true );
+        }, array_filter( explode( "\n", $output ) ) );
+    }
+
+    /**
+     * Test the stream writes each section, then a done event with the full outline
+     */
+    public function test_stream_outline_done_event() {
+        wp_set_current_user( $this->admin_user_id );
+
+        $events = $this->dispatch_stream( new Test_Streaming_Outline_Controller( $this->blueprint_manager, $this->block_preferences ) );
+        $done = end( $events );
+
+        $this->assertEquals( 'start', $events[0]['event'] );
+        $this->assertEquals( 'done', $done['event'] );
+        $this->assertArrayHasKey( 'sections', $done['outline'] );
+
+        $sections = wp_list_filter( $events, array( 'event' => 'section' ) );
+        $this->assertCount( count( $done['outline']['sections'] ), $sections );
+        foreach ( $sections as $event ) {
+            $this->assertArrayHasKey( 'block_preference', $event['section'] );
+        }
+    }
+
+    /**
+     * Test a generation failure after streaming starts is sent as an error event
+     */
+    public function test_stream_outline_error_event() {
+        wp_set_current_user( $this->admin_user_id );
+
+        $generator = $this->getMockBuilder( \AIPageComposer\API\Outline_Generator::class )
+            ->disableOriginalConstructor()
+            ->onlyMethods( array( 'stream' ) )
+            ->getMock();
+        $generator->method( 'stream' )->willThrowException( new \Exception( 'AI service unavailable' ) );
+
+        $controller = new Test_Streaming_Outline_Controller( $this->blueprint_manager, $this->block_preferences );
+        $property = new \ReflectionProperty( Outline_Controller::class, 'outline_generator' );
+        $property->setAccessible( true );
+        $property->setValue( $controller, $generator );
+
+        $events = $this->dispatch_stream( $controller );
+
+        $this->assertEquals( array( array( 'event' => 'error', 'message' => 'AI service unavailable' ) ), array_values( $events ) );
+    }
+
     /**
      * Test block preferences integration
      */
@@ -276,6 +406,113 @@ class Test_Outline_Controller extends WP_UnitTestCase {
         }
     }
 
+    /**
+     * Test single section regeneration
+     */
+    public function test_section_regeneration() {
+        wp_set_current_user( $this->admin_user_id );
+
+        $request = new \WP_REST_Request( 'POST', '/ai-composer/v1/outline/section' );
+        $request->set_param( 'blueprint_id', $this->test_blueprint_id );
+        $request->set_param( 'brief', 'Create content about sustainable gardening practices for beginners' );
+        $request->set_param( 'section', array(
+            'id' => 'section-2',
+            'heading' => 'Main Content',
+            'type' => 'content',
+            'targetWords' => 300,
+            'needsImage' => false,
+            'subheadings' => array( 'Core Concepts' ),
+        ) );
+        $request->set_param( 'context', array(
+            array( 'id' => 'section-1', 'heading' => 'Introduction', 'type' => 'hero', 'targetWords' => 150 ),
+            array( 'id' => 'section-3', 'heading' => 'Success Stories', 'type' => 'testimonial', 'targetWords' => 200 ),
+        ) );
+
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 200, $response->get_status() );
+
+        $data = $response->get_data();
+        $this->assertArrayHasKey( 'section', $data );
+        $this->assertArrayHasKey( 'estimated_cost', $data );
+        $this->assertArrayHasKey( 'mode', $data );
+
+        // Only the requested section comes back, with its identity intact
+        $this->assertEquals( 'section-2', $data['section']['id'] );
+        $this->assertEquals( 'content', $data['section']['type'] );
+        $this->assertNotEquals( 'Main Content', $data['section']['heading'] );
+        $this->assertArrayHasKey( 'block_preference', $data['section'] );
+    }
+
+    /**
+     * Test a regenerated nested section keeps its place in the hierarchy
+     */
+    public function test_section_regeneration_keeps_nesting() {
+        wp_set_current_user( $this->admin_user_id );
+
+        $request = new \WP_REST_Request( 'POST', '/ai-composer/v1/outline/section' );
+        $request->set_param( 'blueprint_id', $this->test_blueprint_id );
+        $request->set_param( 'brief', 'Create content about sustainable gardening practices for beginners' );
+        $request->set_param( 'section', array(
+            'id' => 'section-2-1',
+            'heading' => 'Soil Basics',
+            'type' => 'content',
+            'targetWords' => 150,
+            'headingLevel' => 3,
+            'depth' => 1,
+            'parentId' => 'section-2',
+        ) );
+
+        $response = rest_get_server()->dispatch( $request );
+        $section = $response->get_data()['section'];
+
+        $this->assertEquals( 200, $response->get_status() );
+        $this->assertEquals( 3, $section['headingLevel'] );
+        $this->assertEquals( 1, $section['depth'] );
+        $this->assertEquals( 'section-2', $section['parentId'] );
+    }
+
+    /**
+     * Test sections of every blueprint section type can be regenerated
+     */
+    public function test_section_regeneration_accepts_blueprint_section_types() {
+        wp_set_current_user( $this->admin_user_id );
+
+        foreach ( array( 'media_text', 'gallery', 'custom' ) as $type ) {
+            $request = new \WP_REST_Request( 'POST', '/ai-composer/v1/outline/section' );
+            $request->set_param( 'blueprint_id', $this->test_blueprint_id );
+            $request->set_param( 'brief', 'Create content about sustainable gardening practices for beginners' );
+            $request->set_param( 'section', array( 'id' => 'section-2', 'heading' => 'Garden Gallery', 'type' => $type, 'targetWords' => 150 ) );
+
+            $response = rest_get_server()->dispatch( $request );
+
+            $this->assertEquals( 200, $response->get_status(), $type );
+            $this->assertEquals( $type, $response->get_data()['section']['type'] );
+        }
+
+        $request = new \WP_REST_Request( 'POST', '/ai-composer/v1/outline/section' );
+        $request->set_param( 'blueprint_id', $this->test_blueprint_id );
+        $request->set_param( 'brief', 'Create content about sustainable gardening practices for beginners' );
+        $request->set_param( 'section', array( 'id' => 'section-2', 'heading' => 'Garden Gallery', 'type' => 'carousel' ) );
+
+        $this->assertEquals( 400, rest_get_server()->dispatch( $request )->get_status() );
+    }
+
+    /**
+     * Test section regeneration requires a section
+     */
+    public function test_section_regeneration_missing_section() {
+        wp_set_current_user( $this->admin_user_id );
+
+        $request = new \WP_REST_Request( 'POST', '/ai-composer/v1/outline/section' );
+        $request->set_param( 'blueprint_id', $this->test_blueprint_id );
+        $request->set_param( 'brief', 'Create content about sustainable gardening practices for beginners' );
+
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 400, $response->get_status() );
+    }
+
     /**
      * Create test blueprint for testing
      *
@@ -334,4 +571,24 @@ class Test_Outline_Controller extends WP_UnitTestCase {
             wp_delete_post( $this->test_blueprint_id, true );
         }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Outline controller that writes the stream without ending the request
+ */
+class Test_Streaming_Outline_Controller extends Outline_Controller {
+
+    /**
+     * Leave headers and the test's output buffer alone
+     */
+    protected function start_stream() {}
+
+    /**
+     * Return to the REST server instead of exiting
+     *
+     * @return null
+     */
+    protected function end_stream() {
+        return null;
+    }
+}
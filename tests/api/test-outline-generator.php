@@ -320,6 +320,166 @@ class Test_Outline_Generator extends WP_UnitTestCase {
         $this->assertLessThanOrEqual( $after_time, $generated_time );
     }
 
+    /**
+     * Test streaming emits every section before returning the outline
+     */
+    public function test_stream_emits_sections_in_order() {
+        $params = array(
+            'brief' => 'Create a comprehensive guide about sustainable gardening practices',
+            'tone' => 'friendly',
+            'mvdb_params' => array(),
+            'alpha' => 0.7,
+        );
+
+        $events = array();
+        $result = $this->outline_generator->stream( $params, $this->test_blueprint, function( $event ) use ( &$events ) {
+            $events[] = $event;
+            return true;
+        } );
+
+        $this->assertIsArray( $result );
+        $this->assertEquals( 'stub', $result['mode'] );
+
+        // First event announces the section count
+        $this->assertEquals( 'start', $events[0]['event'] );
+        $this->assertEquals( count( $result['sections'] ), $events[0]['sections'] );
+
+        // One section event per section, in order, with growing token counts
+        $section_events = array_values( array_filter( $events, function( $event ) {
+            return 'section' === $event['event'];
+        } ) );
+
+        $this->assertCount( count( $result['sections'] ), $section_events );
+
+        $previous_tokens = 0;
+        foreach ( $section_events as $index => $event ) {
+            $this->assertEquals( $index, $event['index'] );
+            $this->assertEquals( $result['sections'][ $index ]['id'], $event['section']['id'] );
+            $this->assertGreaterThan( $previous_tokens, $event['tokens'] );
+            $this->assertEquals( 0.0, $event['cost'] );
+            $previous_tokens = $event['tokens'];
+        }
+    }
+
+    /**
+     * Test streaming stops when the emitter cancels
+     */
+    public function test_stream_cancellation() {
+        $params = array( 'brief' => 'Create a comprehensive guide about sustainable gardening practices' );
+
+        $sections_seen = 0;
+        $result = $this->outline_generator->stream( $params, $this->test_blueprint, function( $event ) use ( &$sections_seen ) {
+            if ( 'section' === $event['event'] ) {
+                $sections_seen++;
+                return false;
+            }
+            return true;
+        } );
+
+        $this->assertNull( $result );
+        $this->assertEquals( 1, $sections_seen );
+    }
+
+    /**
+     * Test context chunks are attached to the outline and its sections
+     */
+    public function test_retrieval_context_attached() {
+        $params = array(
+            'brief' => 'Create a comprehensive guide about sustainable gardening practices',
+            'mvdb_params' => array(
+                'namespaces' => array( 'content', 'docs' ),
+                'k' => 6,
+                'min_score' => 0.6,
+            ),
+            'alpha' => 0.7,
+        );
+
+        $result = $this->outline_generator->generate( $params, $this->test_blueprint );
+
+        $this->assertArrayHasKey( 'retrieval', $result );
+        $this->assertEquals( 0.6, $result['retrieval']['min_score'] );
+        $this->assertCount( 6, $result['retrieval']['chunks'] );
+
+        // Stub mode runs no retrieval, so its sample chunks are flagged and link nowhere
+        $this->assertTrue( $result['retrieval']['stub'] );
+
+        $chunk_ids = wp_list_pluck( $result['retrieval']['chunks'], 'id' );
+        foreach ( $result['retrieval']['chunks'] as $chunk ) {
+            $this->assertArrayHasKey( 'namespace', $chunk );
+            $this->assertArrayHasKey( 'source_url', $chunk );
+            $this->assertEmpty( $chunk['source_url'] );
+            $this->assertArrayHasKey( 'snippet', $chunk );
+            $this->assertGreaterThanOrEqual( 0.6, $chunk['score'] );
+        }
+
+        foreach ( $result['sections'] as $section ) {
+            $this->assertIsArray( $section['context_chunks'] );
+            $this->assertLessThanOrEqual( 5, count( $section['context_chunks'] ) );
+            $this->assertEmpty( array_diff( $section['context_chunks'], $chunk_ids ) );
+        }
+    }
+
+    /**
+     * Test excluded chunks are left out without shrinking the context
+     */
+    public function test_excluded_chunks_left_out() {
+        $params = array(
+            'brief' => 'Create a comprehensive guide about sustainable gardening practices',
+            'mvdb_params' => array(
+                'namespaces' => array( 'content' ),
+                'k' => 5,
+                'min_score' => 0.5,
+            ),
+            'alpha' => 0.7,
+        );
+
+        $first = $this->outline_generator->generate( $params, $this->test_blueprint );
+        $excluded = $first['retrieval']['chunks'][0]['id'];
+
+        $params['mvdb_params']['exclude_chunks'] = array( $excluded );
+        $second = $this->outline_generator->generate( $params, $this->test_blueprint );
+
+        $this->assertCount( 5, $second['retrieval']['chunks'] );
+        $this->assertNotContains( $excluded, wp_list_pluck( $second['retrieval']['chunks'], 'id' ) );
+        $this->assertEquals( array( $excluded ), $second['retrieval']['excluded'] );
+    }
+
+    /**
+     * Test the outline carries the blueprint cost limit for client-side estimates
+     */
+    public function test_cost_limit_included() {
+        $params = array(
+            'brief' => 'Create a comprehensive guide about sustainable gardening practices',
+            'mvdb_params' => array(),
+            'alpha' => 0.7,
+        );
+
+        $result = $this->outline_generator->generate( $params, $this->test_blueprint );
+        $this->assertEquals( 5.0, $result['cost_limit_usd'] );
+
+        $blueprint = $this->test_blueprint;
+        $blueprint['schema']['global_settings']['cost_limit_usd'] = 0.75;
+
+        $result = $this->outline_generator->generate( $params, $blueprint );
+        $this->assertEquals( 0.75, $result['cost_limit_usd'] );
+    }
+
+    /**
+     * Test outlines without namespaces carry an empty retrieval context
+     */
+    public function test_retrieval_context_without_namespaces() {
+        $params = array(
+            'brief' => 'Create a comprehensive guide about sustainable gardening practices',
+            'mvdb_params' => array(),
+            'alpha' => 0.7,
+        );
+
+        $result = $this->outline_generator->generate( $params, $this->test_blueprint );
+
+        $this->assertEmpty( $result['retrieval']['chunks'] );
+        $this->assertEmpty( $result['sections'][0]['context_chunks'] );
+    }
+
     /**
      * Create test blueprint data
      *
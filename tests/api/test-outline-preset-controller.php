@@ -0,0 +1,207 @@
+<?php
+/**
+ * Unit Tests for Outline Preset Controller
+ *
+ * @package AIPageComposer
+ */
+
+use AIPageComposer\API\Outline_Preset_Controller;
+use AIPageComposer\Admin\Outline_Presets;
+
+/**
+ * Outline Preset Controller test case
+ */
+class Test_Outline_Preset_Controller extends WP_UnitTestCase {
+
+    /**
+     * Outline presets instance
+     *
+     * @var Outline_Presets
+     */
+    private $presets;
+
+    /**
+     * Admin user ID
+     *
+     * @var int
+     */
+    private $admin_user_id;
+
+    /**
+     * Editor user ID
+     *
+     * @var int
+     */
+    private $editor_user_id;
+
+    /**
+     * Set up test fixtures
+     */
+    public function setUp(): void {
+        parent::setUp();
+
+        $this->admin_user_id = $this->factory->user->create( array(
+            'role' => 'administrator',
+        ) );
+        $this->editor_user_id = $this->factory->user->create( array(
+            'role' => 'editor',
+        ) );
+
+        $this->presets = new Outline_Presets();
+        $controller = new Outline_Preset_Controller( $this->presets );
+
+        // Set up REST server
+        global $wp_rest_server;
+        $wp_rest_server = new WP_REST_Server();
+        $controller->register_routes();
+        do_action( 'rest_api_init' );
+    }
+
+    /**
+     * Test creating a personal preset
+     */
+    public function test_create_user_preset() {
+        wp_set_current_user( $this->editor_user_id );
+
+        $response = $this->create_preset( 'Gardening blog', 'user', array(
+            'brief' => '',
+            'audience' => 'Beginning gardeners',
+            'tone' => 'not-a-tone',
+            'alpha' => 3,
+            'mvdb_params' => array(
+                'namespaces' => array( 'content', 'docs' ),
+                'k' => 500,
+                'min_score' => 0.6,
+            ),
+        ) );
+
+        $this->assertEquals( 201, $response->get_status() );
+
+        $preset = $response->get_data();
+        $this->assertEquals( 'Gardening blog', $preset['name'] );
+        $this->assertEquals( 'user', $preset['scope'] );
+        $this->assertEquals( 'professional', $preset['form_data']['tone'] );
+        $this->assertEquals( 1.0, $preset['form_data']['alpha'] );
+        $this->assertEquals( 50, $preset['form_data']['mvdb_params']['k'] );
+        $this->assertEquals( array( 'content', 'docs' ), $preset['form_data']['mvdb_params']['namespaces'] );
+    }
+
+    /**
+     * Test users see sitewide presets and only their own personal presets
+     */
+    public function test_list_presets() {
+        wp_set_current_user( $this->admin_user_id );
+        $this->create_preset( 'Product launch', 'site', array( 'audience' => 'Customers' ) );
+        $this->create_preset( 'Admin notes', 'user', array( 'audience' => 'Admins' ) );
+
+        wp_set_current_user( $this->editor_user_id );
+        $this->create_preset( 'Editor drafts', 'user', array( 'audience' => 'Readers' ) );
+
+        $request = new \WP_REST_Request( 'GET', '/ai-composer/v1/outline-presets' );
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 200, $response->get_status() );
+
+        $names = wp_list_pluck( $response->get_data(), 'name' );
+        $this->assertEquals( array( 'Product launch', 'Editor drafts' ), $names );
+    }
+
+    /**
+     * Test only administrators can write sitewide presets
+     */
+    public function test_site_preset_requires_manage_options() {
+        wp_set_current_user( $this->editor_user_id );
+
+        $response = $this->create_preset( 'Shared preset', 'site', array( 'audience' => 'Everyone' ) );
+        $this->assertEquals( 403, $response->get_status() );
+
+        wp_set_current_user( $this->admin_user_id );
+        $preset = $this->create_preset( 'Shared preset', 'site', array( 'audience' => 'Everyone' ) )->get_data();
+
+        wp_set_current_user( $this->editor_user_id );
+
+        $request = new \WP_REST_Request( 'DELETE', '/ai-composer/v1/outline-presets/' . $preset['id'] );
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 403, $response->get_status() );
+        $this->assertArrayHasKey( $preset['id'], $this->presets->get_site_presets() );
+    }
+
+    /**
+     * Test updating a preset keeps its ID
+     */
+    public function test_update_preset() {
+        wp_set_current_user( $this->editor_user_id );
+        $preset = $this->create_preset( 'Weekly update', 'user', array( 'tone' => 'casual' ) )->get_data();
+
+        $request = new \WP_REST_Request( 'PUT', '/ai-composer/v1/outline-presets/' . $preset['id'] );
+        $request->set_param( 'name', 'Weekly newsletter' );
+        $request->set_param( 'form_data', array( 'tone' => 'friendly' ) );
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 200, $response->get_status() );
+
+        $updated = $this->presets->get_preset( $preset['id'], $this->editor_user_id );
+        $this->assertEquals( 'Weekly newsletter', $updated['name'] );
+        $this->assertEquals( 'friendly', $updated['form_data']['tone'] );
+        $this->assertCount( 1, $this->presets->get_user_presets( $this->editor_user_id ) );
+    }
+
+    /**
+     * Test updating a sitewide preset without scope or form data keeps both
+     */
+    public function test_update_site_preset_without_scope() {
+        wp_set_current_user( $this->admin_user_id );
+        $preset = $this->create_preset( 'Product launch', 'site', array( 'audience' => 'Customers' ) )->get_data();
+
+        $request = new \WP_REST_Request( 'PUT', '/ai-composer/v1/outline-presets/' . $preset['id'] );
+        $request->set_param( 'name', 'Product launch 2.0' );
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 200, $response->get_status() );
+
+        $site_presets = $this->presets->get_site_presets();
+        $this->assertArrayHasKey( $preset['id'], $site_presets );
+        $this->assertEquals( 'Product launch 2.0', $site_presets[ $preset['id'] ]['name'] );
+        $this->assertEquals( 'site', $site_presets[ $preset['id'] ]['scope'] );
+        $this->assertEquals( 'Customers', $site_presets[ $preset['id'] ]['form_data']['audience'] );
+        $this->assertEmpty( $this->presets->get_user_presets( $this->admin_user_id ) );
+
+        wp_set_current_user( $this->editor_user_id );
+        $this->assertNotNull( $this->presets->get_preset( $preset['id'], $this->editor_user_id ) );
+    }
+
+    /**
+     * Test deleting a preset
+     */
+    public function test_delete_preset() {
+        wp_set_current_user( $this->editor_user_id );
+        $preset = $this->create_preset( 'Temporary', 'user', array() )->get_data();
+
+        $request = new \WP_REST_Request( 'DELETE', '/ai-composer/v1/outline-presets/' . $preset['id'] );
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 200, $response->get_status() );
+        $this->assertNull( $this->presets->get_preset( $preset['id'], $this->editor_user_id ) );
+
+        $response = rest_get_server()->dispatch( $request );
+        $this->assertEquals( 404, $response->get_status() );
+    }
+
+    /**
+     * Create a preset through the REST API
+     *
+     * @param string $name Preset name.
+     * @param string $scope Preset scope.
+     * @param array  $form_data Form data.
+     * @return WP_REST_Response Response object.
+     */
+    private function create_preset( $name, $scope, $form_data ) {
+        $request = new \WP_REST_Request( 'POST', '/ai-composer/v1/outline-presets' );
+        $request->set_param( 'name', $name );
+        $request->set_param( 'scope', $scope );
+        $request->set_param( 'form_data', $form_data );
+
+        return rest_get_server()->dispatch( $request );
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+/**
+ * Unit Tests for Post Blueprint Mapper
+ *
+ * @package AIPageComposer
+ */
+
+use AIPageComposer\Blueprints\Post_Blueprint_Mapper;
+
+/**
+ * Post Blueprint Mapper test case
+ */
+class Test_Post_Blueprint_Mapper extends WP_UnitTestCase {
+
+    /**
+     * Post blueprint mapper instance
+     *
+     * @var Post_Blueprint_Mapper
+     */
+    private $mapper;
+
+    /**
+     * Set up test fixtures
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->mapper = new Post_Blueprint_Mapper();
+    }
+
+    /**
+     * Test headings and blocks map to section rows
+     */
+    public function test_map_post_builds_sections_from_headings() {
+        $content = '<!-- wp:cover {"url":"https://example.com/hero.jpg"} --><div class="wp-block-cover"><div class="wp-block-cover__inner-container">'
+            . '<!-- wp:heading {"level":1} --><h1>Grow Your Own Food</h1><!-- /wp:heading -->'
+            . '<!-- wp:paragraph --><p>Start a garden this weekend.</p><!-- /wp:paragraph -->'
+            . '</div></div><!-- /wp:cover -->'
+            . '<!-- wp:heading --><h2>Common Questions</h2><!-- /wp:heading -->'
+            . '<!-- wp:details --><details class="wp-block-details"><summary>When to plant?</summary><p>In spring, after the last frost.</p></details><!-- /wp:details -->'
+            . '<!-- wp:heading {"level":3} --><h3>Common Questions</h3><!-- /wp:heading -->'
+            . '<!-- wp:paragraph --><p>See the <a href="/guides/">guides</a> for more.</p><!-- /wp:paragraph -->';
+
+        $post_id = self::factory()->post->create( array(
+            'post_title' => 'Gardening',
+            'post_content' => $content,
+            'post_status' => 'publish',
+        ) );
+
+        $blueprint = $this->mapper->map_post( $post_id );
+
+        $this->assertCount( 3, $blueprint['sections'] );
+
+        $hero = $blueprint['sections'][0];
+        $this->assertEquals( 'hero', $hero['type'] );
+        $this->assertEquals( 'Grow Your Own Food', $hero['heading'] );
+        $this->assertEquals( 1, $hero['heading_level'] );
+        $this->assertEquals( 'required', $hero['media_policy'] );
+        $this->assertEquals( 'core/cover', $hero['block_preferences']['primary_block'] );
+        $this->assertEquals( 'core', $hero['block_preferences']['preferred_plugin'] );
+
+        $this->assertEquals( 'faq', $blueprint['sections'][1]['type'] );
+        $this->assertEquals( 'common-questions', $blueprint['sections'][1]['id'] );
+        $this->assertEquals( 'common-questions-2', $blueprint['sections'][2]['id'] );
+        $this->assertEquals( 3, $blueprint['sections'][2]['heading_level'] );
+        $this->assertEquals( 1, $blueprint['sections'][2]['internal_links'] );
+        $this->assertEquals( 'blog-post', $blueprint['metadata']['category'] );
+
+        $processor = new \AIPageComposer\Blueprints\Schema_Processor();
+        $this->assertTrue( $processor->validate_schema( $blueprint )['valid'] );
+    }
+
+    /**
+     * Test content before the first heading is grouped under the post title
+     */
+    public function test_map_post_uses_title_for_leading_content() {
+        $post_id = self::factory()->post->create( array(
+            'post_title' => 'About Us',
+            'post_content' => '<!-- wp:paragraph --><p>We build tools.</p><!-- /wp:paragraph -->',
+            'post_status' => 'publish',
+            'post_type' => 'page',
+        ) );
+
+        $blueprint = $this->mapper->map_post( $post_id );
+
+        $this->assertCount( 1, $blueprint['sections'] );
+        $this->assertEquals( 'About Us', $blueprint['sections'][0]['heading'] );
+        $this->assertEquals( 'content', $blueprint['sections'][0]['type'] );
+        $this->assertEquals( 10, $blueprint['sections'][0]['word_target'] );
+    }
+
+    /**
+     * Test drafts cannot be imported
+     */
+    public function test_map_post_rejects_unpublished_posts() {
+        $post_id = self::factory()->post->create( array( 'post_status' => 'draft' ) );
+
+        $result = $this->mapper->map_post( $post_id );
+
+        $this->assertInstanceOf( 'WP_Error', $result );
+        $this->assertEquals( 'rest_post_not_found', $result->get_error_code() );
+    }
+}
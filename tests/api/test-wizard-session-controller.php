@@ -0,0 +1,218 @@
+<?php
+/**
+ * Unit Tests for Wizard Session Controller
+ *
+ * @package AIPageComposer
+ */
+
+use AIPageComposer\API\Wizard_Session_Controller;
+
+/**
+ * Wizard Session Controller test case
+ */
+class Test_Wizard_Session_Controller extends WP_UnitTestCase {
+
+    /**
+     * Wizard session controller instance
+     *
+     * @var Wizard_Session_Controller
+     */
+    private $controller;
+
+    /**
+     * Editor user ID
+     *
+     * @var int
+     */
+    private $editor_user_id;
+
+    /**
+     * Second editor user ID
+     *
+     * @var int
+     */
+    private $other_user_id;
+
+    /**
+     * Set up test fixtures
+     */
+    public function setUp(): void {
+        parent::setUp();
+
+        $this->editor_user_id = $this->factory->user->create( array(
+            'role' => 'editor',
+        ) );
+        $this->other_user_id = $this->factory->user->create( array(
+            'role' => 'editor',
+        ) );
+
+        $this->controller = new Wizard_Session_Controller();
+        $this->controller->register_post_type();
+
+        // Set up REST server
+        global $wp_rest_server;
+        $wp_rest_server = new WP_REST_Server();
+        $this->controller->register_routes();
+        do_action( 'rest_api_init' );
+    }
+
+    /**
+     * Test session route registration
+     */
+    public function test_session_routes_registration() {
+        $routes = rest_get_server()->get_routes();
+
+        $this->assertArrayHasKey( '/ai-composer/v1/wizard-sessions', $routes );
+        $this->assertArrayHasKey( '/ai-composer/v1/wizard-sessions/(?P<id>\d+)', $routes );
+    }
+
+    /**
+     * Test creating a session
+     */
+    public function test_create_session() {
+        wp_set_current_user( $this->editor_user_id );
+
+        $response = $this->dispatch_json( 'POST', '/ai-composer/v1/wizard-sessions', array(
+            'blueprint_id' => 12,
+            'form_data' => array(
+                'brief' => 'A guide to sustainable gardening practices for beginners',
+                'audience' => 'Beginning gardeners',
+                'tone' => 'friendly',
+            ),
+        ) );
+
+        $this->assertEquals( 201, $response->get_status() );
+
+        $data = $response->get_data();
+        $this->assertGreaterThan( 0, $data['id'] );
+        $this->assertEquals( 'in_progress', $data['status'] );
+        $this->assertEquals( 'outline-generation-step', $data['step'] );
+        $this->assertEquals( 12, $data['state']['blueprint_id'] );
+        $this->assertStringContainsString( 'sustainable gardening', $data['title'] );
+    }
+
+    /**
+     * Test autosave merges top-level keys into stored state
+     */
+    public function test_update_session_merges_state() {
+        wp_set_current_user( $this->editor_user_id );
+
+        $session_id = $this->create_session( array(
+            'form_data' => array( 'brief' => 'Original brief for the composition' ),
+        ) );
+
+        $response = $this->dispatch_json( 'POST', '/ai-composer/v1/wizard-sessions/' . $session_id, array(
+            'step' => 'assembly-step',
+            'outline' => array(
+                'sections' => array(
+                    array( 'id' => 'section-1', 'heading' => 'Introduction', 'type' => 'hero', 'targetWords' => 150 ),
+                    array( 'id' => 'section-2', 'heading' => 'Details', 'type' => 'content', 'targetWords' => 300 ),
+                ),
+                'total_words' => 450,
+            ),
+            'outline_approved' => true,
+            'unknown_key' => 'ignored',
+        ) );
+
+        $this->assertEquals( 200, $response->get_status() );
+
+        $data = $response->get_data();
+        $this->assertEquals( 'assembly-step', $data['step'] );
+        $this->assertEquals( 2, $data['section_count'] );
+        $this->assertEquals( 450, $data['total_words'] );
+
+        $request = new \WP_REST_Request( 'GET', '/ai-composer/v1/wizard-sessions/' . $session_id );
+        $state = rest_get_server()->dispatch( $request )->get_data()['state'];
+
+        $this->assertEquals( 'Original brief for the composition', $state['form_data']['brief'] );
+        $this->assertTrue( $state['outline_approved'] );
+        $this->assertArrayNotHasKey( 'unknown_key', $state );
+    }
+
+    /**
+     * Test listing only returns the current user's unfinished sessions
+     */
+    public function test_list_sessions_for_current_user() {
+        wp_set_current_user( $this->other_user_id );
+        $this->create_session();
+
+        wp_set_current_user( $this->editor_user_id );
+        $own_session_id = $this->create_session();
+        $completed_session_id = $this->create_session( array( 'status' => 'completed' ) );
+
+        $request = new \WP_REST_Request( 'GET', '/ai-composer/v1/wizard-sessions' );
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 200, $response->get_status() );
+
+        $ids = wp_list_pluck( $response->get_data(), 'id' );
+        $this->assertEquals( array( $own_session_id ), $ids );
+
+        $request->set_param( 'status', 'any' );
+        $ids = wp_list_pluck( rest_get_server()->dispatch( $request )->get_data(), 'id' );
+        $this->assertContains( $completed_session_id, $ids );
+        $this->assertCount( 2, $ids );
+    }
+
+    /**
+     * Test users cannot open another user's session
+     */
+    public function test_session_is_private_to_owner() {
+        wp_set_current_user( $this->editor_user_id );
+        $session_id = $this->create_session();
+
+        wp_set_current_user( $this->other_user_id );
+
+        $request = new \WP_REST_Request( 'GET', '/ai-composer/v1/wizard-sessions/' . $session_id );
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 403, $response->get_status() );
+    }
+
+    /**
+     * Test discarding a session
+     */
+    public function test_delete_session() {
+        wp_set_current_user( $this->editor_user_id );
+        $session_id = $this->create_session();
+
+        $request = new \WP_REST_Request( 'DELETE', '/ai-composer/v1/wizard-sessions/' . $session_id );
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 200, $response->get_status() );
+        $this->assertNull( get_post( $session_id ) );
+
+        $request = new \WP_REST_Request( 'GET', '/ai-composer/v1/wizard-sessions/' . $session_id );
+        $response = rest_get_server()->dispatch( $request );
+
+        $this->assertEquals( 404, $response->get_status() );
+    }
+
+    /**
+     * Dispatch a request with a JSON body
+     *
+     * @param string $method HTTP method.
+     * @param string $route Route path.
+     * @param array  $body Request body.
+     * @return WP_REST_Response Response object.
+     */
+    private function dispatch_json( $method, $route, $body ) {
+        $request = new \WP_REST_Request( $method, $route );
+        $request->set_header( 'Content-Type', 'application/json' );
+        $request->set_body( wp_json_encode( $body ) );
+
+        return rest_get_server()->dispatch( $request );
+    }
+
+    /**
+     * Create a session for the current user
+     *
+     * @param array $state Initial state.
+     * @return int Session ID.
+     */
+    private function create_session( $state = array() ) {
+        $response = $this->dispatch_json( 'POST', '/ai-composer/v1/wizard-sessions', $state );
+
+        return $response->get_data()['id'];
+    }
+}
@@ -0,0 +1,112 @@
+<?php
+/**
+ * Blueprint Library Unit Tests
+ *
+ * @package AIPageComposer\Tests
+ */
+
+namespace AIPageComposer\Tests\Blueprints;
+
+use WP_UnitTestCase;
+use AIPageComposer\Blueprints\Blueprint_Manager;
+use AIPageComposer\Blueprints\Blueprint_Library;
+use AIPageComposer\Blueprints\Schema_Processor;
+use AIPageComposer\Blueprints\Starter_Blueprints;
+
+/**
+ * Blueprint Library test class
+ */
+class Test_Blueprint_Library extends WP_UnitTestCase {
+
+    /**
+     * Blueprint library instance
+     *
+     * @var Blueprint_Library
+     */
+    private $library;
+
+    /**
+     * Administrator user ID
+     *
+     * @var int
+     */
+    private $user_id;
+
+    /**
+     * Set up test case
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->user_id = self::factory()->user->create( array( 'role' => 'administrator' ) );
+        wp_set_current_user( $this->user_id );
+
+        $blueprint_manager = new Blueprint_Manager();
+        do_action( 'init' );
+        $this->library = $blueprint_manager->get_library();
+    }
+
+    /**
+     * Test every bundled starter blueprint passes schema validation
+     */
+    public function test_starter_blueprints_are_valid() {
+        $starters = new Starter_Blueprints();
+        $schema_processor = new Schema_Processor();
+
+        $all = $starters->get_all();
+        $this->assertEqualSets( array( 'landing-page', 'product-review', 'how-to', 'comparison' ), array_keys( $all ) );
+
+        foreach ( $all as $slug => $starter ) {
+            $result = $schema_processor->validate_schema( $starter['blueprint'] );
+            $this->assertTrue( $result['valid'], $slug . ': ' . wp_json_encode( $result['errors'] ) );
+        }
+    }
+
+    /**
+     * Test installing a starter creates a draft linked to the starter
+     */
+    public function test_install_starter_creates_draft() {
+        $post_id = $this->library->install_starter( 'how-to' );
+
+        $this->assertIsInt( $post_id );
+        $this->assertEquals( 'draft', get_post_status( $post_id ) );
+        $this->assertEquals( 'How-To Guide', get_the_title( $post_id ) );
+        $this->assertEquals( 'how-to', get_post_meta( $post_id, Starter_Blueprints::META_KEY, true ) );
+
+        $starters = wp_list_pluck( $this->library->get_starters(), 'installed_id', 'slug' );
+        $this->assertEquals( $post_id, $starters['how-to'] );
+        $this->assertEquals( 0, $starters['comparison'] );
+    }
+
+    /**
+     * Test installing an unknown starter fails
+     */
+    public function test_install_unknown_starter_returns_error() {
+        $result = $this->library->install_starter( 'missing' );
+
+        $this->assertWPError( $result );
+        $this->assertEquals( 'starter_not_found', $result->get_error_code() );
+    }
+
+    /**
+     * Test starred blueprints are per user and listed first
+     */
+    public function test_starred_blueprints_listed_first() {
+        $first = $this->library->install_starter( 'landing-page' );
+        $second = $this->library->install_starter( 'comparison' );
+
+        $this->library->set_starred( $this->user_id, $first, true );
+
+        $items = $this->library->get_items( $this->user_id );
+        $this->assertEquals( $first, $items[0]['id'] );
+        $this->assertTrue( $items[0]['starred'] );
+        $this->assertEquals( 'landing-page', $items[0]['category'] );
+        $this->assertContains( 'pricing', $items[0]['section_types'] );
+
+        $other_user = self::factory()->user->create( array( 'role' => 'administrator' ) );
+        $this->assertEmpty( $this->library->get_starred( $other_user ) );
+
+        $this->library->set_starred( $this->user_id, $first, false );
+        $this->assertNotContains( $first, $this->library->get_starred( $this->user_id ) );
+        $this->assertNotContains( $second, $this->library->get_starred( $this->user_id ) );
+    }
+}
@@ -281,4 +281,88 @@ class Test_Schema_Processor extends WP_UnitTestCase {
             $this->assertNotEmpty( $label, 'Generation mode label should not be empty' );
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Test nested sections leave inherited values to their parent
+     */
+    public function test_apply_defaults_to_nested_sections() {
+        $result = $this->schema_processor->apply_defaults( array(
+            'sections' => array(
+                array(
+                    'id' => 'features',
+                    'type' => 'content',
+                    'heading' => 'Features',
+                    'children' => array(
+                        array(
+                            'id' => 'speed',
+                            'type' => 'content',
+                            'heading' => 'Speed',
+                            'tone' => 'casual'
+                        )
+                    )
+                )
+            ),
+            'global_settings' => array()
+        ) );
+
+        $child = $result['sections'][0]['children'][0];
+        $this->assertEquals( 150, $child['word_target'], 'Child should get non-inherited defaults' );
+        $this->assertEquals( 'casual', $child['tone'], 'Child should keep its own tone' );
+        $this->assertArrayNotHasKey( 'media_policy', $child, 'Child should not get an inheritable default' );
+        $this->assertArrayNotHasKey( 'heading_level', $child, 'Child heading level should follow the parent' );
+
+        $validation = $this->schema_processor->validate_schema( $result );
+        $this->assertTrue( $validation['valid'], wp_json_encode( $validation['errors'] ) );
+    }
+
+    /**
+     * Test flattening nested sections resolves inheritance
+     */
+    public function test_flatten_sections() {
+        $sections = array(
+            array(
+                'id' => 'features',
+                'heading' => 'Features',
+                'heading_level' => 2,
+                'tone' => 'friendly',
+                'media_policy' => 'required',
+                'citations_required' => false,
+                'children' => array(
+                    array(
+                        'id' => 'speed',
+                        'heading' => 'Speed',
+                        'children' => array(
+                            array( 'id' => 'benchmarks', 'heading' => 'Benchmarks' )
+                        )
+                    ),
+                    array(
+                        'id' => 'security',
+                        'heading' => 'Security',
+                        'media_policy' => 'none'
+                    )
+                )
+            ),
+            array(
+                'id' => 'pricing',
+                'heading' => 'Pricing',
+                'tone' => 'professional'
+            )
+        );
+
+        $flat = $this->schema_processor->flatten_sections( $sections );
+
+        $this->assertEquals( array( 'features', 'speed', 'benchmarks', 'security', 'pricing' ), array_column( $flat, 'id' ) );
+        $this->assertEquals( array( 0, 1, 2, 1, 0 ), array_column( $flat, 'depth' ) );
+        $this->assertEquals( array( '', 'features', 'speed', 'features', '' ), array_column( $flat, 'parent_id' ) );
+        $this->assertEquals( array( 2, 3, 4, 3, null ), array_map( function( $section ) {
+            return $section['heading_level'] ?? null;
+        }, $flat ) );
+
+        $this->assertEquals( 'friendly', $flat[2]['tone'], 'Grandchild should inherit through its parent' );
+        $this->assertFalse( $flat[2]['citations_required'] );
+        $this->assertEquals( 'none', $flat[3]['media_policy'], 'Child should keep its own media policy' );
+        $this->assertEquals( array( 'tone', 'citations_required' ), $flat[3]['inherited'] );
+        $this->assertEquals( 2, $flat[0]['child_count'] );
+        $this->assertArrayNotHasKey( 'children', $flat[0] );
+    }
+}
@@ -0,0 +1,125 @@
+<?php
+/**
+ * Section Rules Unit Tests
+ *
+ * @package AIPageComposer\Tests
+ */
+
+namespace AIPageComposer\Tests\Blueprints;
+
+use WP_UnitTestCase;
+use AIPageComposer\Blueprints\Section_Rules;
+
+/**
+ * Section Rules test class
+ */
+class Test_Section_Rules extends WP_UnitTestCase {
+
+    /**
+     * Section rules instance
+     *
+     * @var Section_Rules
+     */
+    private $rules;
+
+    /**
+     * Set up test case
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->rules = new Section_Rules();
+    }
+
+    /**
+     * Test lists are read from inline and bulleted brief lines
+     */
+    public function test_parse_brief_lists() {
+        $lists = $this->rules->parse_brief_lists( "Compare trail shoes.\nProducts: Speedgoat 5, Peregrine 13 and Cascadia 17\nKey Features:\n- Grip\n- Weight" );
+
+        $this->assertEquals( array( 'Speedgoat 5', 'Peregrine 13', 'Cascadia 17' ), $lists['products'] );
+        $this->assertEquals( array( 'Grip', 'Weight' ), $lists['key_features'] );
+    }
+
+    /**
+     * Test conditions drop sections and repeats expand them with their children
+     */
+    public function test_apply_conditions_and_repeats() {
+        $sections = array(
+            array(
+                'id' => 'review',
+                'heading' => '{item} Review',
+                'repeat' => array( 'over' => 'products', 'max' => 2 ),
+                'children' => array(
+                    array( 'id' => 'verdict', 'heading' => 'Verdict on {item}' ),
+                ),
+            ),
+            array(
+                'id' => 'faq',
+                'heading' => 'Beginner Questions',
+                'condition' => array(
+                    'match' => 'all',
+                    'rules' => array( array( 'field' => 'audience', 'operator' => 'contains', 'value' => 'Beginner' ) ),
+                ),
+            ),
+        );
+
+        $context = $this->rules->build_context( array(
+            'brief' => 'Products: Alpha, Beta, Gamma',
+            'audience' => 'Experienced runners',
+        ) );
+        $applied = $this->rules->apply( $sections, $context );
+
+        $this->assertCount( 2, $applied );
+        $this->assertEquals( array( 'review-1', 'review-2' ), array_column( $applied, 'id' ) );
+        $this->assertEquals( 'Beta Review', $applied[1]['heading'] );
+        $this->assertEquals( 'review', $applied[1]['source_id'] );
+        $this->assertEquals( 'Beta', $applied[1]['repeat_item'] );
+        $this->assertArrayNotHasKey( 'repeat', $applied[1] );
+        $this->assertEquals( 'verdict-2', $applied[1]['children'][0]['id'] );
+        $this->assertEquals( 'Verdict on Beta', $applied[1]['children'][0]['heading'] );
+
+        $context['audience'] = 'Beginners';
+        $applied = $this->rules->apply( $sections, $context );
+
+        $this->assertCount( 3, $applied );
+        $this->assertEquals( 'faq', $applied[2]['id'] );
+    }
+
+    /**
+     * Test condition operators against text and lists
+     */
+    public function test_evaluate_rules() {
+        $context = $this->rules->build_context( array( 'brief' => 'Products: Alpha, Beta' ) );
+
+        $this->assertTrue( $this->rules->evaluate_rule( array( 'field' => 'products', 'operator' => 'equals', 'value' => 'beta' ), $context ) );
+        $this->assertTrue( $this->rules->evaluate_rule( array( 'field' => 'products', 'operator' => 'min_items', 'value' => '2' ), $context ) );
+        $this->assertFalse( $this->rules->evaluate_rule( array( 'field' => 'products', 'operator' => 'min_items', 'value' => '3' ), $context ) );
+        $this->assertTrue( $this->rules->evaluate_rule( array( 'field' => 'audience', 'operator' => 'is_empty' ), $context ) );
+        $this->assertTrue( $this->rules->evaluate_rule( array( 'field' => 'missing', 'operator' => 'not_contains', 'value' => 'x' ), $context ) );
+
+        $this->assertTrue( $this->rules->evaluate_condition( array(
+            'match' => 'any',
+            'rules' => array(
+                array( 'field' => 'audience', 'operator' => 'not_empty' ),
+                array( 'field' => 'products', 'operator' => 'contains', 'value' => 'alp' ),
+            ),
+        ), $context ) );
+    }
+
+    /**
+     * Test condition expressions parse and format back
+     */
+    public function test_parse_and_format_condition() {
+        $condition = $this->rules->parse_condition( 'audience contains "new runners" and products has at least 2 and tone is not empty' );
+
+        $this->assertEquals( 'all', $condition['match'] );
+        $this->assertEquals( array( 'field' => 'audience', 'operator' => 'contains', 'value' => 'new runners' ), $condition['rules'][0] );
+        $this->assertEquals( 'min_items', $condition['rules'][1]['operator'] );
+        $this->assertEquals( 'not_empty', $condition['rules'][2]['operator'] );
+        $this->assertEquals( $condition, $this->rules->parse_condition( $this->rules->format_condition( $condition ) ) );
+
+        $this->assertWPError( $this->rules->parse_condition( 'audience is "a" and tone is "b" or brief is empty' ) );
+        $this->assertWPError( $this->rules->parse_condition( 'products has at least many' ) );
+        $this->assertWPError( $this->rules->parse_condition( 'audience resembles "x"' ) );
+    }
+}
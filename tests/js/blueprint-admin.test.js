@@ -0,0 +1,86 @@
+/**
+ * Tests for the blueprint section rows
+ *
+ * @jest-environment jsdom
+ * @package AIPageComposer
+ */
+
+window.jQuery = window.$ = require('jquery');
+require('../../assets/js/blueprint-admin.js');
+
+const $ = window.jQuery;
+const BlueprintAdmin = window.BlueprintAdmin;
+
+// Structural changes only, without the JSON sync they schedule
+BlueprintAdmin.scheduleValidation = () => {};
+
+const row = (id, depth) => `
+    <div class="section-row">
+        <input type="checkbox" class="section-select">
+        <span class="section-number"></span>
+        <input type="hidden" name="sections[${id}][id]" value="${id}" class="section-id-field">
+        <input type="hidden" name="sections[${id}][depth]" value="${depth}" class="section-depth-field">
+        <button type="button" class="remove-section">Remove</button>
+    </div>`;
+
+const layout = () => $('#sections-container').children('.section-row').toArray()
+    .map(element => $(element).find('.section-id-field').val() + ':' + BlueprintAdmin.getRowDepth($(element)));
+
+const rowFor = id => $('.section-id-field').filter((index, field) => field.value === id).closest('.section-row');
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <select id="bulk-action-selector">
+            <option value=""></option>
+            <option value="delete"></option>
+            <option value="move-bottom"></option>
+        </select>
+        <button type="button" id="apply-bulk-action"></button>
+        <div id="sections-container">
+            ${row('intro', 0)}
+            ${row('setup', 0)}
+            ${row('install', 1)}
+            ${row('configure', 1)}
+            ${row('summary', 0)}
+        </div>`;
+
+    BlueprintAdmin.history = { push: jest.fn(), notify: jest.fn() };
+});
+
+const applyBulkAction = (action, ids) => {
+    ids.forEach(id => rowFor(id).find('.section-select').prop('checked', true));
+    $('#bulk-action-selector').val(action);
+    BlueprintAdmin.applyBulkAction();
+};
+
+describe('section rows with subsections', () => {
+    test('removing a parent section removes its subsections', () => {
+        BlueprintAdmin.removeSection({ preventDefault: () => {}, target: rowFor('setup').find('.remove-section')[0] });
+
+        expect(layout()).toEqual(['intro:0', 'summary:0']);
+    });
+
+    test('deleting a selected parent deletes its subsections', () => {
+        applyBulkAction('delete', ['setup']);
+
+        expect(layout()).toEqual(['intro:0', 'summary:0']);
+    });
+
+    test('moving a selected parent moves its subsections with it', () => {
+        applyBulkAction('move-bottom', ['setup']);
+
+        expect(layout()).toEqual(['intro:0', 'summary:0', 'setup:0', 'install:1', 'configure:1']);
+    });
+});
+
+describe('showNotice', () => {
+    test('shows the message as text', () => {
+        document.body.innerHTML = '<div class="ai-blueprint-schema-editor"></div>';
+
+        BlueprintAdmin.showNotice('error', 'Could not import <img src=x onerror=alert(1)>.json');
+
+        const $notice = $('.ai-blueprint-schema-editor .notice-error');
+        expect($notice.find('img')).toHaveLength(0);
+        expect($notice.text()).toBe('Could not import <img src=x onerror=alert(1)>.json');
+    });
+});
@@ -0,0 +1,25 @@
+/**
+ * Tests for the client-side cost estimator
+ *
+ * @jest-environment jsdom
+ * @package AIPageComposer
+ */
+
+require('../../assets/js/cost-estimator.js');
+
+const CostEstimator = window.AIComposer.CostEstimator;
+
+describe('estimateBlueprintSections', () => {
+    test('reads word targets like Cost_Estimator::estimate_blueprint_sections()', () => {
+        const estimate = CostEstimator.estimateBlueprintSections([
+            { id: 'missing' },
+            { id: 'zero', word_target: 0 },
+            { id: 'text', word_target: '240' }
+        ]);
+
+        const wordsPerMinute = CostEstimator.getPricing().words_per_minute;
+        const words = estimate.sections.map(section => Math.round(section.minutes * wordsPerMinute));
+
+        expect(words).toEqual([150, 0, 240]);
+    });
+});
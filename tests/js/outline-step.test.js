@@ -0,0 +1,63 @@
+/**
+ * Tests for the outline step
+ *
+ * @jest-environment jsdom
+ * @package AIPageComposer
+ */
+
+window.jQuery = window.$ = require('jquery');
+require('../../assets/js/outline-step.js');
+
+const OutlineStep = window.AIComposer.OutlineStep;
+
+// The step is exercised directly, without its admin page markup
+OutlineStep.init = () => {};
+
+const section = (id, heading) => ({ id: id, heading: heading, type: 'content', targetWords: 100 });
+
+describe('mergeLockedSections', () => {
+    test('regenerating keeps the section count and order', () => {
+        OutlineStep.outlineData = {
+            sections: [
+                section('section-1', 'Intro'),
+                section('section-2', 'Setup'),
+                section('section-3', 'Usage'),
+                section('section-4', 'Summary')
+            ]
+        };
+        OutlineStep.outlineData.sections[1].locked = true;
+        OutlineStep.outlineData.sections[3].locked = true;
+
+        const locked = OutlineStep.getLockedSections();
+
+        OutlineStep.outlineData = {
+            sections: [
+                section('section-1', 'New intro'),
+                section('section-2', 'New setup'),
+                section('section-3', 'New usage'),
+                section('section-4', 'New summary')
+            ]
+        };
+        OutlineStep.mergeLockedSections(locked);
+
+        const sections = OutlineStep.outlineData.sections;
+
+        expect(sections.map(s => s.heading)).toEqual(['New intro', 'Setup', 'New usage', 'Summary']);
+        expect(sections.map(s => s.id)).toEqual(['section-1', 'section-2', 'section-3', 'section-4']);
+        expect(OutlineStep.outlineData.total_words).toBe(400);
+    });
+
+    test('a locked section past the end of a shorter outline is appended', () => {
+        OutlineStep.outlineData = {
+            sections: [section('section-1', 'Intro'), section('section-2', 'Setup'), section('section-3', 'Extra')]
+        };
+        OutlineStep.outlineData.sections[2].locked = true;
+
+        const locked = OutlineStep.getLockedSections();
+
+        OutlineStep.outlineData = { sections: [section('section-1', 'New intro')] };
+        OutlineStep.mergeLockedSections(locked);
+
+        expect(OutlineStep.outlineData.sections.map(s => s.heading)).toEqual(['New intro', 'Extra']);
+    });
+});